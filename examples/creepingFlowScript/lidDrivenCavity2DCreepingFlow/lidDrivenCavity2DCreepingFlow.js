@@ -42,9 +42,13 @@ model.addBoundaryCondition("3", ["constantVelocity", 0, 0]); // Right boundary
 model.setSolverMethod("lusolve");
 
 // Solve the problem
-const { solutionVector, nodesCoordinates } = model.solve();
+const { nodesCoordinates, fields } = model.solve();
 
-// Print results
+// Print results (velocity and pressure at every node)
 console.log(`Number of nodes in mesh: ${nodesCoordinates.nodesXCoordinates.length}`);
 console.log("Node coordinates:", nodesCoordinates);
-console.log("Solution vector:", solutionVector);
+console.log("Velocity u:", fields.u);
+console.log("Velocity v:", fields.v);
+console.log("Velocity magnitude:", fields.velocityMagnitude);
+console.log("Pressure:", fields.pressure);
+console.log("Stream function:", fields.streamFunction);
@@ -25,6 +25,7 @@ model.setModelConfig("eulerBernoulliBeamScript", {
     EI: (x) => 2.0e6, // Bending stiffness
     q: (x) => (x <= 5 ? -1000 : 0),
   },
+  samplePoints: [0, 1.25, 2.5, 3.75, 5, 6.25, 7.5, 8.75, 10], // Points for the internal forces
 });
 
 // Define mesh configuration
@@ -47,7 +48,7 @@ model.addBoundaryCondition("3", [
 model.setSolverMethod("lusolve");
 
 // Solve the problem
-const { solutionVector } = model.solve();
+const { solutionVector, beamResults, reactions } = model.solve();
 
 // Print results
 const flatSolution = solutionVector.map((entry) =>
@@ -68,3 +69,20 @@ for (let nodeIndex = 0; nodeIndex < nodeXCoordinates.length; nodeIndex++) {
       .padStart(20)}`
   );
 }
+
+console.log("\n    x (m) | Bending moment M (N m) | Shear force V (N)");
+console.log("----------|------------------------|------------------");
+beamResults.x.forEach((x, pointIndex) => {
+  console.log(
+    `${x.toFixed(2).padStart(9)} | ${beamResults.bendingMoment[pointIndex]
+      .toFixed(2)
+      .padStart(22)} | ${beamResults.shearForce[pointIndex].toFixed(2).padStart(17)}`
+  );
+});
+
+console.log("\nSupport reactions:");
+reactions.forEach(({ node, x, force, moment }) => {
+  console.log(
+    `  Node ${node} (x = ${x} m): force = ${force.toFixed(2)} N, moment = ${moment.toFixed(2)} N m`
+  );
+});
@@ -0,0 +1,61 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Import Math.js
+import * as math from "mathjs";
+global.math = math;
+
+// Import FEAScript library
+import { FEAScriptModel, printVersion } from "feascript";
+
+console.log("FEAScript Version:", printVersion);
+
+// Create a new FEAScript model
+const model = new FEAScriptModel();
+
+// Select physics/PDE
+model.setModelConfig("generalFormPDEScript", {
+  coefficientFunctions: {
+    // Equation ∇·(A∇u) + B·∇u = 10 * exp(-100 * ((x - 0.3)² + (y - 0.5)²))
+    A: (x, y) => [
+      [1, 0],
+      [0, 0.2],
+    ], // Anisotropic diffusion tensor (a scalar is also accepted)
+    B: (x, y) => [-5, 0], // Advection vector [Bx, By]
+    C: (x, y) => 0, // Reaction coefficient
+    D: (x, y) => -10 * Math.exp(-100 * ((x - 0.3) ** 2 + (y - 0.5) ** 2)), // Source term
+  },
+});
+
+// Define mesh configuration
+model.setMeshConfig({
+  meshDimension: "2D",
+  elementOrder: "quadratic",
+  numElementsX: 20,
+  numElementsY: 10,
+  maxX: 2.0,
+  maxY: 1.0,
+});
+
+// Define boundary conditions
+model.addBoundaryCondition("0", "zeroGradient"); // Bottom boundary
+model.addBoundaryCondition("1", ["constantValue", 0]); // Left boundary
+model.addBoundaryCondition("2", "zeroGradient"); // Top boundary
+model.addBoundaryCondition("3", "zeroGradient"); // Right boundary
+
+// Set solver method (the system is non-symmetric)
+model.setSolverMethod("gmres");
+
+// Solve the problem
+const { solutionVector, nodesCoordinates } = model.solve({ tolerance: 1e-8 });
+
+// Print results
+console.log(`Number of nodes in mesh: ${nodesCoordinates.nodesXCoordinates.length}`);
+console.log("Node coordinates:", nodesCoordinates);
+console.log("Solution vector:", solutionVector);
@@ -0,0 +1,67 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Import Math.js
+import * as math from "mathjs";
+globalThis.math = math;
+
+// Import FEAScript library
+import { FEAScriptModel, printVersion } from "feascript";
+
+console.log("FEAScript Version:", printVersion);
+
+// Create a new FEAScript model
+const model = new FEAScriptModel();
+
+// Select physics/PDE
+model.setModelConfig("heatConductionScript", {
+  coefficientFunctions: {
+    thermalConductivity: 1,
+    density: 1,
+    specificHeat: 1,
+  },
+  transient: {
+    timeStep: 2, // Time step size
+    endTime: 60, // Final simulation time
+    theta: 1, // Backward Euler, which stays free of oscillations for large time steps
+    initialTemperature: 200, // Uniform initial temperature of the fin
+    massLumping: false, // Consistent mass matrix
+  },
+});
+
+// Define mesh configuration
+model.setMeshConfig({
+  meshDimension: "2D",
+  elementOrder: "quadratic",
+  numElementsX: 8,
+  numElementsY: 4,
+  maxX: 4,
+  maxY: 2,
+});
+
+// Define boundary conditions
+model.addBoundaryCondition("0", ["constantTemperature", 200]); // Bottom boundary
+model.addBoundaryCondition("1", ["symmetry"]); // Left boundary
+model.addBoundaryCondition("2", ["convection", 1, 20]); // Top boundary
+model.addBoundaryCondition("3", ["constantTemperature", 200]); // Right boundary
+
+// Set solver method (optional)
+model.setSolverMethod("lusolve");
+
+// Solve the problem
+const { solutionVector, nodesCoordinates, timeSeries } = model.solve();
+
+// Print results
+console.log(`Number of nodes in mesh: ${nodesCoordinates.nodesXCoordinates.length}`);
+console.log(`Number of time steps: ${timeSeries.times.length - 1}`);
+timeSeries.times.forEach((time, stepIndex) => {
+  const minimumTemperature = Math.min(...timeSeries.solutionVectors[stepIndex]);
+  console.log(`t = ${time}: minimum fin temperature = ${minimumTemperature.toFixed(3)}`);
+});
+console.log("Solution vector at the final time:", solutionVector);
@@ -12,17 +12,14 @@ import { newtonRaphson } from "./methods/newtonRaphson.js";
 import { solveLinearSystem } from "./methods/linearSystemSolver.js";
 import { solveLinearSystemAsync } from "./methods/linearSystemSolver.js";
 import { prepareMesh } from "./mesh/meshUtils.js";
-import { assembleFrontPropagationMat } from "./models/frontPropagation.js";
-import {
-  assembleGeneralFormPDEMat,
-  assembleGeneralFormPDEFront,
-  assembleGeneralFormPDENonlinearMat,
-} from "./models/generalFormPDE.js";
-import { assembleHeatConductionMat, assembleHeatConductionFront } from "./models/heatConduction.js";
-import { assembleCreepingFlowMatrix } from "./models/creepingFlow.js";
-import { assembleEulerBernoulliBeamMat } from "./models/eulerBernoulliBeam.js";
+import { getModel } from "./models/modelRegistry.js";
+import "./models/builtinModels.js";
 import { runFrontalSolver } from "./methods/frontalSolver.js";
-import { basicLog, debugLog, warnLog, errorLog } from "./utilities/logging.js";
+import { thetaMethod } from "./methods/thetaMethod.js";
+import { newmarkMethod } from "./methods/newmarkMethod.js";
+import { solveGeneralizedEigenproblem } from "./methods/eigenSolver.js";
+import { ConfigurationError, ConvergenceError } from "./utilities/errors.js";
+import { basicLog, debugLog, warnLog } from "./utilities/logging.js";
 
 /**
  * Class to implement finite element analysis in JavaScript
@@ -46,8 +43,41 @@ export class FEAScriptModel {
 
   /**
    * Method to set the model configuration
-   * @param {string} modelConfig - Parameter specifying the type of model
+   * @param {string} modelConfig - Name of a built-in model or of a model added with registerModel
    * @param {object} [options] - Optional additional configuration
+   * @param {object} [options.transient] - Time stepping settings for the transient heat conduction model:
+   *  `timeStep`, `endTime`, `theta` (0 explicit, 0.5 Crank-Nicolson, 1 implicit Euler; default 1),
+   *  `initialTemperature` (constant, function (x, y) or nodal array; default 0) and `massLumping` (default false).
+   *  The creeping flow and Navier-Stokes models take the `timeStep` and `endTime`, the `order` of their BDF
+   *  time integration (1 or 2; default 2) and the `initialVelocity` ([u, v] or function (x, y) => [u, v];
+   *  default at rest), and accept "constantVelocity" values given as functions of time
+   * @param {object} [options.dynamic] - Time stepping settings of a structural dynamics simulation, available
+   *  for models with a mass matrix such as the Euler-Bernoulli beam: `timeStep`, `endTime`, the HHT `alpha`
+   *  (between -1/3 and 0; default 0, the Newmark method) and the Newmark `beta` and `gamma` (default
+   *  (1 - alpha)²/4 and 1/2 - alpha), `rayleighDamping` ({ massCoefficient, stiffnessCoefficient }),
+   *  `initialDisplacement` and `initialVelocity` (vectors with the layout of the solution vector; default 0)
+   *  and, for the beam, the `historyNodes` whose time histories are returned (default: all nodes). In both
+   *  transient and dynamic simulations the `endTime` must be a whole number of time steps
+   * @param {object} [options.modal] - Settings of a modal (natural frequency) analysis, available for models
+   *  with a mass matrix such as the Euler-Bernoulli beam: `numberOfModes` (default 5), `shift` (a negative
+   *  value is needed for unsupported structures; default 0), `maxIterations` and `tolerance` of the subspace
+   *  iteration
+   * @param {object} [options.buckling] - Settings of a linear buckling analysis, available for models with a
+   *  geometric stiffness matrix such as the Euler-Bernoulli beam, with the same options as `modal`
+   * @param {array} [options.samplePoints] - x coordinates where the beam models (Euler-Bernoulli and
+   *  Timoshenko) evaluate the deflection, rotation, bending moment and shear force returned as
+   *  `beamResults` (default: the mesh nodes)
+   * @param {object} [options.memberReleases] - Moment releases (hinges) of the 2D frame model, keyed by 1-based
+   *  member number: "start", "end" or "both" ends of the member
+   * @param {object} [options.navierStokes] - Settings of the steady Navier-Stokes model: the
+   *  `reynoldsNumber`, the `linearization` of the iterations ("newton" or "picard"; default "newton"), the
+   *  number of `picardIterations` run before switching to the Newton method (default 2) and the number of
+   *  `continuationSteps` over which the Reynolds number is raised to its final value (default 1)
+   * @param {object} [options.elasticity] - Settings of the 2D linear elasticity model: the `formulation`,
+   *  "planeStress" (default) or "planeStrain"
+   * @param {object} [options.pressureReference] - Reference pressure of the creeping flow and Navier-Stokes
+   *  models when no boundary has a "stressFree", "traction" or "pressure" condition: the 1-based corner
+   *  `node` whose pressure is set to `value` (default 0). Without it the first pressure node is set to 0
    */
   setModelConfig(modelConfig, options = {}) {
     this.solverConfig = modelConfig;
@@ -62,6 +92,11 @@ export class FEAScriptModel {
       this.nonlinear = options.nonlinear;
       debugLog(`nonlinear set to ${this.nonlinear}`);
     }
+    // Time stepping settings for transient simulations (timeStep, endTime, theta, initial field and mass lumping)
+    if (options?.transient !== undefined) {
+      this.transient = options.transient;
+      debugLog(`transient set: ${JSON.stringify(this.transient)}`);
+    }
     // Only update if a value is provided
     if (options?.maxIterations !== undefined) {
       this.maxIterations = options.maxIterations;
@@ -71,6 +106,46 @@ export class FEAScriptModel {
       this.tolerance = options.tolerance;
       debugLog(`tolerance set to ${this.tolerance}`);
     }
+    // Structural dynamics settings (time stepping, damping and initial conditions)
+    if (options?.dynamic !== undefined) {
+      this.dynamic = options.dynamic;
+      debugLog(`dynamic set: ${JSON.stringify(this.dynamic)}`);
+    }
+    // Modal analysis settings (number of modes and eigensolver parameters)
+    if (options?.modal !== undefined) {
+      this.modal = options.modal;
+      debugLog(`modal set: ${JSON.stringify(this.modal)}`);
+    }
+    // Buckling analysis settings (number of modes and eigensolver parameters)
+    if (options?.buckling !== undefined) {
+      this.buckling = options.buckling;
+      debugLog(`buckling set: ${JSON.stringify(this.buckling)}`);
+    }
+    // x coordinates where the beam post-processing evaluates the internal forces
+    if (options?.samplePoints !== undefined) {
+      this.samplePoints = options.samplePoints;
+      debugLog(`samplePoints set (${this.samplePoints.length} points)`);
+    }
+    // Member-end moment releases of the frame model
+    if (options?.memberReleases !== undefined) {
+      this.memberReleases = options.memberReleases;
+      debugLog(`memberReleases set: ${JSON.stringify(this.memberReleases)}`);
+    }
+    // Reynolds number and iteration settings of the Navier-Stokes model
+    if (options?.navierStokes !== undefined) {
+      this.navierStokes = options.navierStokes;
+      debugLog(`navierStokes set: ${JSON.stringify(this.navierStokes)}`);
+    }
+    // Plane stress or plane strain formulation of the linear elasticity model
+    if (options?.elasticity !== undefined) {
+      this.elasticity = options.elasticity;
+      debugLog(`elasticity set: ${JSON.stringify(this.elasticity)}`);
+    }
+    // Node and value fixing the pressure level of flows enclosed by velocity conditions
+    if (options?.pressureReference !== undefined) {
+      this.pressureReference = options.pressureReference;
+      debugLog(`pressureReference set: ${JSON.stringify(this.pressureReference)}`);
+    }
 
     debugLog(`solverConfig set to ${modelConfig}`);
   }
@@ -80,6 +155,12 @@ export class FEAScriptModel {
     debugLog(`meshConfig set with dimensions: ${meshConfig.meshDimension}`);
   }
 
+  /**
+   * Method to add a boundary condition
+   * @param {string} boundaryKey - Boundary index ("0", "1", ...) or boundary name, i.e. the Gmsh physical name
+   *  for imported meshes and "left"/"right" (1D) or "bottom"/"left"/"top"/"right" (2D) for generated meshes
+   * @param {array} condition - Boundary condition type followed by its parameters, e.g. ["convection", 1, 20]
+   */
   addBoundaryCondition(boundaryKey, condition) {
     // Normalize deprecated boundary condition type strings and emit deprecation warnings
     const deprecatedBoundaryConditionTypes = {
@@ -98,20 +179,47 @@ export class FEAScriptModel {
     debugLog(`boundaryConditions added for boundary: ${boundaryKey}, type: ${condition[0]}`);
   }
 
-  setSolverMethod(solverMethod) {
+  /**
+   * Method to set the linear solver method
+   * @param {string} solverMethod - "lusolve", "jacobi", "cg", "pcg", "gmres", "bicgstab", "frontal" or "jacobi-gpu"
+   * @param {object} [options] - Optional additional configuration
+   * @param {string} [options.preconditioner] - Preconditioner for "pcg" ("jacobi" by default or
+   *  "incompleteCholesky") and for "gmres"/"bicgstab" ("incompleteLU" by default or "jacobi")
+   * @param {number} [options.restart] - Krylov subspace size before GMRES restarts (default 30)
+   */
+  setSolverMethod(solverMethod, options = {}) {
     this.solverMethod = solverMethod;
+    if (options?.preconditioner !== undefined) {
+      this.preconditioner = options.preconditioner;
+      debugLog(`preconditioner set to ${this.preconditioner}`);
+    }
+    if (options?.restart !== undefined) {
+      this.restart = options.restart;
+      debugLog(`restart set to ${this.restart}`);
+    }
     debugLog(`solverMethod set to: ${solverMethod}`);
   }
 
   /**
    * Method to solve the finite element problem synchronously
    * @param {object} [options] - Additional parameters for the solver, such as `maxIterations` and `tolerance`
-   * @returns {object} An object containing the solution vector and mesh information
+   * @returns {object} An object containing the solution vector, the mesh information and, for transient
+   *  simulations, the `timeSeries` of solution vectors (with the named `fields` of every step for the flow
+   *  models). A modal analysis returns the `modes`, each with its
+   *  `eigenvalue`, `angularFrequency`, `frequency` and mass-normalized `modeShape`, and a buckling analysis the
+   *  `bucklingModes`, each with its critical `loadFactor` and `modeShape`; both return the first mode shape
+   *  as the solution vector. Models with several unknowns per node also return
+   *  named nodal `fields`, e.g. `u`, `v`, `velocityMagnitude`, `pressure`, `vorticity` and `streamFunction`
+   *  for creeping flow and Navier-Stokes flow, which also return the `flowRates` through the boundaries, and
+   *  the displacements, strains, stresses and `vonMisesStress` for linear elasticity. The
+   *  beam models add `beamResults` (internal forces at the sample points) and `reactions`, and the 2D frame
+   *  model `memberForces` and `reactions`
+   * @throws {FEAScriptError} If the model cannot be solved, e.g. a ConfigurationError for missing settings or
+   *  a ConvergenceError when an iterative method does not converge
    */
   solve(options = {}) {
-    if (!this.solverConfig || !this.meshConfig || !this.boundaryConditions) {
-      errorLog("solverConfig, meshConfig and boundaryConditions must be set before solving");
-    }
+    const { modelDefinition, context } = this.prepareSolve(options);
+
     /**
      * For consistency across both linear and nonlinear formulations,
      * we always refer to the assembled right-hand side vector as
@@ -122,230 +230,325 @@ export class FEAScriptModel {
      * corresponds to the traditional load (RHS) vector.
      */
 
-    let jacobianMatrix = [];
-    let residualVector = [];
-    let solutionVector = [];
-    let initialSolution = [];
-
-    // Prepare the mesh
-    basicLog("Preparing mesh...");
-    const meshData = prepareMesh(this.meshConfig);
-    basicLog("Mesh preparation completed");
-
-    // Extract node coordinates and nodal numbering from meshData
-    const nodesCoordinates = {
-      nodesXCoordinates: meshData.nodesXCoordinates,
-      nodesYCoordinates: meshData.nodesYCoordinates,
-    };
-
-    // Select and execute the appropriate solver based on solverConfig
+    // Execute the solution strategy of the selected model
     basicLog("Beginning solving process...");
     console.time("totalSolvingTime");
     basicLog(`Using solver ${this.solverConfig}`);
-    if (this.solverConfig === "heatConductionScript") {
-      // Check if using frontal solver
-      if (this.solverMethod === "frontal") {
-        const frontalResult = runFrontalSolver(
-          assembleHeatConductionFront,
-          meshData,
-          this.boundaryConditions,
-          { coefficientFunctions: this.coefficientFunctions },
-        );
-        solutionVector = frontalResult.solutionVector;
-      } else {
-        // Use regular linear solver methods
-        ({ jacobianMatrix, residualVector } = assembleHeatConductionMat(
-          meshData,
-          this.boundaryConditions,
-          this.coefficientFunctions,
-        ));
-        const linearSystemResult = solveLinearSystem(this.solverMethod, jacobianMatrix, residualVector, {
-          maxIterations: options.maxIterations ?? this.maxIterations,
-          tolerance: options.tolerance ?? this.tolerance,
-        });
-        solutionVector = linearSystemResult.solutionVector;
-      }
-    } else if (this.solverConfig === "frontPropagationScript") {
-      // Initialize eikonalActivationFlag
-      let eikonalActivationFlag = 0; // TODO: make activationFlag a generic variable (not only for eikonal)
-      const eikonalExteralIterations = 5; // Number of incremental steps for the eikonal equation
-
-      // Create context object with all necessary properties
-      const context = {
-        meshData: meshData,
-        boundaryConditions: this.boundaryConditions,
-        eikonalActivationFlag: eikonalActivationFlag,
-        solverMethod: this.solverMethod,
-        initialSolution,
-        // TODO: Consider using different maxIterations/tolerance for Newton-Raphson and linear solver
-        maxIterations: options.maxIterations ?? this.maxIterations,
-        tolerance: options.tolerance ?? this.tolerance,
-      };
-
-      while (eikonalActivationFlag <= 1) {
-        // Update the context object with current eikonalActivationFlag
-        context.eikonalActivationFlag = eikonalActivationFlag;
+    let solveResult;
+    try {
+      solveResult = modelDefinition.solve
+        ? modelDefinition.solve(context)
+        : solveRegisteredModel(modelDefinition, context);
+    } finally {
+      console.timeEnd("totalSolvingTime");
+    }
+    const { solutionVector, timeSeries, modes, bucklingModes, assembly } = solveResult;
+    basicLog("Solving process completed");
 
-        // Pass the previous solution as initial guess
-        if (solutionVector.length > 0) {
-          context.initialSolution = [...solutionVector];
-        }
+    // Transient simulations also return the solution at every time step, and eigen-analyses their modes
+    const result = {
+      solutionVector,
+      nodesCoordinates: context.nodesCoordinates,
+      ...(timeSeries && { timeSeries }),
+      ...(modes && { modes }),
+      ...(bucklingModes && { bucklingModes }),
+    };
+    return modelDefinition.postProcess
+      ? modelDefinition.postProcess(result, { ...context, assembly })
+      : result;
+  }
 
-        // Solve the assembled non-linear system
-        const newtonRaphsonResult = newtonRaphson(assembleFrontPropagationMat, context);
+  /**
+   * Method to solve the finite element problem asynchronously. Only steady linear models are supported
+   * @param {object} computeEngine - The compute engine to use for the asynchronous solver (e.g., a worker or a WebGPU context)
+   * @param {object} [options] - Additional parameters for the solver, such as `maxIterations` and `tolerance`
+   * @returns {Promise<object>} A promise that resolves to an object containing the solution vector and the coordinates of the mesh nodes
+   */
+  async solveAsync(computeEngine, options = {}) {
+    const { modelDefinition, context } = this.prepareSolve(options);
+    if (
+      modelDefinition.solve ||
+      isNonlinear(modelDefinition, context) ||
+      this.transient ||
+      this.dynamic ||
+      this.modal ||
+      this.buckling
+    ) {
+      throw new ConfigurationError(`Model ${this.solverConfig} is not yet supported by solveAsync`, {
+        code: "UNSUPPORTED_MODEL",
+        details: { solverConfig: this.solverConfig },
+      });
+    }
 
-        // Extract results
-        jacobianMatrix = newtonRaphsonResult.jacobianMatrix;
-        residualVector = newtonRaphsonResult.residualVector;
-        solutionVector = newtonRaphsonResult.solutionVector;
+    basicLog("Beginning solving process...");
+    console.time("totalSolvingTime");
 
-        // Increment eikonalActivationFlag for next iteration
-        eikonalActivationFlag += 1 / eikonalExteralIterations;
-      }
-    } else if (this.solverConfig === "generalFormPDEScript") {
-      // Check if using frontal solver
-      if (this.solverMethod === "frontal") {
-        errorLog(
-          "Frontal solver is not yet supported for generalFormPDEScript. Please use 'lusolve' or 'jacobi'.",
-        );
-      } else if (this.nonlinear) {
-        // Solve the nonlinear PDE with the Newton-Raphson method
-        const context = {
-          meshData,
-          boundaryConditions: this.boundaryConditions,
-          solverMethod: this.solverMethod,
-          maxIterations: options.maxIterations ?? this.maxIterations,
-          tolerance: options.tolerance ?? this.tolerance,
-        };
-
-        const newtonRaphsonResult = newtonRaphson(
-          (meshDataArg, boundaryConditionsArg, solutionVectorArg) =>
-            assembleGeneralFormPDENonlinearMat(
-              meshDataArg,
-              boundaryConditionsArg,
-              this.coefficientFunctions,
-              solutionVectorArg,
-            ),
-          context,
-        );
-
-        jacobianMatrix = newtonRaphsonResult.jacobianMatrix;
-        residualVector = newtonRaphsonResult.residualVector;
-        solutionVector = newtonRaphsonResult.solutionVector;
+    basicLog(`Using solver: ${this.solverConfig}`);
+    let assembly;
+    let solutionVector;
+    try {
+      assembly = modelDefinition.assembleMat(context);
+      const { jacobianMatrix, residualVector } = assembly;
+      if (this.solverMethod === "jacobi-gpu") {
+        ({ solutionVector } = await solveLinearSystemAsync("jacobi-gpu", jacobianMatrix, residualVector, {
+          computeEngine,
+          maxIterations: context.solverOptions.maxIterations,
+          tolerance: context.solverOptions.tolerance,
+        }));
       } else {
-        // Use regular linear solver methods
-        ({ jacobianMatrix, residualVector } = assembleGeneralFormPDEMat(
-          meshData,
-          this.boundaryConditions,
-          this.coefficientFunctions,
+        ({ solutionVector } = solveLinearSystem(
+          this.solverMethod,
+          jacobianMatrix,
+          residualVector,
+          context.solverOptions,
         ));
-
-        const linearSystemResult = solveLinearSystem(this.solverMethod, jacobianMatrix, residualVector, {
-          maxIterations: options.maxIterations ?? this.maxIterations,
-          tolerance: options.tolerance ?? this.tolerance,
-        });
-        solutionVector = linearSystemResult.solutionVector;
       }
-    } else if (this.solverConfig === "creepingFlowScript") {
-      // Use regular linear solver methods for steady creeping flow
-      const creepingFlowResult = assembleCreepingFlowMatrix(meshData, this.boundaryConditions);
-      jacobianMatrix = creepingFlowResult.jacobianMatrix;
-      residualVector = creepingFlowResult.residualVector;
+    } finally {
+      console.timeEnd("totalSolvingTime");
+    }
+    basicLog("Solving process completed");
 
-      const linearSystemResult = solveLinearSystem(this.solverMethod, jacobianMatrix, residualVector, {
-        maxIterations: options.maxIterations ?? this.maxIterations,
-        tolerance: options.tolerance ?? this.tolerance,
-      });
-      solutionVector = linearSystemResult.solutionVector;
+    const result = { solutionVector, nodesCoordinates: context.nodesCoordinates };
+    return modelDefinition.postProcess
+      ? modelDefinition.postProcess(result, { ...context, assembly })
+      : result;
+  }
 
-      // Store creeping-flow-specific metadata for solution extraction
-      this._creepingFlowMetadata = {
-        totalNodesVelocity: creepingFlowResult.totalNodesVelocity,
-        totalNodesPressure: creepingFlowResult.totalNodesPressure,
-        pressureNodeIndices: creepingFlowResult.pressureNodeIndices,
-      };
-    } else if (this.solverConfig === "eulerBernoulliBeamScript") {
-      // Use regular linear solver methods for the 1D Euler-Bernoulli beam model
-      const beamResult = assembleEulerBernoulliBeamMat(
-        meshData,
-        this.boundaryConditions,
-        this.coefficientFunctions,
+  /**
+   * Method to check the settings, prepare the mesh and build the context passed to the registered model
+   * @param {object} options - Additional parameters for the solver, such as `maxIterations` and `tolerance`
+   * @returns {object} An object containing the model definition and the solve context
+   */
+  prepareSolve(options) {
+    if (!this.solverConfig || !this.meshConfig || !this.boundaryConditions) {
+      throw new ConfigurationError(
+        "solverConfig, meshConfig and boundaryConditions must be set before solving",
+        { code: "MISSING_CONFIGURATION" },
       );
-      jacobianMatrix = beamResult.jacobianMatrix;
-      residualVector = beamResult.residualVector;
+    }
+    const modelDefinition = getModel(this.solverConfig);
+
+    // Prepare the mesh
+    basicLog("Preparing mesh...");
+    const meshData = prepareMesh(this.meshConfig);
+    basicLog("Mesh preparation completed");
 
-      const linearSystemResult = solveLinearSystem(this.solverMethod, jacobianMatrix, residualVector, {
+    const context = {
+      model: this,
+      meshData,
+      boundaryConditions: modelDefinition.prepareBoundaryConditions(this.boundaryConditions, meshData),
+      coefficientFunctions: this.coefficientFunctions,
+      solverMethod: this.solverMethod,
+      solverOptions: {
         maxIterations: options.maxIterations ?? this.maxIterations,
         tolerance: options.tolerance ?? this.tolerance,
-      });
-      solutionVector = linearSystemResult.solutionVector;
+        preconditioner: options.preconditioner ?? this.preconditioner,
+        restart: options.restart ?? this.restart,
+      },
+      // Extract node coordinates from meshData
+      nodesCoordinates: {
+        nodesXCoordinates: meshData.nodesXCoordinates,
+        nodesYCoordinates: meshData.nodesYCoordinates,
+      },
+    };
+    return { modelDefinition, context };
+  }
+}
 
-      // Store beam-specific metadata for solution extraction (2 DOFs per node: deflection, rotation)
-      this._eulerBernoulliBeamMetadata = {
-        dofsPerNode: beamResult.dofsPerNode,
-        totalNodesX: meshData.totalNodesX,
-      };
+// Helper to evaluate the nonlinear flag of a model definition, which may depend on the model settings
+function isNonlinear(modelDefinition, context) {
+  const { nonlinear } = modelDefinition;
+  return typeof nonlinear === "function" ? Boolean(nonlinear(context)) : Boolean(nonlinear);
+}
+
+/**
+ * Function to solve a registered model with the subspace iteration (modal and buckling analyses), the
+ * Newmark method (dynamic simulations), the frontal solver, the θ-method or the time integration of the
+ * model (transient simulations), the
+ * Newton-Raphson method (nonlinear models) or a linear solver
+ * @param {object} modelDefinition - Model definition from the model registry
+ * @param {object} context - Solve context built by FEAScriptModel.prepareSolve
+ * @returns {object} An object containing the solution vector, the time series (transient and dynamic simulations only),
+ *  the modes (modal and buckling analyses only) and the output of the last assembly
+ */
+function solveRegisteredModel(modelDefinition, context) {
+  const { model, meshData, boundaryConditions, solverMethod, solverOptions } = context;
+  const { transient } = model;
+  const nonlinear = isNonlinear(modelDefinition, context);
+
+  if (model.modal || model.buckling) {
+    // A modal analysis takes precedence when both are configured
+    const analysisSettings = model.modal ?? model.buckling;
+    const assembleSecondMatrix = model.modal
+      ? modelDefinition.assembleMassMat
+      : modelDefinition.assembleGeometricStiffnessMat;
+    if (!assembleSecondMatrix || nonlinear || transient) {
+      const analysis = model.modal ? "Modal" : "Buckling";
+      throw new ConfigurationError(`${analysis} analysis is not yet supported for ${modelDefinition.name}`, {
+        code: "UNSUPPORTED_ANALYSIS",
+        details: { solverConfig: modelDefinition.name },
+      });
     }
 
-    console.timeEnd("totalSolvingTime");
-    basicLog("Solving process completed");
+    // Natural frequencies from jacobianMatrix·φ = ω²·massMatrix·φ, or critical load factors from
+    // jacobianMatrix·φ = λ·(-geometricStiffnessMatrix)·φ, without the loads and with the essential conditions
+    // as fixed degrees of freedom
+    const assembly = modelDefinition.assembleMat(context);
+    const secondMatrix = assembleSecondMatrix(context);
+    const { numberOfModes = 5, shift = 0, maxIterations, tolerance } = analysisSettings;
+    const { eigenvalues, eigenvectors } = solveGeneralizedEigenproblem(
+      assembly.jacobianMatrix,
+      model.modal ? secondMatrix : secondMatrix.scale(-1),
+      { numberOfModes, shift, maxIterations, tolerance },
+    );
 
-    return { solutionVector, nodesCoordinates };
+    if (!model.modal) {
+      const bucklingModes = eigenvalues.map((loadFactor, modeIndex) => ({
+        loadFactor,
+        modeShape: eigenvectors[modeIndex],
+      }));
+      return { solutionVector: bucklingModes[0].modeShape, bucklingModes, assembly };
+    }
+    const modes = eigenvalues.map((eigenvalue, modeIndex) => {
+      const angularFrequency = Math.sqrt(Math.max(eigenvalue, 0));
+      return {
+        eigenvalue,
+        angularFrequency,
+        frequency: angularFrequency / (2 * Math.PI),
+        modeShape: eigenvectors[modeIndex],
+      };
+    });
+    return { solutionVector: modes[0].modeShape, modes, assembly };
   }
 
-  /**
-   * Method to solve the finite element problem asynchronously
-   * @param {object} computeEngine - The compute engine to use for the asynchronous solver (e.g., a worker or a WebGPU context)
-   * @param {object} [options] - Additional parameters for the solver, such as `maxIterations` and `tolerance`
-   * @returns {Promise<object>} A promise that resolves to an object containing the solution vector and the coordinates of the mesh nodes
-   */
-  async solveAsync(computeEngine, options = {}) {
-    if (!this.solverConfig || !this.meshConfig || !this.boundaryConditions) {
-      errorLog("Solver config, mesh config, and boundary conditions must be set before solving.");
+  if (model.dynamic) {
+    if (!modelDefinition.assembleMassMat || nonlinear || transient) {
+      throw new ConfigurationError(`Dynamic simulations are not yet supported for ${modelDefinition.name}`, {
+        code: "UNSUPPORTED_ANALYSIS",
+        details: { solverConfig: modelDefinition.name },
+      });
     }
 
-    let jacobianMatrix = [];
-    let residualVector = [];
-    let solutionVector = [];
+    // The stiffness matrix is constant, while the loads are re-assembled at every time for time-dependent
+    // point loads and distributed loads
+    const assembly = modelDefinition.assembleMat({ ...context, time: 0 });
+    const massMatrix = modelDefinition.assembleMassMat(context);
+    const {
+      timeStep,
+      endTime,
+      alpha,
+      beta,
+      gamma,
+      rayleighDamping = {},
+      initialDisplacement,
+      initialVelocity,
+    } = model.dynamic;
+    const assembleLoadVector = (time) =>
+      time === 0 ? assembly.residualVector : modelDefinition.assembleMat({ ...context, time }).residualVector;
+
+    const { solutionVector, timeSeries } = newmarkMethod(
+      massMatrix,
+      assembly.jacobianMatrix,
+      assembleLoadVector,
+      {
+        initialSolution: initialDisplacement,
+        initialVelocity,
+        timeStep,
+        endTime,
+        alpha,
+        beta,
+        gamma,
+        massCoefficient: rayleighDamping.massCoefficient,
+        stiffnessCoefficient: rayleighDamping.stiffnessCoefficient,
+        solverMethod,
+        ...solverOptions,
+      },
+    );
+    return { solutionVector, timeSeries, assembly };
+  }
 
-    basicLog("Preparing mesh...");
-    const meshData = prepareMesh(this.meshConfig);
-    basicLog("Mesh preparation completed");
-    const nodesCoordinates = {
-      nodesXCoordinates: meshData.nodesXCoordinates,
-      nodesYCoordinates: meshData.nodesYCoordinates,
-    };
+  if (solverMethod === "frontal") {
+    if (transient || nonlinear || !modelDefinition.assembleFront) {
+      const problemType = transient ? "transient " : nonlinear ? "nonlinear " : "";
+      throw new ConfigurationError(
+        `Frontal solver is not yet supported for ${problemType}${modelDefinition.name}. Please use 'lusolve' or an iterative solver.`,
+        { code: "UNSUPPORTED_SOLVER_METHOD", details: { solverMethod } },
+      );
+    }
+    const frontalResult = runFrontalSolver(modelDefinition.assembleFront, meshData, boundaryConditions, {
+      coefficientFunctions: context.coefficientFunctions,
+    });
+    return { solutionVector: frontalResult.solutionVector };
+  }
 
-    basicLog("Beginning solving process...");
-    console.time("totalSolvingTime");
+  if (transient) {
+    if (modelDefinition.solveTransient) {
+      return modelDefinition.solveTransient(context);
+    }
+    if (!modelDefinition.assembleMassMat || nonlinear) {
+      throw new ConfigurationError(
+        `Transient simulations are not yet supported for ${modelDefinition.name}`,
+        {
+          code: "UNSUPPORTED_ANALYSIS",
+          details: { solverConfig: modelDefinition.name },
+        },
+      );
+    }
 
-    basicLog(`Using solver: ${this.solverConfig}`);
-    if (this.solverConfig === "heatConductionScript") {
-      ({ jacobianMatrix, residualVector } = assembleHeatConductionMat(
-        meshData,
-        this.boundaryConditions,
-        this.coefficientFunctions,
-      ));
+    // The steady-state assembly provides the stiffness matrix and loads
+    const assembly = modelDefinition.assembleMat(context);
+    const { timeStep, endTime, theta = 1, initialTemperature = 0, massLumping = false } = transient;
+    const massMatrix = modelDefinition.assembleMassMat({ ...context, massLumping });
 
-      if (this.solverMethod === "jacobi-gpu") {
-        const { solutionVector: x } = await solveLinearSystemAsync(
-          "jacobi-gpu",
-          jacobianMatrix,
-          residualVector,
-          {
-            computeEngine,
-            maxIterations: options.maxIterations ?? this.maxIterations,
-            tolerance: options.tolerance ?? this.tolerance,
-          },
-        );
-        solutionVector = x;
-      } else {
-        // Any other async solver
+    // The initial field can be a constant, a function of the coordinates or an array of nodal values
+    const initialSolution = Array.from(meshData.nodesXCoordinates, (xCoord, nodeIndex) => {
+      if (typeof initialTemperature === "function") {
+        return initialTemperature(xCoord, meshData.nodesYCoordinates?.[nodeIndex]);
       }
-    }
-    console.timeEnd("totalSolvingTime");
-    basicLog("Solving process completed");
+      return Array.isArray(initialTemperature) ? initialTemperature[nodeIndex] : initialTemperature;
+    });
+
+    const { solutionVector, timeSeries } = thetaMethod(
+      massMatrix,
+      assembly.jacobianMatrix,
+      assembly.residualVector,
+      { initialSolution, timeStep, endTime, theta, solverMethod, ...solverOptions },
+    );
+    return { solutionVector, timeSeries, assembly };
+  }
 
-    return { solutionVector, nodesCoordinates };
+  if (nonlinear) {
+    // Solve the nonlinear system with the Newton-Raphson method
+    let assembly;
+    const newtonRaphsonResult = newtonRaphson(
+      (meshDataArg, boundaryConditionsArg, solutionVectorArg) => {
+        assembly = modelDefinition.assembleMat({ ...context, solutionVector: solutionVectorArg });
+        return assembly;
+      },
+      {
+        meshData,
+        boundaryConditions,
+        solverMethod,
+        dofsPerNode: modelDefinition.dofsPerNode,
+        ...solverOptions,
+      },
+    );
+    if (!newtonRaphsonResult.converged) {
+      throw new ConvergenceError(
+        `Newton-Raphson method did not converge after ${newtonRaphsonResult.iterations} iterations`,
+        { code: "NEWTON_NOT_CONVERGED", details: { iterations: newtonRaphsonResult.iterations } },
+      );
+    }
+    return { solutionVector: newtonRaphsonResult.solutionVector, assembly };
   }
+
+  // Use regular linear solver methods
+  const assembly = modelDefinition.assembleMat(context);
+  const linearSystemResult = solveLinearSystem(
+    solverMethod,
+    assembly.jacobianMatrix,
+    assembly.residualVector,
+    solverOptions,
+  );
+  return { solutionVector: linearSystemResult.solutionVector, assembly };
 }
@@ -8,8 +8,17 @@
  */
 
 export { FEAScriptModel } from "./FEAScript.js";
+export { registerModel } from "./models/modelRegistry.js";
 export { importGmshMesh } from "./readers/gmshReader.js";
 export { logSystem } from "./utilities/logging.js";
+export {
+  FEAScriptError,
+  ConfigurationError,
+  MeshError,
+  BoundaryConditionError,
+  SolverError,
+  ConvergenceError,
+} from "./utilities/errors.js";
 export { plotSolution, plotInterpolatedSolution } from "./visualization/plotlyPlot.js";
 export {
   plotSolutionVtk,
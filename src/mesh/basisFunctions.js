@@ -8,7 +8,8 @@
  */
 
 // Internal imports
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { FEAScriptError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
 
 /**
  * Class to handle basis functions and their derivatives based on element configuration
@@ -18,16 +19,19 @@ export class BasisFunctions {
    * Constructor to initialize the BasisFunctions class
    * @param {string} meshDimension - The dimension of the mesh
    * @param {string} elementOrder - The order of elements
+   * @param {string} [elementType='quadrilateral'] - The shape of 2D elements, either 'quadrilateral' or 'triangle'
    */
-  constructor({ meshDimension, elementOrder }) {
+  constructor({ meshDimension, elementOrder, elementType = "quadrilateral" }) {
     this.meshDimension = meshDimension;
     this.elementOrder = elementOrder;
+    this.elementType = elementType;
   }
 
   /**
    * Function to calculate basis functions and their derivatives based on the dimension and order
    * @param {number} ksi - Natural coordinate (for both 1D and 2D), in [0, 1]
-   * @param {number} [eta] - Second natural coordinate (only for 2D elements)
+   * @param {number} [eta] - Second natural coordinate (only for 2D elements). For triangles, (ksi, eta)
+   *  lie in the reference triangle ksi >= 0, eta >= 0, ksi + eta <= 1
    * @param {number} [elementLength] - Physical element length, only required for 1D 'hermiteCubic' elements
    * @returns {object} An object containing:
    *  - basisFunction: Array of evaluated basis functions
@@ -35,6 +39,8 @@ export class BasisFunctions {
    *  - basisFunctionDerivEta: Array of derivatives of basis functions with respect to eta (only for 2D elements)
    *  - basisFunctionDerivKsi2: Array of second derivatives of basis functions with respect to ksi
    *    (only for 1D 'hermiteCubic' elements)
+   *  - basisFunctionDerivKsi3: Array of (constant) third derivatives of basis functions with respect to
+   *    ksi (only for 1D 'hermiteCubic' elements)
    *
    * 'hermiteCubic' is a general-purpose interpolation type, not specific to beams: it makes both
    * the value and the slope continuous across elements (unlike the C0 Lagrange types above), which
@@ -46,6 +52,7 @@ export class BasisFunctions {
     let basisFunctionDerivKsi = [];
     let basisFunctionDerivEta = [];
     let basisFunctionDerivKsi2 = [];
+    let basisFunctionDerivKsi3 = [];
 
     if (this.meshDimension === "1D") {
       if (this.elementOrder === "linear") {
@@ -73,8 +80,9 @@ export class BasisFunctions {
         // functions converts the interpolated dw/dksi at the nodes into the actual
         // rotation DOF, so no extra scaling is required when mapping derivatives to x
         if (elementLength === null) {
-          errorLog("elementLength is required to evaluate 'hermiteCubic' basis functions");
-          return;
+          throw new FEAScriptError("elementLength is required to evaluate 'hermiteCubic' basis functions", {
+            code: "INVALID_ARGUMENT",
+          });
         }
         const h = elementLength;
 
@@ -94,14 +102,68 @@ export class BasisFunctions {
         basisFunctionDerivKsi2[1] = h * (6 * ksi - 4);
         basisFunctionDerivKsi2[2] = -12 * ksi + 6;
         basisFunctionDerivKsi2[3] = h * (6 * ksi - 2);
+
+        // Third derivatives of basis functions with respect to ksi
+        basisFunctionDerivKsi3[0] = 12;
+        basisFunctionDerivKsi3[1] = 6 * h;
+        basisFunctionDerivKsi3[2] = -12;
+        basisFunctionDerivKsi3[3] = 6 * h;
       }
     } else if (this.meshDimension === "2D") {
       if (eta === null) {
-        errorLog("Eta coordinate is required for 2D elements");
-        return;
+        throw new FEAScriptError("Eta coordinate is required for 2D elements", { code: "INVALID_ARGUMENT" });
       }
 
-      if (this.elementOrder === "linear") {
+      if (this.elementType === "triangle") {
+        // Triangle basis functions follow the Gmsh node ordering:
+        //   2                 2
+        //   | \               | \
+        //   |   \             5   4
+        //   |     \           |     \
+        //   0 ----- 1         0 --3-- 1
+        // and are written in terms of the area coordinates (l0, l1, l2) = (1 - ksi - eta, ksi, eta)
+        const l0 = 1 - ksi - eta;
+        if (this.elementOrder === "linear") {
+          // Linear (P1) basis functions
+          basisFunction[0] = l0;
+          basisFunction[1] = ksi;
+          basisFunction[2] = eta;
+
+          // Derivatives with respect to ksi
+          basisFunctionDerivKsi[0] = -1;
+          basisFunctionDerivKsi[1] = 1;
+          basisFunctionDerivKsi[2] = 0;
+
+          // Derivatives with respect to eta
+          basisFunctionDerivEta[0] = -1;
+          basisFunctionDerivEta[1] = 0;
+          basisFunctionDerivEta[2] = 1;
+        } else if (this.elementOrder === "quadratic") {
+          // Quadratic (P2) basis functions: vertex nodes 0-2, then the mid-side nodes 3-5
+          basisFunction[0] = l0 * (2 * l0 - 1);
+          basisFunction[1] = ksi * (2 * ksi - 1);
+          basisFunction[2] = eta * (2 * eta - 1);
+          basisFunction[3] = 4 * l0 * ksi;
+          basisFunction[4] = 4 * ksi * eta;
+          basisFunction[5] = 4 * eta * l0;
+
+          // Derivatives with respect to ksi
+          basisFunctionDerivKsi[0] = 1 - 4 * l0;
+          basisFunctionDerivKsi[1] = 4 * ksi - 1;
+          basisFunctionDerivKsi[2] = 0;
+          basisFunctionDerivKsi[3] = 4 * (l0 - ksi);
+          basisFunctionDerivKsi[4] = 4 * eta;
+          basisFunctionDerivKsi[5] = -4 * eta;
+
+          // Derivatives with respect to eta
+          basisFunctionDerivEta[0] = 1 - 4 * l0;
+          basisFunctionDerivEta[1] = 0;
+          basisFunctionDerivEta[2] = 4 * eta - 1;
+          basisFunctionDerivEta[3] = -4 * ksi;
+          basisFunctionDerivEta[4] = 4 * ksi;
+          basisFunctionDerivEta[5] = 4 * (l0 - eta);
+        }
+      } else if (this.elementOrder === "linear") {
         // Linear basis functions for 2D elements
         function l1(c) {
           return 1 - c;
@@ -189,6 +251,12 @@ export class BasisFunctions {
       }
     }
 
-    return { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta, basisFunctionDerivKsi2 };
+    return {
+      basisFunction,
+      basisFunctionDerivKsi,
+      basisFunctionDerivEta,
+      basisFunctionDerivKsi2,
+      basisFunctionDerivKsi3,
+    };
   }
 }
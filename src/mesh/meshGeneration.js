@@ -8,7 +8,8 @@
  */
 
 // Internal imports
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { MeshError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
 
 /**
  * Basic structure for the mesh
@@ -55,7 +56,9 @@ export class Mesh {
    */
   parseMeshFromGmsh() {
     if (!this.parsedMesh.nodalNumbering) {
-      errorLog("No valid nodal numbering found in the parsed mesh.");
+      throw new MeshError("No valid nodal numbering found in the parsed mesh", {
+        code: "INVALID_PARSED_MESH",
+      });
     }
 
     // If this parsed mesh was already converted in a previous run, don't re-process it.
@@ -124,8 +127,24 @@ export class Mesh {
         }
 
         this.parsedMesh.nodalNumbering = mappedNodalNumbering;
-      } else if (this.parsedMesh.elementTypes[2]) {
-        errorLog("Element type is neither triangle nor quad; mapping for this type is not implemented yet.");
+        if (triangleElements.length > 0) {
+          throw new MeshError("Meshes mixing quadrilateral and triangle elements are not supported", {
+            code: "MIXED_ELEMENT_TYPES",
+          });
+        }
+      } else if (this.parsedMesh.elementTypes[2] || this.parsedMesh.elementTypes[9]) {
+        // Triangle elements (3 or 6 nodes) keep the Gmsh node ordering:
+        // 2             2
+        // | \           | \
+        // |   \   or    5   4
+        // |     \       |     \
+        // 0 ----- 1     0 --3-- 1
+        this.parsedMesh.nodalNumbering = triangleElements.map((gmshNodes) => [...gmshNodes]);
+      } else {
+        throw new MeshError(
+          "Element type is neither triangle nor quad; mapping for this type is not implemented yet",
+          { code: "UNSUPPORTED_ELEMENT_TYPE", details: { elementTypes: this.parsedMesh.elementTypes } },
+        );
       }
 
       debugLog(
@@ -241,6 +260,24 @@ export class Mesh {
                           debugLog(`  These nodes form the RIGHT side (${side}) of element ${elementIndex}`);
                         }
 
+                        // Add the element and side to the boundary elements array
+                        this.parsedMesh.boundaryElements[prop.tag].push([elementIndex, side]);
+                        debugLog(
+                          `  Added element-side pair [${elementIndex}, ${side}] to boundary tag ${prop.tag}`,
+                        );
+                        foundElement = true;
+                        break;
+                      }
+                    } else if (elementConnectivity.length === 3 || elementConnectivity.length === 6) {
+                      // For triangle elements (3 or 6 nodes) only the vertex nodes 0, 1 and 2 identify the side
+                      const node1Index = elementConnectivity.indexOf(node1);
+                      const node2Index = elementConnectivity.indexOf(node2);
+                      if (node1Index > -1 && node1Index < 3 && node2Index > -1 && node2Index < 3) {
+                        // Based on the Gmsh triangle numbering, sides are 0 (nodes 0-1), 1 (nodes 1-2) and 2 (nodes 2-0)
+                        const triangleSides = { "0,1": 0, "1,2": 1, "0,2": 2 };
+                        const side = triangleSides[[node1Index, node2Index].sort().join(",")];
+                        debugLog(`  These nodes form side ${side} of triangle element ${elementIndex}`);
+
                         // Add the element and side to the boundary elements array
                         this.parsedMesh.boundaryElements[prop.tag].push([elementIndex, side]);
                         debugLog(
@@ -330,8 +367,12 @@ export class Mesh {
                   }
 
                   if (!foundElement) {
-                    errorLog(
-                      `Could not find element containing boundary nodes ${node1} and ${node2}. Boundary may be incomplete.`,
+                    throw new MeshError(
+                      `Could not find element containing boundary nodes ${node1} and ${node2} of boundary ${prop.tag}`,
+                      {
+                        code: "BOUNDARY_ELEMENT_NOT_FOUND",
+                        details: { nodes: [node1, node2], tag: prop.tag },
+                      },
                     );
                   }
                 });
@@ -342,6 +383,21 @@ export class Mesh {
           // Mark as processed
           this.boundaryElementsProcessed = true;
 
+          // Map the Gmsh physical names to boundary keys (physical tags are renumbered when the
+          // undefined entries are removed below)
+          const boundaryTags = Object.keys(this.parsedMesh.boundaryElements).map(Number);
+          const renumberBoundaryTags = this.parsedMesh.boundaryElements[0] === undefined;
+          this.parsedMesh.boundaryNames = {};
+          this.parsedMesh.physicalPropMap.forEach((prop) => {
+            const tagIndex = boundaryTags.indexOf(prop.tag);
+            if (prop.dimension === 1 && prop.name && tagIndex > -1) {
+              this.parsedMesh.boundaryNames[prop.name] = String(renumberBoundaryTags ? tagIndex : prop.tag);
+            }
+          });
+          debugLog(
+            `Boundary names from Gmsh physical groups: ${JSON.stringify(this.parsedMesh.boundaryNames)}`,
+          );
+
           // Fix boundary elements array - remove undefined entries
           if (
             this.parsedMesh.boundaryElements.length > 0 &&
@@ -383,8 +439,11 @@ export class Mesh1D extends Mesh {
       parsedMesh,
     });
 
-    if (this.numElementsX === null || this.maxX === null) {
-      errorLog("numElementsX and maxX are required parameters when generating a 1D mesh from geometry");
+    if (!parsedMesh && (this.numElementsX === null || this.maxX === null)) {
+      throw new MeshError(
+        "numElementsX and maxX are required parameters when generating a 1D mesh from geometry",
+        { code: "MISSING_MESH_PARAMETERS" },
+      );
     }
   }
 
@@ -417,12 +476,13 @@ export class Mesh1D extends Mesh {
 
     debugLog("Generated node X coordinates: " + JSON.stringify(nodesXCoordinates));
 
-    // Return x coordinates of nodes, total nodes, NOP array, and boundary elements
+    // Return x coordinates of nodes, total nodes, NOP array, boundary elements and boundary names
     return {
       nodesXCoordinates,
       totalNodesX,
       nodalNumbering,
       boundaryElements,
+      boundaryNames: { left: "0", right: "1" },
     };
   }
 
@@ -542,8 +602,9 @@ export class Mesh2D extends Mesh {
       !parsedMesh &&
       (this.numElementsX === null || this.maxX === null || this.numElementsY === null || this.maxY === null)
     ) {
-      errorLog(
+      throw new MeshError(
         "numElementsX, maxX, numElementsY, and maxY are required parameters when generating a 2D mesh from geometry",
+        { code: "MISSING_MESH_PARAMETERS" },
       );
     }
   }
@@ -647,6 +708,7 @@ export class Mesh2D extends Mesh {
       totalNodesY,
       nodalNumbering,
       boundaryElements,
+      boundaryNames: { bottom: "0", left: "1", top: "2", right: "3" },
     };
   }
 
@@ -11,7 +11,9 @@
 import { BasisFunctions } from "./basisFunctions.js";
 import { Mesh1D, Mesh2D } from "./meshGeneration.js";
 import { NumericalIntegration } from "../methods/numericalIntegration.js";
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { SparseMatrix } from "../methods/sparseMatrix.js";
+import { MeshError, BoundaryConditionError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
 
 /**
  * Function to prepare the mesh for finite element analysis
@@ -47,7 +49,10 @@ export function prepareMesh(meshConfig) {
       angleRight,
     });
   } else {
-    errorLog("Mesh dimension must be either '1D' or '2D'");
+    throw new MeshError(`Mesh dimension must be either '1D' or '2D' (got '${meshDimension}')`, {
+      code: "INVALID_MESH_DIMENSION",
+      details: { meshDimension },
+    });
   }
 
   // Use the parsed mesh (e.g., from a Gmsh .msh import) if provided. Otherwise, generate a structured mesh
@@ -60,10 +65,25 @@ export function prepareMesh(meshConfig) {
   let totalNodesY = nodesCoordinatesAndNumbering.totalNodesY;
   let nop = nodesCoordinatesAndNumbering.nodalNumbering;
   let boundaryElements = nodesCoordinatesAndNumbering.boundaryElements;
+  let boundaryNames = nodesCoordinatesAndNumbering.boundaryNames ?? {};
 
   // Check the mesh type
   const isParsedMesh = parsedMesh !== undefined && parsedMesh !== null;
 
+  // Detect the element shape from the nodes per element (3-node and 6-node triangles only come from Gmsh,
+  // 2-node lines in 2D from parsed meshes of frame members)
+  let elementType = meshDimension === "1D" || nop[0]?.length === 2 ? "line" : "quadrilateral";
+  if (meshDimension === "2D" && (nop[0]?.length === 3 || nop[0]?.length === 6)) {
+    elementType = "triangle";
+    const expectedNodesPerElement = elementOrder === "quadratic" ? 6 : 3;
+    if (nop[0].length !== expectedNodesPerElement) {
+      throw new MeshError(
+        `Triangle elements with ${nop[0].length} nodes do not match the '${elementOrder}' element order (expected ${expectedNodesPerElement} nodes)`,
+        { code: "ELEMENT_ORDER_MISMATCH", details: { nodesPerElement: nop[0].length, elementOrder } },
+      );
+    }
+  }
+
   // Calculate totalElements and totalNodes based on mesh type
   let totalElements, totalNodes;
 
@@ -85,51 +105,91 @@ export function prepareMesh(meshConfig) {
     totalNodesY,
     nop,
     boundaryElements,
+    boundaryNames,
     totalElements,
     totalNodes,
     meshDimension,
     elementOrder,
+    elementType,
   };
 }
 
+/**
+ * Function to resolve named boundary condition keys (Gmsh physical names, or "left"/"right" in 1D and
+ * "bottom"/"left"/"top"/"right" in 2D for generated meshes) to the indices of the boundary elements array
+ * @param {object} boundaryConditions - Boundary conditions keyed by boundary index or boundary name
+ * @param {object} meshData - Object containing mesh data from prepareMesh()
+ * @returns {object} Boundary conditions keyed by boundary index
+ * @throws {BoundaryConditionError} If a key matches no boundary (code "UNKNOWN_BOUNDARY")
+ */
+export function resolveBoundaryNames(boundaryConditions, meshData) {
+  const { boundaryElements, boundaryNames = {} } = meshData;
+  const hasKey = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+  const resolvedBoundaryConditions = {};
+  Object.entries(boundaryConditions).forEach(([boundaryKey, boundaryCondition]) => {
+    let resolvedKey;
+    if (hasKey(boundaryElements, boundaryKey)) {
+      resolvedKey = boundaryKey;
+    } else if (hasKey(boundaryNames, boundaryKey)) {
+      resolvedKey = boundaryNames[boundaryKey];
+      debugLog(`Boundary "${boundaryKey}" resolved to boundary ${resolvedKey}`);
+    } else {
+      const availableBoundaries = Object.keys(boundaryElements).map((key) => {
+        const names = Object.keys(boundaryNames).filter((name) => boundaryNames[name] === key);
+        return names.length > 0 ? `"${key}" (${names.map((name) => `"${name}"`).join(", ")})` : `"${key}"`;
+      });
+      throw new BoundaryConditionError(
+        `No boundary matches the boundary condition key "${boundaryKey}". Available boundaries: ${availableBoundaries.join(
+          ", ",
+        )}`,
+        { code: "UNKNOWN_BOUNDARY", details: { boundaryKey, availableBoundaries } },
+      );
+    }
+    resolvedBoundaryConditions[resolvedKey] = boundaryCondition;
+  });
+
+  return resolvedBoundaryConditions;
+}
+
 /**
  * Function to initialize the FEA matrices and numerical tools
  * @param {object} meshData - Object containing mesh data from prepareMesh()
  * @returns {object} An object containing initialized matrices and numerical tools
+ *  - gaussPoints2D/gaussWeights2D hold the [ksi, eta] integration points over 2D elements (empty in 1D)
+ *  - jacobianMatrix is an empty SparseMatrix (totalNodes × totalNodes) that accumulates
+ *    element contributions as triplets; call jacobianMatrix.toDense() when a dense copy is needed
  */
 export function initializeFEA(meshData) {
-  const { totalNodes, nop, meshDimension, elementOrder } = meshData;
+  const { totalNodes, nop, meshDimension, elementOrder, elementType } = meshData;
 
   // Initialize variables for matrix assembly
-  let residualVector = [];
-  let jacobianMatrix = [];
+  let residualVector = new Array(totalNodes).fill(0);
+  let jacobianMatrix = new SparseMatrix(totalNodes);
   let localToGlobalMap = [];
 
-  // Initialize jacobianMatrix and residualVector arrays
-  for (let nodeIndex = 0; nodeIndex < totalNodes; nodeIndex++) {
-    residualVector[nodeIndex] = 0;
-    jacobianMatrix.push([]);
-    for (let colIndex = 0; colIndex < totalNodes; colIndex++) {
-      jacobianMatrix[nodeIndex][colIndex] = 0;
-    }
-  }
-
   // Initialize the BasisFunctions class
   const basisFunctions = new BasisFunctions({
     meshDimension,
     elementOrder,
+    elementType,
   });
 
   // Initialize the NumericalIntegration class
   const numericalIntegration = new NumericalIntegration({
     meshDimension,
     elementOrder,
+    elementType,
   });
 
-  // Calculate Gauss points and weights
+  // Calculate Gauss points and weights (the 1D rule is also used along the sides of 2D elements)
   let gaussPointsAndWeights = numericalIntegration.getGaussPointsAndWeights();
   let gaussPoints = gaussPointsAndWeights.gaussPoints;
   let gaussWeights = gaussPointsAndWeights.gaussWeights;
+  const { gaussPoints2D, gaussWeights2D } =
+    meshDimension === "2D"
+      ? numericalIntegration.getGaussPointsAndWeights2D()
+      : { gaussPoints2D: [], gaussWeights2D: [] };
 
   // Determine the number of nodes in the reference element based on the first element in the nop array
   const nodesPerElement = nop[0].length;
@@ -141,6 +201,8 @@ export function initializeFEA(meshData) {
     basisFunctions,
     gaussPoints,
     gaussWeights,
+    gaussPoints2D,
+    gaussWeights2D,
     nodesPerElement,
   };
 }
@@ -236,6 +298,276 @@ export function performIsoparametricMapping2D(params) {
   };
 }
 
+/**
+ * Function to loop over the Gauss points of an element and evaluate the quantities of the isoparametric
+ * mapping at each of them
+ * @param {object} params - Parameters of the element integration
+ * @param {object} params.meshData - Object containing prepared mesh data
+ * @param {object} params.FEAData - Numerical tools returned by initializeFEA
+ * @param {array} params.localToGlobalMap - Zero-based global indices of the element nodes
+ * @param {array} [params.solutionVector] - Current nodal solution, interpolated at each Gauss point
+ * @param {function} callback - Function called for each Gauss point with an object containing:
+ *  - basisFunction, basisFunctionDerivX, basisFunctionDerivY (2D): Basis functions and their physical derivatives
+ *  - gaussWeight, detJacobian: Gauss weight and determinant of the Jacobian of the mapping
+ *  - xCoord, yCoord (2D): Physical coordinates of the Gauss point
+ *  - solution, solutionDerivX, solutionDerivY (2D): Interpolated solution and its derivatives, when a
+ *    solution vector is given
+ */
+export function forEachGaussPoint({ meshData, FEAData, localToGlobalMap, solutionVector }, callback) {
+  const { nodesXCoordinates, nodesYCoordinates, meshDimension } = meshData;
+  const { basisFunctions, gaussPoints, gaussWeights, gaussPoints2D, gaussWeights2D, nodesPerElement } =
+    FEAData;
+  const is2D = meshDimension === "2D";
+  const totalGaussPoints = is2D ? gaussWeights2D.length : gaussPoints.length;
+
+  for (let gaussPointIndex = 0; gaussPointIndex < totalGaussPoints; gaussPointIndex++) {
+    // Get basis functions for the current Gauss point
+    const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } = is2D
+      ? basisFunctions.getBasisFunctions(...gaussPoints2D[gaussPointIndex])
+      : basisFunctions.getBasisFunctions(gaussPoints[gaussPointIndex]);
+
+    // Perform isoparametric mapping
+    const mappingResult = is2D
+      ? performIsoparametricMapping2D({
+          basisFunction,
+          basisFunctionDerivKsi,
+          basisFunctionDerivEta,
+          nodesXCoordinates,
+          nodesYCoordinates,
+          localToGlobalMap,
+          nodesPerElement,
+        })
+      : performIsoparametricMapping1D({
+          basisFunction,
+          basisFunctionDerivKsi,
+          nodesXCoordinates,
+          localToGlobalMap,
+          nodesPerElement,
+        });
+
+    const gaussPoint = {
+      basisFunction,
+      basisFunctionDerivX: mappingResult.basisFunctionDerivX,
+      gaussWeight: is2D ? gaussWeights2D[gaussPointIndex] : gaussWeights[gaussPointIndex],
+      detJacobian: mappingResult.detJacobian,
+      xCoord: mappingResult.xCoordinates,
+    };
+    if (is2D) {
+      gaussPoint.basisFunctionDerivY = mappingResult.basisFunctionDerivY;
+      gaussPoint.yCoord = mappingResult.yCoordinates;
+    }
+
+    // Interpolate the current solution and its derivatives at this Gauss point
+    if (solutionVector) {
+      gaussPoint.solution = 0;
+      gaussPoint.solutionDerivX = 0;
+      if (is2D) gaussPoint.solutionDerivY = 0;
+      for (let localNodeIndex = 0; localNodeIndex < nodesPerElement; localNodeIndex++) {
+        const nodalValue = solutionVector[localToGlobalMap[localNodeIndex]];
+        gaussPoint.solution += nodalValue * basisFunction[localNodeIndex];
+        gaussPoint.solutionDerivX += nodalValue * gaussPoint.basisFunctionDerivX[localNodeIndex];
+        if (is2D) gaussPoint.solutionDerivY += nodalValue * gaussPoint.basisFunctionDerivY[localNodeIndex];
+      }
+    }
+
+    callback(gaussPoint);
+  }
+}
+
+/**
+ * Function to get the natural coordinates of the nodes of a 2D element, in the local node ordering of the
+ * basis functions
+ * @param {string} elementOrder - The order of elements ("linear" or "quadratic")
+ * @param {string} [elementType='quadrilateral'] - The shape of 2D elements ("quadrilateral" or "triangle")
+ * @returns {array} The [ksi, eta] coordinates of each local node
+ */
+export function getElementNodeNaturalCoordinates(elementOrder, elementType = "quadrilateral") {
+  if (elementType === "triangle") {
+    const vertexCoordinates = [
+      [0, 0],
+      [1, 0],
+      [0, 1],
+    ];
+    return elementOrder === "quadratic"
+      ? [...vertexCoordinates, [0.5, 0], [0.5, 0.5], [0, 0.5]]
+      : vertexCoordinates;
+  }
+  // Quadrilateral nodes are numbered along eta first, then along ksi
+  const nodesPerDirection = elementOrder === "quadratic" ? 3 : 2;
+  return Array.from({ length: nodesPerDirection ** 2 }, (_, localNodeIndex) => [
+    Math.floor(localNodeIndex / nodesPerDirection) / (nodesPerDirection - 1),
+    (localNodeIndex % nodesPerDirection) / (nodesPerDirection - 1),
+  ]);
+}
+
+/**
+ * Local node indices along each side of the reference triangle, following the Gmsh node ordering:
+ * side 0 joins vertices 0-1, side 1 joins vertices 1-2 and side 2 joins vertices 2-0
+ */
+export const triangleBoundarySides = {
+  linear: {
+    0: [0, 1],
+    1: [1, 2],
+    2: [2, 0],
+  },
+  quadratic: {
+    0: [0, 3, 1],
+    1: [1, 4, 2],
+    2: [2, 5, 0],
+  },
+};
+
+/**
+ * Function to map a point along a side of the reference triangle to natural coordinates
+ * @param {number} side - Side index (see triangleBoundarySides)
+ * @param {number} sideCoordinate - Position along the side, in [0, 1]
+ * @returns {object} An object containing:
+ *  - ksi, eta: Natural coordinates of the point
+ *  - ksiDerivSide, etaDerivSide: Derivatives of ksi and eta with respect to the side coordinate, used to
+ *    compute the tangent vector (and thus the length scaling) of the side
+ */
+export function mapTriangleSidePoint(side, sideCoordinate) {
+  if (side === 0) {
+    return { ksi: sideCoordinate, eta: 0, ksiDerivSide: 1, etaDerivSide: 0 };
+  } else if (side === 1) {
+    return { ksi: 1 - sideCoordinate, eta: sideCoordinate, ksiDerivSide: -1, etaDerivSide: 1 };
+  }
+  return { ksi: 0, eta: 1 - sideCoordinate, ksiDerivSide: 0, etaDerivSide: -1 };
+}
+
+/**
+ * Local node indices along each side of the reference quadrilateral, whose nodes are numbered along eta
+ * first, then along ksi: side 0 is the bottom (eta = 0), side 1 the left (ksi = 0), side 2 the top (eta = 1)
+ * and side 3 the right (ksi = 1) side
+ */
+export const quadrilateralBoundarySides = {
+  linear: {
+    0: [0, 2],
+    1: [0, 1],
+    2: [1, 3],
+    3: [2, 3],
+  },
+  quadratic: {
+    0: [0, 3, 6],
+    1: [0, 1, 2],
+    2: [2, 5, 8],
+    3: [6, 7, 8],
+  },
+};
+
+/**
+ * Function to map a point along a side of the reference quadrilateral to natural coordinates
+ * @param {number} side - Side index (see quadrilateralBoundarySides)
+ * @param {number} sideCoordinate - Position along the side, in [0, 1]
+ * @returns {object} An object containing the natural coordinates and their derivatives with respect to the
+ *  side coordinate (see mapTriangleSidePoint)
+ */
+export function mapQuadrilateralSidePoint(side, sideCoordinate) {
+  // Sides 0 and 2 run along ksi (bottom and top), sides 1 and 3 along eta (left and right)
+  return side === 0 || side === 2
+    ? { ksi: sideCoordinate, eta: side === 0 ? 0 : 1, ksiDerivSide: 1, etaDerivSide: 0 }
+    : { ksi: side === 1 ? 0 : 1, eta: sideCoordinate, ksiDerivSide: 0, etaDerivSide: 1 };
+}
+
+/**
+ * Function to get the local node indices along a boundary side of an element
+ * @param {object} meshData - Object with the meshDimension, elementOrder and elementType of the mesh
+ * @param {number} side - Side of the reference element (0 and 1 are the left and right end nodes in 1D)
+ * @returns {array} Local node indices along the side
+ */
+export function getBoundarySideNodeIndices({ meshDimension, elementOrder, elementType }, side) {
+  if (meshDimension === "1D") {
+    return [side === 0 ? 0 : elementOrder === "quadratic" ? 2 : 1];
+  }
+  const boundarySides = elementType === "triangle" ? triangleBoundarySides : quadrilateralBoundarySides;
+  return boundarySides[elementOrder][side];
+}
+
+/**
+ * Function to compute the integration points along a boundary side of an element
+ * @param {object} meshData - Object with the nop, nodesXCoordinates, nodesYCoordinates, meshDimension,
+ *  elementOrder and elementType of the mesh
+ * @param {number} elementIndex - Index of the element
+ * @param {number} side - Local side of the element that lies on the boundary
+ * @param {array} gaussPoints - Array of 1D Gauss points for numerical integration
+ * @param {array} gaussWeights - Array of 1D Gauss weights for numerical integration
+ * @param {object} basisFunctions - Object containing the basis functions of the element
+ * @returns {array} One entry per integration point, each containing:
+ *  - sideNodeIndices: Local indices of the nodes on the side
+ *  - basisFunction: Basis functions of the element evaluated at the point
+ *  - weight: Gauss weight multiplied by the length of the tangent vector (1 for the end points in 1D)
+ *  - xCoord, yCoord (2D): Physical coordinates of the point
+ *  - normal: Unit outward normal, [nx] in 1D and [nx, ny] in 2D, pointing away from the element centroid
+ */
+export function getSideIntegrationPoints(
+  meshData,
+  elementIndex,
+  side,
+  gaussPoints,
+  gaussWeights,
+  basisFunctions,
+) {
+  const { nop, nodesXCoordinates, nodesYCoordinates, meshDimension, elementType } = meshData;
+  const elementNodes = nop[elementIndex].map((nodeNumber) => Math.abs(nodeNumber) - 1);
+  const sideNodeIndices = getBoundarySideNodeIndices(meshData, side);
+
+  if (meshDimension === "1D") {
+    // The boundary of a 1D element is one of its end nodes
+    const basisFunction = Array(elementNodes.length).fill(0);
+    basisFunction[sideNodeIndices[0]] = 1;
+    return [
+      {
+        sideNodeIndices,
+        basisFunction,
+        weight: 1,
+        xCoord: nodesXCoordinates[elementNodes[sideNodeIndices[0]]],
+        normal: [side === 0 ? -1 : 1],
+      },
+    ];
+  }
+
+  const mapSidePoint = elementType === "triangle" ? mapTriangleSidePoint : mapQuadrilateralSidePoint;
+  const centroidX =
+    elementNodes.reduce((sum, nodeIndex) => sum + nodesXCoordinates[nodeIndex], 0) / elementNodes.length;
+  const centroidY =
+    elementNodes.reduce((sum, nodeIndex) => sum + nodesYCoordinates[nodeIndex], 0) / elementNodes.length;
+
+  return gaussPoints.map((gaussPoint, gaussPointIndex) => {
+    const { ksi, eta, ksiDerivSide, etaDerivSide } = mapSidePoint(side, gaussPoint);
+    const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } = basisFunctions.getBasisFunctions(
+      ksi,
+      eta,
+    );
+
+    // Physical coordinates and tangent vector of the side at the Gauss point
+    let xCoord = 0;
+    let yCoord = 0;
+    let sideDerivX = 0;
+    let sideDerivY = 0;
+    elementNodes.forEach((globalNodeIndex, nodeIndex) => {
+      const basisFunctionDerivSide =
+        basisFunctionDerivKsi[nodeIndex] * ksiDerivSide + basisFunctionDerivEta[nodeIndex] * etaDerivSide;
+      xCoord += nodesXCoordinates[globalNodeIndex] * basisFunction[nodeIndex];
+      yCoord += nodesYCoordinates[globalNodeIndex] * basisFunction[nodeIndex];
+      sideDerivX += nodesXCoordinates[globalNodeIndex] * basisFunctionDerivSide;
+      sideDerivY += nodesYCoordinates[globalNodeIndex] * basisFunctionDerivSide;
+    });
+    const sideLength = Math.hypot(sideDerivX, sideDerivY);
+
+    // The normal is perpendicular to the tangent, on the side away from the element centroid
+    const orientation = sideDerivY * (xCoord - centroidX) - sideDerivX * (yCoord - centroidY) < 0 ? -1 : 1;
+
+    return {
+      sideNodeIndices,
+      basisFunction,
+      weight: gaussWeights[gaussPointIndex] * sideLength,
+      xCoord,
+      yCoord,
+      normal: [(orientation * sideDerivY) / sideLength, (-orientation * sideDerivX) / sideLength],
+    };
+  });
+}
+
 /**
  * Function to test if a point is inside a triangle using barycentric coordinates,
  * also returning the natural coordinates (ksi, eta)
@@ -360,8 +692,15 @@ export function getBoundarySegments(meshData) {
   let boundaryNodesSegments = [];
   let boundaryGlobalElementIndex = 0;
   let boundarySides;
-  const { nodesXCoordinates, nodesYCoordinates, nop, boundaryElements, meshDimension, elementOrder } =
-    meshData;
+  const {
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nop,
+    boundaryElements,
+    meshDimension,
+    elementOrder,
+    elementType,
+  } = meshData;
 
   if (meshDimension === "1D") {
     if (elementOrder === "linear") {
@@ -376,7 +715,9 @@ export function getBoundarySegments(meshData) {
       };
     }
   } else if (meshDimension === "2D") {
-    if (elementOrder === "linear") {
+    if (elementType === "triangle") {
+      boundarySides = triangleBoundarySides[elementOrder];
+    } else if (elementOrder === "linear") {
       boundarySides = {
         0: [0, 2], // Nodes at the bottom side of the reference element
         1: [0, 1], // Nodes at the left side of the reference element
@@ -0,0 +1,74 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { getNumberOfTimeSteps } from "./timeSteppingUtils.js";
+import { ConfigurationError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
+
+/**
+ * Function to integrate a semi-discrete system in time with the backward differentiation formulas (BDF).
+ * At each step the time derivative is replaced by du/dt ≈ coefficient·uⁿ⁺¹ + historyVector, with:
+ *  - BDF1 (implicit Euler): coefficient = 1/Δt, historyVector = −uⁿ/Δt
+ *  - BDF2: coefficient = 3/(2Δt), historyVector = (−4uⁿ + uⁿ⁻¹)/(2Δt), started with one BDF1 step
+ * and the model-specific `solveStep` solves the resulting (linear or nonlinear) system for uⁿ⁺¹
+ * @param {function} solveStep - Called as solveStep(time, { coefficient, historyVector }, previousSolution)
+ *  for each step; returns the solution vector at `time`
+ * @param {object} context - Context object containing the time stepping parameters:
+ *  - initialSolution: Solution vector at t = 0
+ *  - timeStep: Time step size Δt
+ *  - endTime: Final simulation time, a whole number of time steps
+ *  - order: Order of the scheme, 1 or 2 (defaults to 2)
+ * @returns {object} An object containing:
+ *  - solutionVector: The solution vector at the final time
+ *  - timeSeries: Object with the `times` and the `solutionVectors` of every time step (including t = 0)
+ * @throws {ConfigurationError} If the time step, end time or order is invalid (code "INVALID_TIME_STEPPING")
+ */
+export function bdfMethod(solveStep, context) {
+  const { initialSolution, timeStep, endTime, order = 2 } = context;
+
+  const numberOfSteps = getNumberOfTimeSteps(timeStep, endTime);
+  if (order !== 1 && order !== 2) {
+    throw new ConfigurationError(`Invalid BDF order: ${order}. Expected 1 or 2`, {
+      code: "INVALID_TIME_STEPPING",
+      details: { order },
+    });
+  }
+
+  let solutionVector = Array.from(initialSolution);
+  let previousSolution = null;
+  const times = [0];
+  const solutionVectors = [Array.from(solutionVector)];
+
+  basicLog(`Time stepping with BDF${order}: ${numberOfSteps} steps of Δt = ${timeStep}`);
+  for (let step = 1; step <= numberOfSteps; step++) {
+    const useSecondOrder = order === 2 && previousSolution !== null;
+    const timeDerivative = useSecondOrder
+      ? {
+          coefficient: 3 / (2 * timeStep),
+          historyVector: solutionVector.map(
+            (value, dofIndex) => (-4 * value + previousSolution[dofIndex]) / (2 * timeStep),
+          ),
+        }
+      : {
+          coefficient: 1 / timeStep,
+          historyVector: solutionVector.map((value) => -value / timeStep),
+        };
+
+    const time = step * timeStep;
+    previousSolution = solutionVector;
+    solutionVector = Array.from(solveStep(time, timeDerivative, previousSolution));
+
+    times.push(time);
+    solutionVectors.push(solutionVector);
+    debugLog(`BDF${useSecondOrder ? 2 : 1}: step ${step}/${numberOfSteps} completed (t = ${time})`);
+  }
+
+  return { solutionVector, timeSeries: { times, solutionVectors } };
+}
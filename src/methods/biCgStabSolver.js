@@ -0,0 +1,122 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { dotProduct, copyVector, euclideanNorm, axpy } from "./blasUtilities.js";
+import { SparseMatrix } from "./sparseMatrix.js";
+import { createPreconditioner } from "./preconditioners.js";
+import { debugLog } from "../utilities/logging.js";
+
+/**
+ * Function to solve a (possibly non-symmetric) system of linear equations using the right-preconditioned
+ * BiCGSTAB (stabilized Bi-Conjugate Gradient) method
+ * @param {SparseMatrix|array} A - The system matrix (a dense array is converted to CSR)
+ * @param {array} b - The right-hand side vector
+ * @param {array} x0 - Initial guess for solution vector
+ * @param {object} [options] - Optional parameters for the solver, such as `maxIterations`, `tolerance` and
+ *  `preconditioner` ("incompleteLU", "jacobi" or null)
+ * @returns {object} An object containing:
+ *  - solutionVector: The solution vector
+ *  - iterations: The number of iterations performed
+ *  - converged: Boolean indicating whether the method converged
+ *  - residualHistory: Relative residual norm ||b - A·x|| / ||b|| at the start and after every iteration
+ */
+export function biCgStabSolver(A, b, x0, options = {}) {
+  // Extract options
+  const { maxIterations = 10000, tolerance = 1e-4, preconditioner = null } = options;
+
+  const sparseMatrix = A instanceof SparseMatrix ? A.compress() : SparseMatrix.fromDense(A);
+  const n = sparseMatrix.numberOfRows;
+  const applyPreconditioner = createPreconditioner(preconditioner, sparseMatrix);
+
+  const x = new Float64Array(x0);
+  const rhsNorm = euclideanNorm(b) || 1;
+
+  // r = b - A·x and the fixed shadow residual r̂ = r
+  const residual = sparseMatrix.multiply(x);
+  for (let i = 0; i < n; i++) residual[i] = b[i] - residual[i];
+  const shadowResidual = new Float64Array(residual);
+
+  const searchDirection = new Float64Array(n);
+  const preconditionedDirection = new Float64Array(n);
+  const matrixTimesDirection = new Float64Array(n);
+  const intermediateResidual = new Float64Array(n);
+  const preconditionedIntermediate = new Float64Array(n);
+  const matrixTimesIntermediate = new Float64Array(n);
+
+  const residualHistory = [euclideanNorm(residual) / rhsNorm];
+  let converged = residualHistory[0] < tolerance;
+  let iterations = 0;
+  let rho = 1;
+  let alpha = 1;
+  let omega = 1;
+
+  while (!converged && iterations < maxIterations) {
+    let rhoNew = dotProduct(shadowResidual, residual);
+    if (Math.abs(rhoNew) <= Number.EPSILON * euclideanNorm(shadowResidual) * euclideanNorm(residual)) {
+      // The residual became orthogonal to the shadow residual (e.g. r̂ only touches the Dirichlet rows),
+      // so restart the recurrence with r̂ = r
+      debugLog(`BiCGSTAB: restarting after breakdown (r̂·r = 0) at iteration ${iterations}`);
+      copyVector(residual, shadowResidual);
+      searchDirection.fill(0);
+      matrixTimesDirection.fill(0);
+      rho = alpha = omega = 1;
+      rhoNew = dotProduct(residual, residual);
+    }
+
+    // p = r + beta·(p - omega·v)
+    const beta = (rhoNew / rho) * (alpha / omega);
+    for (let i = 0; i < n; i++) {
+      searchDirection[i] = residual[i] + beta * (searchDirection[i] - omega * matrixTimesDirection[i]);
+    }
+    rho = rhoNew;
+
+    // v = A·M⁻¹·p
+    applyPreconditioner(searchDirection, preconditionedDirection);
+    sparseMatrix.multiply(preconditionedDirection, matrixTimesDirection);
+    alpha = rho / dotProduct(shadowResidual, matrixTimesDirection);
+
+    // s = r - alpha·v
+    copyVector(residual, intermediateResidual);
+    axpy(-alpha, matrixTimesDirection, intermediateResidual);
+    axpy(alpha, preconditionedDirection, x);
+    iterations++;
+
+    const intermediateNorm = euclideanNorm(intermediateResidual) / rhsNorm;
+    if (intermediateNorm < tolerance) {
+      residualHistory.push(intermediateNorm);
+      converged = true;
+      break;
+    }
+
+    // t = A·M⁻¹·s, omega = (t·s) / (t·t)
+    applyPreconditioner(intermediateResidual, preconditionedIntermediate);
+    sparseMatrix.multiply(preconditionedIntermediate, matrixTimesIntermediate);
+    omega =
+      dotProduct(matrixTimesIntermediate, intermediateResidual) /
+      dotProduct(matrixTimesIntermediate, matrixTimesIntermediate);
+    axpy(omega, preconditionedIntermediate, x);
+
+    // r = s - omega·t
+    copyVector(intermediateResidual, residual);
+    axpy(-omega, matrixTimesIntermediate, residual);
+
+    const relativeResidualNorm = euclideanNorm(residual) / rhsNorm;
+    residualHistory.push(relativeResidualNorm);
+    converged = relativeResidualNorm < tolerance;
+    if (omega === 0 && !converged) {
+      debugLog("BiCGSTAB: breakdown (omega = 0)");
+      break;
+    }
+  }
+
+  debugLog(`BiCGSTAB: ${iterations} iterations`);
+
+  return { solutionVector: x, iterations, converged, residualHistory };
+}
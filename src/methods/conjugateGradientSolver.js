@@ -0,0 +1,158 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { dotProduct, euclideanNorm, axpy } from "./blasUtilities.js";
+import { SparseMatrix } from "./sparseMatrix.js";
+import { createPreconditioner } from "./preconditioners.js";
+import { debugLog } from "../utilities/logging.js";
+
+/**
+ * Function to solve a symmetric system of linear equations using the (preconditioned) Conjugate Gradient method
+ *
+ * CG needs a symmetric definite matrix, while our assembled systems contain identity rows from the Dirichlet
+ * conditions (which break the symmetry) and the heat conduction matrix is negative definite by convention.
+ * Therefore, the identity rows are condensed out before iterating (their values are known) and the remaining
+ * block is negated when its diagonal is negative. Neither step changes the solution of the system
+ *
+ * @param {SparseMatrix|array} A - The system matrix (a dense array is converted to CSR)
+ * @param {array} b - The right-hand side vector
+ * @param {array} x0 - Initial guess for solution vector
+ * @param {object} [options] - Optional parameters for the solver, such as `maxIterations`, `tolerance` and
+ *  `preconditioner` ("jacobi", "incompleteCholesky" or null for plain CG)
+ * @returns {object} An object containing:
+ *  - solutionVector: The solution vector
+ *  - iterations: The number of iterations performed
+ *  - converged: Boolean indicating whether the method converged
+ *  - residualHistory: Relative residual norm ||b - A·x|| / ||b|| at the start and after every iteration
+ */
+export function conjugateGradientSolver(A, b, x0, options = {}) {
+  // Extract options
+  const { maxIterations = 10000, tolerance = 1e-4, preconditioner = null } = options;
+
+  const sparseMatrix = A instanceof SparseMatrix ? A.compress() : SparseMatrix.fromDense(A);
+  const n = sparseMatrix.numberOfRows;
+  const solutionVector = new Float64Array(x0);
+
+  // Condense out the identity (Dirichlet) rows and flip the sign of negative definite systems
+  const { reducedMatrix, reducedRhs, freeDegreesOfFreedom } = condenseConstrainedRows(
+    sparseMatrix,
+    b,
+    solutionVector,
+  );
+  const reducedSize = freeDegreesOfFreedom.length;
+  debugLog(`Conjugate Gradient: ${n - reducedSize} constrained and ${reducedSize} free unknowns`);
+
+  const applyPreconditioner = createPreconditioner(preconditioner, reducedMatrix);
+
+  const x = new Float64Array(reducedSize);
+  for (let i = 0; i < reducedSize; i++) x[i] = solutionVector[freeDegreesOfFreedom[i]];
+
+  // r = b - A·x, z = M⁻¹·r, p = z
+  const residual = new Float64Array(reducedSize);
+  reducedMatrix.multiply(x, residual);
+  for (let i = 0; i < reducedSize; i++) residual[i] = reducedRhs[i] - residual[i];
+  const preconditionedResidual = new Float64Array(reducedSize);
+  applyPreconditioner(residual, preconditionedResidual);
+  const searchDirection = new Float64Array(preconditionedResidual);
+  const matrixTimesDirection = new Float64Array(reducedSize);
+
+  const rhsNorm = euclideanNorm(reducedRhs) || 1;
+  const residualHistory = [euclideanNorm(residual) / rhsNorm];
+  let residualDotPreconditioned = dotProduct(residual, preconditionedResidual);
+  let converged = residualHistory[0] < tolerance;
+  let iterations = 0;
+
+  while (!converged && iterations < maxIterations) {
+    reducedMatrix.multiply(searchDirection, matrixTimesDirection);
+    const alpha = residualDotPreconditioned / dotProduct(searchDirection, matrixTimesDirection);
+
+    axpy(alpha, searchDirection, x);
+    axpy(-alpha, matrixTimesDirection, residual);
+    iterations++;
+
+    const relativeResidualNorm = euclideanNorm(residual) / rhsNorm;
+    residualHistory.push(relativeResidualNorm);
+    if (relativeResidualNorm < tolerance) {
+      converged = true;
+      break;
+    }
+
+    applyPreconditioner(residual, preconditionedResidual);
+    const newResidualDotPreconditioned = dotProduct(residual, preconditionedResidual);
+    const beta = newResidualDotPreconditioned / residualDotPreconditioned;
+    residualDotPreconditioned = newResidualDotPreconditioned;
+
+    // p = z + beta·p
+    for (let i = 0; i < reducedSize; i++) {
+      searchDirection[i] = preconditionedResidual[i] + beta * searchDirection[i];
+    }
+  }
+
+  for (let i = 0; i < reducedSize; i++) solutionVector[freeDegreesOfFreedom[i]] = x[i];
+
+  return { solutionVector, iterations, converged, residualHistory };
+}
+
+/**
+ * Function to remove the identity rows of a system and move their known values to the right-hand side
+ * @param {SparseMatrix} sparseMatrix - The compressed system matrix
+ * @param {array} b - The right-hand side vector
+ * @param {Float64Array} solutionVector - Solution vector; the constrained entries are set in place
+ * @returns {object} An object containing the reduced matrix, the reduced right-hand side and the indices
+ *  of the free unknowns
+ */
+function condenseConstrainedRows(sparseMatrix, b, solutionVector) {
+  const { numberOfRows, rowPointers, columnIndices, values } = sparseMatrix;
+
+  // A row is constrained when its only non-zero entry is on the diagonal
+  const reducedIndex = new Int32Array(numberOfRows).fill(-1);
+  const freeDegreesOfFreedom = [];
+  for (let i = 0; i < numberOfRows; i++) {
+    let diagonalValue = 0;
+    let hasOffDiagonal = false;
+    for (let k = rowPointers[i]; k < rowPointers[i + 1]; k++) {
+      if (columnIndices[k] === i) diagonalValue = values[k];
+      else if (values[k] !== 0) hasOffDiagonal = true;
+    }
+    if (!hasOffDiagonal && diagonalValue !== 0) {
+      solutionVector[i] = b[i] / diagonalValue;
+    } else {
+      reducedIndex[i] = freeDegreesOfFreedom.length;
+      freeDegreesOfFreedom.push(i);
+    }
+  }
+
+  const reducedSize = freeDegreesOfFreedom.length;
+  const reducedMatrix = new SparseMatrix(reducedSize);
+  const reducedRhs = new Float64Array(reducedSize);
+  let diagonalSum = 0;
+  for (let reducedRow = 0; reducedRow < reducedSize; reducedRow++) {
+    const i = freeDegreesOfFreedom[reducedRow];
+    reducedRhs[reducedRow] = b[i];
+    for (let k = rowPointers[i]; k < rowPointers[i + 1]; k++) {
+      const j = columnIndices[k];
+      if (reducedIndex[j] === -1) {
+        reducedRhs[reducedRow] -= values[k] * solutionVector[j];
+      } else {
+        reducedMatrix.addValue(reducedRow, reducedIndex[j], values[k]);
+        if (j === i) diagonalSum += values[k];
+      }
+    }
+  }
+  reducedMatrix.compress();
+
+  // Work with a positive definite block (e.g. the negative heat conduction matrix)
+  if (diagonalSum < 0) {
+    for (let k = 0; k < reducedMatrix.values.length; k++) reducedMatrix.values[k] = -reducedMatrix.values[k];
+    for (let i = 0; i < reducedSize; i++) reducedRhs[i] = -reducedRhs[i];
+  }
+
+  return { reducedMatrix, reducedRhs, freeDegreesOfFreedom };
+}
@@ -0,0 +1,497 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { axpy, dotProduct, euclideanNorm } from "./blasUtilities.js";
+import { SparseMatrix } from "./sparseMatrix.js";
+import { ConvergenceError, SolverError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
+
+/**
+ * Function to compute the smallest eigenvalues λ and the eigenvectors φ of the generalized symmetric
+ * eigenproblem stiffnessMatrix·φ = λ·massMatrix·φ with the subspace iteration method (K.J. Bathe, Finite
+ * Element Procedures, Section 11.6)
+ *
+ * Rows of the stiffness matrix that were replaced by identity rows (Dirichlet conditions) are removed from
+ * the problem, and the eigenvectors are zero at these unknowns. The stiffness matrix, shifted by
+ * −shift·massMatrix, must be positive definite on the remaining unknowns: a structure with rigid body modes
+ * needs a negative shift. The mass matrix only needs to be positive semi-definite (e.g. a geometric
+ * stiffness matrix); eigenvalues without a finite value are returned as Infinity. Matrices assembled with a
+ * negative sign (a negative stiffness diagonal on the free unknowns, as in the heat conduction model) are
+ * negated first. The mass matrix is not used to detect the sign, since a geometric stiffness matrix of a
+ * structure in partial tension can have a negative or zero trace
+ *
+ * The matrices stay in sparse (CSR) storage: the shifted stiffness matrix is factorized once with a skyline
+ * Cholesky decomposition, and the iterations only use sparse matrix-vector products and solves with the
+ * factor
+ * @param {SparseMatrix|array} stiffnessMatrix - Assembled stiffness (Jacobian) matrix
+ * @param {SparseMatrix|array} massMatrix - Assembled mass matrix
+ * @param {object} [options] - Solver settings:
+ *  - numberOfModes: Number of eigenpairs to compute (defaults to 1)
+ *  - shift: Spectral shift σ (defaults to 0)
+ *  - maxIterations: Maximum number of subspace iterations (defaults to 100)
+ *  - tolerance: Relative change of the eigenvalues between iterations at convergence (defaults to 1e-10)
+ * @returns {object} An object containing:
+ *  - eigenvalues: The numberOfModes smallest eigenvalues, in ascending order
+ *  - eigenvectors: The corresponding eigenvectors, normalized so that φᵀ·massMatrix·φ = 1 (or to a unit
+ *    maximum entry when φᵀ·massMatrix·φ = 0)
+ *  - iterations: Number of subspace iterations performed
+ * @throws {SolverError} If the shifted stiffness matrix is not positive definite (code "SINGULAR_MATRIX")
+ * @throws {ConvergenceError} If the eigenvalues do not converge (code "EIGENSOLVER_NOT_CONVERGED")
+ */
+export function solveGeneralizedEigenproblem(stiffnessMatrix, massMatrix, options = {}) {
+  const { numberOfModes = 1, shift = 0, maxIterations = 100, tolerance = 1e-10 } = options;
+  const sparseStiffness = toSparseMatrix(stiffnessMatrix);
+  const sparseMass = toSparseMatrix(massMatrix);
+  const totalDOFs = sparseStiffness.numberOfRows;
+
+  // Remove the Dirichlet rows, i.e. rows whose only non-zero entry is on the diagonal
+  const identityRows = sparseStiffness.getIdentityRows();
+  const freeDOFs = [];
+  for (let rowIndex = 0; rowIndex < totalDOFs; rowIndex++) {
+    if (!identityRows.has(rowIndex)) freeDOFs.push(rowIndex);
+  }
+
+  // The diagonal of a positive definite stiffness matrix is positive on the free unknowns
+  const stiffnessDiagonal = sparseStiffness.getDiagonal();
+  const sign = freeDOFs.reduce((trace, rowIndex) => trace + stiffnessDiagonal[rowIndex], 0) < 0 ? -1 : 1;
+  const n = freeDOFs.length;
+  const numberOfEigenpairs = Math.min(numberOfModes, n);
+  const M = extractFreeSubmatrix(sparseMass, freeDOFs, sign);
+  const K = extractFreeSubmatrix(sparseStiffness, freeDOFs, sign);
+  if (shift !== 0) K.addScaledMatrix(M, -shift).compress();
+  debugLog(`Eigensolver: ${totalDOFs - n} constrained and ${n} free unknowns`);
+
+  const choleskyFactor = skylineCholeskyDecomposition(K);
+  if (!choleskyFactor) {
+    throw new SolverError(
+      "Stiffness matrix is not positive definite: the structure may be insufficiently supported " +
+        "(use a negative shift to compute rigid body modes)",
+      { code: "SINGULAR_MATRIX", details: { shift } },
+    );
+  }
+
+  // Starting subspace: the mass diagonal and unit vectors at the unknowns with the largest M_ii/K_ii ratio
+  const subspaceSize = Math.min(n, Math.max(2 * numberOfEigenpairs, numberOfEigenpairs + 8));
+  let subspaceVectors = buildStartingVectors(K, M, subspaceSize);
+
+  let eigenvalues = new Array(subspaceSize).fill(Infinity);
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    // Inverse iteration X̄ = K⁻¹·M·X, followed by the Rayleigh-Ritz projection of the problem on X̄. The
+    // vectors of X̄ are orthonormalized first, as they become nearly parallel when a few large point masses
+    // dominate the mass matrix
+    const iteratedVectors = orthonormalizeVectors(
+      subspaceVectors.map((vector) => skylineCholeskySolve(choleskyFactor, M.multiply(vector))),
+    );
+    const projectedStiffness = projectMatrix(
+      iteratedVectors,
+      iteratedVectors.map((vector) => K.multiply(vector)),
+    );
+    const projectedMass = projectMatrix(
+      iteratedVectors,
+      iteratedVectors.map((vector) => M.multiply(vector)),
+    );
+
+    // The projected problem is solved in the inverse form M̄·z = μ·K̄·z, μ = 1/(λ - σ), since K̄ is
+    // positive definite while M̄ may be singular
+    const { eigenvalues: inverseEigenvalues, eigenvectors } = solveProjectedEigenproblem(
+      projectedMass,
+      projectedStiffness,
+    );
+    const previousEigenvalues = eigenvalues;
+    eigenvalues = inverseEigenvalues.map((mu) =>
+      mu > 1e-14 * Math.abs(inverseEigenvalues[0]) ? shift + 1 / mu : Infinity,
+    );
+    subspaceVectors = eigenvectors.map((z) =>
+      Float64Array.from({ length: n }, (_, i) =>
+        z.reduce((sum, zValue, vectorIndex) => sum + zValue * iteratedVectors[vectorIndex][i], 0),
+      ),
+    );
+
+    // Change relative to λ - σ, which stays meaningful for the rigid body modes (λ = 0) of shifted problems
+    const maxChange = Math.max(
+      ...eigenvalues
+        .slice(0, numberOfEigenpairs)
+        .map((lambda, modeIndex) =>
+          Number.isFinite(lambda)
+            ? Math.abs(lambda - previousEigenvalues[modeIndex]) / Math.abs(lambda - shift)
+            : 0,
+        ),
+    );
+    debugLog(`Eigensolver: iteration ${iteration}, maximum relative eigenvalue change ${maxChange}`);
+    if (maxChange <= tolerance || subspaceSize === n) {
+      basicLog(`Subspace iteration converged in ${iteration} iterations`);
+      return {
+        eigenvalues: eigenvalues.slice(0, numberOfEigenpairs),
+        eigenvectors: subspaceVectors.slice(0, numberOfEigenpairs).map((vector) => {
+          const modalMass = dotProduct(vector, M.multiply(vector));
+          const maxEntry = vector.reduce((max, value) => (Math.abs(value) > Math.abs(max) ? value : max), 0);
+          const scale = modalMass > 0 ? 1 / Math.sqrt(modalMass) : 1 / maxEntry;
+          const fullVector = new Array(totalDOFs).fill(0);
+          freeDOFs.forEach((dofIndex, freeIndex) => (fullVector[dofIndex] = vector[freeIndex] * scale));
+          return fullVector;
+        }),
+        iterations: iteration,
+      };
+    }
+  }
+
+  throw new ConvergenceError(`Subspace iteration did not converge after ${maxIterations} iterations`, {
+    code: "EIGENSOLVER_NOT_CONVERGED",
+    details: { maxIterations, tolerance, eigenvalues: eigenvalues.slice(0, numberOfEigenpairs) },
+  });
+}
+
+/**
+ * Function to get the compressed SparseMatrix form of a matrix, without modifying the input
+ * @param {SparseMatrix|array} matrix - SparseMatrix or array of dense rows
+ * @returns {SparseMatrix} The compressed sparse matrix
+ */
+function toSparseMatrix(matrix) {
+  return matrix instanceof SparseMatrix ? matrix.compress() : SparseMatrix.fromDense(matrix);
+}
+
+/**
+ * Function to extract the rows and columns of the free unknowns of a matrix
+ * @param {SparseMatrix} matrix - Compressed sparse matrix
+ * @param {array} freeDOFs - Indices of the free unknowns, in ascending order
+ * @param {number} scale - Factor applied to the extracted entries (-1 to negate the matrix)
+ * @returns {SparseMatrix} The compressed submatrix
+ */
+function extractFreeSubmatrix(matrix, freeDOFs, scale) {
+  const freeIndex = new Int32Array(matrix.numberOfRows).fill(-1);
+  freeDOFs.forEach((dofIndex, index) => (freeIndex[dofIndex] = index));
+  const { rowPointers, columnIndices, values } = matrix;
+  const submatrix = new SparseMatrix(freeDOFs.length);
+  freeDOFs.forEach((dofIndex, rowIndex) => {
+    for (let k = rowPointers[dofIndex]; k < rowPointers[dofIndex + 1]; k++) {
+      const columnIndex = freeIndex[columnIndices[k]];
+      if (columnIndex !== -1 && values[k] !== 0) submatrix.addValue(rowIndex, columnIndex, scale * values[k]);
+    }
+  });
+  return submatrix.compress();
+}
+
+/**
+ * Function to build the starting vectors of the subspace iteration
+ * @param {SparseMatrix} K - Shifted stiffness matrix of the free unknowns
+ * @param {SparseMatrix} M - Mass matrix of the free unknowns
+ * @param {number} subspaceSize - Number of vectors
+ * @returns {array} Array of starting vectors
+ */
+function buildStartingVectors(K, M, subspaceSize) {
+  const n = K.numberOfRows;
+  if (subspaceSize === n) {
+    return Array.from({ length: n }, (_, vectorIndex) =>
+      Float64Array.from({ length: n }, (_, i) => (i === vectorIndex ? 1 : 0)),
+    );
+  }
+
+  const massDiagonal = M.getDiagonal();
+  const stiffnessDiagonal = K.getDiagonal();
+  const firstVector = massDiagonal.some((value) => value > 0) ? massDiagonal : new Float64Array(n).fill(1);
+  const ratios = Float64Array.from(massDiagonal, (massValue, i) => massValue / stiffnessDiagonal[i]);
+  const ratioOrder = Array.from({ length: n }, (_, i) => i).sort((i, j) => ratios[j] - ratios[i]);
+  const vectors = [firstVector];
+  for (let vectorIndex = 1; vectorIndex < subspaceSize - 1; vectorIndex++) {
+    vectors.push(Float64Array.from({ length: n }, (_, i) => (i === ratioOrder[vectorIndex - 1] ? 1 : 0)));
+  }
+
+  // Last vector with pseudo-random entries
+  vectors.push(pseudoRandomVector(n, 12345));
+  return vectors;
+}
+
+/**
+ * Function to build a vector with pseudo-random entries in [-0.5, 0.5), from a deterministic linear
+ * congruential sequence
+ * @param {number} length - Vector length
+ * @param {number} seed - Seed of the sequence
+ * @returns {Float64Array} The vector
+ */
+function pseudoRandomVector(length, seed) {
+  let state = seed;
+  return Float64Array.from({ length }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  });
+}
+
+/**
+ * Function to orthonormalize a set of vectors with the modified Gram-Schmidt method (two passes). Vectors
+ * that are numerically dependent on the previous ones are replaced by pseudo-random vectors, so that the
+ * subspace keeps its dimension
+ * @param {array} vectors - Vectors to orthonormalize (at most as many as their length)
+ * @returns {array} Array of orthonormal vectors
+ */
+function orthonormalizeVectors(vectors) {
+  const basis = [];
+  vectors.forEach((vector, vectorIndex) => {
+    let candidate = Float64Array.from(vector);
+    for (let attempt = 1; attempt <= 10; attempt++) {
+      const initialNorm = euclideanNorm(candidate);
+      for (let pass = 0; pass < 2; pass++) {
+        basis.forEach((basisVector) => axpy(-dotProduct(basisVector, candidate), basisVector, candidate));
+      }
+      const norm = euclideanNorm(candidate);
+      if (norm > 1e-8 * initialNorm) {
+        basis.push(candidate.map((value) => value / norm));
+        return;
+      }
+      candidate = pseudoRandomVector(candidate.length, 7919 * (vectorIndex + 1) + attempt);
+    }
+  });
+  return basis;
+}
+
+/**
+ * Function to solve a small generalized symmetric eigenproblem A·z = μ·B·z, with B positive definite, by
+ * reduction to standard form with the Cholesky factor of B and the cyclic Jacobi method
+ * @param {array} A - Symmetric matrix (dense rows)
+ * @param {array} B - Symmetric positive definite matrix (dense rows)
+ * @returns {object} An object containing the eigenvalues μ in descending order and the eigenvectors z,
+ *  normalized so that zᵀ·B·z = 1
+ */
+function solveProjectedEigenproblem(A, B) {
+  const size = A.length;
+  const L = choleskyDecomposition(B);
+  if (!L) {
+    throw new SolverError("Projected stiffness matrix is not positive definite", {
+      code: "SINGULAR_MATRIX",
+    });
+  }
+
+  // C = L⁻¹·A·L⁻ᵀ
+  const LInverseA = Array.from({ length: size }, (_, j) =>
+    forwardSubstitution(
+      L,
+      A.map((row) => row[j]),
+    ),
+  ); // Columns of L⁻¹·A
+  const C = Array.from({ length: size }, (_, i) =>
+    forwardSubstitution(
+      L,
+      LInverseA.map((column) => column[i]),
+    ),
+  );
+  const { eigenvalues, eigenvectors } = jacobiEigenvalueMethod(C);
+
+  const order = eigenvalues.map((_, i) => i).sort((i, j) => eigenvalues[j] - eigenvalues[i]);
+  return {
+    eigenvalues: order.map((i) => eigenvalues[i]),
+    eigenvectors: order.map((i) => backwardSubstitution(L, eigenvectors[i])),
+  };
+}
+
+/**
+ * Function to compute the eigenvalues and eigenvectors of a small symmetric matrix with the cyclic Jacobi
+ * method
+ * @param {array} matrix - Symmetric matrix (dense rows), not modified
+ * @returns {object} An object containing the eigenvalues and the orthonormal eigenvectors
+ */
+function jacobiEigenvalueMethod(matrix) {
+  const size = matrix.length;
+  const A = matrix.map((row) => Float64Array.from(row));
+  const V = Array.from({ length: size }, (_, i) =>
+    Float64Array.from({ length: size }, (_, j) => (i === j ? 1 : 0)),
+  );
+  const scale = Math.max(...A.map((row, i) => Math.abs(row[i])), Number.MIN_VALUE);
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let offDiagonalNorm = 0;
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) offDiagonalNorm += A[p][q] ** 2;
+    }
+    if (Math.sqrt(offDiagonalNorm) <= 1e-15 * scale) break;
+
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) {
+        if (A[p][q] === 0) continue;
+        // Rotation angle that annihilates A[p][q]
+        const tau = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+        const t = Math.sign(tau || 1) / (Math.abs(tau) + Math.sqrt(1 + tau ** 2));
+        const c = 1 / Math.sqrt(1 + t ** 2);
+        const s = t * c;
+        for (let k = 0; k < size; k++) {
+          const Akp = A[k][p];
+          const Akq = A[k][q];
+          A[k][p] = c * Akp - s * Akq;
+          A[k][q] = s * Akp + c * Akq;
+        }
+        for (let k = 0; k < size; k++) {
+          const Apk = A[p][k];
+          const Aqk = A[q][k];
+          A[p][k] = c * Apk - s * Aqk;
+          A[q][k] = s * Apk + c * Aqk;
+        }
+        for (let k = 0; k < size; k++) {
+          const Vkp = V[k][p];
+          const Vkq = V[k][q];
+          V[k][p] = c * Vkp - s * Vkq;
+          V[k][q] = s * Vkp + c * Vkq;
+        }
+      }
+    }
+  }
+
+  return {
+    eigenvalues: A.map((row, i) => row[i]),
+    eigenvectors: Array.from({ length: size }, (_, j) => V.map((row) => row[j])),
+  };
+}
+
+/**
+ * Function to compute the Cholesky factor L of a sparse symmetric positive definite matrix, A = L·Lᵀ, in
+ * skyline (envelope) storage. Row i of L is stored from its first non-zero column to the diagonal, which
+ * holds all the fill-in of the factorization, so the cost depends on the bandwidth of the node numbering
+ * rather than on the full size of the matrix
+ * @param {SparseMatrix} A - Compressed symmetric matrix
+ * @returns {object|null} The factor, with the first column and the storage offset of each row and the
+ *  packed row values, or null if A is not positive definite
+ */
+function skylineCholeskyDecomposition(A) {
+  const n = A.numberOfRows;
+  const { rowPointers, columnIndices, values } = A;
+
+  // Envelope of the lower triangle: the first column of each row (column indices are sorted within a row)
+  const firstColumns = new Int32Array(n);
+  const rowOffsets = new Int32Array(n + 1);
+  for (let i = 0; i < n; i++) {
+    firstColumns[i] = rowPointers[i] < rowPointers[i + 1] ? Math.min(columnIndices[rowPointers[i]], i) : i;
+    rowOffsets[i + 1] = rowOffsets[i] + i - firstColumns[i] + 1;
+  }
+  const L = new Float64Array(rowOffsets[n]);
+  for (let i = 0; i < n; i++) {
+    for (let k = rowPointers[i]; k < rowPointers[i + 1] && columnIndices[k] <= i; k++) {
+      L[rowOffsets[i] + columnIndices[k] - firstColumns[i]] = values[k];
+    }
+  }
+
+  const maxDiagonal = Math.max(...A.getDiagonal().map(Math.abs));
+  for (let i = 0; i < n; i++) {
+    const rowStart = rowOffsets[i] - firstColumns[i]; // Position of L[i][0], were it stored
+    for (let j = firstColumns[i]; j < i; j++) {
+      const columnStart = rowOffsets[j] - firstColumns[j];
+      let sum = L[rowStart + j];
+      for (let k = Math.max(firstColumns[i], firstColumns[j]); k < j; k++) {
+        sum -= L[rowStart + k] * L[columnStart + k];
+      }
+      L[rowStart + j] = sum / L[columnStart + j];
+    }
+    let diagonal = L[rowStart + i];
+    for (let k = firstColumns[i]; k < i; k++) diagonal -= L[rowStart + k] ** 2;
+    if (!(diagonal > 1e-13 * maxDiagonal)) return null;
+    L[rowStart + i] = Math.sqrt(diagonal);
+  }
+  return { firstColumns, rowOffsets, values: L };
+}
+
+/**
+ * Function to solve L·Lᵀ·x = b with a skyline Cholesky factor
+ * @param {object} factor - Factor returned by skylineCholeskyDecomposition
+ * @param {array} b - Right-hand side vector
+ * @returns {Float64Array} The solution vector x
+ */
+function skylineCholeskySolve({ firstColumns, rowOffsets, values: L }, b) {
+  const n = firstColumns.length;
+  const x = Float64Array.from(b);
+
+  // Forward substitution, L·y = b
+  for (let i = 0; i < n; i++) {
+    const rowStart = rowOffsets[i] - firstColumns[i];
+    let sum = x[i];
+    for (let k = firstColumns[i]; k < i; k++) sum -= L[rowStart + k] * x[k];
+    x[i] = sum / L[rowStart + i];
+  }
+
+  // Backward substitution, Lᵀ·x = y, subtracting each solved unknown from the rows above it
+  for (let i = n - 1; i >= 0; i--) {
+    const rowStart = rowOffsets[i] - firstColumns[i];
+    x[i] /= L[rowStart + i];
+    for (let k = firstColumns[i]; k < i; k++) x[k] -= L[rowStart + k] * x[i];
+  }
+  return x;
+}
+
+/**
+ * Function to compute the Cholesky factor L of a symmetric positive definite matrix, A = L·Lᵀ
+ * @param {array} A - Symmetric matrix (dense rows)
+ * @returns {array|null} The lower triangular factor (dense rows), or null if A is not positive definite
+ */
+function choleskyDecomposition(A) {
+  const n = A.length;
+  const L = Array.from({ length: n }, () => new Float64Array(n));
+  const maxDiagonal = Math.max(...A.map((row, i) => Math.abs(row[i])));
+  for (let j = 0; j < n; j++) {
+    let diagonal = A[j][j];
+    for (let k = 0; k < j; k++) diagonal -= L[j][k] ** 2;
+    if (!(diagonal > 1e-13 * maxDiagonal)) return null;
+    L[j][j] = Math.sqrt(diagonal);
+    for (let i = j + 1; i < n; i++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      L[i][j] = sum / L[j][j];
+    }
+  }
+  return L;
+}
+
+/**
+ * Function to solve the lower triangular system L·y = b by forward substitution
+ * @param {array} L - Lower triangular Cholesky factor (dense rows)
+ * @param {array} b - Right-hand side vector
+ * @returns {Float64Array} The solution vector y
+ */
+function forwardSubstitution(L, b) {
+  const n = L.length;
+  const y = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    let sum = b[i];
+    for (let k = 0; k < i; k++) sum -= L[i][k] * y[k];
+    y[i] = sum / L[i][i];
+  }
+  return y;
+}
+
+/**
+ * Function to solve the upper triangular system Lᵀ·x = y by backward substitution
+ * @param {array} L - Lower triangular Cholesky factor (dense rows), used transposed
+ * @param {array} y - Right-hand side vector, typically from forwardSubstitution
+ * @returns {Float64Array} The solution vector x
+ */
+function backwardSubstitution(L, y) {
+  const n = L.length;
+  const x = new Float64Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = y[i];
+    for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+    x[i] = sum / L[i][i];
+  }
+  return x;
+}
+
+/**
+ * Function to project a symmetric matrix A onto a subspace, Xᵀ·(A·X)
+ * @param {array} vectors - Basis vectors X of the subspace
+ * @param {array} matrixTimesVectors - Products A·X, one per basis vector
+ * @returns {array} The symmetrized projected matrix (dense rows)
+ */
+function projectMatrix(vectors, matrixTimesVectors) {
+  const size = vectors.length;
+  const projected = Array.from({ length: size }, () => new Float64Array(size));
+  for (let i = 0; i < size; i++) {
+    for (let j = i; j < size; j++) {
+      const value =
+        (dotProduct(vectors[i], matrixTimesVectors[j]) + dotProduct(vectors[j], matrixTimesVectors[i])) / 2;
+      projected[i][j] = value;
+      projected[j][i] = value;
+    }
+  }
+  return projected;
+}
@@ -14,7 +14,8 @@ import { assembleHeatConductionFront } from "../models/heatConduction.js";
 import { ThermalBoundaryConditions } from "../models/thermalBoundaryConditions.js";
 import { assembleFrontPropagationFront } from "../models/frontPropagation.js";
 import { GenericBoundaryConditions } from "../models/genericBoundaryConditions.js";
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { SolverError } from "../utilities/errors.js";
+import { basicLog, debugLog, warnLog, errorLog } from "../utilities/logging.js";
 
 // Create object templates
 const frontalData = {};
@@ -45,105 +46,112 @@ export function runFrontalSolver(assembleFront, meshData, boundaryConditions, op
   basicLog("Solving system using frontal...");
   console.time("systemSolving");
 
-  // Initialize basis functions
-  basisFunctions = new BasisFunctions({
-    meshDimension: meshData.meshDimension,
-    elementOrder: meshData.elementOrder,
-  });
+  try {
+    // Initialize basis functions
+    basisFunctions = new BasisFunctions({
+      meshDimension: meshData.meshDimension,
+      elementOrder: meshData.elementOrder,
+      elementType: meshData.elementType,
+    });
+
+    // Copy node connectivity array into frontalData storage
+    for (let elementIndex = 0; elementIndex < meshData.totalElements; elementIndex++) {
+      for (let nodeIndex = 0; nodeIndex < FEAData.nodesPerElement; nodeIndex++) {
+        frontalData.nodalNumbering[elementIndex][nodeIndex] = meshData.nop[elementIndex][nodeIndex];
+      }
+    }
 
-  // Copy node connectivity array into frontalData storage
-  for (let elementIndex = 0; elementIndex < meshData.totalElements; elementIndex++) {
-    for (let nodeIndex = 0; nodeIndex < FEAData.nodesPerElement; nodeIndex++) {
-      frontalData.nodalNumbering[elementIndex][nodeIndex] = meshData.nop[elementIndex][nodeIndex];
+    // Apply Dirichlet-type boundary conditions
+    // Initialize all nodes with no boundary condition
+    for (let nodeIndex = 0; nodeIndex < meshData.nodesXCoordinates.length; nodeIndex++) {
+      frontalData.nodeConstraintCode[nodeIndex] = 0;
+      frontalData.boundaryValues[nodeIndex] = 0;
     }
-  }
 
-  // Apply Dirichlet-type boundary conditions
-  // Initialize all nodes with no boundary condition
-  for (let nodeIndex = 0; nodeIndex < meshData.nodesXCoordinates.length; nodeIndex++) {
-    frontalData.nodeConstraintCode[nodeIndex] = 0;
-    frontalData.boundaryValues[nodeIndex] = 0;
-  }
+    // Handle Dirichlet-type boundary conditions differently based on which solver is being used
+    let dirichletBoundaryConditionsHandler;
+    // Solid heat transfer model (heatConduction solver)
+    if (assembleFront === assembleHeatConductionFront) {
+      dirichletBoundaryConditionsHandler = new ThermalBoundaryConditions(
+        boundaryConditions,
+        meshData.boundaryElements,
+        meshData.nop,
+        meshData.meshDimension,
+        meshData.elementOrder,
+        meshData.elementType,
+        { nodesXCoordinates: meshData.nodesXCoordinates, nodesYCoordinates: meshData.nodesYCoordinates },
+      );
 
-  // Handle Dirichlet-type boundary conditions differently based on which solver is being used
-  let dirichletBoundaryConditionsHandler;
-  // Solid heat transfer model (heatConduction solver)
-  if (assembleFront === assembleHeatConductionFront) {
-    dirichletBoundaryConditionsHandler = new ThermalBoundaryConditions(
-      boundaryConditions,
-      meshData.boundaryElements,
-      meshData.nop,
-      meshData.meshDimension,
-      meshData.elementOrder,
-    );
-
-    dirichletBoundaryConditionsHandler.imposeConstantTempBoundaryConditionsFront(
-      frontalData.nodeConstraintCode,
-      frontalData.boundaryValues,
-    );
-    // Front propagation model (frontPropagation solver)
-  } else if (assembleFront === assembleFrontPropagationFront) {
-    dirichletBoundaryConditionsHandler = new GenericBoundaryConditions(
-      boundaryConditions,
-      meshData.boundaryElements,
-      meshData.nop,
-      meshData.meshDimension,
-      meshData.elementOrder,
-    );
-
-    dirichletBoundaryConditionsHandler.imposeConstantValueBoundaryConditionsFront(
-      frontalData.nodeConstraintCode,
-      frontalData.boundaryValues,
-    );
-  }
-  // Initialize global residual vector
-  for (let nodeIndex = 0; nodeIndex < meshData.nodesXCoordinates.length; nodeIndex++) {
-    frontalData.globalResidualVector[nodeIndex] = 0;
-  }
+      dirichletBoundaryConditionsHandler.imposeConstantTempBoundaryConditionsFront(
+        frontalData.nodeConstraintCode,
+        frontalData.boundaryValues,
+      );
+      // Front propagation model (frontPropagation solver) and registered models, with "constantValue" conditions
+    } else {
+      dirichletBoundaryConditionsHandler = new GenericBoundaryConditions(
+        boundaryConditions,
+        meshData.boundaryElements,
+        meshData.nop,
+        meshData.meshDimension,
+        meshData.elementOrder,
+        meshData.elementType,
+        { nodesXCoordinates: meshData.nodesXCoordinates, nodesYCoordinates: meshData.nodesYCoordinates },
+      );
 
-  frontalState.totalNodes = meshData.nodesXCoordinates.length;
-  frontalState.writeFlag = 0;
-  frontalState.transformationFlag = 1;
-  frontalState.determinant = 1;
+      dirichletBoundaryConditionsHandler.imposeConstantValueBoundaryConditionsFront(
+        frontalData.nodeConstraintCode,
+        frontalData.boundaryValues,
+      );
+    }
+    // Initialize global residual vector
+    for (let nodeIndex = 0; nodeIndex < meshData.nodesXCoordinates.length; nodeIndex++) {
+      frontalData.globalResidualVector[nodeIndex] = 0;
+    }
 
-  for (let elementIndex = 0; elementIndex < meshData.totalElements; elementIndex++) {
-    frontalState.nodesPerElement[elementIndex] = FEAData.nodesPerElement;
-  }
+    frontalState.totalNodes = meshData.nodesXCoordinates.length;
+    frontalState.writeFlag = 0;
+    frontalState.transformationFlag = 1;
+    frontalState.determinant = 1;
 
-  // Parameters for non-linear assemblers
-  frontalState.currentSolutionVector = options.solutionVector;
-  frontalState.eikonalActivationFlag = options.eikonalActivationFlag;
-  frontalState.coefficientFunctions = options.coefficientFunctions;
+    for (let elementIndex = 0; elementIndex < meshData.totalElements; elementIndex++) {
+      frontalState.nodesPerElement[elementIndex] = FEAData.nodesPerElement;
+    }
 
-  // Pass assembleFront and dirichletBoundaryConditionsHandler to runFrontalAlgorithm
-  runFrontalAlgorithm(meshData, FEAData, dirichletBoundaryConditionsHandler, assembleFront);
+    // Parameters for non-linear assemblers
+    frontalState.currentSolutionVector = options.solutionVector;
+    frontalState.eikonalActivationFlag = options.eikonalActivationFlag;
+    frontalState.coefficientFunctions = options.coefficientFunctions;
 
-  // Copy solution
-  for (let nodeIndex = 0; nodeIndex < meshData.nodesXCoordinates.length; nodeIndex++) {
-    frontalData.solutionVector[nodeIndex] = frontalState.globalSolutionVector[nodeIndex];
-  }
+    // Pass assembleFront and dirichletBoundaryConditionsHandler to runFrontalAlgorithm
+    runFrontalAlgorithm(meshData, FEAData, dirichletBoundaryConditionsHandler, assembleFront);
 
-  // Output results to console for debugging
-  const { nodesXCoordinates, nodesYCoordinates } = meshData;
-  for (let nodeIndex = 0; nodeIndex < meshData.nodesXCoordinates.length; nodeIndex++) {
-    if (meshData.meshDimension === "1D") {
-      // 1D case - only output X coordinates and temperature
-      debugLog(
-        `${nodesXCoordinates[nodeIndex].toExponential(5)}  ${frontalData.solutionVector[
-          nodeIndex
-        ].toExponential(5)}`,
-      );
-    } else {
-      // 2D case - output X, Y coordinates and temperature
-      debugLog(
-        `${nodesXCoordinates[nodeIndex].toExponential(5)}  ${nodesYCoordinates[nodeIndex].toExponential(
-          5,
-        )}  ${frontalData.solutionVector[nodeIndex].toExponential(5)}`,
-      );
+    // Copy solution
+    for (let nodeIndex = 0; nodeIndex < meshData.nodesXCoordinates.length; nodeIndex++) {
+      frontalData.solutionVector[nodeIndex] = frontalState.globalSolutionVector[nodeIndex];
     }
-  }
 
-  console.timeEnd("systemSolving");
+    // Output results to console for debugging
+    const { nodesXCoordinates, nodesYCoordinates } = meshData;
+    for (let nodeIndex = 0; nodeIndex < meshData.nodesXCoordinates.length; nodeIndex++) {
+      if (meshData.meshDimension === "1D") {
+        // 1D case - only output X coordinates and temperature
+        debugLog(
+          `${nodesXCoordinates[nodeIndex].toExponential(5)}  ${frontalData.solutionVector[
+            nodeIndex
+          ].toExponential(5)}`,
+        );
+      } else {
+        // 2D case - output X, Y coordinates and temperature
+        debugLog(
+          `${nodesXCoordinates[nodeIndex].toExponential(5)}  ${nodesYCoordinates[nodeIndex].toExponential(
+            5,
+          )}  ${frontalData.solutionVector[nodeIndex].toExponential(5)}`,
+        );
+      }
+    }
+  } finally {
+    console.timeEnd("systemSolving");
+  }
   basicLog("System solved successfully");
 
   const { nodesXCoordinates: finalNodesX, nodesYCoordinates: finalNodesY } = meshData;
@@ -242,6 +250,8 @@ function assembleElementContribution(meshData, FEAData, thermalBoundaryCondition
     meshData,
     basisFunctions: basisFunctions,
     FEAData,
+    // Used by the weak-form assembler to integrate its boundary kernel
+    boundaryConditions: thermalBoundaryConditions.boundaryConditions,
     // These are ignored by linear assemblers
     solutionVector: frontalState.currentSolutionVector,
     eikonalActivationFlag: frontalState.eikonalActivationFlag,
@@ -256,23 +266,19 @@ function assembleElementContribution(meshData, FEAData, thermalBoundaryCondition
 
   // heatConduction solver
   if (assembleFront === assembleHeatConductionFront) {
-    // Check if this element is on a Robin-type boundary
-    let isOnRobinTypeBoundary = false;
-    for (const boundaryKey in meshData.boundaryElements) {
-      if (
-        thermalBoundaryConditions.boundaryConditions[boundaryKey]?.[0] === "convection" &&
-        meshData.boundaryElements[boundaryKey].some(
-          ([boundaryElementIndex, _]) => boundaryElementIndex === elementIndex,
-        )
-      ) {
-        isOnRobinTypeBoundary = true;
-        break;
-      }
-    }
+    // Check if this element is on a Robin-type or a heat flux (Neumann-type) boundary
+    const isOnBoundaryOfType = (boundaryConditionType) =>
+      Object.keys(meshData.boundaryElements).some(
+        (boundaryKey) =>
+          thermalBoundaryConditions.boundaryConditions[boundaryKey]?.[0] === boundaryConditionType &&
+          meshData.boundaryElements[boundaryKey].some(
+            ([boundaryElementIndex, _]) => boundaryElementIndex === elementIndex,
+          ),
+      );
+    const { gaussPoints, gaussWeights } = FEAData;
 
     // Only calculate Robin-type for elements when required
-    if (isOnRobinTypeBoundary) {
-      const { gaussPoints, gaussWeights } = FEAData;
+    if (isOnBoundaryOfType("convection")) {
       const result = thermalBoundaryConditions.imposeConvectionBoundaryConditionsFront(
         elementIndex,
         meshData.nodesXCoordinates,
@@ -284,6 +290,21 @@ function assembleElementContribution(meshData, FEAData, thermalBoundaryCondition
       boundaryLocalJacobianMatrix = result.localJacobianMatrix;
       boundaryResidualVector = result.localResidualVector;
     }
+
+    if (isOnBoundaryOfType("heatFlux")) {
+      const { localResidualVector: heatFluxResidualVector } =
+        thermalBoundaryConditions.imposeHeatFluxBoundaryConditionsFront(
+          elementIndex,
+          meshData.nodesXCoordinates,
+          meshData.nodesYCoordinates,
+          gaussPoints,
+          gaussWeights,
+          basisFunctions,
+        );
+      for (let localNodeIndex = 0; localNodeIndex < FEAData.nodesPerElement; localNodeIndex++) {
+        boundaryResidualVector[localNodeIndex] += heatFluxResidualVector[localNodeIndex];
+      }
+    }
   } else if (assembleFront === assembleFrontPropagationFront) {
     // For now, no Robin-type boundary conditions exist for any other solver
   }
@@ -438,8 +459,10 @@ function runFrontalAlgorithm(meshData, FEAData, thermalBoundaryConditions, assem
       }
 
       if (rowCount > systemSize || columnCount > systemSize) {
-        errorLog("Error: systemSize not large enough");
-        return;
+        throw new SolverError("Frontal solver system size is not large enough", {
+          code: "FRONT_SIZE_EXCEEDED",
+          details: { rowCount, columnCount, systemSize },
+        });
       }
 
       for (let localColumnIndex = 0; localColumnIndex < numElementColumns; localColumnIndex++) {
@@ -493,8 +516,10 @@ function runFrontalAlgorithm(meshData, FEAData, thermalBoundaryConditions, assem
 
     if (availableColumnCount > summedRows || elementData.currentElementIndex < totalElements) {
       if (availableColumnCount === 0) {
-        errorLog("Error: no more rows fully summed");
-        return;
+        throw new SolverError("Frontal solver found no more fully summed rows", {
+          code: "NO_FULLY_SUMMED_ROWS",
+          details: { currentElementIndex: elementData.currentElementIndex },
+        });
       }
 
       let pivotRowIndex = pivotRowIndices[0];
@@ -532,14 +557,17 @@ function runFrontalAlgorithm(meshData, FEAData, thermalBoundaryConditions, assem
         if (nodeIndex >= pivotColumnGlobalIndex) columnSwapCount[nodeIndex]--;
       }
 
-      if (Math.abs(pivotValue) < 1e-10) {
-        errorLog(
-          `Matrix singular or ill-conditioned, currentElementIndex=${elementData.currentElementIndex}, pivotGlobalRowIndex=${pivotGlobalRowIndex}, pivotColumnGlobalIndex=${pivotColumnGlobalIndex}, pivotValue=${pivotValue}`,
+      if (pivotValue === 0) {
+        throw new SolverError(
+          `Matrix singular, currentElementIndex=${elementData.currentElementIndex}, pivotGlobalRowIndex=${pivotGlobalRowIndex}, pivotColumnGlobalIndex=${pivotColumnGlobalIndex}`,
+          { code: "SINGULAR_MATRIX", details: { pivotGlobalRowIndex, pivotColumnGlobalIndex } },
+        );
+      } else if (Math.abs(pivotValue) < 1e-10) {
+        warnLog(
+          `Matrix ill-conditioned, currentElementIndex=${elementData.currentElementIndex}, pivotGlobalRowIndex=${pivotGlobalRowIndex}, pivotColumnGlobalIndex=${pivotColumnGlobalIndex}, pivotValue=${pivotValue}`,
         );
       }
 
-      if (pivotValue === 0) return;
-
       for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
         frontStorage.pivotRow[columnIndex] = frontMatrix[pivotRowIndex - 1][columnIndex] / pivotValue;
       }
@@ -656,14 +684,17 @@ function runFrontalAlgorithm(meshData, FEAData, thermalBoundaryConditions, assem
         (frontalState.determinant * pivotValue * (-1) ** permutationHelper) / Math.abs(pivotValue);
 
       frontStorage.pivotRow[0] = 1;
-      if (Math.abs(pivotValue) < 1e-10) {
-        errorLog(
-          `Matrix singular or ill-conditioned, currentElementIndex=${elementData.currentElementIndex}, pivotGlobalRowIndex=${pivotGlobalRowIndex}, pivotColumnGlobalIndex=${pivotColumnGlobalIndex}, pivotValue=${pivotValue}`,
+      if (pivotValue === 0) {
+        throw new SolverError(
+          `Matrix singular, currentElementIndex=${elementData.currentElementIndex}, pivotGlobalRowIndex=${pivotGlobalRowIndex}, pivotColumnGlobalIndex=${pivotColumnGlobalIndex}`,
+          { code: "SINGULAR_MATRIX", details: { pivotGlobalRowIndex, pivotColumnGlobalIndex } },
+        );
+      } else if (Math.abs(pivotValue) < 1e-10) {
+        warnLog(
+          `Matrix ill-conditioned, currentElementIndex=${elementData.currentElementIndex}, pivotGlobalRowIndex=${pivotGlobalRowIndex}, pivotColumnGlobalIndex=${pivotColumnGlobalIndex}, pivotValue=${pivotValue}`,
         );
       }
 
-      if (pivotValue === 0) return;
-
       frontalData.globalResidualVector[pivotGlobalRowIndex - 1] =
         frontalData.globalResidualVector[pivotGlobalRowIndex - 1] / pivotValue;
       frontStorage.frontValues[frontDataCounter - 1] = frontStorage.pivotRow[0];
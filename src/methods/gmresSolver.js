@@ -0,0 +1,144 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { dotProduct, euclideanNorm, axpy } from "./blasUtilities.js";
+import { SparseMatrix } from "./sparseMatrix.js";
+import { createPreconditioner } from "./preconditioners.js";
+import { debugLog } from "../utilities/logging.js";
+
+/**
+ * Function to solve a (possibly non-symmetric) system of linear equations using the restarted GMRES(m) method
+ * with right preconditioning, so that the monitored residual is the true residual ||b - A·x||
+ * @param {SparseMatrix|array} A - The system matrix (a dense array is converted to CSR)
+ * @param {array} b - The right-hand side vector
+ * @param {array} x0 - Initial guess for solution vector
+ * @param {object} [options] - Optional parameters for the solver, such as `maxIterations`, `tolerance`,
+ *  `restart` (Krylov subspace size m) and `preconditioner` ("incompleteLU", "jacobi" or null)
+ * @returns {object} An object containing:
+ *  - solutionVector: The solution vector
+ *  - iterations: The number of iterations (matrix-vector products) performed
+ *  - converged: Boolean indicating whether the method converged
+ *  - residualHistory: Relative residual norm ||b - A·x|| / ||b|| at the start and after every iteration
+ */
+export function gmresSolver(A, b, x0, options = {}) {
+  // Extract options
+  const { maxIterations = 10000, tolerance = 1e-4, restart = 30, preconditioner = null } = options;
+
+  const sparseMatrix = A instanceof SparseMatrix ? A.compress() : SparseMatrix.fromDense(A);
+  const n = sparseMatrix.numberOfRows;
+  const m = Math.max(1, Math.min(restart, n));
+  const applyPreconditioner = createPreconditioner(preconditioner, sparseMatrix);
+
+  const x = new Float64Array(x0);
+  const rhsNorm = euclideanNorm(b) || 1;
+
+  // Krylov basis, Hessenberg matrix (column-wise) and Givens rotations
+  const krylovBasis = Array.from({ length: m + 1 }, () => new Float64Array(n));
+  const hessenberg = Array.from({ length: m }, () => new Float64Array(m + 1));
+  const cosines = new Float64Array(m);
+  const sines = new Float64Array(m);
+  const rotatedRhs = new Float64Array(m + 1);
+  const workVector = new Float64Array(n);
+  const preconditionedVector = new Float64Array(n);
+
+  // r = b - A·x
+  const residual = computeResidual(sparseMatrix, b, x, new Float64Array(n));
+  let residualNorm = euclideanNorm(residual);
+  const residualHistory = [residualNorm / rhsNorm];
+  let converged = residualHistory[0] < tolerance;
+  let iterations = 0;
+  let restarts = 0;
+
+  while (!converged && iterations < maxIterations) {
+    // Start a new cycle from v1 = r / ||r||
+    for (let i = 0; i < n; i++) krylovBasis[0][i] = residual[i] / residualNorm;
+    rotatedRhs.fill(0);
+    rotatedRhs[0] = residualNorm;
+
+    let cycleSize = 0;
+    for (let j = 0; j < m && iterations < maxIterations; j++) {
+      // w = A·M⁻¹·v_j
+      applyPreconditioner(krylovBasis[j], preconditionedVector);
+      const w = sparseMatrix.multiply(preconditionedVector, krylovBasis[j + 1]);
+
+      // Arnoldi process with modified Gram-Schmidt orthogonalization
+      const column = hessenberg[j];
+      column.fill(0);
+      for (let i = 0; i <= j; i++) {
+        column[i] = dotProduct(w, krylovBasis[i]);
+        axpy(-column[i], krylovBasis[i], w);
+      }
+      column[j + 1] = euclideanNorm(w);
+      // A zero norm means the Krylov subspace is invariant and the cycle's solution is exact ("happy breakdown")
+      const isBreakdown = column[j + 1] === 0;
+      if (!isBreakdown) {
+        for (let i = 0; i < n; i++) w[i] /= column[j + 1];
+      }
+
+      // Apply the previous Givens rotations to the new column, then eliminate its subdiagonal entry
+      for (let i = 0; i < j; i++) {
+        const temp = cosines[i] * column[i] + sines[i] * column[i + 1];
+        column[i + 1] = -sines[i] * column[i] + cosines[i] * column[i + 1];
+        column[i] = temp;
+      }
+      const denominator = Math.hypot(column[j], column[j + 1]);
+      cosines[j] = denominator === 0 ? 1 : column[j] / denominator;
+      sines[j] = denominator === 0 ? 0 : column[j + 1] / denominator;
+      column[j] = denominator;
+      column[j + 1] = 0;
+      rotatedRhs[j + 1] = -sines[j] * rotatedRhs[j];
+      rotatedRhs[j] = cosines[j] * rotatedRhs[j];
+
+      iterations++;
+      cycleSize = j + 1;
+      const relativeResidualNorm = Math.abs(rotatedRhs[j + 1]) / rhsNorm;
+      residualHistory.push(relativeResidualNorm);
+      if (relativeResidualNorm < tolerance || isBreakdown) break;
+    }
+
+    // Solve the upper triangular system H·y = g and update x += M⁻¹·(V·y)
+    const y = new Float64Array(cycleSize);
+    for (let i = cycleSize - 1; i >= 0; i--) {
+      let sum = rotatedRhs[i];
+      for (let k = i + 1; k < cycleSize; k++) sum -= hessenberg[k][i] * y[k];
+      y[i] = sum / hessenberg[i][i];
+    }
+    workVector.fill(0);
+    for (let i = 0; i < cycleSize; i++) axpy(y[i], krylovBasis[i], workVector);
+    applyPreconditioner(workVector, preconditionedVector);
+    axpy(1, preconditionedVector, x);
+
+    // Recompute the true residual before restarting
+    computeResidual(sparseMatrix, b, x, residual);
+    residualNorm = euclideanNorm(residual);
+    const trueRelativeResidualNorm = residualNorm / rhsNorm;
+    residualHistory[residualHistory.length - 1] = trueRelativeResidualNorm;
+    converged = trueRelativeResidualNorm < tolerance;
+    restarts++;
+  }
+
+  debugLog(`GMRES(${m}): ${iterations} iterations in ${restarts} cycles`);
+
+  return { solutionVector: x, iterations, converged, residualHistory };
+}
+
+/**
+ * Function to compute the residual r = b - A·x
+ * @param {SparseMatrix} sparseMatrix - The system matrix
+ * @param {array} b - The right-hand side vector
+ * @param {Float64Array} x - The current solution
+ * @param {Float64Array} result - Output vector (modified in place)
+ * @returns {Float64Array} The residual vector
+ */
+function computeResidual(sparseMatrix, b, x, result) {
+  sparseMatrix.multiply(x, result);
+  for (let i = 0; i < result.length; i++) result[i] = b[i] - result[i];
+  return result;
+}
@@ -8,11 +8,12 @@
  */
 
 // Internal imports
-import { dotProduct, copyVector, euclideanNorm } from "./blasUtilities.js";
+import { copyVector, euclideanNorm } from "./blasUtilities.js";
+import { SparseMatrix } from "./sparseMatrix.js";
 
 /**
  * Function to solve a system of linear equations using the Jacobi iterative method (CPU synchronous version)
- * @param {array} A - The system matrix
+ * @param {SparseMatrix|array} A - The system matrix (a dense array is converted to CSR)
  * @param {array} b - The right-hand side vector
  * @param {array} x0 - Initial guess for solution vector
  * @param {object} [options] - Optional parameters for the solver, such as `maxIterations` and `tolerance`
@@ -25,10 +26,12 @@ export function jacobiSolver(A, b, x0, options = {}) {
   // Extract options
   const { maxIterations, tolerance } = options;
 
-  const n = A.length;
+  const sparseMatrix = A instanceof SparseMatrix ? A.compress() : SparseMatrix.fromDense(A);
+  const { rowPointers, columnIndices, values } = sparseMatrix;
+  const n = sparseMatrix.numberOfRows;
 
   // Convert inputs to Float64Arrays for BLAS operations
-  const Arows = A.map((row) => new Float64Array(row));
+  const diagonal = sparseMatrix.getDiagonal();
   const bVec = new Float64Array(b);
   let x = new Float64Array(x0);
   let xNew = new Float64Array(n);
@@ -37,8 +40,11 @@ export function jacobiSolver(A, b, x0, options = {}) {
   // Jacobi update: xNew[i] = (b[i] - (A[i] · x) + A[i][i] * x[i]) / A[i][i]
   for (let iter = 0; iter < maxIterations; iter++) {
     for (let i = 0; i < n; i++) {
-      const rowDot = dotProduct(Arows[i], x);
-      xNew[i] = (bVec[i] - rowDot + Arows[i][i] * x[i]) / Arows[i][i];
+      let rowDot = 0;
+      for (let k = rowPointers[i]; k < rowPointers[i + 1]; k++) {
+        rowDot += values[k] * x[columnIndices[k]];
+      }
+      xNew[i] = (bVec[i] - rowDot + diagonal[i] * x[i]) / diagonal[i];
     }
 
     // Compute diff and copy xNew into x
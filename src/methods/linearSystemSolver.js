@@ -9,65 +9,163 @@
 
 // Internal imports
 import { jacobiSolver } from "./jacobiSolver.js";
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { conjugateGradientSolver } from "./conjugateGradientSolver.js";
+import { gmresSolver } from "./gmresSolver.js";
+import { biCgStabSolver } from "./biCgStabSolver.js";
+import { SparseMatrix } from "./sparseMatrix.js";
+import { ConfigurationError, ConvergenceError, SolverError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
 import * as Comlink from "../vendor/comlink.mjs";
 
+// Krylov subspace solver methods with their display name and default preconditioner
+const krylovSolverMethods = {
+  cg: { solver: conjugateGradientSolver, name: "Conjugate Gradient", defaultPreconditioner: null },
+  pcg: {
+    solver: conjugateGradientSolver,
+    name: "Preconditioned Conjugate Gradient",
+    defaultPreconditioner: "jacobi",
+  },
+  gmres: { solver: gmresSolver, name: "GMRES", defaultPreconditioner: "incompleteLU" },
+  bicgstab: { solver: biCgStabSolver, name: "BiCGSTAB", defaultPreconditioner: "incompleteLU" },
+};
+
 /**
  * Function to solve a system of linear equations using different solver methods
- * @param {string} solverMethod - The solver method to use ("lusolve" or "jacobi")
- * @param {Array} jacobianMatrix - The coefficient matrix
+ * @param {string} solverMethod - The solver method to use ("lusolve", "jacobi", "cg", "pcg", "gmres" or
+ *  "bicgstab")
+ * @param {SparseMatrix|Array} jacobianMatrix - The coefficient matrix (a dense array is converted to CSR)
  * @param {Array} residualVector - The right-hand side vector
- * @param {object} [options] - Optional parameters for the solver, such as `maxIterations` and `tolerance`
+ * @param {object} [options] - Optional parameters for the solver, such as `maxIterations`, `tolerance`,
+ *  `restart` (Krylov subspace size of "gmres", defaults to 30) and `preconditioner` ("jacobi",
+ *  "incompleteCholesky" or "incompleteLU"; defaults to "jacobi" for "pcg" and "incompleteLU" for "gmres"
+ *  and "bicgstab")
  * @returns {object} An object containing:
  *  - solutionVector: The solution vector
  *  - converged: Boolean indicating whether the method converged (for iterative methods)
  *  - iterations: Number of iterations performed (for iterative methods)
+ *  - residualHistory: Relative residual norm per iteration (for the Krylov methods, empty otherwise)
+ * @throws {ConfigurationError} If the solver method is unknown (code "UNKNOWN_SOLVER_METHOD")
+ * @throws {SolverError} If the LU factorization of a singular matrix fails (code "SINGULAR_MATRIX")
+ * @throws {ConvergenceError} If an iterative method does not converge (code "LINEAR_SOLVER_NOT_CONVERGED")
  */
 export function solveLinearSystem(solverMethod, jacobianMatrix, residualVector, options = {}) {
   // Extract options
-  const { maxIterations = 10000, tolerance = 1e-4 } = options;
+  const { maxIterations = 10000, tolerance = 1e-4, restart = 30, preconditioner } = options;
 
   let solutionVector = [];
   let converged = true;
   let iterations = 0;
+  let residualHistory = [];
+
+  // Work on the CSR representation of the matrix
+  const sparseMatrix =
+    jacobianMatrix instanceof SparseMatrix
+      ? jacobianMatrix.compress()
+      : SparseMatrix.fromDense(jacobianMatrix);
 
   // Solve the linear system based on the specified solver method
   basicLog(`Solving system using ${solverMethod}...`);
   console.time("systemSolving");
 
-  if (solverMethod === "lusolve") {
-    // Use LU decomposition method
-    const jacobianMatrixSparse = math.sparse(jacobianMatrix);
-    const luFactorization = math.slu(jacobianMatrixSparse, 1, 1); // order=1, threshold=1 for pivoting
-    let solutionMatrix = math.lusolve(luFactorization, residualVector);
-    solutionVector = math.squeeze(solutionMatrix).valueOf();
-    //solutionVector = math.lusolve(jacobianMatrix, residualVector); // In the case of a dense matrix
-  } else if (solverMethod === "jacobi") {
-    // Use Jacobi method
-    const initialGuess = new Array(residualVector.length).fill(0);
-    const jacobiSolverResult = jacobiSolver(jacobianMatrix, residualVector, initialGuess, {
-      maxIterations,
-      tolerance,
-    });
-
-    // Log convergence information
-    if (jacobiSolverResult.converged) {
-      debugLog(`Jacobi method converged in ${jacobiSolverResult.iterations} iterations`);
+  try {
+    if (solverMethod === "lusolve") {
+      // Use LU decomposition method
+      const jacobianMatrixSparse = toMathSparseMatrix(sparseMatrix);
+      let solutionMatrix;
+      try {
+        const luFactorization = math.slu(jacobianMatrixSparse, 1, 1); // order=1, threshold=1 for pivoting
+        solutionMatrix = math.lusolve(luFactorization, residualVector);
+      } catch (error) {
+        // math.js fails inside the factorization when no nonzero pivot is left
+        throw new SolverError("LU factorization failed: the system matrix is singular", {
+          code: "SINGULAR_MATRIX",
+          details: { solverMethod, size: sparseMatrix.numberOfRows },
+          cause: error,
+        });
+      }
+      solutionVector = math.squeeze(solutionMatrix).valueOf();
+      //solutionVector = math.lusolve(jacobianMatrix, residualVector); // In the case of a dense matrix
+    } else if (solverMethod === "jacobi") {
+      // Use Jacobi method
+      const initialGuess = new Array(residualVector.length).fill(0);
+      const jacobiSolverResult = jacobiSolver(sparseMatrix, residualVector, initialGuess, {
+        maxIterations,
+        tolerance,
+      });
+
+      // Log convergence information
+      if (jacobiSolverResult.converged) {
+        debugLog(`Jacobi method converged in ${jacobiSolverResult.iterations} iterations`);
+      } else {
+        throw new ConvergenceError(
+          `Jacobi method did not converge after ${jacobiSolverResult.iterations} iterations`,
+          {
+            code: "LINEAR_SOLVER_NOT_CONVERGED",
+            details: { solverMethod, iterations: jacobiSolverResult.iterations },
+          },
+        );
+      }
+
+      solutionVector = jacobiSolverResult.solutionVector;
+      converged = jacobiSolverResult.converged;
+      iterations = jacobiSolverResult.iterations;
+    } else if (Object.hasOwn(krylovSolverMethods, solverMethod)) {
+      // Use a Krylov subspace method: CG ("cg"/"pcg") for symmetric systems, GMRES(m) or BiCGSTAB otherwise
+      const { solver, name, defaultPreconditioner } = krylovSolverMethods[solverMethod];
+      const initialGuess = new Array(residualVector.length).fill(0);
+      const krylovSolverResult = solver(sparseMatrix, residualVector, initialGuess, {
+        maxIterations,
+        tolerance,
+        restart,
+        preconditioner: solverMethod === "cg" ? null : (preconditioner ?? defaultPreconditioner),
+      });
+
+      // Log convergence information
+      if (krylovSolverResult.converged) {
+        debugLog(`${name} method converged in ${krylovSolverResult.iterations} iterations`);
+      } else {
+        throw new ConvergenceError(
+          `${name} method did not converge after ${krylovSolverResult.iterations} iterations`,
+          {
+            code: "LINEAR_SOLVER_NOT_CONVERGED",
+            details: {
+              solverMethod,
+              iterations: krylovSolverResult.iterations,
+              residualHistory: krylovSolverResult.residualHistory,
+            },
+          },
+        );
+      }
+
+      solutionVector = krylovSolverResult.solutionVector;
+      converged = krylovSolverResult.converged;
+      iterations = krylovSolverResult.iterations;
+      residualHistory = krylovSolverResult.residualHistory;
     } else {
-      errorLog(`Jacobi method did not converge after ${jacobiSolverResult.iterations} iterations`);
+      throw new ConfigurationError(`Unknown solver method: ${solverMethod}`, {
+        code: "UNKNOWN_SOLVER_METHOD",
+        details: { solverMethod },
+      });
     }
-
-    solutionVector = jacobiSolverResult.solutionVector;
-    converged = jacobiSolverResult.converged;
-    iterations = jacobiSolverResult.iterations;
-  } else {
-    errorLog(`Unknown solver method: ${solverMethod}`);
+  } finally {
+    console.timeEnd("systemSolving");
   }
 
-  console.timeEnd("systemSolving");
   basicLog("System solved successfully");
 
-  return { solutionVector, converged, iterations };
+  return { solutionVector, converged, iterations, residualHistory };
+}
+
+// Helper to convert a CSR matrix into a math.js SparseMatrix, which uses compressed column storage
+function toMathSparseMatrix(sparseMatrix) {
+  // The CSR arrays of the transpose are exactly the CCS arrays of the original matrix
+  const transposedMatrix = sparseMatrix.transpose();
+  return new math.SparseMatrix({
+    values: Array.from(transposedMatrix.values),
+    index: Array.from(transposedMatrix.columnIndices),
+    ptr: Array.from(transposedMatrix.rowPointers),
+    size: [sparseMatrix.numberOfRows, sparseMatrix.numberOfColumns],
+  });
 }
 
 // Helper to lazily create a default WebGPU compute engine (Comlink + worker)
@@ -86,7 +184,7 @@ async function createDefaultComputeEngine() {
 /**
  * Function to solve asynchronously a system of linear equations using different solver methods
  * @param {string} solverMethod - The solver method to use (e.g., "jacobi-gpu")
- * @param {array} jacobianMatrix - The coefficient matrix
+ * @param {SparseMatrix|array} jacobianMatrix - The coefficient matrix
  * @param {array} residualVector - The right-hand side vector
  * @param {object} [options] - Optional parameters for the solver, such as `maxIterations` and `tolerance`
  * @returns {Promise<object>} A promise that resolves to an object containing:
@@ -101,8 +199,9 @@ export async function solveLinearSystemAsync(solverMethod, jacobianMatrix, resid
   basicLog(`Solving system using ${solverMethod}...`);
   console.time("systemSolving");
 
-  // Normalize inputs
-  const A = Array.isArray(jacobianMatrix) ? jacobianMatrix : (jacobianMatrix?.toArray?.() ?? jacobianMatrix);
+  // Normalize inputs (the GPU Jacobi kernel works on a dense matrix)
+  const denseMatrix = jacobianMatrix instanceof SparseMatrix ? jacobianMatrix.toDense() : jacobianMatrix;
+  const A = Array.isArray(denseMatrix) ? denseMatrix : (denseMatrix?.toArray?.() ?? denseMatrix);
   const b = Array.isArray(residualVector) ? residualVector : (residualVector?.toArray?.() ?? residualVector);
 
   let created = null;
@@ -112,36 +211,44 @@ export async function solveLinearSystemAsync(solverMethod, jacobianMatrix, resid
   let converged = true;
   let iterations;
 
-  if (solverMethod === "jacobi-gpu") {
-    // Spin up a worker-backed compute engine
-    created = await createDefaultComputeEngine();
-    computeEngine = created.computeEngine;
-
-    const x0 = new Array(b.length).fill(0);
-    let result;
-
-    result = await computeEngine.webgpuJacobiSolver(A, b, x0, { maxIterations, tolerance });
-    solutionVector = result.solutionVector;
-    converged = result.converged;
-    iterations = result.iterations;
-
-    // Log convergence information
-    if (converged) {
-      debugLog(`Jacobi method converged in ${iterations} iterations`);
+  try {
+    if (solverMethod === "jacobi-gpu") {
+      // Spin up a worker-backed compute engine
+      created = await createDefaultComputeEngine();
+      computeEngine = created.computeEngine;
+
+      const x0 = new Array(b.length).fill(0);
+      let result;
+
+      result = await computeEngine.webgpuJacobiSolver(A, b, x0, { maxIterations, tolerance });
+      solutionVector = result.solutionVector;
+      converged = result.converged;
+      iterations = result.iterations;
+
+      // Release the GPU resources before reporting the result
+      await computeEngine?.destroy?.().catch(() => {});
+      created.worker.terminate();
+
+      // Log convergence information
+      if (converged) {
+        debugLog(`Jacobi method converged in ${iterations} iterations`);
+      } else {
+        throw new ConvergenceError(`Jacobi method did not converge after ${iterations} iterations`, {
+          code: "LINEAR_SOLVER_NOT_CONVERGED",
+          details: { solverMethod, iterations },
+        });
+      }
     } else {
-      errorLog(`Jacobi method did not converge after ${iterations} iterations`);
+      throw new ConfigurationError(`Unknown solver method: ${solverMethod}`, {
+        code: "UNKNOWN_SOLVER_METHOD",
+        details: { solverMethod },
+      });
     }
-  } else {
-    errorLog(`Unknown solver method: ${solverMethod}`);
+  } finally {
+    console.timeEnd("systemSolving");
   }
 
-  console.timeEnd("systemSolving");
   basicLog(`System solved successfully (${solverMethod})`);
 
-  if (created) {
-    await computeEngine?.destroy?.().catch(() => {});
-    created.worker.terminate();
-  }
-
   return { solutionVector, converged, iterations };
 }
@@ -0,0 +1,170 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { solveLinearSystem } from "./linearSystemSolver.js";
+import { SparseMatrix } from "./sparseMatrix.js";
+import { getNumberOfTimeSteps } from "./timeSteppingUtils.js";
+import { ConfigurationError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
+
+/**
+ * Function to integrate the linear second-order system massMatrix·a + C·v + jacobianMatrix·d = F(t) in time
+ * with the Newmark-beta method, or with its Hilber-Hughes-Taylor (HHT-alpha) variant:
+ *  M·aⁿ⁺¹ + (1 + α)·(C·vⁿ⁺¹ + J·dⁿ⁺¹) - α·(C·vⁿ + J·dⁿ) = (1 + α)·Fⁿ⁺¹ - α·Fⁿ
+ *  dⁿ⁺¹ = dⁿ + Δt·vⁿ + Δt²·((1/2 - β)·aⁿ + β·aⁿ⁺¹)
+ *  vⁿ⁺¹ = vⁿ + Δt·((1 - γ)·aⁿ + γ·aⁿ⁺¹)
+ * where C = a₀·M + a₁·J is the Rayleigh damping matrix. α = 0 gives the Newmark method (β = 1/4, γ = 1/2 is
+ * the unconditionally stable average acceleration scheme); α in [-1/3, 0) adds numerical damping of the
+ * high frequencies, with β = (1 - α)²/4 and γ = 1/2 - α by default. Rows of the Jacobian matrix that were
+ * replaced by identity rows (Dirichlet conditions) keep their prescribed values, with zero velocity and
+ * acceleration
+ * @param {SparseMatrix} massMatrix - The assembled mass matrix
+ * @param {SparseMatrix} jacobianMatrix - The assembled Jacobian (stiffness) matrix, including the boundary
+ *  conditions
+ * @param {function} assembleLoadVector - Function of the time t returning the assembled residual (load)
+ *  vector, including the boundary conditions
+ * @param {object} context - Context object containing the time stepping parameters:
+ *  - initialSolution: Displacement vector at t = 0 (defaults to zero)
+ *  - initialVelocity: Velocity vector at t = 0 (defaults to zero)
+ *  - timeStep: Time step size Δt
+ *  - endTime: Final simulation time, a whole number of time steps
+ *  - alpha: HHT parameter between -1/3 and 0 (defaults to 0)
+ *  - beta, gamma: Newmark parameters (default to the values above)
+ *  - massCoefficient, stiffnessCoefficient: Rayleigh damping coefficients a₀ and a₁ (default to 0)
+ *  - solverMethod, maxIterations, tolerance, preconditioner, restart: Linear solver settings
+ * @returns {object} An object containing:
+ *  - solutionVector: The displacement vector at the final time
+ *  - timeSeries: Object with the `times` and the `solutionVectors`, `velocities` and `accelerations` of
+ *    every time step (including t = 0)
+ * @throws {ConfigurationError} If the time step, end time or Newmark parameters are invalid (code
+ *  "INVALID_TIME_STEPPING")
+ */
+export function newmarkMethod(massMatrix, jacobianMatrix, assembleLoadVector, context) {
+  const {
+    initialSolution,
+    initialVelocity,
+    timeStep,
+    endTime,
+    alpha = 0,
+    beta = (1 - alpha) ** 2 / 4,
+    gamma = 0.5 - alpha,
+    massCoefficient = 0,
+    stiffnessCoefficient = 0,
+    solverMethod = "lusolve",
+    ...solverOptions
+  } = context;
+
+  const numberOfSteps = getNumberOfTimeSteps(timeStep, endTime);
+  if (!(alpha >= -1 / 3 && alpha <= 0) || !(beta >= 0) || !(gamma >= 0.5)) {
+    throw new ConfigurationError(
+      `Invalid Newmark parameters: alpha = ${alpha}, beta = ${beta}, gamma = ${gamma}. Expected ` +
+        "alpha between -1/3 and 0, beta >= 0 and gamma >= 1/2",
+      { code: "INVALID_TIME_STEPPING", details: { alpha, beta, gamma } },
+    );
+  }
+
+  massMatrix.compress();
+  jacobianMatrix.compress();
+  const n = jacobianMatrix.numberOfRows;
+
+  // Locate the Dirichlet rows, i.e. rows whose only non-zero entry is on the diagonal
+  let loadVector = assembleLoadVector(0);
+  const constrainedValues = new Map();
+  jacobianMatrix.getIdentityRows().forEach((diagonalValue, i) => {
+    constrainedValues.set(i, loadVector[i] / diagonalValue);
+  });
+  debugLog(
+    `Newmark method: ${constrainedValues.size} constrained and ${n - constrainedValues.size} free unknowns`,
+  );
+
+  // Rayleigh damping matrix C = a₀·M + a₁·J
+  const dampingMatrix = new SparseMatrix(n)
+    .addScaledMatrix(massMatrix, massCoefficient)
+    .addScaledMatrix(jacobianMatrix, stiffnessCoefficient)
+    .compress();
+
+  // Effective force (1 + α)·F(t) - α·F(t - Δt) - (C·v + J·d) terms, leaving the constrained rows at zero
+  const dampingTimesVelocity = new Float64Array(n);
+  const jacobianTimesDisplacement = new Float64Array(n);
+  const internalForces = (displacement, velocity) => {
+    dampingMatrix.multiply(velocity, dampingTimesVelocity);
+    jacobianMatrix.multiply(displacement, jacobianTimesDisplacement);
+    return Float64Array.from(dampingTimesVelocity, (value, i) => value + jacobianTimesDisplacement[i]);
+  };
+  const solveConstrained = (systemMatrix, rhsVector) => {
+    for (const i of constrainedValues.keys()) rhsVector[i] = 0;
+    return Array.from(solveLinearSystem(solverMethod, systemMatrix, rhsVector, solverOptions).solutionVector);
+  };
+
+  // Initial state, with the initial acceleration from the equation of motion at t = 0
+  let displacement = initialSolution ? Array.from(initialSolution) : new Array(n).fill(0);
+  let velocity = initialVelocity ? Array.from(initialVelocity) : new Array(n).fill(0);
+  for (const [i, value] of constrainedValues) {
+    displacement[i] = value;
+    velocity[i] = 0;
+  }
+  const constrainedMassMatrix = new SparseMatrix(n).addScaledMatrix(massMatrix, 1);
+  for (const i of constrainedValues.keys()) constrainedMassMatrix.setIdentityRow(i);
+  const initialForces = internalForces(displacement, velocity);
+  let acceleration = solveConstrained(
+    constrainedMassMatrix,
+    Array.from(loadVector, (value, i) => value - initialForces[i]),
+  );
+
+  // System matrix M + (1 + α)·(γ·Δt·C + β·Δt²·J) (constant throughout the simulation)
+  const systemMatrix = new SparseMatrix(n)
+    .addScaledMatrix(massMatrix, 1)
+    .addScaledMatrix(dampingMatrix, (1 + alpha) * gamma * timeStep)
+    .addScaledMatrix(jacobianMatrix, (1 + alpha) * beta * timeStep ** 2);
+  for (const i of constrainedValues.keys()) systemMatrix.setIdentityRow(i);
+
+  const times = [0];
+  const solutionVectors = [Array.from(displacement)];
+  const velocities = [Array.from(velocity)];
+  const accelerations = [Array.from(acceleration)];
+
+  basicLog(
+    `Time stepping with Newmark (alpha = ${alpha}, beta = ${beta}, gamma = ${gamma}): ` +
+      `${numberOfSteps} steps of Δt = ${timeStep}`,
+  );
+  for (let step = 1; step <= numberOfSteps; step++) {
+    const time = step * timeStep;
+    const nextLoadVector = assembleLoadVector(time);
+
+    // Predictors of the displacement and velocity, completed with the new acceleration
+    const predictedDisplacement = displacement.map(
+      (value, i) => value + timeStep * velocity[i] + timeStep ** 2 * (0.5 - beta) * acceleration[i],
+    );
+    const predictedVelocity = velocity.map((value, i) => value + timeStep * (1 - gamma) * acceleration[i]);
+    const predictedForces = internalForces(predictedDisplacement, predictedVelocity);
+    const previousForces = internalForces(displacement, velocity);
+    const rhsVector = Array.from(
+      { length: n },
+      (_, i) =>
+        (1 + alpha) * (nextLoadVector[i] - predictedForces[i]) - alpha * (loadVector[i] - previousForces[i]),
+    );
+    acceleration = solveConstrained(systemMatrix, rhsVector);
+    displacement = predictedDisplacement.map((value, i) => value + timeStep ** 2 * beta * acceleration[i]);
+    velocity = predictedVelocity.map((value, i) => value + timeStep * gamma * acceleration[i]);
+    for (const [i, value] of constrainedValues) displacement[i] = value;
+    loadVector = nextLoadVector;
+
+    times.push(time);
+    solutionVectors.push(displacement);
+    velocities.push(velocity);
+    accelerations.push(acceleration);
+    debugLog(`Newmark method: step ${step}/${numberOfSteps} completed (t = ${time})`);
+  }
+
+  return {
+    solutionVector: displacement,
+    timeSeries: { times, solutionVectors, velocities, accelerations },
+  };
+}
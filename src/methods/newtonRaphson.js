@@ -10,7 +10,8 @@
 // Internal imports
 import { euclideanNorm, axpy } from "../methods/blasUtilities.js";
 import { solveLinearSystem } from "./linearSystemSolver.js";
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { ConvergenceError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
 import { runFrontalSolver } from "./frontalSolver.js";
 import { assembleFrontPropagationFront } from "../models/frontPropagation.js";
 
@@ -21,28 +22,33 @@ import { assembleFrontPropagationFront } from "../models/frontPropagation.js";
  * @returns {object} An object containing:
  *  - solutionVector: The solution vector
  *  - iterations: The number of iterations performed
- *  - converged: Boolean indicating whether the method converged
+ *  - converged: Boolean indicating whether the method converged within maxIterations
+ * @throws {ConvergenceError} If the Newton update grows to more than `divergenceFactor` (default 1e2) times
+ *  both the previous update and the current solution, i.e. the iterations diverge
  */
 
 export function newtonRaphson(assembleMat, context = {}) {
   let errorNorm = 0;
+  let previousErrorNorm = 0;
   let converged = false;
   let iterations = 0;
   let jacobianMatrix = [];
   let residualVector = [];
 
   // Extract context
-  const { maxIterations = 100, tolerance = 1e-4 } = context;
+  const { maxIterations = 100, tolerance = 1e-4, divergenceFactor = 1e2 } = context;
 
-  // Calculate system size
-  const totalNodes = context.meshData.nodesXCoordinates.length;
+  // Calculate system size (models with several degrees of freedom per node set context.dofsPerNode, and
+  // mixed formulations whose unknowns are not shared evenly among the nodes set context.totalDOFs)
+  const totalDOFs =
+    context.totalDOFs ?? context.meshData.nodesXCoordinates.length * (context.dofsPerNode ?? 1);
 
   // Initialize solution and update vectors as zero-filled typed arrays
-  let solutionVector = new Float64Array(totalNodes);
-  let deltaX = new Float64Array(totalNodes);
+  let solutionVector = new Float64Array(totalDOFs);
+  let deltaX = new Float64Array(totalDOFs);
 
   // Initialize solution from context if available
-  if (context.initialSolution && context.initialSolution.length === totalNodes) {
+  if (context.initialSolution && context.initialSolution.length === totalDOFs) {
     solutionVector = new Float64Array(context.initialSolution);
   }
 
@@ -69,11 +75,15 @@ export function newtonRaphson(assembleMat, context = {}) {
       ));
 
       // Solve the linear system based on the specified solver method
-      const linearSystemResult = solveLinearSystem(context.solverMethod, jacobianMatrix, residualVector);
+      const linearSystemResult = solveLinearSystem(context.solverMethod, jacobianMatrix, residualVector, {
+        preconditioner: context.preconditioner,
+        restart: context.restart,
+      });
       deltaX = linearSystemResult.solutionVector;
     }
 
     // Check convergence
+    previousErrorNorm = errorNorm;
     errorNorm = euclideanNorm(deltaX);
 
     // Norm for each iteration
@@ -81,9 +91,15 @@ export function newtonRaphson(assembleMat, context = {}) {
 
     if (errorNorm <= tolerance) {
       converged = true;
-    } else if (errorNorm > 1e2) {
-      errorLog(`Solution not converged. Error norm: ${errorNorm}`);
-      break;
+    } else if (
+      // The first update, from the initial guess, may have any size
+      iterations > 0 &&
+      errorNorm > divergenceFactor * Math.max(previousErrorNorm, euclideanNorm(solutionVector))
+    ) {
+      throw new ConvergenceError(`Newton-Raphson method diverged. Error norm: ${errorNorm}`, {
+        code: "NEWTON_DIVERGED",
+        details: { iterations: iterations + 1, errorNorm, previousErrorNorm },
+      });
     }
 
     iterations++;
@@ -15,10 +15,12 @@ export class NumericalIntegration {
    * Constructor to initialize the NumericalIntegration class
    * @param {string} meshDimension - The dimension of the mesh
    * @param {string} elementOrder - The order of elements
+   * @param {string} [elementType='quadrilateral'] - The shape of 2D elements, either 'quadrilateral' or 'triangle'
    */
-  constructor({ meshDimension, elementOrder }) {
+  constructor({ meshDimension, elementOrder, elementType = "quadrilateral" }) {
     this.meshDimension = meshDimension;
     this.elementOrder = elementOrder;
+    this.elementType = elementType;
   }
 
   /**
@@ -61,4 +63,53 @@ export class NumericalIntegration {
 
     return { gaussPoints, gaussWeights };
   }
+  /**
+   * Function to return the Gauss points and weights over the 2D reference element
+   * @returns {object} An object containing:
+   *  - gaussPoints2D: Array of [ksi, eta] Gauss points
+   *  - gaussWeights2D: Array of Gauss weights (summing to the area of the reference element)
+   *
+   * Quadrilaterals use the tensor product of the 1D rule of getGaussPointsAndWeights. Triangles use
+   * symmetric rules on the reference triangle (area 1/2): 3 points (exact up to degree 2) for linear
+   * and 6 points (exact up to degree 4) for quadratic elements
+   */
+  getGaussPointsAndWeights2D() {
+    let gaussPoints2D = [];
+    let gaussWeights2D = [];
+
+    if (this.elementType === "triangle") {
+      if (this.elementOrder === "linear") {
+        gaussPoints2D = [
+          [1 / 6, 1 / 6],
+          [2 / 3, 1 / 6],
+          [1 / 6, 2 / 3],
+        ];
+        gaussWeights2D = [1 / 6, 1 / 6, 1 / 6];
+      } else if (this.elementOrder === "quadratic") {
+        const a = 0.445948490915965;
+        const b = 0.091576213509771;
+        const weightA = 0.223381589678011 / 2;
+        const weightB = 0.109951743655322 / 2;
+        gaussPoints2D = [
+          [a, a],
+          [1 - 2 * a, a],
+          [a, 1 - 2 * a],
+          [b, b],
+          [1 - 2 * b, b],
+          [b, 1 - 2 * b],
+        ];
+        gaussWeights2D = [weightA, weightA, weightA, weightB, weightB, weightB];
+      }
+    } else {
+      const { gaussPoints, gaussWeights } = this.getGaussPointsAndWeights();
+      for (let gaussPointIndex1 = 0; gaussPointIndex1 < gaussPoints.length; gaussPointIndex1++) {
+        for (let gaussPointIndex2 = 0; gaussPointIndex2 < gaussPoints.length; gaussPointIndex2++) {
+          gaussPoints2D.push([gaussPoints[gaussPointIndex1], gaussPoints[gaussPointIndex2]]);
+          gaussWeights2D.push(gaussWeights[gaussPointIndex1] * gaussWeights[gaussPointIndex2]);
+        }
+      }
+    }
+
+    return { gaussPoints2D, gaussWeights2D };
+  }
 }
@@ -0,0 +1,237 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { copyVector } from "./blasUtilities.js";
+import { ConfigurationError } from "../utilities/errors.js";
+import { debugLog, warnLog } from "../utilities/logging.js";
+
+/**
+ * Function to create a preconditioner for the Krylov solvers
+ * A preconditioner is returned as a function (residualVector, resultVector) => void that writes
+ * M⁻¹·residualVector into resultVector
+ * @param {string|null} preconditionerType - "jacobi", "incompleteCholesky", "incompleteLU" or null/"none"
+ * @param {SparseMatrix} sparseMatrix - The (compressed) system matrix
+ * @returns {function} The preconditioner application function
+ */
+export function createPreconditioner(preconditionerType, sparseMatrix) {
+  if (!preconditionerType || preconditionerType === "none") {
+    return identityPreconditioner;
+  } else if (preconditionerType === "jacobi") {
+    return createJacobiPreconditioner(sparseMatrix);
+  } else if (preconditionerType === "incompleteCholesky") {
+    return createIncompleteCholeskyPreconditioner(sparseMatrix);
+  } else if (preconditionerType === "incompleteLU") {
+    return createIncompleteLUPreconditioner(sparseMatrix);
+  } else {
+    throw new ConfigurationError(`Unknown preconditioner: ${preconditionerType}`, {
+      code: "UNKNOWN_PRECONDITIONER",
+      details: { preconditioner: preconditionerType },
+    });
+  }
+}
+
+/**
+ * Function to apply the identity (no) preconditioner
+ * @param {Float64Array} residualVector - Input vector
+ * @param {Float64Array} resultVector - Output vector (modified in place)
+ */
+function identityPreconditioner(residualVector, resultVector) {
+  copyVector(residualVector, resultVector);
+}
+
+/**
+ * Function to create a Jacobi (diagonal) preconditioner, M = diag(A)
+ * @param {SparseMatrix} sparseMatrix - The system matrix
+ * @returns {function} The preconditioner application function
+ */
+export function createJacobiPreconditioner(sparseMatrix) {
+  const diagonal = sparseMatrix.getDiagonal();
+  const inverseDiagonal = new Float64Array(diagonal.length);
+  for (let i = 0; i < diagonal.length; i++) {
+    // Rows without a diagonal entry are left unscaled
+    inverseDiagonal[i] = diagonal[i] !== 0 ? 1 / diagonal[i] : 1;
+  }
+  return (residualVector, resultVector) => {
+    for (let i = 0; i < inverseDiagonal.length; i++) {
+      resultVector[i] = inverseDiagonal[i] * residualVector[i];
+    }
+  };
+}
+
+/**
+ * Function to create a zero fill-in incomplete Cholesky preconditioner, M = L·Lᵀ with L restricted to
+ * the sparsity pattern of the lower triangle of A. Requires a symmetric positive definite matrix; on a
+ * non-positive pivot it falls back to the Jacobi preconditioner
+ * @param {SparseMatrix} sparseMatrix - The system matrix
+ * @returns {function} The preconditioner application function
+ */
+export function createIncompleteCholeskyPreconditioner(sparseMatrix) {
+  sparseMatrix.compress();
+  const { numberOfRows, rowPointers, columnIndices, values } = sparseMatrix;
+
+  // Copy the lower triangle (diagonal stored last in each row) as the initial L
+  const lowerRowPointers = new Int32Array(numberOfRows + 1);
+  for (let i = 0; i < numberOfRows; i++) {
+    let count = 0;
+    for (let k = rowPointers[i]; k < rowPointers[i + 1]; k++) {
+      if (columnIndices[k] <= i) count++;
+    }
+    lowerRowPointers[i + 1] = lowerRowPointers[i] + count;
+  }
+  const lowerColumnIndices = new Int32Array(lowerRowPointers[numberOfRows]);
+  const lowerValues = new Float64Array(lowerRowPointers[numberOfRows]);
+  for (let i = 0; i < numberOfRows; i++) {
+    let position = lowerRowPointers[i];
+    for (let k = rowPointers[i]; k < rowPointers[i + 1]; k++) {
+      if (columnIndices[k] <= i) {
+        lowerColumnIndices[position] = columnIndices[k];
+        lowerValues[position] = values[k];
+        position++;
+      }
+    }
+  }
+
+  // Row-oriented IC(0) factorization
+  for (let i = 0; i < numberOfRows; i++) {
+    const rowStart = lowerRowPointers[i];
+    const diagonalPosition = lowerRowPointers[i + 1] - 1;
+    if (diagonalPosition < rowStart || lowerColumnIndices[diagonalPosition] !== i) {
+      warnLog(`Incomplete Cholesky: row ${i} has no diagonal entry, using the Jacobi preconditioner instead`);
+      return createJacobiPreconditioner(sparseMatrix);
+    }
+
+    for (let k = rowStart; k < diagonalPosition; k++) {
+      const j = lowerColumnIndices[k];
+      // L_ij = (a_ij - Σ_{m<j} L_im·L_jm) / L_jj, using a sorted merge of rows i and j
+      let sum = lowerValues[k];
+      let p = rowStart;
+      let q = lowerRowPointers[j];
+      const jDiagonalPosition = lowerRowPointers[j + 1] - 1;
+      while (p < k && q < jDiagonalPosition) {
+        if (lowerColumnIndices[p] === lowerColumnIndices[q]) {
+          sum -= lowerValues[p] * lowerValues[q];
+          p++;
+          q++;
+        } else if (lowerColumnIndices[p] < lowerColumnIndices[q]) {
+          p++;
+        } else {
+          q++;
+        }
+      }
+      lowerValues[k] = sum / lowerValues[jDiagonalPosition];
+    }
+
+    let pivot = lowerValues[diagonalPosition];
+    for (let k = rowStart; k < diagonalPosition; k++) {
+      pivot -= lowerValues[k] ** 2;
+    }
+    if (!(pivot > 0)) {
+      warnLog(`Incomplete Cholesky: non-positive pivot at row ${i}, using the Jacobi preconditioner instead`);
+      return createJacobiPreconditioner(sparseMatrix);
+    }
+    lowerValues[diagonalPosition] = Math.sqrt(pivot);
+  }
+  debugLog(`Incomplete Cholesky factorization completed (${lowerValues.length} non-zeros in L)`);
+
+  const intermediateVector = new Float64Array(numberOfRows);
+  return (residualVector, resultVector) => {
+    // Forward substitution: L·y = r
+    for (let i = 0; i < numberOfRows; i++) {
+      let sum = residualVector[i];
+      const diagonalPosition = lowerRowPointers[i + 1] - 1;
+      for (let k = lowerRowPointers[i]; k < diagonalPosition; k++) {
+        sum -= lowerValues[k] * intermediateVector[lowerColumnIndices[k]];
+      }
+      intermediateVector[i] = sum / lowerValues[diagonalPosition];
+    }
+    // Backward substitution: Lᵀ·z = y (column-oriented sweep over the rows of L)
+    copyVector(intermediateVector, resultVector);
+    for (let i = numberOfRows - 1; i >= 0; i--) {
+      const diagonalPosition = lowerRowPointers[i + 1] - 1;
+      resultVector[i] /= lowerValues[diagonalPosition];
+      for (let k = lowerRowPointers[i]; k < diagonalPosition; k++) {
+        resultVector[lowerColumnIndices[k]] -= lowerValues[k] * resultVector[i];
+      }
+    }
+  };
+}
+
+/**
+ * Function to create a zero fill-in incomplete LU preconditioner, M = L·U with L (unit lower) and U
+ * restricted to the sparsity pattern of A. Suitable for non-symmetric matrices; on a zero pivot it falls
+ * back to the Jacobi preconditioner
+ * @param {SparseMatrix} sparseMatrix - The system matrix
+ * @returns {function} The preconditioner application function
+ */
+export function createIncompleteLUPreconditioner(sparseMatrix) {
+  sparseMatrix.compress();
+  const { numberOfRows, rowPointers, columnIndices } = sparseMatrix;
+  const factorValues = new Float64Array(sparseMatrix.values);
+
+  // Locate the diagonal entry of each row
+  const diagonalPositions = new Int32Array(numberOfRows);
+  for (let i = 0; i < numberOfRows; i++) {
+    const position = sparseMatrix.findEntry(i, i);
+    if (position === -1) {
+      warnLog(`Incomplete LU: row ${i} has no diagonal entry, using the Jacobi preconditioner instead`);
+      return createJacobiPreconditioner(sparseMatrix);
+    }
+    diagonalPositions[i] = position;
+  }
+
+  // Row-oriented IKJ variant of ILU(0)
+  const rowPositions = new Int32Array(numberOfRows).fill(-1);
+  for (let i = 0; i < numberOfRows; i++) {
+    for (let k = rowPointers[i]; k < rowPointers[i + 1]; k++) rowPositions[columnIndices[k]] = k;
+
+    for (let k = rowPointers[i]; k < diagonalPositions[i]; k++) {
+      const pivotRow = columnIndices[k];
+      const pivot = factorValues[diagonalPositions[pivotRow]];
+      if (pivot === 0) {
+        warnLog(`Incomplete LU: zero pivot at row ${pivotRow}, using the Jacobi preconditioner instead`);
+        return createJacobiPreconditioner(sparseMatrix);
+      }
+      const multiplier = (factorValues[k] /= pivot);
+      // Update the entries of row i that also exist in the upper part of the pivot row (no fill-in)
+      for (let m = diagonalPositions[pivotRow] + 1; m < rowPointers[pivotRow + 1]; m++) {
+        const position = rowPositions[columnIndices[m]];
+        if (position !== -1) factorValues[position] -= multiplier * factorValues[m];
+      }
+    }
+
+    for (let k = rowPointers[i]; k < rowPointers[i + 1]; k++) rowPositions[columnIndices[k]] = -1;
+  }
+  for (let i = 0; i < numberOfRows; i++) {
+    if (factorValues[diagonalPositions[i]] === 0) {
+      warnLog(`Incomplete LU: zero pivot at row ${i}, using the Jacobi preconditioner instead`);
+      return createJacobiPreconditioner(sparseMatrix);
+    }
+  }
+  debugLog(`Incomplete LU factorization completed (${factorValues.length} non-zeros)`);
+
+  return (residualVector, resultVector) => {
+    // Forward substitution with the unit lower factor: L·y = r
+    for (let i = 0; i < numberOfRows; i++) {
+      let sum = residualVector[i];
+      for (let k = rowPointers[i]; k < diagonalPositions[i]; k++) {
+        sum -= factorValues[k] * resultVector[columnIndices[k]];
+      }
+      resultVector[i] = sum;
+    }
+    // Backward substitution with the upper factor: U·z = y
+    for (let i = numberOfRows - 1; i >= 0; i--) {
+      let sum = resultVector[i];
+      for (let k = diagonalPositions[i] + 1; k < rowPointers[i + 1]; k++) {
+        sum -= factorValues[k] * resultVector[columnIndices[k]];
+      }
+      resultVector[i] = sum / factorValues[diagonalPositions[i]];
+    }
+  };
+}
@@ -0,0 +1,361 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Class to store the global system matrix in compressed sparse row (CSR) format
+ *
+ * Entries are first accumulated as (row, column, value) triplets, which is what element
+ * assembly naturally produces, and are merged into CSR storage (Float64Array values, Int32Array
+ * column indices and row pointers) by compress(). Duplicate triplets are summed. Once compressed,
+ * addValue/setValue update existing entries in place; entries outside the sparsity pattern are
+ * queued as new triplets and merged on the next compress()
+ */
+export class SparseMatrix {
+  /**
+   * Constructor to initialize the SparseMatrix class
+   * @param {number} numberOfRows - Number of rows of the matrix
+   * @param {number} [numberOfColumns] - Number of columns of the matrix (defaults to a square matrix)
+   */
+  constructor(numberOfRows, numberOfColumns = numberOfRows) {
+    this.numberOfRows = numberOfRows;
+    this.numberOfColumns = numberOfColumns;
+
+    // Pending triplets (not yet merged into the CSR storage)
+    this.tripletRows = [];
+    this.tripletColumns = [];
+    this.tripletValues = [];
+
+    // CSR storage (null until the first compress())
+    this.rowPointers = null;
+    this.columnIndices = null;
+    this.values = null;
+  }
+
+  /**
+   * Function to get the number of stored entries (including pending triplets)
+   * @returns {number} Number of non-zero entries
+   */
+  get nonZeroCount() {
+    return (this.rowPointers ? this.rowPointers[this.numberOfRows] : 0) + this.tripletValues.length;
+  }
+
+  /**
+   * Function to locate an entry in the CSR storage
+   * @param {number} rowIndex - Zero-based row index
+   * @param {number} colIndex - Zero-based column index
+   * @returns {number} Position of the entry in the values array, or -1 if it is not stored
+   */
+  findEntry(rowIndex, colIndex) {
+    if (!this.rowPointers) return -1;
+    // Column indices are sorted within each row, so use a binary search
+    let low = this.rowPointers[rowIndex];
+    let high = this.rowPointers[rowIndex + 1] - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const column = this.columnIndices[middle];
+      if (column === colIndex) return middle;
+      if (column < colIndex) low = middle + 1;
+      else high = middle - 1;
+    }
+    return -1;
+  }
+
+  /**
+   * Function to add a value to an entry (the sparse equivalent of matrix[i][j] += value)
+   * @param {number} rowIndex - Zero-based row index
+   * @param {number} colIndex - Zero-based column index
+   * @param {number} value - Value to add
+   */
+  addValue(rowIndex, colIndex, value) {
+    const position = this.findEntry(rowIndex, colIndex);
+    if (position !== -1) {
+      this.values[position] += value;
+      return;
+    }
+    this.tripletRows.push(rowIndex);
+    this.tripletColumns.push(colIndex);
+    this.tripletValues.push(value);
+  }
+
+  /**
+   * Function to overwrite an entry (the sparse equivalent of matrix[i][j] = value)
+   * @param {number} rowIndex - Zero-based row index
+   * @param {number} colIndex - Zero-based column index
+   * @param {number} value - New value
+   */
+  setValue(rowIndex, colIndex, value) {
+    this.compress();
+    const position = this.findEntry(rowIndex, colIndex);
+    if (position !== -1) {
+      this.values[position] = value;
+      return;
+    }
+    // Entry is outside the current sparsity pattern (e.g. a pinned pressure DOF with a zero diagonal)
+    this.tripletRows.push(rowIndex);
+    this.tripletColumns.push(colIndex);
+    this.tripletValues.push(value);
+    this.compress();
+  }
+
+  /**
+   * Function to add a scaled matrix of the same size, this += scale·source
+   * @param {SparseMatrix} sourceMatrix - Matrix to add
+   * @param {number} scale - Scaling factor
+   * @returns {SparseMatrix} The matrix itself, to allow chaining
+   */
+  addScaledMatrix(sourceMatrix, scale) {
+    sourceMatrix.compress();
+    const { numberOfRows, rowPointers, columnIndices, values } = sourceMatrix;
+    for (let rowIndex = 0; rowIndex < numberOfRows; rowIndex++) {
+      for (let k = rowPointers[rowIndex]; k < rowPointers[rowIndex + 1]; k++) {
+        this.addValue(rowIndex, columnIndices[k], scale * values[k]);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Function to multiply every entry by a scalar, in place
+   * @param {number} scale - Scaling factor
+   * @returns {SparseMatrix} The matrix itself, to allow chaining
+   */
+  scale(scale) {
+    this.compress();
+    for (let k = 0; k < this.values.length; k++) {
+      this.values[k] *= scale;
+    }
+    return this;
+  }
+
+  /**
+   * Function to read an entry
+   * @param {number} rowIndex - Zero-based row index
+   * @param {number} colIndex - Zero-based column index
+   * @returns {number} The entry value (0 if the entry is not stored)
+   */
+  getValue(rowIndex, colIndex) {
+    this.compress();
+    const position = this.findEntry(rowIndex, colIndex);
+    return position === -1 ? 0 : this.values[position];
+  }
+
+  /**
+   * Function to set all stored entries of a row to zero, keeping the sparsity pattern
+   * @param {number} rowIndex - Zero-based row index
+   */
+  zeroRow(rowIndex) {
+    this.compress();
+    this.values.fill(0, this.rowPointers[rowIndex], this.rowPointers[rowIndex + 1]);
+  }
+
+  /**
+   * Function to replace a row with the identity row, as used to impose Dirichlet conditions
+   * @param {number} rowIndex - Zero-based row index
+   */
+  setIdentityRow(rowIndex) {
+    this.zeroRow(rowIndex);
+    this.setValue(rowIndex, rowIndex, 1);
+  }
+
+  /**
+   * Function to merge pending triplets (and any existing CSR entries) into CSR storage
+   * @returns {SparseMatrix} The matrix itself, to allow chaining
+   */
+  compress() {
+    const pendingCount = this.tripletValues.length;
+    if (this.rowPointers && pendingCount === 0) return this;
+
+    const numberOfRows = this.numberOfRows;
+    const storedCount = this.rowPointers ? this.rowPointers[numberOfRows] : 0;
+    const totalCount = storedCount + pendingCount;
+
+    // Bucket existing entries and pending triplets by row (counting sort)
+    const rowCounts = new Int32Array(numberOfRows + 1);
+    for (let rowIndex = 0; rowIndex < numberOfRows && this.rowPointers; rowIndex++) {
+      rowCounts[rowIndex + 1] += this.rowPointers[rowIndex + 1] - this.rowPointers[rowIndex];
+    }
+    for (let k = 0; k < pendingCount; k++) {
+      rowCounts[this.tripletRows[k] + 1]++;
+    }
+    for (let rowIndex = 0; rowIndex < numberOfRows; rowIndex++) {
+      rowCounts[rowIndex + 1] += rowCounts[rowIndex];
+    }
+
+    const bucketColumns = new Int32Array(totalCount);
+    const bucketValues = new Float64Array(totalCount);
+    const nextSlot = rowCounts.slice(0, numberOfRows);
+    for (let rowIndex = 0; rowIndex < numberOfRows && this.rowPointers; rowIndex++) {
+      for (let k = this.rowPointers[rowIndex]; k < this.rowPointers[rowIndex + 1]; k++) {
+        const slot = nextSlot[rowIndex]++;
+        bucketColumns[slot] = this.columnIndices[k];
+        bucketValues[slot] = this.values[k];
+      }
+    }
+    for (let k = 0; k < pendingCount; k++) {
+      const slot = nextSlot[this.tripletRows[k]]++;
+      bucketColumns[slot] = this.tripletColumns[k];
+      bucketValues[slot] = this.tripletValues[k];
+    }
+
+    // Sum duplicates within each row and sort the column indices
+    const rowPointers = new Int32Array(numberOfRows + 1);
+    const columnIndices = new Int32Array(totalCount);
+    const values = new Float64Array(totalCount);
+    const marker = new Int32Array(this.numberOfColumns).fill(-1);
+    let nonZeroCount = 0;
+    for (let rowIndex = 0; rowIndex < numberOfRows; rowIndex++) {
+      const rowStart = nonZeroCount;
+      for (let k = rowCounts[rowIndex]; k < rowCounts[rowIndex + 1]; k++) {
+        const column = bucketColumns[k];
+        if (marker[column] < rowStart) {
+          marker[column] = nonZeroCount;
+          columnIndices[nonZeroCount] = column;
+          values[nonZeroCount] = bucketValues[k];
+          nonZeroCount++;
+        } else {
+          values[marker[column]] += bucketValues[k];
+        }
+      }
+      const rowValues = values.slice(rowStart, nonZeroCount);
+      columnIndices.subarray(rowStart, nonZeroCount).sort();
+      for (let k = rowStart; k < nonZeroCount; k++) {
+        values[k] = rowValues[marker[columnIndices[k]] - rowStart];
+      }
+      rowPointers[rowIndex + 1] = nonZeroCount;
+    }
+
+    this.rowPointers = rowPointers;
+    this.columnIndices = columnIndices.slice(0, nonZeroCount);
+    this.values = values.slice(0, nonZeroCount);
+    this.tripletRows = [];
+    this.tripletColumns = [];
+    this.tripletValues = [];
+    return this;
+  }
+
+  /**
+   * Function to compute the matrix-vector product y = A·x
+   * @param {Array|Float64Array} vector - Input vector x
+   * @param {Float64Array} [result] - Optional output vector (allocated when omitted)
+   * @returns {Float64Array} The product A·x
+   */
+  multiply(vector, result = new Float64Array(this.numberOfRows)) {
+    this.compress();
+    for (let rowIndex = 0; rowIndex < this.numberOfRows; rowIndex++) {
+      let sum = 0;
+      for (let k = this.rowPointers[rowIndex]; k < this.rowPointers[rowIndex + 1]; k++) {
+        sum += this.values[k] * vector[this.columnIndices[k]];
+      }
+      result[rowIndex] = sum;
+    }
+    return result;
+  }
+
+  /**
+   * Function to extract the main diagonal
+   * @returns {Float64Array} The diagonal entries
+   */
+  getDiagonal() {
+    this.compress();
+    const diagonal = new Float64Array(Math.min(this.numberOfRows, this.numberOfColumns));
+    for (let rowIndex = 0; rowIndex < diagonal.length; rowIndex++) {
+      const position = this.findEntry(rowIndex, rowIndex);
+      if (position !== -1) diagonal[rowIndex] = this.values[position];
+    }
+    return diagonal;
+  }
+
+  /**
+   * Function to find the rows replaced by identity rows, i.e. rows whose only non-zero entry is a non-zero
+   * diagonal entry, as left by Dirichlet conditions
+   * @returns {Map} Map from the zero-based row index to its diagonal value, in ascending row order
+   */
+  getIdentityRows() {
+    this.compress();
+    const identityRows = new Map();
+    for (let rowIndex = 0; rowIndex < this.numberOfRows; rowIndex++) {
+      let diagonalValue = 0;
+      let hasOffDiagonal = false;
+      for (let k = this.rowPointers[rowIndex]; k < this.rowPointers[rowIndex + 1]; k++) {
+        if (this.columnIndices[k] === rowIndex) diagonalValue = this.values[k];
+        else if (this.values[k] !== 0) hasOffDiagonal = true;
+      }
+      if (!hasOffDiagonal && diagonalValue !== 0) identityRows.set(rowIndex, diagonalValue);
+    }
+    return identityRows;
+  }
+
+  /**
+   * Function to build the transposed matrix
+   * @returns {SparseMatrix} A new, compressed matrix holding the transpose
+   */
+  transpose() {
+    this.compress();
+    const transposed = new SparseMatrix(this.numberOfColumns, this.numberOfRows);
+    const nonZeroCount = this.rowPointers[this.numberOfRows];
+    const rowPointers = new Int32Array(this.numberOfColumns + 1);
+    for (let k = 0; k < nonZeroCount; k++) {
+      rowPointers[this.columnIndices[k] + 1]++;
+    }
+    for (let colIndex = 0; colIndex < this.numberOfColumns; colIndex++) {
+      rowPointers[colIndex + 1] += rowPointers[colIndex];
+    }
+    const columnIndices = new Int32Array(nonZeroCount);
+    const values = new Float64Array(nonZeroCount);
+    const nextSlot = rowPointers.slice(0, this.numberOfColumns);
+    // Rows are visited in increasing order, so the transposed column indices come out sorted
+    for (let rowIndex = 0; rowIndex < this.numberOfRows; rowIndex++) {
+      for (let k = this.rowPointers[rowIndex]; k < this.rowPointers[rowIndex + 1]; k++) {
+        const slot = nextSlot[this.columnIndices[k]]++;
+        columnIndices[slot] = rowIndex;
+        values[slot] = this.values[k];
+      }
+    }
+    transposed.rowPointers = rowPointers;
+    transposed.columnIndices = columnIndices;
+    transposed.values = values;
+    return transposed;
+  }
+
+  /**
+   * Function to expand the matrix into a dense two-dimensional array
+   * Intended for debugging and small systems only, as it allocates numberOfRows × numberOfColumns entries
+   * @returns {Array<Array<number>>} Dense representation of the matrix
+   */
+  toDense() {
+    this.compress();
+    const denseMatrix = [];
+    for (let rowIndex = 0; rowIndex < this.numberOfRows; rowIndex++) {
+      const row = new Array(this.numberOfColumns).fill(0);
+      for (let k = this.rowPointers[rowIndex]; k < this.rowPointers[rowIndex + 1]; k++) {
+        row[this.columnIndices[k]] = this.values[k];
+      }
+      denseMatrix.push(row);
+    }
+    return denseMatrix;
+  }
+
+  /**
+   * Function to build a SparseMatrix from a dense two-dimensional array (zero entries are skipped)
+   * @param {Array<Array<number>>} denseMatrix - Dense matrix
+   * @returns {SparseMatrix} The compressed sparse matrix
+   */
+  static fromDense(denseMatrix) {
+    const numberOfRows = denseMatrix.length;
+    const numberOfColumns = numberOfRows > 0 ? denseMatrix[0].length : 0;
+    const sparseMatrix = new SparseMatrix(numberOfRows, numberOfColumns);
+    for (let rowIndex = 0; rowIndex < numberOfRows; rowIndex++) {
+      for (let colIndex = 0; colIndex < numberOfColumns; colIndex++) {
+        const value = denseMatrix[rowIndex][colIndex];
+        if (value !== 0) sparseMatrix.addValue(rowIndex, colIndex, value);
+      }
+    }
+    return sparseMatrix.compress();
+  }
+}
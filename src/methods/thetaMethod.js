@@ -0,0 +1,101 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { solveLinearSystem } from "./linearSystemSolver.js";
+import { SparseMatrix } from "./sparseMatrix.js";
+import { getNumberOfTimeSteps } from "./timeSteppingUtils.js";
+import { ConfigurationError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
+
+/**
+ * Function to integrate the linear semi-discrete system massMatrix·du/dt + jacobianMatrix·u = residualVector
+ * in time with the theta method:
+ *  (M/Δt + θ·J)·uⁿ⁺¹ = (M/Δt - (1 - θ)·J)·uⁿ + R
+ * where θ = 0 is the explicit (forward) Euler, θ = 0.5 the Crank-Nicolson and θ = 1 the implicit (backward)
+ * Euler scheme. The mass matrix must follow the sign convention of the assembled Jacobian matrix. Rows of the
+ * Jacobian matrix that were replaced by identity rows (Dirichlet conditions) keep their prescribed values
+ * @param {SparseMatrix} massMatrix - The assembled mass (capacity) matrix
+ * @param {SparseMatrix} jacobianMatrix - The assembled Jacobian matrix, including the boundary conditions
+ * @param {array} residualVector - The assembled residual vector, including the boundary conditions
+ * @param {object} context - Context object containing the time stepping parameters:
+ *  - initialSolution: Solution vector at t = 0
+ *  - timeStep: Time step size Δt
+ *  - endTime: Final simulation time, a whole number of time steps
+ *  - theta: Implicitness parameter between 0 and 1 (defaults to 1)
+ *  - solverMethod, maxIterations, tolerance, preconditioner, restart: Linear solver settings
+ * @returns {object} An object containing:
+ *  - solutionVector: The solution vector at the final time
+ *  - timeSeries: Object with the `times` and the `solutionVectors` of every time step (including t = 0)
+ * @throws {ConfigurationError} If the time step, end time or theta is invalid (code "INVALID_TIME_STEPPING")
+ */
+export function thetaMethod(massMatrix, jacobianMatrix, residualVector, context) {
+  const {
+    initialSolution,
+    timeStep,
+    endTime,
+    theta = 1,
+    solverMethod = "lusolve",
+    ...solverOptions
+  } = context;
+
+  const numberOfSteps = getNumberOfTimeSteps(timeStep, endTime);
+  if (!(theta >= 0 && theta <= 1)) {
+    throw new ConfigurationError(`Invalid theta value: ${theta}. Expected a value between 0 and 1`, {
+      code: "INVALID_TIME_STEPPING",
+      details: { theta },
+    });
+  }
+
+  massMatrix.compress();
+  jacobianMatrix.compress();
+  const n = jacobianMatrix.numberOfRows;
+
+  // Locate the Dirichlet rows, i.e. rows whose only non-zero entry is on the diagonal
+  const constrainedValues = new Map();
+  jacobianMatrix.getIdentityRows().forEach((diagonalValue, i) => {
+    constrainedValues.set(i, residualVector[i] / diagonalValue);
+  });
+  debugLog(
+    `Theta method: ${constrainedValues.size} constrained and ${n - constrainedValues.size} free unknowns`,
+  );
+
+  // System matrix M/Δt + θ·J (constant throughout the simulation)
+  const systemMatrix = new SparseMatrix(n);
+  systemMatrix.addScaledMatrix(massMatrix, 1 / timeStep).addScaledMatrix(jacobianMatrix, theta);
+  for (const i of constrainedValues.keys()) systemMatrix.setIdentityRow(i);
+
+  const massTimesSolution = new Float64Array(n);
+  const jacobianTimesSolution = new Float64Array(n);
+  let solutionVector = Array.from(initialSolution);
+  const times = [0];
+  const solutionVectors = [Array.from(solutionVector)];
+
+  basicLog(`Time stepping with theta = ${theta}: ${numberOfSteps} steps of Δt = ${timeStep}`);
+  for (let step = 1; step <= numberOfSteps; step++) {
+    // Right-hand side (M/Δt - (1 - θ)·J)·uⁿ + R
+    massMatrix.multiply(solutionVector, massTimesSolution);
+    jacobianMatrix.multiply(solutionVector, jacobianTimesSolution);
+    const rhsVector = new Array(n);
+    for (let i = 0; i < n; i++) {
+      rhsVector[i] =
+        massTimesSolution[i] / timeStep - (1 - theta) * jacobianTimesSolution[i] + residualVector[i];
+    }
+    for (const [i, value] of constrainedValues) rhsVector[i] = value;
+
+    const linearSystemResult = solveLinearSystem(solverMethod, systemMatrix, rhsVector, solverOptions);
+    solutionVector = Array.from(linearSystemResult.solutionVector);
+
+    times.push(step * timeStep);
+    solutionVectors.push(solutionVector);
+    debugLog(`Theta method: step ${step}/${numberOfSteps} completed (t = ${times[step]})`);
+  }
+
+  return { solutionVector, timeSeries: { times, solutionVectors } };
+}
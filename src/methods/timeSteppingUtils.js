@@ -0,0 +1,38 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { ConfigurationError } from "../utilities/errors.js";
+
+/**
+ * Function to check the time step and end time of a simulation and compute its number of time steps
+ * @param {number} timeStep - Time step size Δt
+ * @param {number} endTime - Final simulation time
+ * @returns {number} The number of time steps endTime / Δt
+ * @throws {ConfigurationError} If the time step or end time is not positive, or the end time is not a whole
+ *  number of time steps (code "INVALID_TIME_STEPPING")
+ */
+export function getNumberOfTimeSteps(timeStep, endTime) {
+  if (!(timeStep > 0) || !(endTime > 0)) {
+    throw new ConfigurationError(
+      `Invalid time stepping parameters: timeStep = ${timeStep}, endTime = ${endTime}`,
+      { code: "INVALID_TIME_STEPPING", details: { timeStep, endTime } },
+    );
+  }
+
+  // The tolerance allows for the rounding of decimal steps, e.g. 0.3 / 0.1 = 2.9999999999999996
+  const numberOfSteps = Math.round(endTime / timeStep);
+  if (numberOfSteps < 1 || Math.abs(endTime / timeStep - numberOfSteps) > 1e-9 * numberOfSteps) {
+    throw new ConfigurationError(
+      `The end time ${endTime} is not a whole number of time steps of Δt = ${timeStep}`,
+      { code: "INVALID_TIME_STEPPING", details: { timeStep, endTime } },
+    );
+  }
+  return numberOfSteps;
+}
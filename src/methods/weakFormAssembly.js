@@ -0,0 +1,290 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { initializeFEA, forEachGaussPoint, getSideIntegrationPoints } from "../mesh/meshUtils.js";
+import { GenericBoundaryConditions } from "../models/genericBoundaryConditions.js";
+import { basicLog } from "../utilities/logging.js";
+
+/**
+ * Function to integrate a weak-form kernel over one element
+ * @param {function} kernel - Weak-form kernel (see assembleWeakFormMat)
+ * @param {object} params - Parameters of forEachGaussPoint, plus `elementIndex` and `coefficientFunctions`
+ * @returns {object} An object containing the localJacobianMatrix and localResidualVector of the element
+ */
+function integrateKernel(kernel, { elementIndex, coefficientFunctions, ...params }) {
+  const { nodesPerElement } = params.FEAData;
+  const localJacobianMatrix = Array.from({ length: nodesPerElement }, () => Array(nodesPerElement).fill(0));
+  const localResidualVector = Array(nodesPerElement).fill(0);
+
+  forEachGaussPoint(params, (gaussPoint) => {
+    kernel(
+      { ...gaussPoint, nodesPerElement, elementIndex, coefficientFunctions },
+      { localJacobianMatrix, localResidualVector },
+    );
+  });
+
+  return { localJacobianMatrix, localResidualVector };
+}
+
+/**
+ * Function to integrate a boundary kernel along the sides of one element that lie on a boundary
+ * @param {function} boundaryKernel - Boundary kernel (see assembleWeakFormMat)
+ * @param {object} params - Parameters of the side integration
+ * @param {number} params.elementIndex - Index of the element
+ * @param {array} params.boundarySides - Pairs [boundaryKey, side] of the element sides to integrate
+ * @param {object} params.boundaryConditions - Object containing boundary conditions
+ * @param {object} params.meshData - Object containing the mesh data
+ * @param {object} params.FEAData - Numerical tools returned by initializeFEA
+ * @param {object} params.coefficientFunctions - Coefficient functions of the model
+ * @param {array} params.localToGlobalMap - Zero-based global indices of the element nodes
+ * @param {array} [params.solutionVector] - Current nodal solution, interpolated at each point
+ * @returns {object} An object containing the localJacobianMatrix and localResidualVector of the element
+ */
+function integrateBoundaryKernel(
+  boundaryKernel,
+  {
+    elementIndex,
+    boundarySides,
+    boundaryConditions,
+    meshData,
+    FEAData,
+    coefficientFunctions,
+    localToGlobalMap,
+    solutionVector,
+  },
+) {
+  const { nodesPerElement, gaussPoints, gaussWeights, basisFunctions } = FEAData;
+  const localJacobianMatrix = Array.from({ length: nodesPerElement }, () => Array(nodesPerElement).fill(0));
+  const localResidualVector = Array(nodesPerElement).fill(0);
+
+  boundarySides.forEach(([boundaryKey, side]) => {
+    getSideIntegrationPoints(meshData, elementIndex, side, gaussPoints, gaussWeights, basisFunctions).forEach(
+      ({ basisFunction, weight, xCoord, yCoord, normal }) => {
+        const boundaryPoint = {
+          basisFunction,
+          weight,
+          xCoord,
+          normal,
+          nodesPerElement,
+          elementIndex,
+          side,
+          boundaryKey,
+          boundaryCondition: boundaryConditions[boundaryKey],
+          coefficientFunctions,
+        };
+        if (yCoord !== undefined) boundaryPoint.yCoord = yCoord;
+        if (solutionVector) {
+          boundaryPoint.solution = basisFunction.reduce(
+            (sum, value, localNodeIndex) => sum + value * solutionVector[localToGlobalMap[localNodeIndex]],
+            0,
+          );
+        }
+        boundaryKernel(boundaryPoint, { localJacobianMatrix, localResidualVector });
+      },
+    );
+  });
+
+  return { localJacobianMatrix, localResidualVector };
+}
+
+/**
+ * Function to list the boundary sides where a boundary kernel is integrated, i.e. those of every boundary
+ * whose condition is not "constantValue"
+ * @param {object} boundaryConditions - Object containing boundary conditions
+ * @param {object} boundaryElements - Object containing the [elementIndex, side] pairs of each boundary
+ * @returns {array} Triplets [boundaryKey, elementIndex, side]
+ */
+function getNaturalBoundarySides(boundaryConditions, boundaryElements) {
+  return Object.keys(boundaryConditions)
+    .filter((boundaryKey) => boundaryConditions[boundaryKey][0] !== "constantValue")
+    .flatMap((boundaryKey) =>
+      (boundaryElements[boundaryKey] ?? []).map(([elementIndex, side]) => [boundaryKey, elementIndex, side]),
+    );
+}
+
+/**
+ * Function to assemble the Jacobian matrix and residual vector of a model defined by a weak-form kernel
+ * @param {object} kernels - Kernels of the model
+ * @param {function} kernels.kernel - Function called at each Gauss point of each element as
+ *  kernel(gaussPoint, { localJacobianMatrix, localResidualVector }), adding the contributions of the point to
+ *  the local arrays (nodesPerElement × nodesPerElement and nodesPerElement). `gaussPoint` holds the quantities
+ *  listed in forEachGaussPoint, plus nodesPerElement, elementIndex and coefficientFunctions
+ * @param {function} [kernels.boundaryKernel] - Function called in the same way at each Gauss point along the
+ *  element sides of every boundary whose condition is not "constantValue" (in 1D, once at the boundary node).
+ *  `boundaryPoint` holds the element basisFunction, the weight (Gauss weight times the side length, 1 in 1D),
+ *  xCoord, yCoord (2D), the unit outward normal, nodesPerElement, elementIndex, side, boundaryKey, the
+ *  boundaryCondition array (e.g. ["flux", q]), coefficientFunctions and, for nonlinear models, the
+ *  interpolated solution
+ * @param {object} context - Solve context (see registerModel), with `solutionVector` for nonlinear models
+ * @returns {object} An object containing:
+ *  - jacobianMatrix: The assembled Jacobian matrix (SparseMatrix)
+ *  - residualVector: The assembled residual vector
+ *
+ * The kernel follows the convention of the built-in models. In linear problems the local Jacobian matrix
+ * receives the stiffness and the local residual vector the loads, so that jacobianMatrix·u = residualVector.
+ * In nonlinear problems the residual vector receives the out-of-balance loads f − K(u)·u and the Jacobian
+ * matrix their negative derivative with respect to u (the tangent stiffness). The boundary kernel follows
+ * the same convention, so a flux condition k∂u/∂n = q adds ∫q·Nᵢ ds to the residual vector. "constantValue"
+ * conditions are imposed last and take precedence at the nodes they share with other boundaries.
+ */
+export function assembleWeakFormMat(
+  { kernel, boundaryKernel },
+  { meshData, boundaryConditions, coefficientFunctions, solutionVector },
+) {
+  basicLog("Starting weak-form matrix assembly...");
+
+  // Extract mesh data
+  const {
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nop,
+    boundaryElements,
+    totalElements,
+    meshDimension,
+    elementOrder,
+    elementType,
+  } = meshData;
+
+  // Initialize FEA components
+  const FEAData = initializeFEA(meshData);
+  const { residualVector, jacobianMatrix, nodesPerElement } = FEAData;
+
+  // Helper to add the local arrays of an element to the global system
+  const addLocalContributions = (localToGlobalMap, { localJacobianMatrix, localResidualVector }) => {
+    for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerElement; localNodeIndex1++) {
+      const globalNodeIndex1 = localToGlobalMap[localNodeIndex1];
+      residualVector[globalNodeIndex1] += localResidualVector[localNodeIndex1];
+      for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
+        jacobianMatrix.addValue(
+          globalNodeIndex1,
+          localToGlobalMap[localNodeIndex2],
+          localJacobianMatrix[localNodeIndex1][localNodeIndex2],
+        );
+      }
+    }
+  };
+
+  // Map local element nodes to global mesh nodes (convert to 0-based indexing)
+  const getLocalToGlobalMap = (elementIndex) =>
+    nop[elementIndex].map((globalNodeNumber) => Math.abs(globalNodeNumber) - 1);
+
+  // Matrix assembly
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const localToGlobalMap = getLocalToGlobalMap(elementIndex);
+    addLocalContributions(
+      localToGlobalMap,
+      integrateKernel(kernel, {
+        elementIndex,
+        coefficientFunctions,
+        meshData,
+        FEAData,
+        localToGlobalMap,
+        solutionVector,
+      }),
+    );
+  }
+
+  // Apply boundary conditions
+  const genericBoundaryConditions = new GenericBoundaryConditions(
+    boundaryConditions,
+    boundaryElements,
+    nop,
+    meshDimension,
+    elementOrder,
+    elementType,
+    { nodesXCoordinates, nodesYCoordinates },
+  );
+
+  // Integrate the boundary kernel along the sides of the boundaries with natural conditions
+  if (boundaryKernel) {
+    getNaturalBoundarySides(boundaryConditions, boundaryElements).forEach(
+      ([boundaryKey, elementIndex, side]) => {
+        const localToGlobalMap = getLocalToGlobalMap(elementIndex);
+        addLocalContributions(
+          localToGlobalMap,
+          integrateBoundaryKernel(boundaryKernel, {
+            elementIndex,
+            boundarySides: [[boundaryKey, side]],
+            boundaryConditions,
+            meshData,
+            FEAData,
+            coefficientFunctions,
+            localToGlobalMap,
+            solutionVector,
+          }),
+        );
+      },
+    );
+  }
+
+  // Apply "constantValue" (Dirichlet) conditions, as a Newton-Raphson increment in nonlinear problems
+  genericBoundaryConditions.imposeDirichletBoundaryConditions(residualVector, jacobianMatrix, solutionVector);
+
+  basicLog("Weak-form matrix assembly completed");
+
+  return {
+    jacobianMatrix,
+    residualVector,
+  };
+}
+
+/**
+ * Function to assemble the local Jacobian matrix and residual vector of a model defined by a weak-form kernel
+ * when using the frontal system solver
+ * @param {object} kernels - Kernels of the model (see assembleWeakFormMat)
+ * @param {object} data - Object containing element data for the frontal solver
+ * @returns {object} An object containing:
+ *  - localJacobianMatrix: Local Jacobian matrix
+ *  - localResidualVector: Residual vector contributions
+ *  - ngl: Array mapping local node indices to global node indices
+ */
+export function assembleWeakFormFront(
+  { kernel, boundaryKernel },
+  { elementIndex, nop, meshData, FEAData, boundaryConditions, coefficientFunctions },
+) {
+  // Build the mapping from local node indices to global node indices
+  const ngl = nop[elementIndex].map((globalNodeNumber) => Math.abs(globalNodeNumber));
+  const localToGlobalMap = ngl.map((globalNodeNumber) => globalNodeNumber - 1);
+
+  const { localJacobianMatrix, localResidualVector } = integrateKernel(kernel, {
+    elementIndex,
+    coefficientFunctions,
+    meshData,
+    FEAData,
+    localToGlobalMap,
+  });
+
+  // An element can touch the same boundary with more than one side (e.g. at a corner)
+  const boundarySides = boundaryKernel
+    ? getNaturalBoundarySides(boundaryConditions, meshData.boundaryElements)
+        .filter(([_, boundaryElementIndex]) => boundaryElementIndex === elementIndex)
+        .map(([boundaryKey, _, side]) => [boundaryKey, side])
+    : [];
+  if (boundarySides.length > 0) {
+    const boundaryContributions = integrateBoundaryKernel(boundaryKernel, {
+      elementIndex,
+      boundarySides,
+      boundaryConditions,
+      meshData,
+      FEAData,
+      coefficientFunctions,
+      localToGlobalMap,
+    });
+    for (let localNodeIndex1 = 0; localNodeIndex1 < ngl.length; localNodeIndex1++) {
+      localResidualVector[localNodeIndex1] += boundaryContributions.localResidualVector[localNodeIndex1];
+      for (let localNodeIndex2 = 0; localNodeIndex2 < ngl.length; localNodeIndex2++) {
+        localJacobianMatrix[localNodeIndex1][localNodeIndex2] +=
+          boundaryContributions.localJacobianMatrix[localNodeIndex1][localNodeIndex2];
+      }
+    }
+  }
+
+  return { localJacobianMatrix, localResidualVector, ngl };
+}
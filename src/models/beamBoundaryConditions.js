@@ -8,7 +8,8 @@
  */
 
 // Internal imports
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { BoundaryConditionError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
 
 /**
  * Class to handle boundary conditions for the 1D Euler-Bernoulli beam model
@@ -34,8 +35,12 @@ import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
  *  - ["rotationFixed"] / ["rotation", v]  Essential: theta = v (default v = 0)
  *  - ["force", v]                    Natural: applies a concentrated transverse force v at the node
  *  - ["moment", v]                   Natural: applies a concentrated moment v at the node
+ *                                     (forces and moments may also be functions v(t) of time, which
+ *                                     static and eigen-analyses evaluate at t = 0)
  *  - ["spring", k, uRef]             Mixed/Robin: transverse elastic support of stiffness k about
  *                                     reference deflection uRef (default uRef = 0)
+ *  - ["mass", m, J]                  Inertia: point mass m and rotary inertia J (default J = 0) at the
+ *                                     node, e.g. a machine on the beam (used by modal and dynamic analyses)
  */
 export class BeamBoundaryConditions {
   /**
@@ -56,9 +61,10 @@ export class BeamBoundaryConditions {
    * override (zero out) the equation row at a constrained DOF, which must take precedence over
    * any natural/spring contribution assembled at the same DOF
    * @param {array} residualVector - The residual (load) vector to be modified
-   * @param {array} jacobianMatrix - The Jacobian (stiffness) matrix to be modified
+   * @param {SparseMatrix} jacobianMatrix - The Jacobian (stiffness) matrix to be modified
+   * @param {number} [time=0] - Time at which point forces and moments given as functions of t are evaluated
    */
-  imposeNaturalAndSpringBoundaryConditions(residualVector, jacobianMatrix) {
+  imposeNaturalAndSpringBoundaryConditions(residualVector, jacobianMatrix, time = 0) {
     Object.keys(this.boundaryConditions).forEach((nodeKey) => {
       const globalNodeIndex = Number(nodeKey) - 1; // Convert 1-based node number to 0-based index
       const deflectionDOF = this.dofsPerNode * globalNodeIndex;
@@ -68,15 +74,17 @@ export class BeamBoundaryConditions {
         const [conditionType, value1, value2] = condition;
 
         if (conditionType === "force") {
-          residualVector[deflectionDOF] += value1;
-          debugLog(`Node ${nodeKey}: Applied point force ${value1} (natural BC)`);
+          const force = typeof value1 === "function" ? value1(time) : value1;
+          residualVector[deflectionDOF] += force;
+          debugLog(`Node ${nodeKey}: Applied point force ${force} (natural BC)`);
         } else if (conditionType === "moment") {
-          residualVector[rotationDOF] += value1;
-          debugLog(`Node ${nodeKey}: Applied point moment ${value1} (natural BC)`);
+          const moment = typeof value1 === "function" ? value1(time) : value1;
+          residualVector[rotationDOF] += moment;
+          debugLog(`Node ${nodeKey}: Applied point moment ${moment} (natural BC)`);
         } else if (conditionType === "spring") {
           const springConstant = value1;
           const referenceDeflection = value2 ?? 0;
-          jacobianMatrix[deflectionDOF][deflectionDOF] += springConstant;
+          jacobianMatrix.addValue(deflectionDOF, deflectionDOF, springConstant);
           residualVector[deflectionDOF] += springConstant * referenceDeflection;
           debugLog(
             `Node ${nodeKey}: Applied transverse elastic spring, k=${springConstant} (mixed/Robin BC)`,
@@ -90,17 +98,12 @@ export class BeamBoundaryConditions {
    * Function to impose essential (deflection/rotation) boundary conditions (Dirichlet-type)
    * This must be called AFTER imposeNaturalAndSpringBoundaryConditions()
    * @param {array} residualVector - The residual vector to be modified
-   * @param {array} jacobianMatrix - The Jacobian matrix to be modified
+   * @param {SparseMatrix} jacobianMatrix - The Jacobian matrix to be modified
    */
   imposeEssentialBoundaryConditions(residualVector, jacobianMatrix) {
-    const totalDOFs = residualVector.length;
-
     const applyDirichlet = (dofIndex, prescribedValue) => {
       residualVector[dofIndex] = prescribedValue;
-      for (let colIndex = 0; colIndex < totalDOFs; colIndex++) {
-        jacobianMatrix[dofIndex][colIndex] = 0;
-      }
-      jacobianMatrix[dofIndex][dofIndex] = 1;
+      jacobianMatrix.setIdentityRow(dofIndex);
     };
 
     Object.keys(this.boundaryConditions).forEach((nodeKey) => {
@@ -121,8 +124,92 @@ export class BeamBoundaryConditions {
         } else if (conditionType === "rotationFixed" || conditionType === "rotation") {
           applyDirichlet(rotationDOF, value ?? 0);
           debugLog(`Node ${nodeKey}: Applied rotation theta=${value ?? 0} (essential BC)`);
-        } else if (conditionType !== "force" && conditionType !== "moment" && conditionType !== "spring") {
-          errorLog(`Unknown beam boundary condition type: "${conditionType}"`);
+        } else if (!["force", "moment", "spring", "mass"].includes(conditionType)) {
+          throw new BoundaryConditionError(`Unknown beam boundary condition type: "${conditionType}"`, {
+            code: "UNKNOWN_BOUNDARY_CONDITION_TYPE",
+            details: { conditionType, node: nodeKey },
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Function to keep only the applied point forces and moments, as needed to assemble the unconstrained
+   * system of the support reactions
+   * @returns {object} Boundary conditions with the "force" and "moment" conditions of every node
+   */
+  getPointLoadConditions() {
+    return Object.fromEntries(
+      Object.entries(this.boundaryConditions).map(([nodeKey, conditions]) => [
+        nodeKey,
+        conditions.filter(([conditionType]) => conditionType === "force" || conditionType === "moment"),
+      ]),
+    );
+  }
+
+  /**
+   * Function to compute the support reactions of a solved beam
+   *
+   * At a constrained degree of freedom the reaction is the part of the internal force K·d that is not
+   * balanced by the applied loads, R = K·d − F, with K and F assembled with the point load conditions only
+   * (see getPointLoadConditions). A spring support reacts with −k·(w − uRef). Forces are positive in the
+   * direction of w and moments in the direction of theta.
+   *
+   * @param {array} dofValues - Flat solution vector ordered as [w_0, theta_0, w_1, theta_1, ...]
+   * @param {Float64Array} internalForces - Internal forces K·d of the unconstrained system
+   * @param {array} loadVector - Load vector F of the unconstrained system
+   * @param {array} nodesXCoordinates - x coordinates of the mesh nodes
+   * @returns {array} One entry per supported node with its `node` number, `x` coordinate, reaction `force`
+   *  and reaction `moment`
+   */
+  computeReactions(dofValues, internalForces, loadVector, nodesXCoordinates) {
+    const deflectionConditions = ["fixed", "pinned", "deflection"];
+    const rotationConditions = ["fixed", "rotationFixed", "rotation"];
+    const reactions = [];
+
+    Object.entries(this.boundaryConditions).forEach(([nodeKey, conditions]) => {
+      const globalNodeIndex = Number(nodeKey) - 1;
+      const deflectionDOF = this.dofsPerNode * globalNodeIndex;
+      const rotationDOF = deflectionDOF + 1;
+      const conditionTypes = conditions.map(([conditionType]) => conditionType);
+      const springConditions = conditions.filter(([conditionType]) => conditionType === "spring");
+      const isDeflectionConstrained = conditionTypes.some((type) => deflectionConditions.includes(type));
+      const isRotationConstrained = conditionTypes.some((type) => rotationConditions.includes(type));
+      if (!isDeflectionConstrained && !isRotationConstrained && springConditions.length === 0) {
+        return;
+      }
+
+      let force = 0;
+      let moment = 0;
+      if (isDeflectionConstrained) {
+        force = internalForces[deflectionDOF] - loadVector[deflectionDOF];
+      } else {
+        springConditions.forEach(([, springConstant, referenceDeflection = 0]) => {
+          force -= springConstant * (dofValues[deflectionDOF] - referenceDeflection);
+        });
+      }
+      if (isRotationConstrained) {
+        moment = internalForces[rotationDOF] - loadVector[rotationDOF];
+      }
+      reactions.push({ node: Number(nodeKey), x: nodesXCoordinates[globalNodeIndex], force, moment });
+    });
+
+    return reactions;
+  }
+
+  /**
+   * Function to add the point masses and rotary inertias of "mass" conditions to the mass matrix
+   * @param {SparseMatrix} massMatrix - The mass matrix to be modified
+   */
+  imposePointMasses(massMatrix) {
+    Object.keys(this.boundaryConditions).forEach((nodeKey) => {
+      const deflectionDOF = this.dofsPerNode * (Number(nodeKey) - 1);
+      this.boundaryConditions[nodeKey].forEach(([conditionType, pointMass, rotaryInertia = 0]) => {
+        if (conditionType === "mass") {
+          massMatrix.addValue(deflectionDOF, deflectionDOF, pointMass);
+          massMatrix.addValue(deflectionDOF + 1, deflectionDOF + 1, rotaryInertia);
+          debugLog(`Node ${nodeKey}: Added point mass m=${pointMass}, rotary inertia J=${rotaryInertia}`);
         }
       });
     });
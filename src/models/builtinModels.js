@@ -0,0 +1,554 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { registerModel } from "./modelRegistry.js";
+import {
+  assembleCreepingFlowMatrix,
+  computeFlowRates,
+  computeStreamFunction,
+  computeVorticity,
+  extractCreepingFlowFields,
+  getTaylorHoodDOFLayout,
+} from "./creepingFlow.js";
+import {
+  assembleEulerBernoulliBeamMat,
+  assembleEulerBernoulliBeamMassMat,
+  assembleEulerBernoulliBeamGeometricStiffnessMat,
+  computeEulerBernoulliBeamReactions,
+  evaluateEulerBernoulliBeamResults,
+  extractEulerBernoulliBeamTimeHistory,
+} from "./eulerBernoulliBeam.js";
+import { assembleFrame2DMat, computeFrame2DMemberForces, computeFrame2DReactions } from "./frame2D.js";
+import { assembleFrontPropagationMat } from "./frontPropagation.js";
+import { assembleGeneralFormPDEMat, assembleGeneralFormPDENonlinearMat } from "./generalFormPDE.js";
+import {
+  assembleHeatConductionMat,
+  assembleHeatConductionMassMat,
+  assembleHeatConductionFront,
+} from "./heatConduction.js";
+import {
+  assembleTimoshenkoBeamMat,
+  assembleTimoshenkoBeamMassMat,
+  assembleTimoshenkoBeamGeometricStiffnessMat,
+  computeTimoshenkoBeamReactions,
+  evaluateTimoshenkoBeamResults,
+} from "./timoshenkoBeam.js";
+import { assembleNavierStokesMat } from "./navierStokes.js";
+import { assembleLinearElasticityMat, computeLinearElasticityFields } from "./linearElasticity.js";
+import { bdfMethod } from "../methods/bdfMethod.js";
+import { newtonRaphson } from "../methods/newtonRaphson.js";
+import { solveLinearSystem } from "../methods/linearSystemSolver.js";
+import { ConfigurationError, ConvergenceError } from "../utilities/errors.js";
+import { basicLog } from "../utilities/logging.js";
+import { flattenSolutionVector } from "../utilities/solutionUtils.js";
+
+registerModel("heatConductionScript", {
+  assembleMat: ({ meshData, boundaryConditions, coefficientFunctions }) =>
+    assembleHeatConductionMat(meshData, boundaryConditions, coefficientFunctions),
+  assembleFront: assembleHeatConductionFront,
+  assembleMassMat: ({ meshData, coefficientFunctions, massLumping }) =>
+    assembleHeatConductionMassMat(meshData, coefficientFunctions, massLumping),
+});
+
+registerModel("generalFormPDEScript", {
+  // The nonlinear option of setModelConfig switches to the Newton-Raphson method
+  nonlinear: ({ model }) => Boolean(model.nonlinear),
+  assembleMat: ({ model, meshData, boundaryConditions, coefficientFunctions, solutionVector }) =>
+    model.nonlinear
+      ? assembleGeneralFormPDENonlinearMat(meshData, boundaryConditions, coefficientFunctions, solutionVector)
+      : assembleGeneralFormPDEMat(meshData, boundaryConditions, coefficientFunctions),
+});
+
+registerModel("frontPropagationScript", {
+  nonlinear: true,
+  solve: solveFrontPropagation,
+});
+
+// Creeping flow declares no dofsPerNode: the velocities (u, v) live on all nodes, the pressure on the corner
+// nodes only
+registerModel("creepingFlowScript", {
+  assembleMat: ({ model, meshData, boundaryConditions }) =>
+    assembleCreepingFlowMatrix(meshData, boundaryConditions, { pressureReference: model.pressureReference }),
+  solveTransient: solveTransientCreepingFlow,
+  postProcess: createFlowPostProcess("_creepingFlowMetadata"),
+});
+
+// The Navier-Stokes model shares the Taylor-Hood element and the boundary conditions of creeping flow
+registerModel("navierStokesScript", {
+  solve: (context) =>
+    context.model.transient ? solveTransientNavierStokes(context) : solveNavierStokes(context),
+  postProcess: createFlowPostProcess("_navierStokesMetadata"),
+});
+
+registerModel("eulerBernoulliBeamScript", {
+  dofsPerNode: 2, // Deflection and rotation
+  assembleMat: ({ meshData, boundaryConditions, coefficientFunctions, time }) =>
+    assembleEulerBernoulliBeamMat(meshData, boundaryConditions, coefficientFunctions, time),
+  assembleMassMat: ({ meshData, boundaryConditions, coefficientFunctions }) =>
+    assembleEulerBernoulliBeamMassMat(meshData, boundaryConditions, coefficientFunctions),
+  assembleGeometricStiffnessMat: ({ meshData, coefficientFunctions }) =>
+    assembleEulerBernoulliBeamGeometricStiffnessMat(meshData, coefficientFunctions),
+  // Beam conditions are keyed by node number rather than by boundary
+  prepareBoundaryConditions: (boundaryConditions) => boundaryConditions,
+  postProcess: createBeamPostProcess({
+    metadataKey: "_eulerBernoulliBeamMetadata",
+    evaluateResults: evaluateEulerBernoulliBeamResults,
+    computeReactions: computeEulerBernoulliBeamReactions,
+  }),
+});
+
+// The Timoshenko beam shares the degrees of freedom and the node-keyed conditions of the Euler-Bernoulli beam
+registerModel("timoshenkoBeamScript", {
+  dofsPerNode: 2, // Deflection and rotation
+  assembleMat: ({ meshData, boundaryConditions, coefficientFunctions, time }) =>
+    assembleTimoshenkoBeamMat(meshData, boundaryConditions, coefficientFunctions, time),
+  assembleMassMat: ({ meshData, boundaryConditions, coefficientFunctions }) =>
+    assembleTimoshenkoBeamMassMat(meshData, boundaryConditions, coefficientFunctions),
+  assembleGeometricStiffnessMat: ({ meshData, coefficientFunctions }) =>
+    assembleTimoshenkoBeamGeometricStiffnessMat(meshData, coefficientFunctions),
+  prepareBoundaryConditions: (boundaryConditions) => boundaryConditions,
+  postProcess: createBeamPostProcess({
+    metadataKey: "_timoshenkoBeamMetadata",
+    evaluateResults: evaluateTimoshenkoBeamResults,
+    computeReactions: computeTimoshenkoBeamReactions,
+  }),
+});
+
+// Frame members are the 2-node elements of a 2D mesh, with supports and loads keyed by node number
+registerModel("frame2DScript", {
+  dofsPerNode: 3, // Displacements along x and y, and rotation
+  assembleMat: ({ model, meshData, boundaryConditions, coefficientFunctions }) =>
+    assembleFrame2DMat(meshData, boundaryConditions, coefficientFunctions, model.memberReleases),
+  prepareBoundaryConditions: (boundaryConditions) => boundaryConditions,
+  postProcess: (result, { model, meshData, boundaryConditions, coefficientFunctions, assembly }) => {
+    model._frame2DMetadata = {
+      dofsPerNode: assembly.dofsPerNode,
+      totalNodes: meshData.totalNodes,
+    };
+    const dofValues = flattenSolutionVector(result.solutionVector);
+    const fields = {
+      u: dofValues.filter((_, dofIndex) => dofIndex % 3 === 0),
+      w: dofValues.filter((_, dofIndex) => dofIndex % 3 === 1),
+      rotation: dofValues.filter((_, dofIndex) => dofIndex % 3 === 2),
+    };
+    return {
+      ...result,
+      fields,
+      memberForces: computeFrame2DMemberForces(
+        result.solutionVector,
+        meshData,
+        coefficientFunctions,
+        model.memberReleases,
+      ),
+      reactions: computeFrame2DReactions(
+        result.solutionVector,
+        meshData,
+        boundaryConditions,
+        coefficientFunctions,
+        model.memberReleases,
+      ),
+    };
+  },
+});
+
+// Plane stress or plane strain solid, with the displacements of each node interleaved
+registerModel("linearElasticityScript", {
+  dofsPerNode: 2, // Displacements along x and y
+  assembleMat: ({ model, meshData, boundaryConditions, coefficientFunctions }) =>
+    assembleLinearElasticityMat(
+      meshData,
+      boundaryConditions,
+      coefficientFunctions,
+      model.elasticity?.formulation,
+    ),
+  postProcess: (result, { model, meshData, coefficientFunctions, assembly }) => {
+    model._linearElasticityMetadata = {
+      dofsPerNode: assembly.dofsPerNode,
+      totalNodes: meshData.totalNodes,
+    };
+    return {
+      ...result,
+      fields: computeLinearElasticityFields(
+        result.solutionVector,
+        meshData,
+        coefficientFunctions,
+        model.elasticity?.formulation,
+      ),
+    };
+  },
+});
+
+/**
+ * Function to create the postProcess hook of a Taylor-Hood flow model, which splits the solution into the
+ * velocity and pressure fields, adds the vorticity and stream function fields and computes the flow rate
+ * through each boundary (at every time step of a transient simulation too)
+ * @param {string} metadataKey - Name of the model property the flow metadata is stored under
+ * @returns {function} The postProcess hook (see registerModel)
+ */
+function createFlowPostProcess(metadataKey) {
+  return (result, { model, meshData, assembly }) => {
+    // Store flow-specific metadata for solution extraction
+    model[metadataKey] = {
+      totalNodesVelocity: assembly.totalNodesVelocity,
+      totalNodesPressure: assembly.totalNodesPressure,
+      pressureNodeIndices: assembly.pressureNodeIndices,
+    };
+    const dofLayout = getTaylorHoodDOFLayout(meshData, "Flow post-processing");
+    const getFields = (solutionVector) => ({
+      ...extractCreepingFlowFields(solutionVector, meshData, assembly),
+      vorticity: computeVorticity(solutionVector, meshData, dofLayout),
+      streamFunction: computeStreamFunction(solutionVector, meshData, dofLayout),
+    });
+    const fields = getFields(result.solutionVector);
+    const flowRates = computeFlowRates(result.solutionVector, meshData, dofLayout);
+    if (!result.timeSeries) {
+      return { ...result, fields, flowRates };
+    }
+    const { solutionVectors } = result.timeSeries;
+    return {
+      ...result,
+      fields,
+      flowRates,
+      timeSeries: {
+        ...result.timeSeries,
+        fields: solutionVectors.map(getFields),
+        flowRates: solutionVectors.map((solutionVector) =>
+          computeFlowRates(solutionVector, meshData, dofLayout),
+        ),
+      },
+    };
+  };
+}
+
+/**
+ * Function to create the postProcess hook of a beam model
+ * @param {object} beamModel - Functions of the beam model:
+ *  - metadataKey: Name of the model property the beam metadata is stored under
+ *  - evaluateResults(solutionVector, meshData, coefficientFunctions, samplePoints): Internal forces at the
+ *    sample points
+ *  - computeReactions(solutionVector, meshData, boundaryConditions, coefficientFunctions): Support reactions
+ * @returns {function} The postProcess hook (see registerModel)
+ */
+function createBeamPostProcess({ metadataKey, evaluateResults, computeReactions }) {
+  return (result, { model, meshData, boundaryConditions, coefficientFunctions, assembly }) => {
+    // Store beam-specific metadata for solution extraction (2 DOFs per node: deflection, rotation)
+    model[metadataKey] = {
+      dofsPerNode: assembly.dofsPerNode,
+      totalNodesX: meshData.totalNodesX,
+    };
+    const splitDOFs = (dofVector) => {
+      const dofValues = flattenSolutionVector(dofVector);
+      return {
+        deflection: dofValues.filter((_, dofIndex) => dofIndex % 2 === 0),
+        rotation: dofValues.filter((_, dofIndex) => dofIndex % 2 === 1),
+      };
+    };
+    // Modal and buckling analyses: nodal deflections and rotations of every mode shape (the first one as
+    // fields)
+    if (result.modes || result.bucklingModes) {
+      const modeKey = result.modes ? "modes" : "bucklingModes";
+      const modes = result[modeKey].map((mode) => ({ ...mode, ...splitDOFs(mode.modeShape) }));
+      return { ...result, [modeKey]: modes, fields: splitDOFs(result.solutionVector) };
+    }
+    const beamResults = evaluateResults(
+      result.solutionVector,
+      meshData,
+      coefficientFunctions,
+      model.samplePoints,
+    );
+    // Dynamic simulations: fields and internal forces at the final time, plus the time histories of the
+    // chosen nodes (the static reactions do not apply, as they leave out the inertia forces)
+    if (model.dynamic && result.timeSeries) {
+      return {
+        ...result,
+        fields: splitDOFs(result.solutionVector),
+        beamResults,
+        timeHistory: extractEulerBernoulliBeamTimeHistory(
+          result.timeSeries,
+          meshData,
+          model.dynamic.historyNodes,
+        ),
+      };
+    }
+    // Nodal fields, plus the internal forces at the sample points (the nodes by default) and the reactions
+    return {
+      ...result,
+      fields: splitDOFs(result.solutionVector),
+      beamResults,
+      reactions: computeReactions(result.solutionVector, meshData, boundaryConditions, coefficientFunctions),
+    };
+  };
+}
+
+/**
+ * Function to solve the front propagation (eikonal) equation by continuation: the Newton-Raphson method
+ * runs for increasing values of the eikonal activation flag, each starting from the previous solution
+ * @param {object} context - Solve context (see registerModel)
+ * @returns {object} An object containing the solution vector and the last assembled system
+ * @throws {ConvergenceError} If the Newton-Raphson method does not converge at a continuation step (code
+ *  "NEWTON_NOT_CONVERGED")
+ */
+function solveFrontPropagation({ meshData, boundaryConditions, solverMethod, solverOptions }) {
+  let eikonalActivationFlag = 0; // TODO: make activationFlag a generic variable (not only for eikonal)
+  const eikonalExteralIterations = 5; // Number of incremental steps for the eikonal equation
+  let solutionVector = [];
+  let newtonRaphsonResult;
+
+  // Create context object with all necessary properties
+  const context = {
+    meshData,
+    boundaryConditions,
+    eikonalActivationFlag,
+    solverMethod,
+    initialSolution: [],
+    // TODO: Consider using different maxIterations/tolerance for Newton-Raphson and linear solver
+    ...solverOptions,
+  };
+
+  while (eikonalActivationFlag <= 1) {
+    // Update the context object with current eikonalActivationFlag
+    context.eikonalActivationFlag = eikonalActivationFlag;
+
+    // Pass the previous solution as initial guess
+    if (solutionVector.length > 0) {
+      context.initialSolution = [...solutionVector];
+    }
+
+    // Solve the assembled non-linear system
+    newtonRaphsonResult = newtonRaphson(assembleFrontPropagationMat, context);
+    if (!newtonRaphsonResult.converged) {
+      throw new ConvergenceError(
+        `Newton-Raphson method did not converge after ${newtonRaphsonResult.iterations} iterations at ` +
+          `eikonal activation flag ${eikonalActivationFlag}`,
+        {
+          code: "NEWTON_NOT_CONVERGED",
+          details: { eikonalActivationFlag, iterations: newtonRaphsonResult.iterations },
+        },
+      );
+    }
+    solutionVector = newtonRaphsonResult.solutionVector;
+
+    // Increment eikonalActivationFlag for next iteration
+    eikonalActivationFlag += 1 / eikonalExteralIterations;
+  }
+
+  const { jacobianMatrix, residualVector } = newtonRaphsonResult;
+  return { solutionVector, assembly: { jacobianMatrix, residualVector } };
+}
+
+/**
+ * Function to solve the steady Navier-Stokes equations. The Stokes solution at the first Reynolds number
+ * (a Picard iteration from rest) is the initial guess; the Reynolds number is then raised to its final
+ * value in `continuationSteps` equal steps, each solved by Picard iterations followed by the Newton method
+ * (or by Picard iterations alone), starting from the solution of the previous step
+ * @param {object} context - Solve context (see registerModel)
+ * @returns {object} An object containing the solution vector and the last assembled system
+ * @throws {ConfigurationError} If the Reynolds number is not set (code "MISSING_CONFIGURATION")
+ * @throws {ConvergenceError} If the iterations do not converge at a Reynolds number (code
+ *  "NAVIER_STOKES_NOT_CONVERGED")
+ */
+function solveNavierStokes({ model, meshData, boundaryConditions, solverMethod, solverOptions }) {
+  const {
+    reynoldsNumber,
+    linearization = "newton",
+    picardIterations = 2,
+    continuationSteps = 1,
+  } = getNavierStokesSettings(model);
+  const reynoldsNumbers = Array.from(
+    { length: continuationSteps },
+    (_, stepIndex) => (reynoldsNumber * (stepIndex + 1)) / continuationSteps,
+  );
+  const { totalDOFs, totalNodesVelocity, totalNodesPressure, pressureNodeIndices } = getTaylorHoodDOFLayout(
+    meshData,
+    "Navier-Stokes",
+  );
+
+  // Initial guess: the Picard system assembled at rest has no convective term
+  const stokesAssembly = assembleNavierStokesMat(meshData, boundaryConditions, new Float64Array(totalDOFs), {
+    reynoldsNumber: reynoldsNumbers[0],
+    linearization: "picard",
+    pressureReference: model.pressureReference,
+  });
+  let { solutionVector } = solveLinearSystem(
+    solverMethod,
+    stokesAssembly.jacobianMatrix,
+    stokesAssembly.residualVector,
+    { preconditioner: solverOptions.preconditioner, restart: solverOptions.restart },
+  );
+
+  // Picard iterations converge from further away, the Newton method faster once close to the solution
+  const stages =
+    linearization === "newton"
+      ? [
+          { linearization: "picard", maxIterations: picardIterations },
+          { linearization: "newton", maxIterations: solverOptions.maxIterations },
+        ]
+      : [{ linearization, maxIterations: solverOptions.maxIterations }];
+  let newtonRaphsonResult;
+
+  reynoldsNumbers.forEach((currentReynoldsNumber) => {
+    basicLog(`Solving the Navier-Stokes equations at Re = ${currentReynoldsNumber}`);
+    stages
+      .filter((stage) => stage.maxIterations !== 0)
+      .forEach((stage) => {
+        newtonRaphsonResult = newtonRaphson(
+          (meshData, boundaryConditions, solutionVector) =>
+            assembleNavierStokesMat(meshData, boundaryConditions, solutionVector, {
+              reynoldsNumber: currentReynoldsNumber,
+              linearization: stage.linearization,
+              pressureReference: model.pressureReference,
+            }),
+          {
+            meshData,
+            boundaryConditions,
+            solverMethod,
+            totalDOFs,
+            ...solverOptions,
+            maxIterations: stage.maxIterations,
+            // Pass the previous solution as initial guess
+            initialSolution: solutionVector,
+          },
+        );
+        solutionVector = newtonRaphsonResult.solutionVector;
+      });
+    if (!newtonRaphsonResult.converged) {
+      throw new ConvergenceError(
+        `Navier-Stokes iterations did not converge at Re = ${currentReynoldsNumber}; consider more continuationSteps`,
+        {
+          code: "NAVIER_STOKES_NOT_CONVERGED",
+          details: { reynoldsNumber: currentReynoldsNumber, iterations: newtonRaphsonResult.iterations },
+        },
+      );
+    }
+  });
+
+  const { jacobianMatrix, residualVector } = newtonRaphsonResult;
+  return {
+    solutionVector,
+    assembly: { jacobianMatrix, residualVector, totalNodesVelocity, totalNodesPressure, pressureNodeIndices },
+  };
+}
+
+/**
+ * Function to solve the unsteady Navier-Stokes equations with the BDF method. Each time step is solved with
+ * the iterations of the chosen `linearization`, starting from the solution of the previous step
+ * @param {object} context - Solve context (see registerModel)
+ * @returns {object} An object containing the solution vector, the time series and the last assembled system
+ * @throws {ConvergenceError} If the iterations of a time step do not converge (code
+ *  "NAVIER_STOKES_NOT_CONVERGED")
+ */
+function solveTransientNavierStokes({ model, meshData, boundaryConditions, solverMethod, solverOptions }) {
+  const { reynoldsNumber, linearization = "newton" } = getNavierStokesSettings(model);
+  const dofLayout = getTaylorHoodDOFLayout(meshData, "Navier-Stokes");
+  let newtonRaphsonResult;
+
+  const { solutionVector, timeSeries } = bdfMethod(
+    (time, timeDerivative, previousSolution) => {
+      newtonRaphsonResult = newtonRaphson(
+        (meshData, boundaryConditions, solutionVector) =>
+          assembleNavierStokesMat(meshData, boundaryConditions, solutionVector, {
+            reynoldsNumber,
+            linearization,
+            time,
+            timeDerivative,
+            pressureReference: model.pressureReference,
+          }),
+        {
+          meshData,
+          boundaryConditions,
+          solverMethod,
+          totalDOFs: dofLayout.totalDOFs,
+          ...solverOptions,
+          initialSolution: previousSolution,
+        },
+      );
+      if (!newtonRaphsonResult.converged) {
+        throw new ConvergenceError(
+          `Navier-Stokes iterations did not converge at t = ${time}; consider a smaller timeStep`,
+          {
+            code: "NAVIER_STOKES_NOT_CONVERGED",
+            details: { time, iterations: newtonRaphsonResult.iterations },
+          },
+        );
+      }
+      return newtonRaphsonResult.solutionVector;
+    },
+    { ...model.transient, initialSolution: getInitialFlowSolution(meshData, dofLayout, model.transient) },
+  );
+
+  const { jacobianMatrix, residualVector } = newtonRaphsonResult;
+  const { totalNodesVelocity, totalNodesPressure, pressureNodeIndices } = dofLayout;
+  return {
+    solutionVector,
+    timeSeries,
+    assembly: { jacobianMatrix, residualVector, totalNodesVelocity, totalNodesPressure, pressureNodeIndices },
+  };
+}
+
+/**
+ * Function to solve the unsteady Stokes equations with the BDF method, one linear solve per time step
+ * @param {object} context - Solve context (see registerModel)
+ * @returns {object} An object containing the solution vector, the time series and the last assembled system
+ */
+function solveTransientCreepingFlow({ model, meshData, boundaryConditions, solverMethod, solverOptions }) {
+  const dofLayout = getTaylorHoodDOFLayout(meshData, "Creeping flow");
+  let assembly;
+
+  const { solutionVector, timeSeries } = bdfMethod(
+    (time, timeDerivative) => {
+      assembly = assembleCreepingFlowMatrix(meshData, boundaryConditions, {
+        time,
+        timeDerivative,
+        pressureReference: model.pressureReference,
+      });
+      return solveLinearSystem(solverMethod, assembly.jacobianMatrix, assembly.residualVector, solverOptions)
+        .solutionVector;
+    },
+    { ...model.transient, initialSolution: getInitialFlowSolution(meshData, dofLayout, model.transient) },
+  );
+  return { solutionVector, timeSeries, assembly };
+}
+
+/**
+ * Function to build the initial solution of a transient flow simulation, with zero pressure
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} dofLayout - Degree of freedom layout returned by getTaylorHoodDOFLayout
+ * @param {object} transient - Time stepping settings, whose `initialVelocity` is a [u, v] pair or a function
+ *  (x, y) => [u, v] (default: fluid at rest)
+ * @returns {array} The initial solution vector
+ */
+function getInitialFlowSolution(meshData, { totalNodesVelocity, totalDOFs }, { initialVelocity = [0, 0] }) {
+  const initialSolution = new Array(totalDOFs).fill(0);
+  for (let nodeIndex = 0; nodeIndex < totalNodesVelocity; nodeIndex++) {
+    const [xVelocity, yVelocity] =
+      typeof initialVelocity === "function"
+        ? initialVelocity(meshData.nodesXCoordinates[nodeIndex], meshData.nodesYCoordinates[nodeIndex])
+        : initialVelocity;
+    initialSolution[nodeIndex] = xVelocity;
+    initialSolution[totalNodesVelocity + nodeIndex] = yVelocity;
+  }
+  return initialSolution;
+}
+
+/**
+ * Function to get the settings of the Navier-Stokes model
+ * @param {FEAScriptModel} model - The model, with the `navierStokes` option of setModelConfig
+ * @returns {object} The Navier-Stokes settings
+ * @throws {ConfigurationError} If the Reynolds number is not set (code "MISSING_CONFIGURATION")
+ */
+function getNavierStokesSettings(model) {
+  if (model.navierStokes?.reynoldsNumber === undefined) {
+    throw new ConfigurationError("The Navier-Stokes model requires navierStokes.reynoldsNumber", {
+      code: "MISSING_CONFIGURATION",
+      details: { navierStokes: model.navierStokes },
+    });
+  }
+  return model.navierStokes;
+}
@@ -8,24 +8,38 @@
  */
 
 // Internal imports
-import { performIsoparametricMapping2D } from "../mesh/meshUtils.js";
+import {
+  getElementNodeNaturalCoordinates,
+  getSideIntegrationPoints,
+  performIsoparametricMapping2D,
+} from "../mesh/meshUtils.js";
 import { BasisFunctions } from "../mesh/basisFunctions.js";
 import { NumericalIntegration } from "../methods/numericalIntegration.js";
+import { SparseMatrix } from "../methods/sparseMatrix.js";
+import { solveLinearSystem } from "../methods/linearSystemSolver.js";
 import { FlowBoundaryConditions } from "./flowBoundaryConditions.js";
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { MeshError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
 
 /**
  * Function to assemble the Jacobian matrix and residual vector for the steady creeping flow (Stokes) model
- * using Taylor-Hood (Q2-Q1) mixed finite elements
+ * using Taylor-Hood (Q2-Q1) mixed finite elements, or their triangular counterpart (P2-P1) on triangle meshes
  *
  * DOF ordering in the assembled system:
  *   [u_0 … u_{N_2−1}, v_0 … v_{N_2−1}, p_0 … p_{N_1−1}]
  * where N_2 = total velocity nodes (Q2) and N_1 = total pressure nodes (Q1)
  *
+ * A time step of the unsteady Stokes equations adds the velocity mass terms of the time derivative, which
+ * the time integration scheme approximates as du/dt ≈ coefficient·u + historyVector (see bdfMethod)
+ *
  * @param {object} meshData - Object containing prepared mesh data (must use quadratic elements)
  * @param {object} boundaryConditions - Object containing boundary conditions for the finite element analysis
+ * @param {object} [options] - Object containing:
+ *  - time: Time at which the boundary velocities and tractions are evaluated (default 0)
+ *  - timeDerivative: The `coefficient` and `historyVector` of the time derivative (steady flow if omitted)
+ *  - pressureReference: The `node` and `value` of the reference pressure (see FlowBoundaryConditions)
  * @returns {object} An object containing:
- *  - jacobianMatrix: The assembled Jacobian matrix
+ *  - jacobianMatrix: The assembled Jacobian matrix (SparseMatrix)
  *  - residualVector: The assembled residual vector
  *  - totalNodesVelocity: Number of velocity nodes (Q2)
  *  - totalNodesPressure: Number of pressure nodes (Q1)
@@ -39,33 +53,103 @@ import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
  * classic stiffness/conductivity matrix and `residualVector`
  * corresponds to the traditional load (RHS) vector.
  */
-export function assembleCreepingFlowMatrix(meshData, boundaryConditions) {
+export function assembleCreepingFlowMatrix(
+  meshData,
+  boundaryConditions,
+  { time = 0, timeDerivative, pressureReference } = {},
+) {
   basicLog("Starting creeping flow matrix assembly...");
 
-  // Extract mesh data
-  const {
-    nodesXCoordinates,
-    nodesYCoordinates,
-    nop,
-    boundaryElements,
-    totalElements,
-    totalNodes,
-    meshDimension,
-    elementOrder,
-  } = meshData;
+  const dofLayout = getTaylorHoodDOFLayout(meshData, "Creeping flow");
+  const { totalNodesVelocity, totalNodesPressure, totalDOFs, pressureNodeIndices } = dofLayout;
+
+  // Initialize Jacobian matrix and residual vector
+  let residualVector = new Array(totalDOFs).fill(0);
+  let jacobianMatrix = new SparseMatrix(totalDOFs);
+
+  // Viscosity coefficient
+  const mu = 1.0;
+
+  // Matrix assembly
+  forEachTaylorHoodGaussPoint(meshData, dofLayout, (gaussPointData) => {
+    addStokesContributions(jacobianMatrix, gaussPointData, totalNodesVelocity, mu);
+    if (timeDerivative) {
+      addTimeDerivativeContributions(
+        jacobianMatrix,
+        residualVector,
+        gaussPointData,
+        totalNodesVelocity,
+        timeDerivative,
+      );
+    }
+  });
+
+  // Apply boundary conditions
+  const flowBoundaryConditions = new FlowBoundaryConditions(
+    boundaryConditions,
+    meshData.boundaryElements,
+    meshData.nop,
+    meshData.meshDimension,
+    meshData.elementOrder,
+    meshData.elementType,
+    totalNodesVelocity,
+    totalNodesPressure,
+    dofLayout.q2ToPressureMap,
+    { nodesXCoordinates: meshData.nodesXCoordinates, nodesYCoordinates: meshData.nodesYCoordinates },
+    pressureReference,
+  );
+
+  flowBoundaryConditions.imposeNaturalBoundaryConditions(residualVector, time);
+  flowBoundaryConditions.imposeDirichletBoundaryConditions(residualVector, jacobianMatrix, undefined, time);
+  basicLog("Creeping flow matrix assembly completed");
+
+  return {
+    jacobianMatrix,
+    residualVector,
+    totalNodesVelocity,
+    totalNodesPressure,
+    pressureNodeIndices,
+  };
+}
+
+/**
+ * Function to check that a mesh supports the Taylor-Hood (Q2-Q1 or P2-P1) element and to number its
+ * degrees of freedom, with the pressure carried by the corner (vertex) nodes of each element
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {string} modelName - Name of the flow model, for the error messages
+ * @returns {object} An object containing:
+ *  - totalNodesVelocity, totalNodesPressure, totalDOFs: Sizes of the velocity and pressure unknowns
+ *  - pressureNodeIndices: Array mapping pressure DOF index to global Q2 node index
+ *  - q2ToPressureMap: Map from global Q2 node index to pressure DOF index
+ *  - nodesPerVelocityElement, nodesPerPressureElement, cornerLocalIndices: Element layout
+ * @throws {MeshError} If the mesh is not 2D (code "UNSUPPORTED_MESH_DIMENSION") or not quadratic (code
+ *  "UNSUPPORTED_ELEMENT_ORDER")
+ */
+export function getTaylorHoodDOFLayout(meshData, modelName) {
+  const { nop, totalElements, totalNodes, meshDimension, elementOrder, elementType } = meshData;
 
   // Validate mesh configuration
   if (meshDimension !== "2D") {
-    errorLog("Creeping flow solver requires a 2D mesh");
+    throw new MeshError(`${modelName} solver requires a 2D mesh`, {
+      code: "UNSUPPORTED_MESH_DIMENSION",
+      details: { meshDimension },
+    });
   }
   if (elementOrder !== "quadratic") {
-    errorLog("Creeping flow solver requires quadratic elements for Taylor-Hood (Q2-Q1) formulation");
+    throw new MeshError(
+      `${modelName} solver requires quadratic elements for Taylor-Hood (Q2-Q1) formulation`,
+      {
+        code: "UNSUPPORTED_ELEMENT_ORDER",
+        details: { elementOrder },
+      },
+    );
   }
 
   // Number of velocity nodes (Q2) is the total number of nodes in the quadratic mesh
   const totalNodesVelocity = totalNodes;
-  const nodesPerVelocityElement = 9; // Q2 element has 9 nodes
-  const nodesPerPressureElement = 4; // Q1 element has 4 nodes
+  const isTriangleMesh = elementType === "triangle";
+  const nodesPerVelocityElement = isTriangleMesh ? 6 : 9; // P2 element has 6 nodes, Q2 element has 9 nodes
+  const nodesPerPressureElement = isTriangleMesh ? 3 : 4; // P1 element has 3 nodes, Q1 element has 4 nodes
 
   // Local Q2 indices that correspond to Q1 corner nodes
   // Q2 local numbering:
@@ -75,7 +159,8 @@ export function assembleCreepingFlowMatrix(meshData, boundaryConditions) {
   //   |       |
   //   0 - 3 - 6
   // Corner nodes (Q1): 0, 2, 6, 8
-  const cornerLocalIndices = [0, 2, 6, 8];
+  // For P2 triangles the vertex nodes 0, 1, 2 come first, so they directly form the P1 element
+  const cornerLocalIndices = isTriangleMesh ? [0, 1, 2] : [0, 2, 6, 8];
 
   // Build pressure node mapping from Q2 corner nodes
   const q2ToPressureMap = new Map();
@@ -96,43 +181,54 @@ export function assembleCreepingFlowMatrix(meshData, boundaryConditions) {
   const totalDOFs = 2 * totalNodesVelocity + totalNodesPressure;
 
   debugLog(
-    `Creeping flow DOFs: ${totalNodesVelocity} velocity nodes (Q2), ${totalNodesPressure} pressure nodes (Q1), ${totalDOFs} total DOFs`,
+    `${modelName} DOFs: ${totalNodesVelocity} velocity nodes (Q2), ${totalNodesPressure} pressure nodes (Q1), ${totalDOFs} total DOFs`,
   );
 
-  // Initialize Jacobian matrix and residual vector
-  let residualVector = [];
-  let jacobianMatrix = [];
-  for (let nodeIndex = 0; nodeIndex < totalDOFs; nodeIndex++) {
-    residualVector[nodeIndex] = 0;
-    jacobianMatrix.push([]);
-    for (let colIndex = 0; colIndex < totalDOFs; colIndex++) {
-      jacobianMatrix[nodeIndex][colIndex] = 0;
-    }
-  }
+  return {
+    totalNodesVelocity,
+    totalNodesPressure,
+    totalDOFs,
+    pressureNodeIndices,
+    q2ToPressureMap,
+    nodesPerVelocityElement,
+    nodesPerPressureElement,
+    cornerLocalIndices,
+  };
+}
+
+/**
+ * Function to loop over the Gauss points of the Taylor-Hood elements of a mesh
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} dofLayout - Degree of freedom layout returned by getTaylorHoodDOFLayout
+ * @param {function} callback - Called at each Gauss point with an object containing `velLocalToGlobalMap`
+ *  (global Q2 node indices), `presLocalToGlobalMap` (pressure DOF indices), the velocity `basisFunction`
+ *  and its derivatives `basisFunctionDerivX` and `basisFunctionDerivY`, the `pressureBasisFunction` and
+ *  the integration `weightFactor`
+ */
+export function forEachTaylorHoodGaussPoint(meshData, dofLayout, callback) {
+  const { nodesXCoordinates, nodesYCoordinates, nop, totalElements, elementType } = meshData;
+  const { q2ToPressureMap, nodesPerVelocityElement, nodesPerPressureElement, cornerLocalIndices } = dofLayout;
 
   // Initialize basis functions for velocity (Q2) and pressure (Q1)
   const velocityBasisFunctions = new BasisFunctions({
     meshDimension: "2D",
     elementOrder: "quadratic",
+    elementType,
   });
   const pressureBasisFunctions = new BasisFunctions({
     meshDimension: "2D",
     elementOrder: "linear",
+    elementType,
   });
 
   // Initialize numerical integration (use quadratic-order Gauss rule)
   const numericalIntegration = new NumericalIntegration({
     meshDimension: "2D",
     elementOrder: "quadratic",
+    elementType,
   });
-  let gaussPointsAndWeights = numericalIntegration.getGaussPointsAndWeights();
-  let gaussPoints = gaussPointsAndWeights.gaussPoints;
-  let gaussWeights = gaussPointsAndWeights.gaussWeights;
+  const { gaussPoints2D, gaussWeights2D } = numericalIntegration.getGaussPointsAndWeights2D();
 
-  // Viscosity coefficient
-  const mu = 1.0;
-
-  // Matrix assembly
   for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
     // Build local-to-global mapping for velocity nodes (Q2)
     let velLocalToGlobalMap = [];
@@ -149,109 +245,372 @@ export function assembleCreepingFlowMatrix(meshData, boundaryConditions) {
     }
 
     // Loop over Gauss points
-    for (let gaussPointIndex1 = 0; gaussPointIndex1 < gaussPoints.length; gaussPointIndex1++) {
-      for (let gaussPointIndex2 = 0; gaussPointIndex2 < gaussPoints.length; gaussPointIndex2++) {
-        // Get velocity (Q2) basis functions for the current Gauss point
-        const velocityBasisFunctionsAndDerivatives = velocityBasisFunctions.getBasisFunctions(
-          gaussPoints[gaussPointIndex1],
-          gaussPoints[gaussPointIndex2],
-        );
+    for (let gaussPointIndex = 0; gaussPointIndex < gaussWeights2D.length; gaussPointIndex++) {
+      // Get velocity (Q2) basis functions for the current Gauss point
+      const velocityBasisFunctionsAndDerivatives = velocityBasisFunctions.getBasisFunctions(
+        ...gaussPoints2D[gaussPointIndex],
+      );
+
+      // Get pressure (Q1) basis functions for the current Gauss point
+      const pressureBasisFunctionsAndDerivatives = pressureBasisFunctions.getBasisFunctions(
+        ...gaussPoints2D[gaussPointIndex],
+      );
+
+      // Perform isoparametric mapping using Q2 velocity basis functions
+      const mappingResult = performIsoparametricMapping2D({
+        basisFunction: velocityBasisFunctionsAndDerivatives.basisFunction,
+        basisFunctionDerivKsi: velocityBasisFunctionsAndDerivatives.basisFunctionDerivKsi,
+        basisFunctionDerivEta: velocityBasisFunctionsAndDerivatives.basisFunctionDerivEta,
+        nodesXCoordinates,
+        nodesYCoordinates,
+        localToGlobalMap: velLocalToGlobalMap,
+        nodesPerElement: nodesPerVelocityElement,
+      });
+
+      // Extract mapping results
+      const { detJacobian, basisFunctionDerivX, basisFunctionDerivY } = mappingResult;
+
+      callback({
+        velLocalToGlobalMap,
+        presLocalToGlobalMap,
+        basisFunction: velocityBasisFunctionsAndDerivatives.basisFunction,
+        basisFunctionDerivX,
+        basisFunctionDerivY,
+        pressureBasisFunction: pressureBasisFunctionsAndDerivatives.basisFunction,
+        // Gauss integration weight factor
+        weightFactor: gaussWeights2D[gaussPointIndex] * detJacobian,
+      });
+    }
+  }
+}
 
-        // Get pressure (Q1) basis functions for the current Gauss point
-        const pressureBasisFunctionsAndDerivatives = pressureBasisFunctions.getBasisFunctions(
-          gaussPoints[gaussPointIndex1],
-          gaussPoints[gaussPointIndex2],
-        );
+/**
+ * Function to add the viscous and pressure-velocity coupling terms of a Gauss point to the Jacobian matrix
+ * @param {SparseMatrix} jacobianMatrix - The Jacobian matrix to be modified
+ * @param {object} gaussPointData - Gauss point data passed by forEachTaylorHoodGaussPoint
+ * @param {number} totalNodesVelocity - Number of velocity nodes (Q2), i.e. the offset of the v DOFs
+ * @param {number} mu - Viscosity coefficient
+ */
+export function addStokesContributions(jacobianMatrix, gaussPointData, totalNodesVelocity, mu) {
+  const {
+    velLocalToGlobalMap,
+    presLocalToGlobalMap,
+    basisFunctionDerivX,
+    basisFunctionDerivY,
+    pressureBasisFunction,
+    weightFactor,
+  } = gaussPointData;
+  const nodesPerVelocityElement = velLocalToGlobalMap.length;
+  const nodesPerPressureElement = presLocalToGlobalMap.length;
+
+  // Assemble viscous stiffness terms (K block)
+  for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerVelocityElement; localNodeIndex1++) {
+    let globalNode1 = velLocalToGlobalMap[localNodeIndex1];
+    let xVelocityDegreeOfFreedom1 = globalNode1; // u-velocity DOF
+    let yVelocityDegreeOfFreedom1 = totalNodesVelocity + globalNode1; // v-velocity DOF
+
+    for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerVelocityElement; localNodeIndex2++) {
+      let globalNode2 = velLocalToGlobalMap[localNodeIndex2];
+      let xVelocityDegreeOfFreedom2 = globalNode2; // u-velocity DOF
+      let yVelocityDegreeOfFreedom2 = totalNodesVelocity + globalNode2; // v-velocity DOF
+
+      // Viscous stiffness
+      let viscousContribution =
+        -weightFactor *
+        mu *
+        (basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2] +
+          basisFunctionDerivY[localNodeIndex1] * basisFunctionDerivY[localNodeIndex2]);
+
+      // K appears in both u-u and v-v blocks
+      jacobianMatrix.addValue(xVelocityDegreeOfFreedom1, xVelocityDegreeOfFreedom2, viscousContribution);
+      jacobianMatrix.addValue(yVelocityDegreeOfFreedom1, yVelocityDegreeOfFreedom2, viscousContribution);
+    }
 
-        // Perform isoparametric mapping using Q2 velocity basis functions
-        const mappingResult = performIsoparametricMapping2D({
-          basisFunction: velocityBasisFunctionsAndDerivatives.basisFunction,
-          basisFunctionDerivKsi: velocityBasisFunctionsAndDerivatives.basisFunctionDerivKsi,
-          basisFunctionDerivEta: velocityBasisFunctionsAndDerivatives.basisFunctionDerivEta,
-          nodesXCoordinates,
-          nodesYCoordinates,
-          localToGlobalMap: velLocalToGlobalMap,
-          nodesPerElement: nodesPerVelocityElement,
-        });
+    // Assemble pressure-velocity coupling terms
+    for (let localPresIndex = 0; localPresIndex < nodesPerPressureElement; localPresIndex++) {
+      let pressureDegreeOfFreedom = 2 * totalNodesVelocity + presLocalToGlobalMap[localPresIndex];
 
-        // Extract mapping results
-        const { detJacobian, basisFunctionDerivX, basisFunctionDerivY } = mappingResult;
+      let bxContribution =
+        weightFactor * pressureBasisFunction[localPresIndex] * basisFunctionDerivX[localNodeIndex1];
 
-        // Gauss integration weight factor
-        const weightFactor = gaussWeights[gaussPointIndex1] * gaussWeights[gaussPointIndex2] * detJacobian;
-
-        // Assemble viscous stiffness terms (K block)
-        for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerVelocityElement; localNodeIndex1++) {
-          let globalNode1 = velLocalToGlobalMap[localNodeIndex1];
-          let xVelocityDegreeOfFreedom1 = globalNode1; // u-velocity DOF
-          let yVelocityDegreeOfFreedom1 = totalNodesVelocity + globalNode1; // v-velocity DOF
-
-          for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerVelocityElement; localNodeIndex2++) {
-            let globalNode2 = velLocalToGlobalMap[localNodeIndex2];
-            let xVelocityDegreeOfFreedom2 = globalNode2; // u-velocity DOF
-            let yVelocityDegreeOfFreedom2 = totalNodesVelocity + globalNode2; // v-velocity DOF
-
-            // Viscous stiffness
-            let viscousContribution =
-              -weightFactor *
-              mu *
-              (basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2] +
-                basisFunctionDerivY[localNodeIndex1] * basisFunctionDerivY[localNodeIndex2]);
-
-            // K appears in both u-u and v-v blocks
-            jacobianMatrix[xVelocityDegreeOfFreedom1][xVelocityDegreeOfFreedom2] += viscousContribution;
-            jacobianMatrix[yVelocityDegreeOfFreedom1][yVelocityDegreeOfFreedom2] += viscousContribution;
-          }
-
-          // Assemble pressure-velocity coupling terms
-          for (let localPresIndex = 0; localPresIndex < nodesPerPressureElement; localPresIndex++) {
-            let pressureDegreeOfFreedom = 2 * totalNodesVelocity + presLocalToGlobalMap[localPresIndex];
-
-            let bxContribution =
-              weightFactor *
-              pressureBasisFunctionsAndDerivatives.basisFunction[localPresIndex] *
-              basisFunctionDerivX[localNodeIndex1];
-
-            let byContribution =
-              weightFactor *
-              pressureBasisFunctionsAndDerivatives.basisFunction[localPresIndex] *
-              basisFunctionDerivY[localNodeIndex1];
-
-            // Pressure gradient in x-momentum
-            jacobianMatrix[xVelocityDegreeOfFreedom1][pressureDegreeOfFreedom] += bxContribution;
-
-            // Pressure gradient in y-momentum
-            jacobianMatrix[yVelocityDegreeOfFreedom1][pressureDegreeOfFreedom] += byContribution;
-
-            // Continuity equation
-            jacobianMatrix[pressureDegreeOfFreedom][xVelocityDegreeOfFreedom1] += -bxContribution;
-            jacobianMatrix[pressureDegreeOfFreedom][yVelocityDegreeOfFreedom1] += -byContribution;
-          }
-        }
-      }
+      let byContribution =
+        weightFactor * pressureBasisFunction[localPresIndex] * basisFunctionDerivY[localNodeIndex1];
+
+      // Pressure gradient in x-momentum
+      jacobianMatrix.addValue(xVelocityDegreeOfFreedom1, pressureDegreeOfFreedom, bxContribution);
+
+      // Pressure gradient in y-momentum
+      jacobianMatrix.addValue(yVelocityDegreeOfFreedom1, pressureDegreeOfFreedom, byContribution);
+
+      // Continuity equation
+      jacobianMatrix.addValue(pressureDegreeOfFreedom, xVelocityDegreeOfFreedom1, -bxContribution);
+      jacobianMatrix.addValue(pressureDegreeOfFreedom, yVelocityDegreeOfFreedom1, -byContribution);
     }
   }
+}
 
-  // Apply boundary conditions
-  const flowBoundaryConditions = new FlowBoundaryConditions(
-    boundaryConditions,
-    boundaryElements,
-    nop,
-    meshDimension,
-    elementOrder,
-    totalNodesVelocity,
-    totalNodesPressure,
-    q2ToPressureMap,
+/**
+ * Function to add the velocity mass terms of the time derivative at a Gauss point, for the momentum
+ * equations written as (assembled terms) − M·du/dt = 0 with du/dt ≈ coefficient·u + historyVector
+ * @param {SparseMatrix} jacobianMatrix - The Jacobian matrix to be modified
+ * @param {array} residualVector - The residual vector to be modified
+ * @param {object} gaussPointData - Gauss point data passed by forEachTaylorHoodGaussPoint
+ * @param {number} totalNodesVelocity - Number of velocity nodes (Q2), i.e. the offset of the v DOFs
+ * @param {object} timeDerivative - The `coefficient` and the `historyVector` (with the layout of the solution
+ *  vector) of the time derivative
+ * @param {array} [solutionVector] - Current solution of a Newton-Raphson iteration; when provided, the
+ *  residual holds the full time derivative instead of its history part only
+ */
+export function addTimeDerivativeContributions(
+  jacobianMatrix,
+  residualVector,
+  gaussPointData,
+  totalNodesVelocity,
+  { coefficient, historyVector },
+  solutionVector,
+) {
+  const { velLocalToGlobalMap, basisFunction, weightFactor } = gaussPointData;
+
+  // Time derivative of the velocity components at the Gauss point
+  let xVelocityRate = 0;
+  let yVelocityRate = 0;
+  velLocalToGlobalMap.forEach((globalNode, localNodeIndex) => {
+    const yVelocityDegreeOfFreedom = totalNodesVelocity + globalNode;
+    xVelocityRate +=
+      basisFunction[localNodeIndex] *
+      (historyVector[globalNode] + (solutionVector ? coefficient * solutionVector[globalNode] : 0));
+    yVelocityRate +=
+      basisFunction[localNodeIndex] *
+      (historyVector[yVelocityDegreeOfFreedom] +
+        (solutionVector ? coefficient * solutionVector[yVelocityDegreeOfFreedom] : 0));
+  });
+
+  for (let localNodeIndex1 = 0; localNodeIndex1 < velLocalToGlobalMap.length; localNodeIndex1++) {
+    const globalNode1 = velLocalToGlobalMap[localNodeIndex1];
+    const weightedBasis = weightFactor * basisFunction[localNodeIndex1];
+    residualVector[globalNode1] += weightedBasis * xVelocityRate;
+    residualVector[totalNodesVelocity + globalNode1] += weightedBasis * yVelocityRate;
+
+    for (let localNodeIndex2 = 0; localNodeIndex2 < velLocalToGlobalMap.length; localNodeIndex2++) {
+      const globalNode2 = velLocalToGlobalMap[localNodeIndex2];
+      const massContribution = -coefficient * weightedBasis * basisFunction[localNodeIndex2];
+      jacobianMatrix.addValue(globalNode1, globalNode2, massContribution);
+      jacobianMatrix.addValue(
+        totalNodesVelocity + globalNode1,
+        totalNodesVelocity + globalNode2,
+        massContribution,
+      );
+    }
+  }
+}
+
+/**
+ * Function to split the packed creeping flow solution into named fields defined at all mesh (Q2) nodes
+ * @param {array} solutionVector - Solution vector ordered as [u…, v…, p…] (see assembleCreepingFlowMatrix)
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} dofLayout - Object with the `totalNodesVelocity` and `pressureNodeIndices` returned by
+ *  assembleCreepingFlowMatrix
+ * @returns {object} An object containing:
+ *  - u, v: Velocity components
+ *  - velocityMagnitude: Magnitude of the velocity
+ *  - pressure: Pressure, interpolated with the Q1 (P1) basis functions to the mid-side and center nodes
+ */
+export function extractCreepingFlowFields(
+  solutionVector,
+  meshData,
+  { totalNodesVelocity, pressureNodeIndices },
+) {
+  const { nop, totalElements, elementType } = meshData;
+  const isTriangleMesh = elementType === "triangle";
+
+  const u = Array.from({ length: totalNodesVelocity }, (_, nodeIndex) => solutionVector[nodeIndex]);
+  const v = Array.from(
+    { length: totalNodesVelocity },
+    (_, nodeIndex) => solutionVector[totalNodesVelocity + nodeIndex],
   );
+  const velocityMagnitude = u.map((uValue, nodeIndex) => Math.hypot(uValue, v[nodeIndex]));
 
-  flowBoundaryConditions.imposeDirichletBoundaryConditions(residualVector, jacobianMatrix);
-  basicLog("Creeping flow matrix assembly completed");
+  // Pressure values at the corner nodes, which carry the pressure degrees of freedom
+  const pressure = new Array(totalNodesVelocity).fill(undefined);
+  pressureNodeIndices.forEach((globalNodeIndex, pressureIndex) => {
+    pressure[globalNodeIndex] = solutionVector[2 * totalNodesVelocity + pressureIndex];
+  });
 
-  return {
-    jacobianMatrix,
-    residualVector,
-    totalNodesVelocity,
-    totalNodesPressure,
-    pressureNodeIndices,
-  };
+  // The Q1 (P1) pressure is interpolated at the natural coordinates of the Q2 (P2) element nodes
+  const localNodeCoordinates = getElementNodeNaturalCoordinates("quadratic", elementType);
+  const cornerLocalIndices = isTriangleMesh ? [0, 1, 2] : [0, 2, 6, 8];
+  const pressureBasisFunctions = new BasisFunctions({
+    meshDimension: "2D",
+    elementOrder: "linear",
+    elementType,
+  });
+
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const cornerPressures = cornerLocalIndices.map(
+      (localNodeIndex) => pressure[nop[elementIndex][localNodeIndex] - 1],
+    );
+    localNodeCoordinates.forEach(([ksi, eta], localNodeIndex) => {
+      const globalNodeIndex = nop[elementIndex][localNodeIndex] - 1;
+      if (pressure[globalNodeIndex] !== undefined) return;
+      const { basisFunction } = pressureBasisFunctions.getBasisFunctions(ksi, eta);
+      pressure[globalNodeIndex] = cornerPressures.reduce(
+        (sum, cornerPressure, cornerIndex) => sum + cornerPressure * basisFunction[cornerIndex],
+        0,
+      );
+    });
+  }
+
+  return { u, v, velocityMagnitude, pressure };
+}
+
+/**
+ * Function to compute the vorticity ω = ∂v/∂x − ∂u/∂y of a flow solution at the mesh (Q2) nodes. The
+ * velocity gradient is discontinuous between elements, so the nodal values average those of the elements
+ * sharing the node
+ * @param {array} solutionVector - Solution vector ordered as [u…, v…, p…] (see assembleCreepingFlowMatrix)
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} dofLayout - Degree of freedom layout returned by getTaylorHoodDOFLayout
+ * @returns {array} The nodal vorticity
+ */
+export function computeVorticity(solutionVector, meshData, { totalNodesVelocity, nodesPerVelocityElement }) {
+  const { nodesXCoordinates, nodesYCoordinates, nop, totalElements, elementType } = meshData;
+  const velocityBasisFunctions = new BasisFunctions({
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    elementType,
+  });
+  const localNodeCoordinates = getElementNodeNaturalCoordinates("quadratic", elementType);
+
+  const vorticitySum = new Array(totalNodesVelocity).fill(0);
+  const elementCount = new Array(totalNodesVelocity).fill(0);
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const velLocalToGlobalMap = nop[elementIndex].map((nodeNumber) => nodeNumber - 1);
+    localNodeCoordinates.forEach(([ksi, eta], localNodeIndex) => {
+      const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } =
+        velocityBasisFunctions.getBasisFunctions(ksi, eta);
+      const { basisFunctionDerivX, basisFunctionDerivY } = performIsoparametricMapping2D({
+        basisFunction,
+        basisFunctionDerivKsi,
+        basisFunctionDerivEta,
+        nodesXCoordinates,
+        nodesYCoordinates,
+        localToGlobalMap: velLocalToGlobalMap,
+        nodesPerElement: nodesPerVelocityElement,
+      });
+      const globalNodeIndex = velLocalToGlobalMap[localNodeIndex];
+      velLocalToGlobalMap.forEach((globalNode, localNodeIndex2) => {
+        vorticitySum[globalNodeIndex] +=
+          solutionVector[totalNodesVelocity + globalNode] * basisFunctionDerivX[localNodeIndex2] -
+          solutionVector[globalNode] * basisFunctionDerivY[localNodeIndex2];
+      });
+      elementCount[globalNodeIndex]++;
+    });
+  }
+
+  return vorticitySum.map((value, nodeIndex) => value / elementCount[nodeIndex]);
+}
+
+/**
+ * Function to compute the stream function ψ of a flow solution, with u = ∂ψ/∂y and v = −∂ψ/∂x, at the mesh
+ * (Q2) nodes. ψ solves the Poisson equation ∇²ψ = −ω, with the tangential velocity as Neumann condition on
+ * every boundary, in the weak form ∫∇φ·∇ψ dΩ = ∫(u ∂φ/∂y − v ∂φ/∂x) dΩ, and is zero at the first node. Its
+ * contour lines are the streamlines, and the difference of its values at two points is the flow rate
+ * between them
+ * @param {array} solutionVector - Solution vector ordered as [u…, v…, p…] (see assembleCreepingFlowMatrix)
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} dofLayout - Degree of freedom layout returned by getTaylorHoodDOFLayout
+ * @returns {array} The nodal stream function
+ */
+export function computeStreamFunction(solutionVector, meshData, dofLayout) {
+  const { totalNodesVelocity } = dofLayout;
+  const jacobianMatrix = new SparseMatrix(totalNodesVelocity);
+  const residualVector = new Array(totalNodesVelocity).fill(0);
+
+  forEachTaylorHoodGaussPoint(meshData, dofLayout, (gaussPointData) => {
+    const { velLocalToGlobalMap, basisFunction, basisFunctionDerivX, basisFunctionDerivY, weightFactor } =
+      gaussPointData;
+    let xVelocity = 0;
+    let yVelocity = 0;
+    velLocalToGlobalMap.forEach((globalNode, localNodeIndex) => {
+      xVelocity += solutionVector[globalNode] * basisFunction[localNodeIndex];
+      yVelocity += solutionVector[totalNodesVelocity + globalNode] * basisFunction[localNodeIndex];
+    });
+
+    velLocalToGlobalMap.forEach((globalNode1, localNodeIndex1) => {
+      residualVector[globalNode1] +=
+        weightFactor *
+        (xVelocity * basisFunctionDerivY[localNodeIndex1] - yVelocity * basisFunctionDerivX[localNodeIndex1]);
+      velLocalToGlobalMap.forEach((globalNode2, localNodeIndex2) => {
+        jacobianMatrix.addValue(
+          globalNode1,
+          globalNode2,
+          weightFactor *
+            (basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2] +
+              basisFunctionDerivY[localNodeIndex1] * basisFunctionDerivY[localNodeIndex2]),
+        );
+      });
+    });
+  });
+
+  // The stream function is defined up to a constant
+  jacobianMatrix.setIdentityRow(0);
+  residualVector[0] = 0;
+
+  // The direct solver is used regardless of the flow solver, whose tolerance suits the flow unknowns
+  return Array.from(solveLinearSystem("lusolve", jacobianMatrix, residualVector).solutionVector);
+}
+
+/**
+ * Function to compute the volumetric flow rate Q = ∫u·n ds through each boundary of a flow solution, with
+ * the outward normal n (positive for outflow)
+ * @param {array} solutionVector - Solution vector ordered as [u…, v…, p…] (see assembleCreepingFlowMatrix)
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} dofLayout - Degree of freedom layout returned by getTaylorHoodDOFLayout
+ * @returns {object} The flow rates keyed by boundary index, and also by boundary name for named boundaries
+ *  (Gmsh physical names, or "bottom"/"left"/"top"/"right" for generated meshes)
+ */
+export function computeFlowRates(solutionVector, meshData, dofLayout) {
+  const { nop, boundaryElements, boundaryNames = {} } = meshData;
+  const { totalNodesVelocity } = dofLayout;
+
+  // The velocity is interpolated with the quadratic basis functions along each boundary side
+  const basisFunctions = new BasisFunctions({
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    elementType: meshData.elementType,
+  });
+  const { gaussPoints, gaussWeights } = new NumericalIntegration({
+    meshDimension: "1D",
+    elementOrder: "quadratic",
+  }).getGaussPointsAndWeights();
+
+  const flowRates = {};
+  Object.keys(boundaryElements).forEach((boundaryKey) => {
+    let flowRate = 0;
+    boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+      getSideIntegrationPoints(
+        meshData,
+        elementIndex,
+        side,
+        gaussPoints,
+        gaussWeights,
+        basisFunctions,
+      ).forEach(({ sideNodeIndices, basisFunction, weight, normal: [xNormal, yNormal] }) => {
+        let xVelocity = 0;
+        let yVelocity = 0;
+        sideNodeIndices.forEach((localNodeIndex) => {
+          const globalNodeIndex = nop[elementIndex][localNodeIndex] - 1;
+          xVelocity += solutionVector[globalNodeIndex] * basisFunction[localNodeIndex];
+          yVelocity += solutionVector[totalNodesVelocity + globalNodeIndex] * basisFunction[localNodeIndex];
+        });
+        flowRate += weight * (xVelocity * xNormal + yVelocity * yNormal);
+      });
+    });
+    flowRates[boundaryKey] = flowRate;
+  });
+  Object.entries(boundaryNames).forEach(([boundaryName, boundaryKey]) => {
+    flowRates[boundaryName] = flowRates[boundaryKey];
+  });
+
+  return flowRates;
 }
@@ -0,0 +1,140 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { getBoundarySideNodeIndices, getSideIntegrationPoints } from "../mesh/meshUtils.js";
+import { BoundaryConditionError } from "../utilities/errors.js";
+import { debugLog } from "../utilities/logging.js";
+
+/**
+ * Class to handle the boundary conditions of the 2D linear elasticity model
+ *
+ * Each node carries 2 degrees of freedom, the displacements ux and uy, ordered as [ux_0, uy_0, ux_1, ...].
+ * Values are numbers or functions of the coordinates (x, y).
+ *
+ * Supported boundary condition types:
+ *  - ["fixed"]                      Essential: ux = 0 and uy = 0 (clamped boundary)
+ *  - ["displacement", ux, uy]       Essential: prescribed displacements; a null component is left free,
+ *                                   e.g. ["displacement", 0, null] for a roller moving along y
+ *  - ["traction", tx, ty]           Natural: traction σ·n (force per unit length) along x and y
+ *  - ["pressure", p]                Natural: pressure p pushing on the boundary, i.e. traction −p·n
+ *  - ["free"]                       Natural: traction-free boundary (no contribution)
+ */
+export class ElasticityBoundaryConditions {
+  /**
+   * Constructor to initialize the ElasticityBoundaryConditions class
+   * @param {object} boundaryConditions - Object containing boundary conditions for the finite element analysis
+   * @param {array} boundaryElements - Array containing elements that belong to each boundary
+   * @param {array} nop - Nodal numbering (NOP) array representing the connectivity between elements and nodes
+   * @param {string} elementOrder - The order of elements (e.g., "linear", "quadratic")
+   * @param {string} elementType - The shape of 2D elements ("quadrilateral" or "triangle")
+   * @param {object} nodesCoordinates - Object with the `nodesXCoordinates` and `nodesYCoordinates` arrays
+   */
+  constructor(boundaryConditions, boundaryElements, nop, elementOrder, elementType, nodesCoordinates) {
+    this.boundaryConditions = boundaryConditions;
+    this.boundaryElements = boundaryElements;
+    this.nop = nop;
+    this.elementOrder = elementOrder;
+    this.elementType = elementType ?? "quadrilateral";
+    this.nodesCoordinates = nodesCoordinates;
+    this.dofsPerNode = 2;
+    this.meshData = {
+      nop,
+      meshDimension: "2D",
+      elementOrder,
+      elementType: this.elementType,
+      ...nodesCoordinates,
+    };
+  }
+
+  /**
+   * Function to impose the tractions and pressures, integrated along the boundary sides
+   * This must be called BEFORE imposeEssentialBoundaryConditions(), whose conditions take precedence
+   * @param {array} residualVector - The residual (load) vector to be modified
+   * @param {array} gaussPoints - Array of 1D Gauss points for numerical integration
+   * @param {array} gaussWeights - Array of 1D Gauss weights for numerical integration
+   * @param {object} basisFunctions - Object containing the 2D basis functions and their derivatives
+   */
+  imposeNaturalBoundaryConditions(residualVector, gaussPoints, gaussWeights, basisFunctions) {
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      const [boundaryConditionType, ...values] = this.boundaryConditions[boundaryKey];
+      if (boundaryConditionType === "free") {
+        debugLog(`Boundary ${boundaryKey}: Traction-free condition`);
+        return;
+      }
+      if (boundaryConditionType !== "traction" && boundaryConditionType !== "pressure") return;
+      debugLog(`Boundary ${boundaryKey}: Applying ${boundaryConditionType} condition (natural BC)`);
+
+      this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+        getSideIntegrationPoints(
+          this.meshData,
+          elementIndex,
+          side,
+          gaussPoints,
+          gaussWeights,
+          basisFunctions,
+        ).forEach(({ sideNodeIndices, basisFunction, weight, xCoord, yCoord, normal }) => {
+          const evaluate = (value) => (typeof value === "function" ? value(xCoord, yCoord) : value);
+          const [xTraction, yTraction] =
+            boundaryConditionType === "pressure"
+              ? normal.map((normalComponent) => -evaluate(values[0]) * normalComponent)
+              : [evaluate(values[0]), evaluate(values[1])];
+          sideNodeIndices.forEach((localNodeIndex) => {
+            const firstDOF = this.dofsPerNode * (this.nop[elementIndex][localNodeIndex] - 1);
+            residualVector[firstDOF] += weight * basisFunction[localNodeIndex] * xTraction;
+            residualVector[firstDOF + 1] += weight * basisFunction[localNodeIndex] * yTraction;
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Function to impose the prescribed displacements (Dirichlet type)
+   * @param {array} residualVector - The residual (load) vector to be modified
+   * @param {SparseMatrix} jacobianMatrix - The Jacobian (stiffness) matrix to be modified
+   * @throws {BoundaryConditionError} If a boundary condition type is unknown (code
+   *  "UNKNOWN_BOUNDARY_CONDITION_TYPE")
+   */
+  imposeEssentialBoundaryConditions(residualVector, jacobianMatrix) {
+    const { nodesXCoordinates, nodesYCoordinates } = this.nodesCoordinates;
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      const [boundaryConditionType, ...values] = this.boundaryConditions[boundaryKey];
+      let displacementValues;
+      if (boundaryConditionType === "fixed") {
+        displacementValues = [0, 0];
+      } else if (boundaryConditionType === "displacement") {
+        displacementValues = [values[0] ?? null, values[1] ?? null];
+      } else if (["traction", "pressure", "free"].includes(boundaryConditionType)) {
+        return;
+      } else {
+        throw new BoundaryConditionError(
+          `Unknown linear elasticity boundary condition "${boundaryConditionType}" on boundary ${boundaryKey}`,
+          { code: "UNKNOWN_BOUNDARY_CONDITION_TYPE", details: { boundaryKey, boundaryConditionType } },
+        );
+      }
+      debugLog(`Boundary ${boundaryKey}: Applying ${boundaryConditionType} condition (essential BC)`);
+
+      this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+        getBoundarySideNodeIndices(this.meshData, side).forEach((localNodeIndex) => {
+          const globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
+          displacementValues.forEach((value, component) => {
+            if (value === null) return;
+            const degreeOfFreedom = this.dofsPerNode * globalNodeIndex + component;
+            residualVector[degreeOfFreedom] =
+              typeof value === "function"
+                ? value(nodesXCoordinates[globalNodeIndex], nodesYCoordinates[globalNodeIndex])
+                : value;
+            jacobianMatrix.setIdentityRow(degreeOfFreedom);
+          });
+        });
+      });
+    });
+  }
+}
@@ -10,8 +10,11 @@
 // Internal imports
 import { BasisFunctions } from "../mesh/basisFunctions.js";
 import { NumericalIntegration } from "../methods/numericalIntegration.js";
+import { SparseMatrix } from "../methods/sparseMatrix.js";
 import { BeamBoundaryConditions } from "./beamBoundaryConditions.js";
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { ConfigurationError, MeshError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
+import { flattenSolutionVector } from "../utilities/solutionUtils.js";
 
 /**
  * Function to assemble the Jacobian matrix and residual vector for the 1D Euler-Bernoulli beam model
@@ -36,9 +39,11 @@ import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
  * @param {object} coefficientFunctions - Functions of x for the beam model:
  *  - EI(x): bending stiffness (Young's modulus times second moment of area)
  *  - c0(x): elastic foundation modulus (optional, defaults to 0)
- *  - q(x): distributed transverse load (optional, defaults to 0)
+ *  - q(x, t): distributed transverse load (optional, defaults to 0)
+ * @param {number} [time=0] - Time at which the time-dependent loads (q and point forces/moments given as
+ *  functions of t) are evaluated, as used by dynamic simulations
  * @returns {object} An object containing:
- *  - jacobianMatrix: The assembled Jacobian (stiffness) matrix
+ *  - jacobianMatrix: The assembled Jacobian (stiffness) matrix (SparseMatrix)
  *  - residualVector: The assembled residual (load) vector
  *  - dofsPerNode: Number of degrees of freedom per node (2)
  *  - totalDOFs: Total number of degrees of freedom in the assembled system
@@ -50,19 +55,23 @@ import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
  * In linear problems `jacobianMatrix` is equivalent to the
  * classic stiffness matrix and `residualVector` corresponds to the traditional load (RHS) vector.
  */
-export function assembleEulerBernoulliBeamMat(meshData, boundaryConditions, coefficientFunctions) {
+export function assembleEulerBernoulliBeamMat(meshData, boundaryConditions, coefficientFunctions, time = 0) {
   basicLog("Starting Euler-Bernoulli beam matrix assembly...");
 
   // Extract mesh data
   const { nodesXCoordinates, nop, totalElements, totalNodesX, meshDimension, elementOrder } = meshData;
 
   if (meshDimension !== "1D") {
-    errorLog("Euler-Bernoulli beam solver requires a 1D mesh");
+    throw new MeshError("Euler-Bernoulli beam solver requires a 1D mesh", {
+      code: "UNSUPPORTED_MESH_DIMENSION",
+      details: { meshDimension },
+    });
   }
   if (elementOrder !== "linear") {
-    errorLog(
+    throw new MeshError(
       "Euler-Bernoulli beam solver requires 'linear' (2-node) elements for the beam geometry; " +
         "the cubic Hermite field interpolation for w(x) is applied internally regardless of this setting",
+      { code: "UNSUPPORTED_ELEMENT_ORDER", details: { elementOrder } },
     );
   }
 
@@ -74,11 +83,71 @@ export function assembleEulerBernoulliBeamMat(meshData, boundaryConditions, coef
 
   // Initialize global Jacobian matrix and residual vector
   let residualVector = new Array(totalDOFs).fill(0);
-  let jacobianMatrix = [];
-  for (let dofIndex = 0; dofIndex < totalDOFs; dofIndex++) {
-    jacobianMatrix.push(new Array(totalDOFs).fill(0));
+  let jacobianMatrix = new SparseMatrix(totalDOFs);
+
+  // Matrix assembly
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    // Beam elements only use their 2 end (geometric) nodes
+    const globalNode1 = nop[elementIndex][0] - 1; // Convert to 0-based indexing
+    const globalNode2 = nop[elementIndex][1] - 1;
+    const x1 = nodesXCoordinates[globalNode1];
+    const elementLength = nodesXCoordinates[globalNode2] - x1;
+
+    // Map local DOFs [w1, theta1, w2, theta2] to global DOF indices
+    const dofMap = [
+      dofsPerNode * globalNode1,
+      dofsPerNode * globalNode1 + 1,
+      dofsPerNode * globalNode2,
+      dofsPerNode * globalNode2 + 1,
+    ];
+
+    // Evaluate the coefficient functions at the physical coordinate of each Gauss point
+    const { localStiffness, localLoad } = computeEulerBernoulliBeamElement(elementLength, (ksi) => {
+      const xCoord = x1 + elementLength * ksi;
+      return { EI: EI(xCoord), c0: c0(xCoord), q: q(xCoord, time) };
+    });
+
+    for (let localIndex1 = 0; localIndex1 < 4; localIndex1++) {
+      residualVector[dofMap[localIndex1]] += localLoad[localIndex1];
+      for (let localIndex2 = 0; localIndex2 < 4; localIndex2++) {
+        jacobianMatrix.addValue(
+          dofMap[localIndex1],
+          dofMap[localIndex2],
+          localStiffness[localIndex1][localIndex2],
+        );
+      }
+    }
   }
 
+  // Apply boundary conditions: natural/spring contributions first, essential conditions last
+  // (essential conditions override the equation row, taking precedence over any natural/spring
+  // contribution assembled at the same DOF)
+  const beamBoundaryConditions = new BeamBoundaryConditions(boundaryConditions, totalNodesX, dofsPerNode);
+  beamBoundaryConditions.imposeNaturalAndSpringBoundaryConditions(residualVector, jacobianMatrix, time);
+  beamBoundaryConditions.imposeEssentialBoundaryConditions(residualVector, jacobianMatrix);
+
+  basicLog("Euler-Bernoulli beam matrix assembly completed");
+
+  return {
+    jacobianMatrix,
+    residualVector,
+    dofsPerNode,
+    totalDOFs,
+  };
+}
+
+/**
+ * Function to compute the stiffness matrix and load vector of a straight cubic Hermite beam element, for
+ * the local degrees of freedom [w1, theta1, w2, theta2]
+ *
+ *   k_ij = ∫ (EI psi_i'' psi_j'' + c0 psi_i psi_j) ds,   f_i = ∫ q psi_i ds
+ *
+ * @param {number} elementLength - Element length h (the Jacobian ds/dksi of the straight element)
+ * @param {function} evaluateCoefficients - Called with the local coordinate ksi of each Gauss point,
+ *  returns the values { EI, c0, q } there (c0 and q are optional and default to 0)
+ * @returns {object} An object containing the localStiffness (4×4) and localLoad (4) of the element
+ */
+export function computeEulerBernoulliBeamElement(elementLength, evaluateCoefficients) {
   // Cubic Hermite basis functions for the field, with a 4-point Gauss quadrature rule
   const basisFunctions = new BasisFunctions({ meshDimension: "1D", elementOrder: "hermiteCubic" });
   const numericalIntegration = new NumericalIntegration({
@@ -87,16 +156,87 @@ export function assembleEulerBernoulliBeamMat(meshData, boundaryConditions, coef
   });
   const { gaussPoints, gaussWeights } = numericalIntegration.getGaussPointsAndWeights();
 
-  // Matrix assembly
+  const localStiffness = Array.from({ length: 4 }, () => new Array(4).fill(0));
+  const localLoad = new Array(4).fill(0);
+
+  // Loop over Gauss points
+  for (let gaussPointIndex = 0; gaussPointIndex < gaussPoints.length; gaussPointIndex++) {
+    const ksi = gaussPoints[gaussPointIndex];
+
+    // Get Hermite cubic basis functions and their ksi-derivatives at this Gauss point
+    const { basisFunction, basisFunctionDerivKsi2 } = basisFunctions.getBasisFunctions(
+      ksi,
+      null,
+      elementLength,
+    );
+
+    // Second derivative with respect to x: d2N/dx2 = (1/J^2) d2N/dksi2 (valid since J is
+    // constant along a straight element)
+    const basisFunctionDerivXX = basisFunctionDerivKsi2.map(
+      (secondDerivKsi) => secondDerivKsi / elementLength ** 2,
+    );
+
+    const { EI, c0 = 0, q = 0 } = evaluateCoefficients(ksi);
+    const weightFactor = gaussWeights[gaussPointIndex] * elementLength;
+
+    // Computation of the element contributions to the load vector and stiffness matrix
+    for (let localIndex1 = 0; localIndex1 < 4; localIndex1++) {
+      // Distributed load contribution
+      localLoad[localIndex1] += weightFactor * q * basisFunction[localIndex1];
+
+      for (let localIndex2 = 0; localIndex2 < 4; localIndex2++) {
+        // Bending stiffness (curvature-curvature) and elastic-foundation terms
+        localStiffness[localIndex1][localIndex2] +=
+          weightFactor *
+          (EI * basisFunctionDerivXX[localIndex1] * basisFunctionDerivXX[localIndex2] +
+            c0 * basisFunction[localIndex1] * basisFunction[localIndex2]);
+      }
+    }
+  }
+
+  return { localStiffness, localLoad };
+}
+
+/**
+ * Function to assemble the consistent mass matrix of the 1D Euler-Bernoulli beam model, for modal analysis
+ *
+ *   M_ij = ∫ rhoA(x) psi_i psi_j dx
+ *
+ * with the same cubic Hermite shape functions and degree of freedom ordering as
+ * assembleEulerBernoulliBeamMat, plus the point masses and rotary inertias of "mass" conditions. The
+ * essential conditions are not imposed here: the eigensolver removes the constrained degrees of freedom
+ * from the identity rows of the Jacobian matrix.
+ *
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} boundaryConditions - Object containing boundary conditions, keyed by 1-based node number
+ * @param {object} coefficientFunctions - Beam coefficient functions, with rhoA(x) the mass per unit length
+ * @returns {SparseMatrix} The assembled mass matrix
+ * @throws {ConfigurationError} If rhoA is missing (code "MISSING_CONFIGURATION")
+ */
+export function assembleEulerBernoulliBeamMassMat(meshData, boundaryConditions, coefficientFunctions) {
+  const { nodesXCoordinates, nop, totalElements, totalNodesX } = meshData;
+  const { rhoA } = coefficientFunctions;
+  if (typeof rhoA !== "function") {
+    throw new ConfigurationError("The rhoA(x) coefficient function (mass per unit length) is required", {
+      code: "MISSING_CONFIGURATION",
+      details: { coefficientFunction: "rhoA" },
+    });
+  }
+
+  const dofsPerNode = 2;
+  const massMatrix = new SparseMatrix(dofsPerNode * totalNodesX);
+  const basisFunctions = new BasisFunctions({ meshDimension: "1D", elementOrder: "hermiteCubic" });
+  const numericalIntegration = new NumericalIntegration({
+    meshDimension: "1D",
+    elementOrder: "hermiteCubic",
+  });
+  const { gaussPoints, gaussWeights } = numericalIntegration.getGaussPointsAndWeights();
+
   for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
-    // Beam elements only use their 2 end (geometric) nodes
-    const globalNode1 = nop[elementIndex][0] - 1; // Convert to 0-based indexing
+    const globalNode1 = nop[elementIndex][0] - 1;
     const globalNode2 = nop[elementIndex][1] - 1;
     const x1 = nodesXCoordinates[globalNode1];
-    const x2 = nodesXCoordinates[globalNode2];
-    const elementLength = x2 - x1;
-
-    // Map local DOFs [w1, theta1, w2, theta2] to global DOF indices
+    const elementLength = nodesXCoordinates[globalNode2] - x1;
     const dofMap = [
       dofsPerNode * globalNode1,
       dofsPerNode * globalNode1 + 1,
@@ -104,69 +244,362 @@ export function assembleEulerBernoulliBeamMat(meshData, boundaryConditions, coef
       dofsPerNode * globalNode2 + 1,
     ];
 
-    // Loop over Gauss points
     for (let gaussPointIndex = 0; gaussPointIndex < gaussPoints.length; gaussPointIndex++) {
       const ksi = gaussPoints[gaussPointIndex];
+      const { basisFunction } = basisFunctions.getBasisFunctions(ksi, null, elementLength);
+      const weightFactor = gaussWeights[gaussPointIndex] * elementLength * rhoA(x1 + elementLength * ksi);
 
-      // Get Hermite cubic basis functions and their ksi-derivatives at this Gauss point
-      const { basisFunction, basisFunctionDerivKsi2 } = basisFunctions.getBasisFunctions(
-        ksi,
-        null,
-        elementLength,
-      );
-
-      // Straight 2-node element: the Jacobian dx/dksi is the constant element length
-      const detJacobian = elementLength;
+      for (let localIndex1 = 0; localIndex1 < 4; localIndex1++) {
+        for (let localIndex2 = 0; localIndex2 < 4; localIndex2++) {
+          massMatrix.addValue(
+            dofMap[localIndex1],
+            dofMap[localIndex2],
+            weightFactor * basisFunction[localIndex1] * basisFunction[localIndex2],
+          );
+        }
+      }
+    }
+  }
 
-      // Second derivative with respect to x: d2N/dx2 = (1/J^2) d2N/dksi2 (valid since J is
-      // constant along a straight element)
-      const basisFunctionDerivXX = basisFunctionDerivKsi2.map(
-        (secondDerivKsi) => secondDerivKsi / detJacobian ** 2,
-      );
+  new BeamBoundaryConditions(boundaryConditions, totalNodesX, dofsPerNode).imposePointMasses(massMatrix);
 
-      // Physical coordinate of this Gauss point (linear mapping between the 2 end nodes)
-      const xCoord = x1 + elementLength * ksi;
+  return massMatrix.compress();
+}
 
-      // Evaluate coefficient functions at this physical coordinate
-      const EIVal = EI(xCoord);
-      const c0Val = c0(xCoord);
-      const qVal = q(xCoord);
+/**
+ * Function to assemble the geometric stiffness matrix of the 1D Euler-Bernoulli beam model, for linear
+ * buckling analysis
+ *
+ *   KG_ij = ∫ N(x) psi_i' psi_j' dx
+ *
+ * where N(x) is the axial force (positive in tension) of the reference load case. The beam buckles under
+ * λ times the reference axial forces when K + λ·KG becomes singular, which requires compression somewhere
+ * along the beam. As for the mass matrix, the essential conditions are not imposed here.
+ *
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Beam coefficient functions, with N(x) the axial force
+ * @returns {SparseMatrix} The assembled geometric stiffness matrix
+ * @throws {ConfigurationError} If N is missing (code "MISSING_CONFIGURATION") or the beam is nowhere in
+ *  compression (code "NO_COMPRESSIVE_LOAD")
+ */
+export function assembleEulerBernoulliBeamGeometricStiffnessMat(meshData, coefficientFunctions) {
+  const { nodesXCoordinates, nop, totalElements, totalNodesX } = meshData;
+  const { N } = coefficientFunctions;
+  if (typeof N !== "function") {
+    throw new ConfigurationError("The N(x) coefficient function (axial force) is required", {
+      code: "MISSING_CONFIGURATION",
+      details: { coefficientFunction: "N" },
+    });
+  }
 
-      const weightFactor = gaussWeights[gaussPointIndex] * detJacobian;
+  const dofsPerNode = 2;
+  const geometricStiffnessMatrix = new SparseMatrix(dofsPerNode * totalNodesX);
+  const basisFunctions = new BasisFunctions({ meshDimension: "1D", elementOrder: "hermiteCubic" });
+  const numericalIntegration = new NumericalIntegration({
+    meshDimension: "1D",
+    elementOrder: "hermiteCubic",
+  });
+  const { gaussPoints, gaussWeights } = numericalIntegration.getGaussPointsAndWeights();
+  let hasCompression = false;
 
-      // Computation of the element contributions to the residual vector and Jacobian matrix
-      for (let localIndex1 = 0; localIndex1 < 4; localIndex1++) {
-        const globalDOF1 = dofMap[localIndex1];
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const globalNode1 = nop[elementIndex][0] - 1;
+    const globalNode2 = nop[elementIndex][1] - 1;
+    const x1 = nodesXCoordinates[globalNode1];
+    const elementLength = nodesXCoordinates[globalNode2] - x1;
+    const dofMap = [
+      dofsPerNode * globalNode1,
+      dofsPerNode * globalNode1 + 1,
+      dofsPerNode * globalNode2,
+      dofsPerNode * globalNode2 + 1,
+    ];
 
-        // Distributed load contribution to the residual (load) vector
-        residualVector[globalDOF1] += weightFactor * qVal * basisFunction[localIndex1];
+    for (let gaussPointIndex = 0; gaussPointIndex < gaussPoints.length; gaussPointIndex++) {
+      const ksi = gaussPoints[gaussPointIndex];
+      const { basisFunctionDerivKsi } = basisFunctions.getBasisFunctions(ksi, null, elementLength);
+      const basisFunctionDerivX = basisFunctionDerivKsi.map((derivKsi) => derivKsi / elementLength);
+      const NVal = N(x1 + elementLength * ksi);
+      if (NVal < 0) hasCompression = true;
+      const weightFactor = gaussWeights[gaussPointIndex] * elementLength * NVal;
 
+      for (let localIndex1 = 0; localIndex1 < 4; localIndex1++) {
         for (let localIndex2 = 0; localIndex2 < 4; localIndex2++) {
-          const globalDOF2 = dofMap[localIndex2];
-
-          // Bending stiffness (curvature-curvature) and elastic-foundation terms
-          jacobianMatrix[globalDOF1][globalDOF2] +=
-            weightFactor *
-            (EIVal * basisFunctionDerivXX[localIndex1] * basisFunctionDerivXX[localIndex2] +
-              c0Val * basisFunction[localIndex1] * basisFunction[localIndex2]);
+          geometricStiffnessMatrix.addValue(
+            dofMap[localIndex1],
+            dofMap[localIndex2],
+            weightFactor * basisFunctionDerivX[localIndex1] * basisFunctionDerivX[localIndex2],
+          );
         }
       }
     }
   }
 
-  // Apply boundary conditions: natural/spring contributions first, essential conditions last
-  // (essential conditions override the equation row, taking precedence over any natural/spring
-  // contribution assembled at the same DOF)
-  const beamBoundaryConditions = new BeamBoundaryConditions(boundaryConditions, totalNodesX, dofsPerNode);
-  beamBoundaryConditions.imposeNaturalAndSpringBoundaryConditions(residualVector, jacobianMatrix);
-  beamBoundaryConditions.imposeEssentialBoundaryConditions(residualVector, jacobianMatrix);
+  if (!hasCompression) {
+    throw new ConfigurationError("Buckling analysis requires a compressive axial force (N(x) < 0)", {
+      code: "NO_COMPRESSIVE_LOAD",
+      details: { coefficientFunction: "N" },
+    });
+  }
 
-  basicLog("Euler-Bernoulli beam matrix assembly completed");
+  return geometricStiffnessMatrix.compress();
+}
 
-  return {
-    jacobianMatrix,
+/**
+ * Function to evaluate the deflection, rotation, bending moment and shear force of a solved
+ * Euler-Bernoulli beam at sample points, from the cubic Hermite interpolation of each element
+ *
+ *   M(x) = −EI(x) w''(x),   V(x) = dM/dx = −EI'(x) w''(x) − EI(x) w'''(x)
+ *
+ * Within an element w is cubic, so M varies linearly and V is constant for a constant EI. At a node
+ * shared by two elements the values of the element on its left are returned, hence the jump of V under
+ * a point load appears between the sample points on either side of the node.
+ *
+ * @param {array} solutionVector - Solution vector ordered as [w_0, theta_0, w_1, theta_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Beam coefficient functions (only EI(x) is used here)
+ * @param {array} [samplePoints] - x coordinates of the sample points (defaults to the mesh nodes)
+ * @returns {object} An object containing the arrays x, deflection, rotation, bendingMoment and shearForce
+ * @throws {ConfigurationError} If a sample point lies outside the beam (code "INVALID_SAMPLE_POINT")
+ */
+export function evaluateEulerBernoulliBeamResults(
+  solutionVector,
+  meshData,
+  coefficientFunctions,
+  samplePoints = meshData.nodesXCoordinates,
+) {
+  return evaluateBeamResults(
+    solutionVector,
+    meshData,
+    createEulerBernoulliPointEvaluator(coefficientFunctions),
+    samplePoints,
+  );
+}
+
+/**
+ * Function to sample the deflection, rotation, bending moment and shear force of a solved Euler-Bernoulli
+ * beam at equally spaced points of every element, e.g. to draw the deflected shape and the internal force
+ * diagrams. Both end points of each element are included, so that a node shared by two elements appears
+ * twice and the jumps of M and V under point loads are kept
+ * @param {array} solutionVector - Solution vector ordered as [w_0, theta_0, w_1, theta_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Beam coefficient functions (only EI(x) is used here)
+ * @param {number} [pointsPerElement=10] - Number of intervals each element is divided into
+ * @returns {object} An object containing the arrays x, deflection, rotation, bendingMoment and shearForce
+ */
+export function sampleEulerBernoulliBeamElements(
+  solutionVector,
+  meshData,
+  coefficientFunctions,
+  pointsPerElement = 10,
+) {
+  return sampleBeamElements(
+    solutionVector,
+    meshData,
+    createEulerBernoulliPointEvaluator(coefficientFunctions),
+    pointsPerElement,
+  );
+}
+
+/**
+ * Function to evaluate the results of a solved 2-node beam element model at sample points, with the
+ * values of the element on the left at nodes shared by two elements
+ * @param {array} solutionVector - Solution vector ordered as [w_0, theta_0, w_1, theta_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {function} evaluatePoint - Point evaluator of the beam theory, called with
+ *  { xCoord, x1, elementLength, elementDOFValues } (x1 the first node coordinate of the element and
+ *  elementDOFValues its [w1, theta1, w2, theta2]) and returning the deflection, rotation, bendingMoment and
+ *  shearForce at the point
+ * @param {array} samplePoints - x coordinates of the sample points
+ * @returns {object} An object containing the arrays x, deflection, rotation, bendingMoment and shearForce
+ * @throws {ConfigurationError} If a sample point lies outside the beam (code "INVALID_SAMPLE_POINT")
+ */
+export function evaluateBeamResults(solutionVector, meshData, evaluatePoint, samplePoints) {
+  const { nodesXCoordinates, nop, totalElements } = meshData;
+  const dofValues = flattenSolutionVector(solutionVector);
+  const beamResults = { x: [], deflection: [], rotation: [], bendingMoment: [], shearForce: [] };
+
+  Array.from(samplePoints).forEach((xCoord) => {
+    // Find the element containing the sample point (the first one, i.e. the left one, at shared nodes)
+    const elementIndex = nop.findIndex(([node1, node2]) => {
+      const [x1, x2] = [nodesXCoordinates[node1 - 1], nodesXCoordinates[node2 - 1]];
+      return xCoord >= Math.min(x1, x2) && xCoord <= Math.max(x1, x2);
+    });
+    if (elementIndex < 0 || elementIndex >= totalElements) {
+      throw new ConfigurationError(`Sample point x = ${xCoord} lies outside the beam`, {
+        code: "INVALID_SAMPLE_POINT",
+        details: { samplePoint: xCoord },
+      });
+    }
+
+    appendElementPointResults(beamResults, { xCoord, elementIndex, meshData, dofValues, evaluatePoint });
+  });
+
+  return beamResults;
+}
+
+/**
+ * Function to sample the results of a solved 2-node beam element model at equally spaced points of every
+ * element, including both end points of each element (see sampleEulerBernoulliBeamElements)
+ * @param {array} solutionVector - Solution vector ordered as [w_0, theta_0, w_1, theta_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {function} evaluatePoint - Point evaluator of the beam theory (see evaluateBeamResults)
+ * @param {number} pointsPerElement - Number of intervals each element is divided into
+ * @returns {object} An object containing the arrays x, deflection, rotation, bendingMoment and shearForce
+ */
+export function sampleBeamElements(solutionVector, meshData, evaluatePoint, pointsPerElement) {
+  const { nodesXCoordinates, nop, totalElements } = meshData;
+  const dofValues = flattenSolutionVector(solutionVector);
+  const beamResults = { x: [], deflection: [], rotation: [], bendingMoment: [], shearForce: [] };
+
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const x1 = nodesXCoordinates[nop[elementIndex][0] - 1];
+    const x2 = nodesXCoordinates[nop[elementIndex][1] - 1];
+    for (let pointIndex = 0; pointIndex <= pointsPerElement; pointIndex++) {
+      appendElementPointResults(beamResults, {
+        xCoord: x1 + ((x2 - x1) * pointIndex) / pointsPerElement,
+        elementIndex,
+        meshData,
+        dofValues,
+        evaluatePoint,
+      });
+    }
+  }
+
+  return beamResults;
+}
+
+/**
+ * Function to evaluate the beam results at a point of an element and append them to the result arrays
+ * @param {object} beamResults - Arrays x, deflection, rotation, bendingMoment and shearForce to append to
+ * @param {object} params - The coordinate `xCoord` of the point, the `elementIndex`, the `meshData`, the flat
+ *  `dofValues` and the `evaluatePoint` function (see evaluateBeamResults)
+ */
+function appendElementPointResults(
+  beamResults,
+  { xCoord, elementIndex, meshData, dofValues, evaluatePoint },
+) {
+  const { nodesXCoordinates, nop } = meshData;
+  const globalNode1 = nop[elementIndex][0] - 1;
+  const globalNode2 = nop[elementIndex][1] - 1;
+  const x1 = nodesXCoordinates[globalNode1];
+  const elementLength = nodesXCoordinates[globalNode2] - x1;
+  const elementDOFValues = [2 * globalNode1, 2 * globalNode1 + 1, 2 * globalNode2, 2 * globalNode2 + 1].map(
+    (dofIndex) => dofValues[dofIndex],
+  );
+
+  const { deflection, rotation, bendingMoment, shearForce } = evaluatePoint({
+    xCoord,
+    x1,
+    elementLength,
+    elementDOFValues,
+  });
+  beamResults.x.push(xCoord);
+  beamResults.deflection.push(deflection);
+  beamResults.rotation.push(rotation);
+  beamResults.bendingMoment.push(bendingMoment);
+  beamResults.shearForce.push(shearForce);
+}
+
+/**
+ * Function to create the point evaluator of the Euler-Bernoulli beam results, from the cubic Hermite
+ * interpolation of the element
+ * @param {object} coefficientFunctions - Beam coefficient functions (only EI(x) is used here)
+ * @returns {function} Point evaluator (see evaluateBeamResults)
+ */
+function createEulerBernoulliPointEvaluator({ EI }) {
+  const basisFunctions = new BasisFunctions({ meshDimension: "1D", elementOrder: "hermiteCubic" });
+
+  return ({ xCoord, x1, elementLength, elementDOFValues }) => {
+    const ksi = (xCoord - x1) / elementLength;
+    const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivKsi2, basisFunctionDerivKsi3 } =
+      basisFunctions.getBasisFunctions(ksi, null, elementLength);
+    const interpolate = (values, scale) =>
+      values.reduce((sum, value, localIndex) => sum + value * elementDOFValues[localIndex], 0) / scale;
+    const wDerivXX = interpolate(basisFunctionDerivKsi2, elementLength ** 2);
+    const wDerivXXX = interpolate(basisFunctionDerivKsi3, elementLength ** 3);
+
+    // Derivative of the bending stiffness by central differences (zero for a constant EI)
+    const step = 1e-6 * Math.abs(elementLength);
+    const EIDerivX = (EI(xCoord + step) - EI(xCoord - step)) / (2 * step);
+
+    return {
+      deflection: interpolate(basisFunction, 1),
+      rotation: interpolate(basisFunctionDerivKsi, elementLength),
+      bendingMoment: -EI(xCoord) * wDerivXX,
+      shearForce: -EIDerivX * wDerivXX - EI(xCoord) * wDerivXXX,
+    };
+  };
+}
+
+/**
+ * Function to compute the support reactions of a solved Euler-Bernoulli beam (see
+ * BeamBoundaryConditions.computeReactions)
+ *
+ * @param {array} solutionVector - Solution vector ordered as [w_0, theta_0, w_1, theta_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} boundaryConditions - Beam boundary conditions, keyed by 1-based node number
+ * @param {object} coefficientFunctions - Beam coefficient functions (EI, c0, q)
+ * @returns {array} One entry per supported node with its `node` number, `x` coordinate, reaction `force`
+ *  and reaction `moment`
+ */
+export function computeEulerBernoulliBeamReactions(
+  solutionVector,
+  meshData,
+  boundaryConditions,
+  coefficientFunctions,
+) {
+  const dofValues = flattenSolutionVector(solutionVector);
+  const beamBoundaryConditions = new BeamBoundaryConditions(boundaryConditions, meshData.totalNodesX, 2);
+
+  // Assemble the unconstrained system, keeping only the applied point loads
+  const { jacobianMatrix, residualVector } = assembleEulerBernoulliBeamMat(
+    meshData,
+    beamBoundaryConditions.getPointLoadConditions(),
+    coefficientFunctions,
+  );
+
+  return beamBoundaryConditions.computeReactions(
+    dofValues,
+    jacobianMatrix.multiply(dofValues),
     residualVector,
-    dofsPerNode,
-    totalDOFs,
+    meshData.nodesXCoordinates,
+  );
+}
+
+/**
+ * Function to extract the time histories of chosen nodes from the time series of a dynamic simulation
+ * @param {object} timeSeries - Time series returned by the Newmark method, with the `times` and the
+ *  `solutionVectors`, `velocities` and `accelerations` of every time step
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {array} [historyNodes] - 1-based numbers of the nodes (default: all nodes)
+ * @returns {object} An object containing the `times` and, in `nodes`, one entry
+ *  { node, x, deflection, rotation, velocity, acceleration } per node, each an array over the times
+ *  (velocity and acceleration are those of the deflection)
+ * @throws {ConfigurationError} If a node number is outside the mesh (code "INVALID_HISTORY_NODE")
+ */
+export function extractEulerBernoulliBeamTimeHistory(timeSeries, meshData, historyNodes) {
+  const { nodesXCoordinates, totalNodesX } = meshData;
+  const { times, solutionVectors, velocities, accelerations } = timeSeries;
+  const nodes = historyNodes ?? Array.from({ length: totalNodesX }, (_, nodeIndex) => nodeIndex + 1);
+
+  return {
+    times,
+    nodes: nodes.map((node) => {
+      if (!Number.isInteger(Number(node)) || node < 1 || node > totalNodesX) {
+        throw new ConfigurationError(`History node ${node} is outside the mesh (nodes 1 to ${totalNodesX})`, {
+          code: "INVALID_HISTORY_NODE",
+          details: { node, totalNodesX },
+        });
+      }
+      const deflectionDOF = 2 * (Number(node) - 1);
+      return {
+        node: Number(node),
+        x: nodesXCoordinates[deflectionDOF / 2],
+        deflection: solutionVectors.map((dofValues) => dofValues[deflectionDOF]),
+        rotation: solutionVectors.map((dofValues) => dofValues[deflectionDOF + 1]),
+        velocity: velocities.map((dofValues) => dofValues[deflectionDOF]),
+        acceleration: accelerations.map((dofValues) => dofValues[deflectionDOF]),
+      };
+    }),
   };
 }
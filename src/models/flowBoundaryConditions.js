@@ -8,10 +8,31 @@
  */
 
 // Internal imports
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { getBoundarySideNodeIndices, getSideIntegrationPoints } from "../mesh/meshUtils.js";
+import { BasisFunctions } from "../mesh/basisFunctions.js";
+import { NumericalIntegration } from "../methods/numericalIntegration.js";
+import { BoundaryConditionError } from "../utilities/errors.js";
+import { debugLog, warnLog } from "../utilities/logging.js";
 
 /**
  * Class to handle flow boundary conditions application for Stokes and Navier-Stokes models
+ *
+ * Supported boundary condition types:
+ *  - ["constantVelocity", u, v]     Essential: uniform velocity, each component a number or a function of
+ *                                   time (t) => value
+ *  - ["velocityProfile", u, v]      Essential: velocity varying along the boundary, e.g. a parabolic
+ *                                   inflow, each component a number or a function (x, y, t) => value
+ *  - ["slip"]                       Free-slip wall or symmetry line: zero normal velocity and zero
+ *                                   tangential traction (boundaries parallel to the x or y axis)
+ *  - ["stressFree"]                 Natural: zero traction (outflow)
+ *  - ["traction", tx, ty]           Natural: prescribed traction μ∂u/∂n − p·n, each component a number or
+ *                                   a function (x, y, t) => value
+ *  - ["pressure", p]                Natural: traction −p·n, i.e. the pressure p at an outlet (or inlet) of
+ *                                   fully developed flow; a number or a function (x, y, t) => value
+ *
+ * The pressure of a flow with essential conditions only is determined up to a constant, which is fixed by
+ * setting the pressure of one corner node: the reference pressure node given to the constructor, or else
+ * the first pressure node, to zero by default
  */
 export class FlowBoundaryConditions {
   /**
@@ -21,9 +42,14 @@ export class FlowBoundaryConditions {
    * @param {array} nop - Nodal numbering (NOP) array representing the connectivity between elements and nodes
    * @param {string} meshDimension - The dimension of the mesh (e.g., "2D")
    * @param {string} elementOrder - The order of elements (e.g., "linear", "quadratic")
+   * @param {string} elementType - The shape of 2D elements ("quadrilateral" or "triangle")
    * @param {number} totalNodesVelocity - Total number of velocity nodes (Q2)
    * @param {number} totalNodesPressure - Total number of pressure nodes (Q1)
    * @param {Map} q2ToPressureMap - Map from global Q2 node index to pressure DOF index
+   * @param {object} [nodesCoordinates] - Object with the `nodesXCoordinates` and `nodesYCoordinates` arrays,
+   *  required by the "velocityProfile", "slip", "traction" and "pressure" conditions
+   * @param {object} [pressureReference] - The 1-based corner `node` whose pressure is set to `value` (default
+   *  0) when all boundaries have essential conditions
    */
   constructor(
     boundaryConditions,
@@ -31,24 +57,88 @@ export class FlowBoundaryConditions {
     nop,
     meshDimension,
     elementOrder,
+    elementType,
     totalNodesVelocity,
     totalNodesPressure,
     q2ToPressureMap,
+    nodesCoordinates = null,
+    pressureReference = null,
   ) {
     this.boundaryConditions = boundaryConditions;
     this.boundaryElements = boundaryElements;
     this.nop = nop;
     this.meshDimension = meshDimension;
     this.elementOrder = elementOrder;
+    this.elementType = elementType ?? "quadrilateral";
     this.totalNodesVelocity = totalNodesVelocity;
     this.totalNodesPressure = totalNodesPressure;
     this.q2ToPressureMap = q2ToPressureMap;
+    this.nodesCoordinates = nodesCoordinates;
+    this.pressureReference = pressureReference;
+  }
+
+  /**
+   * Function to impose the traction conditions ("traction" and "pressure"), integrated along the boundary
+   * sides. This must be called BEFORE imposeDirichletBoundaryConditions(), whose conditions take precedence
+   * @param {array} residualVector - The residual vector to be modified
+   * @param {number} [time=0] - Time at which tractions given as functions are evaluated
+   */
+  imposeNaturalBoundaryConditions(residualVector, time = 0) {
+    if (this.meshDimension !== "2D") return;
+
+    // Boundary sides are integrated with the velocity basis functions and a 1D Gauss rule along the side
+    const basisFunctions = new BasisFunctions({
+      meshDimension: "2D",
+      elementOrder: this.elementOrder,
+      elementType: this.elementType,
+    });
+    const { gaussPoints, gaussWeights } = new NumericalIntegration({
+      meshDimension: "1D",
+      elementOrder: this.elementOrder,
+    }).getGaussPointsAndWeights();
+
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      const [boundaryConditionType, ...values] = this.boundaryConditions[boundaryKey];
+      if (boundaryConditionType !== "traction" && boundaryConditionType !== "pressure") return;
+      debugLog(`Boundary ${boundaryKey}: Applying ${boundaryConditionType} condition (natural BC)`);
+
+      const meshData = this.getMeshData(boundaryConditionType);
+      this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+        getSideIntegrationPoints(
+          meshData,
+          elementIndex,
+          side,
+          gaussPoints,
+          gaussWeights,
+          basisFunctions,
+        ).forEach(({ sideNodeIndices, basisFunction, weight, xCoord, yCoord, normal }) => {
+          const evaluate = (value) => (typeof value === "function" ? value(xCoord, yCoord, time) : value);
+          const [xTraction, yTraction] =
+            boundaryConditionType === "pressure"
+              ? normal.map((normalComponent) => -evaluate(values[0]) * normalComponent)
+              : [evaluate(values[0]), evaluate(values[1])];
+
+          // The momentum rows hold −(μ∇N·∇u − p∂N/∂x) terms, so the traction enters with a negative sign
+          sideNodeIndices.forEach((localNodeIndex) => {
+            const globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
+            residualVector[globalNodeIndex] -= weight * basisFunction[localNodeIndex] * xTraction;
+            residualVector[this.totalNodesVelocity + globalNodeIndex] -=
+              weight * basisFunction[localNodeIndex] * yTraction;
+          });
+        });
+      });
+    });
   }
 
   /**
    * Function to impose velocity Dirichlet boundary conditions
    * @param {array} residualVector - The residual vector to be modified
-   * @param {array} jacobianMatrix - The Jacobian matrix to be modified
+   * @param {SparseMatrix} jacobianMatrix - The Jacobian matrix to be modified
+   * @param {array} [solutionVector] - Current solution (Newton-Raphson iterate); when provided, the
+   *  prescribed values are imposed as increments (prescribed value minus current value)
+   * @param {number} [time=0] - Time at which velocities given as functions of time are evaluated
+   * @throws {BoundaryConditionError} If a slip boundary is not parallel to the x or y axis (code
+   *  "UNSUPPORTED_SLIP_BOUNDARY") or the reference pressure node is not a corner node (code "INVALID_NODE")
    *
    * For consistency across both linear and nonlinear formulations,
    * this project always refers to the assembled right-hand side vector
@@ -57,108 +147,171 @@ export class FlowBoundaryConditions {
    * In linear problems `jacobianMatrix` is equivalent to the
    * classic stiffness/conductivity matrix and `residualVector`
    * corresponds to the traditional load (RHS) vector.
-   *
-   * Supported boundary condition types:
-   *  - "constantVelocity": Set velocity components at boundary nodes
-   *    Format: ["constantVelocity", xVelocityValue, yVelocityValue]
-   *  - "stressFree": Natural boundary condition (zero traction), no assembly needed
-   *    Format: ["stressFree"]
    */
-  imposeDirichletBoundaryConditions(residualVector, jacobianMatrix) {
-    const totalDOFs = residualVector.length;
-    let hasStressFree = false;
-
-    if (this.meshDimension === "2D") {
-      Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
-        const boundaryConditionType = this.boundaryConditions[boundaryKey][0];
-
-        if (boundaryConditionType === "stressFree") {
-          hasStressFree = true;
-          // Natural boundary condition - no explicit assembly needed
-          debugLog(`Boundary ${boundaryKey}: Applying stress-free condition (natural BC)`);
-        } else if (boundaryConditionType === "constantVelocity") {
-          const xVelocityValue = this.boundaryConditions[boundaryKey][1];
-          const yVelocityValue = this.boundaryConditions[boundaryKey][2];
-          debugLog(
-            `Boundary ${boundaryKey}: Applying constant velocity condition (u=${xVelocityValue}, v=${yVelocityValue})`,
-          );
-          this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
-            if (this.elementOrder === "quadratic") {
-              const boundarySides = {
-                0: [0, 3, 6], // Nodes at the bottom side of the reference element
-                1: [0, 1, 2], // Nodes at the left side of the reference element
-                2: [2, 5, 8], // Nodes at the top side of the reference element
-                3: [6, 7, 8], // Nodes at the right side of the reference element
-              };
-              boundarySides[side].forEach((nodeIndex) => {
-                const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
-                const xVelocityDegreeOfFreedom = globalNodeIndex;
-                const yVelocityDegreeOfFreedom = this.totalNodesVelocity + globalNodeIndex;
-                debugLog(
-                  `  - Applied velocity Dirichlet to node ${globalNodeIndex + 1} (element ${
-                    elementIndex + 1
-                  }, local node ${nodeIndex + 1})`,
-                );
-                // Apply u-velocity Dirichlet boundary condition
-                residualVector[xVelocityDegreeOfFreedom] = xVelocityValue;
-                for (let colIndex = 0; colIndex < totalDOFs; colIndex++) {
-                  jacobianMatrix[xVelocityDegreeOfFreedom][colIndex] = 0;
-                }
-                jacobianMatrix[xVelocityDegreeOfFreedom][xVelocityDegreeOfFreedom] = 1;
-
-                // Apply v-velocity Dirichlet boundary condition
-                residualVector[yVelocityDegreeOfFreedom] = yVelocityValue;
-                for (let colIndex = 0; colIndex < totalDOFs; colIndex++) {
-                  jacobianMatrix[yVelocityDegreeOfFreedom][colIndex] = 0;
-                }
-                jacobianMatrix[yVelocityDegreeOfFreedom][yVelocityDegreeOfFreedom] = 1;
-              });
-            } else if (this.elementOrder === "linear") {
-              const boundarySides = {
-                0: [0, 2], // Nodes at the bottom side of the reference element
-                1: [0, 1], // Nodes at the left side of the reference element
-                2: [1, 3], // Nodes at the top side of the reference element
-                3: [2, 3], // Nodes at the right side of the reference element
-              };
-              boundarySides[side].forEach((nodeIndex) => {
-                const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
-                const xVelocityDegreeOfFreedom = globalNodeIndex;
-                const yVelocityDegreeOfFreedom = this.totalNodesVelocity + globalNodeIndex;
-                debugLog(
-                  `  - Applied velocity Dirichlet to node ${globalNodeIndex + 1} (element ${
-                    elementIndex + 1
-                  }, local node ${nodeIndex + 1})`,
-                );
-                // Apply u-velocity Dirichlet boundary condition
-                residualVector[xVelocityDegreeOfFreedom] = xVelocityValue;
-                for (let colIndex = 0; colIndex < totalDOFs; colIndex++) {
-                  jacobianMatrix[xVelocityDegreeOfFreedom][colIndex] = 0;
-                }
-                jacobianMatrix[xVelocityDegreeOfFreedom][xVelocityDegreeOfFreedom] = 1;
-
-                // Apply v-velocity Dirichlet boundary condition
-                residualVector[yVelocityDegreeOfFreedom] = yVelocityValue;
-                for (let colIndex = 0; colIndex < totalDOFs; colIndex++) {
-                  jacobianMatrix[yVelocityDegreeOfFreedom][colIndex] = 0;
-                }
-                jacobianMatrix[yVelocityDegreeOfFreedom][yVelocityDegreeOfFreedom] = 1;
-              });
-            }
+  imposeDirichletBoundaryConditions(residualVector, jacobianMatrix, solutionVector, time = 0) {
+    if (this.meshDimension !== "2D") return;
+    let hasTractionBoundary = false;
+
+    // Set the residual to the value, or the increment needed to reach it for Newton-Raphson
+    const prescribeValue = (degreeOfFreedom, value) => {
+      residualVector[degreeOfFreedom] = solutionVector ? value - solutionVector[degreeOfFreedom] : value;
+      jacobianMatrix.setIdentityRow(degreeOfFreedom);
+    };
+
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      const [boundaryConditionType, ...values] = this.boundaryConditions[boundaryKey];
+
+      if (["stressFree", "traction", "pressure"].includes(boundaryConditionType)) {
+        hasTractionBoundary = true;
+        // Natural boundary condition - assembled by imposeNaturalBoundaryConditions (if not traction-free)
+        debugLog(`Boundary ${boundaryKey}: ${boundaryConditionType} condition is natural`);
+      } else if (boundaryConditionType === "constantVelocity") {
+        const [xVelocityValue, yVelocityValue] = values
+          .slice(0, 2)
+          .map((value) => (typeof value === "function" ? value(time) : value));
+        debugLog(
+          `Boundary ${boundaryKey}: Applying constant velocity condition (u=${xVelocityValue}, v=${yVelocityValue})`,
+        );
+        this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+          this.getBoundarySideNodes(elementIndex, side).forEach((globalNodeIndex) => {
+            prescribeValue(globalNodeIndex, xVelocityValue);
+            prescribeValue(this.totalNodesVelocity + globalNodeIndex, yVelocityValue);
           });
-        }
-      });
+        });
+      } else if (boundaryConditionType === "velocityProfile") {
+        debugLog(`Boundary ${boundaryKey}: Applying velocity profile condition`);
+        const { nodesXCoordinates, nodesYCoordinates } = this.getNodesCoordinates(boundaryConditionType);
+        this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+          this.getBoundarySideNodes(elementIndex, side).forEach((globalNodeIndex) => {
+            const [xVelocityValue, yVelocityValue] = values
+              .slice(0, 2)
+              .map((value) =>
+                typeof value === "function"
+                  ? value(nodesXCoordinates[globalNodeIndex], nodesYCoordinates[globalNodeIndex], time)
+                  : value,
+              );
+            prescribeValue(globalNodeIndex, xVelocityValue);
+            prescribeValue(this.totalNodesVelocity + globalNodeIndex, yVelocityValue);
+          });
+        });
+      } else if (boundaryConditionType === "slip") {
+        debugLog(`Boundary ${boundaryKey}: Applying slip condition (zero normal velocity)`);
+        this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+          // The normal velocity is the u (v) component on boundaries normal to the x (y) axis
+          const [xNormal, yNormal] = this.getOutwardNormal(elementIndex, side);
+          const alignmentTolerance = 1e-8;
+          let velocityOffset;
+          if (Math.abs(Math.abs(xNormal) - 1) < alignmentTolerance) {
+            velocityOffset = 0;
+          } else if (Math.abs(Math.abs(yNormal) - 1) < alignmentTolerance) {
+            velocityOffset = this.totalNodesVelocity;
+          } else {
+            throw new BoundaryConditionError(
+              `Slip condition on boundary ${boundaryKey} requires sides parallel to the x or y axis`,
+              {
+                code: "UNSUPPORTED_SLIP_BOUNDARY",
+                details: { boundaryKey, element: elementIndex + 1, normal: [xNormal, yNormal] },
+              },
+            );
+          }
+          this.getBoundarySideNodes(elementIndex, side).forEach((globalNodeIndex) =>
+            prescribeValue(velocityOffset + globalNodeIndex, 0),
+          );
+        });
+      }
+    });
 
-      // If no stress-free boundary exists, pin pressure at one node to remove null space
-      // (pressure is determined only up to a constant for all-Dirichlet velocity problems)
-      if (!hasStressFree) {
-        const pressureDegreeOfFreedom = 2 * this.totalNodesVelocity; // First pressure DOF
-        for (let colIndex = 0; colIndex < totalDOFs; colIndex++) {
-          jacobianMatrix[pressureDegreeOfFreedom][colIndex] = 0;
-        }
-        jacobianMatrix[pressureDegreeOfFreedom][pressureDegreeOfFreedom] = 1;
-        residualVector[pressureDegreeOfFreedom] = 0;
-        debugLog("Pinned pressure at first pressure node (p = 0) to remove null space");
+    // If no traction boundary exists, pin pressure at one node to remove null space
+    // (pressure is determined only up to a constant for all-Dirichlet velocity problems)
+    if (!hasTractionBoundary) {
+      const { node, value = 0 } = this.pressureReference ?? {};
+      const pressureIndex = node === undefined ? 0 : this.q2ToPressureMap.get(node - 1);
+      if (pressureIndex === undefined) {
+        throw new BoundaryConditionError(`Reference pressure node ${node} is not a corner (pressure) node`, {
+          code: "INVALID_NODE",
+          details: { node },
+        });
       }
+      prescribeValue(2 * this.totalNodesVelocity + pressureIndex, value);
+      debugLog(`Pinned pressure at pressure node ${pressureIndex + 1} (p = ${value}) to remove null space`);
+    } else if (this.pressureReference) {
+      warnLog("Reference pressure ignored: the traction boundaries set the pressure level");
+    }
+  }
+
+  /**
+   * Function to get the global node indices of a boundary side, in order along the side
+   * @param {number} elementIndex - 0-based element index
+   * @param {number} side - Side of the reference element
+   * @returns {array} The 0-based global node indices of the side
+   */
+  getBoundarySideNodes(elementIndex, side) {
+    return getBoundarySideNodeIndices(this, side).map((nodeIndex) => this.nop[elementIndex][nodeIndex] - 1);
+  }
+
+  /**
+   * Function to get the unit outward normal of a (straight) boundary side, pointing away from the centroid
+   * of the element
+   * @param {number} elementIndex - 0-based element index
+   * @param {number} side - Side of the reference element
+   * @returns {array} The normal components [nx, ny]
+   */
+  getOutwardNormal(elementIndex, side) {
+    const { nodesXCoordinates, nodesYCoordinates } = this.getNodesCoordinates("slip");
+    const sideNodes = this.getBoundarySideNodes(elementIndex, side);
+    const firstNode = sideNodes[0];
+    const lastNode = sideNodes[sideNodes.length - 1];
+    const sideLength = Math.hypot(
+      nodesXCoordinates[lastNode] - nodesXCoordinates[firstNode],
+      nodesYCoordinates[lastNode] - nodesYCoordinates[firstNode],
+    );
+    let xNormal = (nodesYCoordinates[lastNode] - nodesYCoordinates[firstNode]) / sideLength;
+    let yNormal = -(nodesXCoordinates[lastNode] - nodesXCoordinates[firstNode]) / sideLength;
+
+    const elementNodes = this.nop[elementIndex].map((nodeNumber) => nodeNumber - 1);
+    const centroidX =
+      elementNodes.reduce((sum, nodeIndex) => sum + nodesXCoordinates[nodeIndex], 0) / elementNodes.length;
+    const centroidY =
+      elementNodes.reduce((sum, nodeIndex) => sum + nodesYCoordinates[nodeIndex], 0) / elementNodes.length;
+    if (
+      xNormal * (nodesXCoordinates[firstNode] - centroidX) +
+        yNormal * (nodesYCoordinates[firstNode] - centroidY) <
+      0
+    ) {
+      xNormal = -xNormal;
+      yNormal = -yNormal;
+    }
+    return [xNormal, yNormal];
+  }
+
+  /**
+   * Function to get the mesh data used to integrate along the boundary sides
+   * @param {string} boundaryConditionType - The boundary condition type, for the error message
+   * @returns {object} Object with the nop, node coordinates, meshDimension, elementOrder and elementType
+   */
+  getMeshData(boundaryConditionType) {
+    return {
+      nop: this.nop,
+      ...this.getNodesCoordinates(boundaryConditionType),
+      meshDimension: this.meshDimension,
+      elementOrder: this.elementOrder,
+      elementType: this.elementType,
+    };
+  }
+
+  /**
+   * Function to get the node coordinates needed by a boundary condition type
+   * @param {string} boundaryConditionType - The boundary condition type, for the error message
+   * @returns {object} Object with the `nodesXCoordinates` and `nodesYCoordinates` arrays
+   * @throws {BoundaryConditionError} If the coordinates were not given (code "MISSING_NODE_COORDINATES")
+   */
+  getNodesCoordinates(boundaryConditionType) {
+    if (!this.nodesCoordinates) {
+      throw new BoundaryConditionError(
+        `Node coordinates are required to apply the "${boundaryConditionType}" flow condition`,
+        { code: "MISSING_NODE_COORDINATES" },
+      );
     }
+    return this.nodesCoordinates;
   }
 }
@@ -0,0 +1,383 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { NumericalIntegration } from "../methods/numericalIntegration.js";
+import { SparseMatrix } from "../methods/sparseMatrix.js";
+import { FrameBoundaryConditions } from "./frameBoundaryConditions.js";
+import { computeEulerBernoulliBeamElement } from "./eulerBernoulliBeam.js";
+import { ConfigurationError, MeshError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
+import { flattenSolutionVector } from "../utilities/solutionUtils.js";
+
+/**
+ * Function to assemble the Jacobian matrix and residual vector for the 2D frame model
+ *
+ * Each member is a straight 2-node element combining a bar and an Euler-Bernoulli beam in its local
+ * coordinates (s along the member from its first to its second node, w' perpendicular to it,
+ * counterclockwise):
+ *   k_ij = ∫ [ EA N_i' N_j' ] ds   on the local axial displacements [u1', u2']
+ *        + ∫ [ EI psi_i'' psi_j'' ] ds   on the local bending DOFs [w1', theta1, w2', theta2]
+ *   f_i  = ∫ q psi_i ds
+ * with N_i linear and psi_i cubic Hermite shape functions (as in assembleEulerBernoulliBeamMat). The
+ * member matrices are rotated to the global degrees of freedom [u, w, theta] of its nodes, with u along x,
+ * w along y and theta counterclockwise, and summed at the shared nodes, so members meeting at a node are
+ * rigidly connected.
+ *
+ * A member-end release (hinge) removes the end rotation of the member by static condensation, so that the
+ * end moment vanishes. The rotation of a node whose members are all released, as in a pin-jointed truss,
+ * is undefined and is set to zero.
+ *
+ * @param {object} meshData - Object containing prepared mesh data: a 2D mesh whose elements are the
+ *  members, given by their 2 end nodes
+ * @param {object} boundaryConditions - Object containing the supports and nodal loads, keyed by 1-based node
+ *  number (see frameBoundaryConditions.js)
+ * @param {object} coefficientFunctions - Functions of the coordinates (x, y) and of the 1-based member
+ *  number, as (x, y, member):
+ *  - EA: axial stiffness (Young's modulus times cross-sectional area)
+ *  - EI: bending stiffness (Young's modulus times second moment of area)
+ *  - q: distributed load perpendicular to the member, along its local w' axis (optional, defaults to 0)
+ * @param {object} [memberReleases={}] - Moment releases keyed by 1-based member number: "start" (first
+ *  node), "end" (second node) or "both"
+ * @returns {object} An object containing the Jacobian (stiffness) matrix, the residual (load) vector, the
+ *  number of degrees of freedom per node (3) and the total number of degrees of freedom
+ */
+export function assembleFrame2DMat(meshData, boundaryConditions, coefficientFunctions, memberReleases = {}) {
+  basicLog("Starting 2D frame matrix assembly...");
+
+  const { totalNodes } = meshData;
+  const dofsPerNode = 3; // [u, w, theta] at each node
+  const totalDOFs = dofsPerNode * totalNodes;
+  const residualVector = new Array(totalDOFs).fill(0);
+  const jacobianMatrix = new SparseMatrix(totalDOFs);
+
+  // Number of members rigidly connected to each node, which carry its rotation
+  const rigidConnections = new Array(totalNodes).fill(0);
+
+  getFrame2DMembers(meshData, coefficientFunctions, memberReleases).forEach((member) => {
+    const { dofMap, nodes, releasedEnds } = member;
+    const globalStiffness = rotateToGlobal(member);
+    const globalLoad = rotateVectorToGlobal(member, member.localLoad);
+    for (let localIndex1 = 0; localIndex1 < 6; localIndex1++) {
+      residualVector[dofMap[localIndex1]] += globalLoad[localIndex1];
+      for (let localIndex2 = 0; localIndex2 < 6; localIndex2++) {
+        jacobianMatrix.addValue(
+          dofMap[localIndex1],
+          dofMap[localIndex2],
+          globalStiffness[localIndex1][localIndex2],
+        );
+      }
+    }
+    nodes.forEach((node, endIndex) => {
+      if (!releasedEnds[endIndex]) rigidConnections[node - 1]++;
+    });
+  });
+
+  const frameBoundaryConditions = new FrameBoundaryConditions(boundaryConditions, totalNodes);
+  frameBoundaryConditions.imposeNaturalBoundaryConditions(residualVector);
+  rigidConnections.forEach((connections, globalNodeIndex) => {
+    if (connections === 0 && !frameBoundaryConditions.isRotationConstrained(globalNodeIndex)) {
+      const rotationDOF = dofsPerNode * globalNodeIndex + 2;
+      residualVector[rotationDOF] = 0;
+      jacobianMatrix.setIdentityRow(rotationDOF);
+      debugLog(`Node ${globalNodeIndex + 1}: All members released, rotation set to zero`);
+    }
+  });
+  frameBoundaryConditions.imposeEssentialBoundaryConditions(residualVector, jacobianMatrix);
+
+  basicLog("2D frame matrix assembly completed");
+
+  return {
+    jacobianMatrix,
+    residualVector,
+    dofsPerNode,
+    totalDOFs,
+  };
+}
+
+/**
+ * Function to compute the end forces of the members of a solved frame, in the local coordinates of each
+ * member, with the sign conventions of the beam models: the axial force is positive in tension, the bending
+ * moment is M = −EI w'' and the shear force V = dM/ds
+ * @param {array} solutionVector - Solution vector ordered as [u_0, w_0, theta_0, u_1, w_1, theta_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Frame coefficient functions (EA, EI, q)
+ * @param {object} [memberReleases={}] - Moment releases keyed by 1-based member number
+ * @returns {array} One entry per member with its `member` number, its `nodes`, its `length`, its
+ *  `angle` to the x axis (radians) and the `axialForce`, `shearForce` and `bendingMoment` at its `start`
+ *  and `end`
+ */
+export function computeFrame2DMemberForces(
+  solutionVector,
+  meshData,
+  coefficientFunctions,
+  memberReleases = {},
+) {
+  const dofValues = flattenSolutionVector(solutionVector);
+  return getFrame2DMembers(meshData, coefficientFunctions, memberReleases).map((member) => {
+    const { memberNumber, nodes, length, cosine, sine, dofMap, localStiffness, localLoad } = member;
+    const localDisplacements = rotateVectorToLocal(
+      member,
+      dofMap.map((dofIndex) => dofValues[dofIndex]),
+    );
+    // Forces exerted on the member by its nodes, in local coordinates
+    const endForces = localStiffness.map(
+      (row, localIndex) =>
+        row.reduce((sum, value, columnIndex) => sum + value * localDisplacements[columnIndex], 0) -
+        localLoad[localIndex],
+    );
+    return {
+      member: memberNumber,
+      nodes,
+      length,
+      angle: Math.atan2(sine, cosine),
+      start: { axialForce: -endForces[0], shearForce: -endForces[1], bendingMoment: endForces[2] },
+      end: { axialForce: endForces[3], shearForce: endForces[4], bendingMoment: -endForces[5] },
+    };
+  });
+}
+
+/**
+ * Function to compute the support reactions of a solved frame (see FrameBoundaryConditions.computeReactions)
+ * @param {array} solutionVector - Solution vector ordered as [u_0, w_0, theta_0, u_1, w_1, theta_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} boundaryConditions - Frame boundary conditions, keyed by 1-based node number
+ * @param {object} coefficientFunctions - Frame coefficient functions (EA, EI, q)
+ * @param {object} [memberReleases={}] - Moment releases keyed by 1-based member number
+ * @returns {array} One entry per supported node with its `node` number, `x` and `y` coordinates and the
+ *  reaction `forceX`, `forceY` and `moment`
+ */
+export function computeFrame2DReactions(
+  solutionVector,
+  meshData,
+  boundaryConditions,
+  coefficientFunctions,
+  memberReleases = {},
+) {
+  const dofValues = flattenSolutionVector(solutionVector);
+  const frameBoundaryConditions = new FrameBoundaryConditions(boundaryConditions, meshData.totalNodes);
+  const { jacobianMatrix, residualVector } = assembleFrame2DMat(
+    meshData,
+    frameBoundaryConditions.getPointLoadConditions(),
+    coefficientFunctions,
+    memberReleases,
+  );
+
+  return frameBoundaryConditions.computeReactions(
+    jacobianMatrix.multiply(dofValues),
+    residualVector,
+    meshData,
+  );
+}
+
+/**
+ * Function to build the local stiffness matrix and load vector of every member, after the condensation of
+ * its released end rotations
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Frame coefficient functions (EA, EI, q)
+ * @param {object} memberReleases - Moment releases keyed by 1-based member number
+ * @returns {array} One entry per member with its `memberNumber`, `nodes`, `length`, direction `cosine` and
+ *  `sine`, global `dofMap`, `releasedEnds` flags, `localStiffness` (6×6) and `localLoad` (6), for the local
+ *  DOFs [u1', w1', theta1, u2', w2', theta2]
+ * @throws {MeshError} If the mesh is not a 2D mesh of 2-node members, or a member has zero length
+ * @throws {ConfigurationError} If EA or EI is missing (code "MISSING_CONFIGURATION") or a release is invalid
+ *  (code "INVALID_MEMBER_RELEASE")
+ */
+function getFrame2DMembers(meshData, coefficientFunctions, memberReleases) {
+  const { nodesXCoordinates, nodesYCoordinates, nop, totalElements, meshDimension } = meshData;
+  if (meshDimension !== "2D") {
+    throw new MeshError("2D frame solver requires a 2D mesh", {
+      code: "UNSUPPORTED_MESH_DIMENSION",
+      details: { meshDimension },
+    });
+  }
+  if (nop.some((memberNodes) => memberNodes.length !== 2)) {
+    throw new MeshError("2D frame solver requires members given by their 2 end nodes", {
+      code: "UNSUPPORTED_ELEMENT_TYPE",
+      details: { nodesPerElement: nop.find((memberNodes) => memberNodes.length !== 2).length },
+    });
+  }
+  ["EA", "EI"].forEach((coefficientFunction) => {
+    if (typeof coefficientFunctions?.[coefficientFunction] !== "function") {
+      throw new ConfigurationError(
+        `The ${coefficientFunction}(x, y, member) coefficient function is required`,
+        {
+          code: "MISSING_CONFIGURATION",
+          details: { coefficientFunction },
+        },
+      );
+    }
+  });
+  Object.entries(memberReleases).forEach(([memberKey, release]) => {
+    const memberNumber = Number(memberKey);
+    if (
+      !Number.isInteger(memberNumber) ||
+      memberNumber < 1 ||
+      memberNumber > totalElements ||
+      !["start", "end", "both"].includes(release)
+    ) {
+      throw new ConfigurationError(
+        `Invalid release "${release}" of member ${memberKey}: expected "start", "end" or "both" for a member ` +
+          `between 1 and ${totalElements}`,
+        { code: "INVALID_MEMBER_RELEASE", details: { member: memberKey, release } },
+      );
+    }
+  });
+
+  const { EA, EI, q = () => 0 } = coefficientFunctions;
+  const numericalIntegration = new NumericalIntegration({
+    meshDimension: "1D",
+    elementOrder: "hermiteCubic",
+  });
+  const { gaussPoints, gaussWeights } = numericalIntegration.getGaussPointsAndWeights();
+  const axialDOFs = [0, 3];
+  const bendingDOFs = [1, 2, 4, 5];
+
+  return nop.map(([node1, node2], elementIndex) => {
+    const memberNumber = elementIndex + 1;
+    const [x1, y1] = [nodesXCoordinates[node1 - 1], nodesYCoordinates[node1 - 1]];
+    const [x2, y2] = [nodesXCoordinates[node2 - 1], nodesYCoordinates[node2 - 1]];
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    if (!(length > 0)) {
+      throw new MeshError(`Member ${memberNumber} has zero length`, {
+        code: "ZERO_LENGTH_MEMBER",
+        details: { member: memberNumber, nodes: [node1, node2] },
+      });
+    }
+
+    const getCoordinates = (ksi) => [x1 + (x2 - x1) * ksi, y1 + (y2 - y1) * ksi];
+
+    // Axial stiffness of the linear interpolation, EA/L² · [[1, −1], [−1, 1]] integrated along the member
+    const axialStiffness =
+      gaussPoints.reduce(
+        (sum, ksi, gaussPointIndex) =>
+          sum + gaussWeights[gaussPointIndex] * EA(...getCoordinates(ksi), memberNumber),
+        0,
+      ) / length;
+
+    // Bending stiffness and transverse load of the cubic Hermite (Euler-Bernoulli) element
+    const bendingElement = computeEulerBernoulliBeamElement(length, (ksi) => ({
+      EI: EI(...getCoordinates(ksi), memberNumber),
+      q: q(...getCoordinates(ksi), memberNumber),
+    }));
+
+    const localStiffness = Array.from({ length: 6 }, () => new Array(6).fill(0));
+    const localLoad = new Array(6).fill(0);
+    axialDOFs.forEach((dof1, localIndex1) =>
+      axialDOFs.forEach((dof2, localIndex2) => {
+        localStiffness[dof1][dof2] = localIndex1 === localIndex2 ? axialStiffness : -axialStiffness;
+      }),
+    );
+    bendingDOFs.forEach((dof1, localIndex1) => {
+      localLoad[dof1] = bendingElement.localLoad[localIndex1];
+      bendingDOFs.forEach((dof2, localIndex2) => {
+        localStiffness[dof1][dof2] = bendingElement.localStiffness[localIndex1][localIndex2];
+      });
+    });
+
+    // Static condensation of the released end rotations: their end moments vanish
+    const release = memberReleases[memberNumber];
+    const releasedEnds = [release === "start" || release === "both", release === "end" || release === "both"];
+    [2, 5].forEach((releasedDOF, endIndex) => {
+      if (releasedEnds[endIndex]) condenseDOF(localStiffness, localLoad, releasedDOF);
+    });
+
+    return {
+      memberNumber,
+      nodes: [node1, node2],
+      length,
+      cosine: (x2 - x1) / length,
+      sine: (y2 - y1) / length,
+      dofMap: [node1, node2].flatMap((node) => [3 * (node - 1), 3 * (node - 1) + 1, 3 * (node - 1) + 2]),
+      releasedEnds,
+      localStiffness,
+      localLoad,
+    };
+  });
+}
+
+/**
+ * Function to eliminate a local degree of freedom by static condensation, k ← k − k[:, r]·k[r, :]/k[r, r]
+ * and f ← f − k[:, r]·f[r]/k[r, r], leaving zeros in its row and column
+ * @param {array} localStiffness - Local stiffness matrix, modified in place
+ * @param {array} localLoad - Local load vector, modified in place
+ * @param {number} condensedDOF - Local index of the condensed degree of freedom
+ */
+function condenseDOF(localStiffness, localLoad, condensedDOF) {
+  const pivot = localStiffness[condensedDOF][condensedDOF];
+  if (pivot === 0) return;
+  const pivotColumn = localStiffness.map((row) => row[condensedDOF]);
+  const pivotRow = [...localStiffness[condensedDOF]];
+  const pivotLoad = localLoad[condensedDOF];
+  for (let i = 0; i < localStiffness.length; i++) {
+    localLoad[i] -= (pivotColumn[i] * pivotLoad) / pivot;
+    for (let j = 0; j < localStiffness.length; j++) {
+      localStiffness[i][j] -= (pivotColumn[i] * pivotRow[j]) / pivot;
+    }
+  }
+}
+
+/**
+ * Function to rotate the local stiffness matrix of a member to the global degrees of freedom, Tᵀ·k·T
+ * @param {object} member - Member entry of getFrame2DMembers
+ * @returns {array} The 6×6 member stiffness matrix in global coordinates
+ */
+function rotateToGlobal(member) {
+  const transformation = getTransformationMatrix(member);
+  const stiffnessTimesT = member.localStiffness.map((row) =>
+    transformation[0].map((_, j) => row.reduce((sum, value, k) => sum + value * transformation[k][j], 0)),
+  );
+  return transformation[0].map((_, i) =>
+    transformation[0].map((_, j) =>
+      transformation.reduce((sum, row, k) => sum + row[i] * stiffnessTimesT[k][j], 0),
+    ),
+  );
+}
+
+/**
+ * Function to rotate a local vector of a member to the global degrees of freedom, Tᵀ·f
+ * @param {object} member - Member entry of getFrame2DMembers
+ * @param {array} localVector - Vector of the 6 local degrees of freedom
+ * @returns {array} The vector in global coordinates
+ */
+function rotateVectorToGlobal(member, localVector) {
+  const transformation = getTransformationMatrix(member);
+  return transformation[0].map((_, i) =>
+    transformation.reduce((sum, row, k) => sum + row[i] * localVector[k], 0),
+  );
+}
+
+/**
+ * Function to rotate a global vector of a member to its local degrees of freedom, T·d
+ * @param {object} member - Member entry of getFrame2DMembers
+ * @param {array} globalVector - Vector of the 6 global degrees of freedom of the member nodes
+ * @returns {array} The vector in local coordinates
+ */
+function rotateVectorToLocal(member, globalVector) {
+  return getTransformationMatrix(member).map((row) =>
+    row.reduce((sum, value, k) => sum + value * globalVector[k], 0),
+  );
+}
+
+/**
+ * Function to build the transformation matrix T from the global to the local degrees of freedom of a member
+ * @param {object} member - Member entry of getFrame2DMembers, with its direction `cosine` and `sine`
+ * @returns {array} The 6×6 matrix T, with a 3×3 rotation block per node
+ */
+function getTransformationMatrix({ cosine, sine }) {
+  const transformation = Array.from({ length: 6 }, () => new Array(6).fill(0));
+  [0, 3].forEach((offset) => {
+    transformation[offset][offset] = cosine;
+    transformation[offset][offset + 1] = sine;
+    transformation[offset + 1][offset] = -sine;
+    transformation[offset + 1][offset + 1] = cosine;
+    transformation[offset + 2][offset + 2] = 1;
+  });
+  return transformation;
+}
@@ -0,0 +1,191 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { BoundaryConditionError } from "../utilities/errors.js";
+import { debugLog } from "../utilities/logging.js";
+
+/**
+ * Class to handle the supports and nodal loads of the 2D frame model
+ *
+ * As for the beam models (see beamBoundaryConditions.js), `boundaryConditions` is keyed by the 1-based
+ * global node number, and each key maps to an array of condition tuples. Each node carries 3 degrees of
+ * freedom in global coordinates: the displacements u (along x) and w (along y), and the rotation theta
+ * (counterclockwise):
+ *
+ *   boundaryConditions = {
+ *     "1": [["fixed"]],                          // u = 0, w = 0, theta = 0
+ *     "4": [["pinned"]],                         // u = 0, w = 0
+ *     "2": [["forceX", 10], ["forceY", -20]],    // nodal loads
+ *   };
+ *
+ * Supported condition types:
+ *  - ["fixed"]                           Essential: u = 0, w = 0 and theta = 0 (built-in support)
+ *  - ["pinned"]                          Essential: u = 0 and w = 0 (pin support)
+ *  - ["displacementX", v]                Essential: u = v (default v = 0; roller moving along y)
+ *  - ["displacementY", v]                Essential: w = v (default v = 0; roller moving along x)
+ *  - ["rotation", v]                     Essential: theta = v (default v = 0)
+ *  - ["forceX", v] / ["forceY", v]       Natural: concentrated force v along x / y at the node
+ *  - ["moment", v]                       Natural: concentrated moment v (counterclockwise) at the node
+ */
+export class FrameBoundaryConditions {
+  /**
+   * Constructor to initialize the FrameBoundaryConditions class
+   * @param {object} boundaryConditions - Object containing boundary conditions, keyed by 1-based node number
+   * @param {number} totalNodes - Total number of nodes of the frame
+   */
+  constructor(boundaryConditions, totalNodes) {
+    this.boundaryConditions = boundaryConditions;
+    this.totalNodes = totalNodes;
+    this.dofsPerNode = 3;
+  }
+
+  /**
+   * Function to impose the nodal forces and moments
+   * This must be called BEFORE imposeEssentialBoundaryConditions(), whose conditions take precedence
+   * @param {array} residualVector - The residual (load) vector to be modified
+   */
+  imposeNaturalBoundaryConditions(residualVector) {
+    const loadDOFOffsets = { forceX: 0, forceY: 1, moment: 2 };
+    Object.entries(this.boundaryConditions).forEach(([nodeKey, conditions]) => {
+      const firstDOF = this.getFirstDOF(nodeKey);
+      conditions.forEach(([conditionType, value]) => {
+        if (Object.prototype.hasOwnProperty.call(loadDOFOffsets, conditionType)) {
+          residualVector[firstDOF + loadDOFOffsets[conditionType]] += value;
+          debugLog(`Node ${nodeKey}: Applied ${conditionType} ${value} (natural BC)`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Function to impose the supports (Dirichlet-type conditions)
+   * This must be called AFTER imposeNaturalBoundaryConditions()
+   * @param {array} residualVector - The residual vector to be modified
+   * @param {SparseMatrix} jacobianMatrix - The Jacobian matrix to be modified
+   * @throws {BoundaryConditionError} If a condition type is unknown (code "UNKNOWN_BOUNDARY_CONDITION_TYPE")
+   */
+  imposeEssentialBoundaryConditions(residualVector, jacobianMatrix) {
+    Object.entries(this.boundaryConditions).forEach(([nodeKey, conditions]) => {
+      const firstDOF = this.getFirstDOF(nodeKey);
+      conditions.forEach(([conditionType, value]) => {
+        this.getConstrainedDOFOffsets(conditionType, nodeKey).forEach((dofOffset) => {
+          residualVector[firstDOF + dofOffset] = value ?? 0;
+          jacobianMatrix.setIdentityRow(firstDOF + dofOffset);
+        });
+      });
+    });
+  }
+
+  /**
+   * Function to tell whether the rotation of a node is prescribed by a "fixed" or "rotation" condition
+   * @param {number} globalNodeIndex - 0-based node index
+   * @returns {boolean} True if the rotation of the node is constrained
+   */
+  isRotationConstrained(globalNodeIndex) {
+    const conditions = this.boundaryConditions[globalNodeIndex + 1] ?? [];
+    return conditions.some(([conditionType]) => conditionType === "fixed" || conditionType === "rotation");
+  }
+
+  /**
+   * Function to keep only the nodal forces and moments, as needed to assemble the unconstrained system of
+   * the support reactions
+   * @returns {object} Boundary conditions with the "forceX", "forceY" and "moment" conditions of every node
+   */
+  getPointLoadConditions() {
+    return Object.fromEntries(
+      Object.entries(this.boundaryConditions).map(([nodeKey, conditions]) => [
+        nodeKey,
+        conditions.filter(([conditionType]) => ["forceX", "forceY", "moment"].includes(conditionType)),
+      ]),
+    );
+  }
+
+  /**
+   * Function to compute the support reactions of a solved frame, R = K·d − F at the constrained degrees of
+   * freedom, with K and F assembled with the nodal loads only (see getPointLoadConditions)
+   * @param {Float64Array} internalForces - Internal forces K·d of the unconstrained system
+   * @param {array} loadVector - Load vector F of the unconstrained system
+   * @param {object} nodesCoordinates - Arrays nodesXCoordinates and nodesYCoordinates of the mesh nodes
+   * @returns {array} One entry per supported node with its `node` number, `x` and `y` coordinates and the
+   *  reaction `forceX`, `forceY` and `moment` (zero along unconstrained directions)
+   */
+  computeReactions(internalForces, loadVector, { nodesXCoordinates, nodesYCoordinates }) {
+    const reactions = [];
+    Object.entries(this.boundaryConditions).forEach(([nodeKey, conditions]) => {
+      const firstDOF = this.getFirstDOF(nodeKey);
+      const constrainedOffsets = new Set(
+        conditions.flatMap(([conditionType]) => this.getConstrainedDOFOffsets(conditionType, nodeKey)),
+      );
+      if (constrainedOffsets.size === 0) {
+        return;
+      }
+      const [forceX, forceY, moment] = [0, 1, 2].map((dofOffset) =>
+        constrainedOffsets.has(dofOffset)
+          ? internalForces[firstDOF + dofOffset] - loadVector[firstDOF + dofOffset]
+          : 0,
+      );
+      const globalNodeIndex = Number(nodeKey) - 1;
+      reactions.push({
+        node: Number(nodeKey),
+        x: nodesXCoordinates[globalNodeIndex],
+        y: nodesYCoordinates[globalNodeIndex],
+        forceX,
+        forceY,
+        moment,
+      });
+    });
+    return reactions;
+  }
+
+  /**
+   * Function to get the index of the first degree of freedom (u) of a node
+   * @param {string} nodeKey - 1-based node number
+   * @returns {number} The index of the u degree of freedom of the node
+   * @throws {BoundaryConditionError} If the node is not part of the mesh (code "INVALID_NODE")
+   */
+  getFirstDOF(nodeKey) {
+    const globalNodeIndex = Number(nodeKey) - 1;
+    if (!Number.isInteger(globalNodeIndex) || globalNodeIndex < 0 || globalNodeIndex >= this.totalNodes) {
+      throw new BoundaryConditionError(
+        `Node ${nodeKey} is outside the mesh (nodes 1 to ${this.totalNodes})`,
+        { code: "INVALID_NODE", details: { node: nodeKey, totalNodes: this.totalNodes } },
+      );
+    }
+    return this.dofsPerNode * globalNodeIndex;
+  }
+
+  /**
+   * Function to get the degrees of freedom constrained by a condition, as offsets from the first degree
+   * of freedom of the node (0: u, 1: w, 2: theta)
+   * @param {string} conditionType - Condition type
+   * @param {string} nodeKey - 1-based node number, for the error details
+   * @returns {array} The constrained offsets (empty for nodal loads)
+   * @throws {BoundaryConditionError} If the condition type is unknown (code "UNKNOWN_BOUNDARY_CONDITION_TYPE")
+   */
+  getConstrainedDOFOffsets(conditionType, nodeKey) {
+    const constrainedOffsets = {
+      fixed: [0, 1, 2],
+      pinned: [0, 1],
+      displacementX: [0],
+      displacementY: [1],
+      rotation: [2],
+      forceX: [],
+      forceY: [],
+      moment: [],
+    };
+    if (!Object.prototype.hasOwnProperty.call(constrainedOffsets, conditionType)) {
+      throw new BoundaryConditionError(`Unknown frame boundary condition type: "${conditionType}"`, {
+        code: "UNKNOWN_BOUNDARY_CONDITION_TYPE",
+        details: { conditionType, node: nodeKey },
+      });
+    }
+    return constrainedOffsets[conditionType];
+  }
+}
@@ -8,17 +8,20 @@
  */
 
 // Internal imports
-import { initializeFEA, performIsoparametricMapping1D } from "../mesh/meshUtils.js";
+import { initializeFEA, forEachGaussPoint } from "../mesh/meshUtils.js";
 import { GenericBoundaryConditions } from "./genericBoundaryConditions.js";
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { MeshError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
 
 /**
  * Function to assemble the Jacobian matrix and residuals vector for the general form PDE model
+ * ∇·(A∇u) + B·∇u + C·u = D
  * @param {object} meshData - Object containing prepared mesh data
  * @param {object} boundaryConditions - Object containing boundary conditions
- * @param {object} coefficientFunctions - Functions A(x), B(x), C(x), D(x) for the PDE
+ * @param {object} coefficientFunctions - Functions A, B, C, D of x (1D) or of (x, y) (2D). In 2D, A may return
+ *  a scalar or a 2×2 tensor [[Axx, Axy], [Ayx, Ayy]] and B returns the vector [Bx, By]
  * @returns {object} An object containing:
- *  - jacobianMatrix: The assembled Jacobian matrix
+ *  - jacobianMatrix: The assembled Jacobian matrix (SparseMatrix)
  *  - residualVector: The assembled residual vector
  */
 export function assembleGeneralFormPDEMat(meshData, boundaryConditions, coefficientFunctions) {
@@ -33,6 +36,7 @@ export function assembleGeneralFormPDEMat(meshData, boundaryConditions, coeffici
     totalElements,
     meshDimension,
     elementOrder,
+    elementType,
   } = meshData;
 
   // Extract coefficient functions
@@ -40,48 +44,22 @@ export function assembleGeneralFormPDEMat(meshData, boundaryConditions, coeffici
 
   // Initialize FEA components
   const FEAData = initializeFEA(meshData);
-  const {
-    residualVector,
-    jacobianMatrix,
-    localToGlobalMap,
-    basisFunctions,
-    gaussPoints,
-    gaussWeights,
-    nodesPerElement,
-  } = FEAData;
-
-  if (meshDimension === "1D") {
-    // 1D general form PDE
-
-    // Matrix assembly
-    for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
-      // Map local element nodes to global mesh nodes
-      for (let localNodeIndex = 0; localNodeIndex < nodesPerElement; localNodeIndex++) {
-        // Convert to 0-based indexing
-        localToGlobalMap[localNodeIndex] = Math.abs(nop[elementIndex][localNodeIndex]) - 1;
-      }
+  const { residualVector, jacobianMatrix, localToGlobalMap, nodesPerElement } = FEAData;
+
+  // Matrix assembly
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    // Map local element nodes to global mesh nodes
+    for (let localNodeIndex = 0; localNodeIndex < nodesPerElement; localNodeIndex++) {
+      // Convert to 0-based indexing
+      localToGlobalMap[localNodeIndex] = Math.abs(nop[elementIndex][localNodeIndex]) - 1;
+    }
 
-      // Loop over Gauss points
-      for (let gaussPointIndex = 0; gaussPointIndex < gaussPoints.length; gaussPointIndex++) {
-        // Get basis functions for the current Gauss point
-        const { basisFunction, basisFunctionDerivKsi } = basisFunctions.getBasisFunctions(
-          gaussPoints[gaussPointIndex],
-        );
-
-        // Perform isoparametric mapping
-        const { detJacobian, basisFunctionDerivX } = performIsoparametricMapping1D({
-          basisFunction,
-          basisFunctionDerivKsi,
-          nodesXCoordinates,
-          localToGlobalMap,
-          nodesPerElement,
-        });
-
-        // Calculate the physical coordinate for this Gauss point
-        let xCoord = 0;
-        for (let i = 0; i < nodesPerElement; i++) {
-          xCoord += nodesXCoordinates[localToGlobalMap[i]] * basisFunction[i];
-        }
+    forEachGaussPoint({ meshData, FEAData, localToGlobalMap }, (gaussPoint) => {
+      const { basisFunction, basisFunctionDerivX, basisFunctionDerivY } = gaussPoint;
+      const { gaussWeight, detJacobian, xCoord, yCoord } = gaussPoint;
+
+      if (meshDimension === "1D") {
+        // 1D general form PDE
 
         // Evaluate coefficient functions at this physical coordinate
         const a = A(xCoord);
@@ -94,42 +72,91 @@ export function assembleGeneralFormPDEMat(meshData, boundaryConditions, coeffici
           const globalNodeIndex1 = localToGlobalMap[localNodeIndex1];
 
           // Source term contribution to residual vector
-          residualVector[globalNodeIndex1] -=
-            gaussWeights[gaussPointIndex] * detJacobian * d * basisFunction[localNodeIndex1];
+          residualVector[globalNodeIndex1] -= gaussWeight * detJacobian * d * basisFunction[localNodeIndex1];
 
           for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
             const globalNodeIndex2 = localToGlobalMap[localNodeIndex2];
 
             // Diffusion term
-            jacobianMatrix[globalNodeIndex1][globalNodeIndex2] +=
-              gaussWeights[gaussPointIndex] *
-              detJacobian *
-              a *
-              basisFunctionDerivX[localNodeIndex1] *
-              basisFunctionDerivX[localNodeIndex2];
+            jacobianMatrix.addValue(
+              globalNodeIndex1,
+              globalNodeIndex2,
+              gaussWeight *
+                detJacobian *
+                a *
+                basisFunctionDerivX[localNodeIndex1] *
+                basisFunctionDerivX[localNodeIndex2],
+            );
 
             // Advection term
-            jacobianMatrix[globalNodeIndex1][globalNodeIndex2] -=
-              gaussWeights[gaussPointIndex] *
-              detJacobian *
-              b *
-              basisFunctionDerivX[localNodeIndex2] *
+            jacobianMatrix.addValue(
+              globalNodeIndex1,
+              globalNodeIndex2,
+              -gaussWeight *
+                detJacobian *
+                b *
+                basisFunctionDerivX[localNodeIndex2] *
+                basisFunction[localNodeIndex1],
+            );
+
+            // Reaction term
+            jacobianMatrix.addValue(
+              globalNodeIndex1,
+              globalNodeIndex2,
+              -gaussWeight *
+                detJacobian *
+                c *
+                basisFunction[localNodeIndex1] *
+                basisFunction[localNodeIndex2],
+            );
+          }
+        }
+      } else if (meshDimension === "2D") {
+        // 2D general form PDE
+        const weight = gaussWeight * detJacobian;
+
+        // Evaluate coefficient functions at this physical coordinate
+        const a = evaluateDiffusionTensor(A, xCoord, yCoord);
+        const b = evaluateAdvectionVector(B, xCoord, yCoord);
+        const c = C(xCoord, yCoord);
+        const d = D(xCoord, yCoord);
+
+        // Computation of Galerkin's residuals and local Jacobian matrix
+        for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerElement; localNodeIndex1++) {
+          const globalNodeIndex1 = localToGlobalMap[localNodeIndex1];
+
+          // Source term contribution to residual vector
+          residualVector[globalNodeIndex1] -= weight * d * basisFunction[localNodeIndex1];
+
+          for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
+            const globalNodeIndex2 = localToGlobalMap[localNodeIndex2];
+
+            // Diffusion term ∇Nᵢ·(A∇Nⱼ)
+            const diffusionTerm =
+              basisFunctionDerivX[localNodeIndex1] *
+                (a[0][0] * basisFunctionDerivX[localNodeIndex2] +
+                  a[0][1] * basisFunctionDerivY[localNodeIndex2]) +
+              basisFunctionDerivY[localNodeIndex1] *
+                (a[1][0] * basisFunctionDerivX[localNodeIndex2] +
+                  a[1][1] * basisFunctionDerivY[localNodeIndex2]);
+
+            // Advection term (B·∇Nⱼ)·Nᵢ
+            const advectionTerm =
+              (b[0] * basisFunctionDerivX[localNodeIndex2] + b[1] * basisFunctionDerivY[localNodeIndex2]) *
               basisFunction[localNodeIndex1];
 
             // Reaction term
-            jacobianMatrix[globalNodeIndex1][globalNodeIndex2] -=
-              gaussWeights[gaussPointIndex] *
-              detJacobian *
-              c *
-              basisFunction[localNodeIndex1] *
-              basisFunction[localNodeIndex2];
+            const reactionTerm = c * basisFunction[localNodeIndex1] * basisFunction[localNodeIndex2];
+
+            jacobianMatrix.addValue(
+              globalNodeIndex1,
+              globalNodeIndex2,
+              weight * (diffusionTerm - advectionTerm - reactionTerm),
+            );
           }
         }
       }
-    }
-  } else if (meshDimension === "2D") {
-    errorLog("2D general form PDE is not yet supported in assembleGeneralFormPDEMat.");
-    // 2D general form PDE - empty for now
+    });
   }
 
   // Apply boundary conditions
@@ -139,6 +166,8 @@ export function assembleGeneralFormPDEMat(meshData, boundaryConditions, coeffici
     nop,
     meshDimension,
     elementOrder,
+    elementType,
+    { nodesXCoordinates, nodesYCoordinates },
   );
 
   // Apply Dirichlet boundary conditions only
@@ -157,19 +186,20 @@ export function assembleGeneralFormPDEMat(meshData, boundaryConditions, coeffici
  * @param {object} data - Object containing element data for the frontal solver
  * @returns {object} An object containing local Jacobian matrix and residual vector
  */
-export function assembleGeneralFormPDEFront({
-  elementIndex,
-  nop,
-  meshData,
-  basisFunctions,
-  FEAData,
-  coefficientFunctions,
-}) {
+export function assembleGeneralFormPDEFront({ elementIndex, nop, meshData, FEAData, coefficientFunctions }) {
   // Extract numerical integration parameters and mesh coordinates
-  const { gaussPoints, gaussWeights, nodesPerElement } = FEAData;
-  const { nodesXCoordinates, nodesYCoordinates, meshDimension } = meshData;
+  const { nodesPerElement } = FEAData;
+  const { meshDimension } = meshData;
   const { A, B, C, D } = coefficientFunctions;
 
+  if (meshDimension === "2D") {
+    // 2D general form PDE - empty for now
+    throw new MeshError("2D general form PDE is not yet supported in assembleGeneralFormPDEFront", {
+      code: "UNSUPPORTED_MESH_DIMENSION",
+      details: { meshDimension },
+    });
+  }
+
   // Initialize local Jacobian matrix and local residual vector
   const localJacobianMatrix = Array(nodesPerElement)
     .fill()
@@ -184,31 +214,10 @@ export function assembleGeneralFormPDEFront({
     localToGlobalMap[localNodeIndex] = Math.abs(nop[elementIndex][localNodeIndex]) - 1;
   }
 
-  if (meshDimension === "1D") {
-    // 1D general form PDE
-
-    // Loop over Gauss points
-    for (let gaussPointIndex = 0; gaussPointIndex < gaussPoints.length; gaussPointIndex++) {
-      // Get basis functions for the current Gauss point
-      const { basisFunction, basisFunctionDerivKsi } = basisFunctions.getBasisFunctions(
-        gaussPoints[gaussPointIndex],
-      );
-
-      // Perform isoparametric mapping
-      const { detJacobian, basisFunctionDerivX } = performIsoparametricMapping1D({
-        basisFunction,
-        basisFunctionDerivKsi,
-        nodesXCoordinates,
-        localToGlobalMap,
-        nodesPerElement,
-      });
-
-      // Calculate the physical coordinate for this Gauss point
-      let xCoord = 0;
-      for (let i = 0; i < nodesPerElement; i++) {
-        xCoord += nodesXCoordinates[localToGlobalMap[i]] * basisFunction[i];
-      }
-
+  // Loop over Gauss points (1D general form PDE)
+  forEachGaussPoint(
+    { meshData, FEAData, localToGlobalMap },
+    ({ basisFunction, basisFunctionDerivX, gaussWeight, detJacobian, xCoord }) => {
       // Evaluate coefficient functions at this physical coordinate
       const a = A(xCoord);
       const b = B(xCoord);
@@ -219,12 +228,12 @@ export function assembleGeneralFormPDEFront({
       for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerElement; localNodeIndex1++) {
         // Source term contribution to local residual vector
         localResidualVector[localNodeIndex1] -=
-          gaussWeights[gaussPointIndex] * detJacobian * d * basisFunction[localNodeIndex1];
+          gaussWeight * detJacobian * d * basisFunction[localNodeIndex1];
 
         for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
           // Diffusion term
           localJacobianMatrix[localNodeIndex1][localNodeIndex2] +=
-            gaussWeights[gaussPointIndex] *
+            gaussWeight *
             detJacobian *
             a *
             basisFunctionDerivX[localNodeIndex1] *
@@ -232,7 +241,7 @@ export function assembleGeneralFormPDEFront({
 
           // Advection term
           localJacobianMatrix[localNodeIndex1][localNodeIndex2] -=
-            gaussWeights[gaussPointIndex] *
+            gaussWeight *
             detJacobian *
             b *
             basisFunctionDerivX[localNodeIndex2] *
@@ -240,18 +249,11 @@ export function assembleGeneralFormPDEFront({
 
           // Reaction term
           localJacobianMatrix[localNodeIndex1][localNodeIndex2] -=
-            gaussWeights[gaussPointIndex] *
-            detJacobian *
-            c *
-            basisFunction[localNodeIndex1] *
-            basisFunction[localNodeIndex2];
+            gaussWeight * detJacobian * c * basisFunction[localNodeIndex1] * basisFunction[localNodeIndex2];
         }
       }
-    }
-  } else if (meshDimension === "2D") {
-    errorLog("2D general form PDE is not yet supported in assembleGeneralFormPDEFront.");
-    // 2D general form PDE - empty for now
-  }
+    },
+  );
 
   return {
     localJacobianMatrix,
@@ -266,10 +268,11 @@ export function assembleGeneralFormPDEFront({
  * @param {object} meshData - Object containing prepared mesh data
  * @param {object} boundaryConditions - Object containing boundary conditions
  * @param {object} coefficientFunctions - Functions A(x), B(x), C(x) for the linear terms, plus D(x, u) and
- *  dDdu(x, u) for the nonlinear reaction/source term and its derivative with respect to u
+ *  dDdu(x, u) for the nonlinear reaction/source term and its derivative with respect to u. In 2D the
+ *  functions take (x, y) and (x, y, u) instead, with A and B as in assembleGeneralFormPDEMat
  * @param {array} solutionVector - The current solution vector (Newton-Raphson iterate)
  * @returns {object} An object containing:
- *  - jacobianMatrix: The assembled Jacobian matrix (negative of dResidual/du)
+ *  - jacobianMatrix: The assembled Jacobian matrix (SparseMatrix, negative of dResidual/du)
  *  - residualVector: The assembled residual vector
  */
 export function assembleGeneralFormPDENonlinearMat(
@@ -289,6 +292,7 @@ export function assembleGeneralFormPDENonlinearMat(
     totalElements,
     meshDimension,
     elementOrder,
+    elementType,
   } = meshData;
 
   // Extract coefficient functions
@@ -296,52 +300,24 @@ export function assembleGeneralFormPDENonlinearMat(
 
   // Initialize FEA components
   const FEAData = initializeFEA(meshData);
-  const {
-    residualVector,
-    jacobianMatrix,
-    localToGlobalMap,
-    basisFunctions,
-    gaussPoints,
-    gaussWeights,
-    nodesPerElement,
-  } = FEAData;
-
-  if (meshDimension === "1D") {
-    // 1D nonlinear general form PDE
-
-    // Matrix assembly
-    for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
-      // Map local element nodes to global mesh nodes
-      for (let localNodeIndex = 0; localNodeIndex < nodesPerElement; localNodeIndex++) {
-        // Convert to 0-based indexing
-        localToGlobalMap[localNodeIndex] = Math.abs(nop[elementIndex][localNodeIndex]) - 1;
-      }
+  const { residualVector, jacobianMatrix, localToGlobalMap, nodesPerElement } = FEAData;
+
+  // Matrix assembly
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    // Map local element nodes to global mesh nodes
+    for (let localNodeIndex = 0; localNodeIndex < nodesPerElement; localNodeIndex++) {
+      // Convert to 0-based indexing
+      localToGlobalMap[localNodeIndex] = Math.abs(nop[elementIndex][localNodeIndex]) - 1;
+    }
 
-      // Loop over Gauss points
-      for (let gaussPointIndex = 0; gaussPointIndex < gaussPoints.length; gaussPointIndex++) {
-        // Get basis functions for the current Gauss point
-        const { basisFunction, basisFunctionDerivKsi } = basisFunctions.getBasisFunctions(
-          gaussPoints[gaussPointIndex],
-        );
-
-        // Perform isoparametric mapping
-        const { detJacobian, basisFunctionDerivX } = performIsoparametricMapping1D({
-          basisFunction,
-          basisFunctionDerivKsi,
-          nodesXCoordinates,
-          localToGlobalMap,
-          nodesPerElement,
-        });
-
-        // Calculate the physical coordinate, solution value and solution derivative at this Gauss point
-        let xCoord = 0;
-        let uValue = 0;
-        let uDerivX = 0;
-        for (let i = 0; i < nodesPerElement; i++) {
-          xCoord += nodesXCoordinates[localToGlobalMap[i]] * basisFunction[i];
-          uValue += solutionVector[localToGlobalMap[i]] * basisFunction[i];
-          uDerivX += solutionVector[localToGlobalMap[i]] * basisFunctionDerivX[i];
-        }
+    // The solution value and its derivatives are interpolated at each Gauss point
+    forEachGaussPoint({ meshData, FEAData, localToGlobalMap, solutionVector }, (gaussPoint) => {
+      const { basisFunction, basisFunctionDerivX, basisFunctionDerivY } = gaussPoint;
+      const { gaussWeight, detJacobian, xCoord, yCoord } = gaussPoint;
+      const { solution: uValue, solutionDerivX: uDerivX, solutionDerivY: uDerivY } = gaussPoint;
+
+      if (meshDimension === "1D") {
+        // 1D nonlinear general form PDE
 
         // Evaluate coefficient functions at this physical coordinate and solution state
         const a = A(xCoord);
@@ -356,7 +332,7 @@ export function assembleGeneralFormPDENonlinearMat(
 
           // Residual contribution (diffusion, advection, reaction and nonlinear source terms)
           residualVector[globalNodeIndex1] +=
-            gaussWeights[gaussPointIndex] *
+            gaussWeight *
             detJacobian *
             (a * uDerivX * basisFunctionDerivX[localNodeIndex1] -
               b * uDerivX * basisFunction[localNodeIndex1] -
@@ -367,20 +343,73 @@ export function assembleGeneralFormPDENonlinearMat(
             const globalNodeIndex2 = localToGlobalMap[localNodeIndex2];
 
             // Jacobian is the negative of the residual derivative, matching the Newton-Raphson solver convention
-            jacobianMatrix[globalNodeIndex1][globalNodeIndex2] +=
-              -gaussWeights[gaussPointIndex] *
-              detJacobian *
-              (a * basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2] -
-                b * basisFunctionDerivX[localNodeIndex2] * basisFunction[localNodeIndex1] -
-                c * basisFunction[localNodeIndex1] * basisFunction[localNodeIndex2] +
-                dDduVal * basisFunction[localNodeIndex1] * basisFunction[localNodeIndex2]);
+            jacobianMatrix.addValue(
+              globalNodeIndex1,
+              globalNodeIndex2,
+              -gaussWeight *
+                detJacobian *
+                (a * basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2] -
+                  b * basisFunctionDerivX[localNodeIndex2] * basisFunction[localNodeIndex1] -
+                  c * basisFunction[localNodeIndex1] * basisFunction[localNodeIndex2] +
+                  dDduVal * basisFunction[localNodeIndex1] * basisFunction[localNodeIndex2]),
+            );
+          }
+        }
+      } else if (meshDimension === "2D") {
+        // 2D nonlinear general form PDE
+        const weight = gaussWeight * detJacobian;
+
+        // Evaluate coefficient functions at this physical coordinate and solution state
+        const a = evaluateDiffusionTensor(A, xCoord, yCoord);
+        const b = evaluateAdvectionVector(B, xCoord, yCoord);
+        const c = C(xCoord, yCoord);
+        const d = D(xCoord, yCoord, uValue);
+        const dDduVal = dDdu(xCoord, yCoord, uValue);
+
+        // Diffusive flux A∇u and advective derivative B·∇u at this Gauss point
+        const fluxX = a[0][0] * uDerivX + a[0][1] * uDerivY;
+        const fluxY = a[1][0] * uDerivX + a[1][1] * uDerivY;
+        const advectiveDerivative = b[0] * uDerivX + b[1] * uDerivY;
+
+        // Computation of the residual vector and the Newton-Raphson Jacobian matrix
+        for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerElement; localNodeIndex1++) {
+          const globalNodeIndex1 = localToGlobalMap[localNodeIndex1];
+
+          // Residual contribution (diffusion, advection, reaction and nonlinear source terms)
+          residualVector[globalNodeIndex1] +=
+            weight *
+            (fluxX * basisFunctionDerivX[localNodeIndex1] +
+              fluxY * basisFunctionDerivY[localNodeIndex1] -
+              advectiveDerivative * basisFunction[localNodeIndex1] -
+              c * uValue * basisFunction[localNodeIndex1] +
+              d * basisFunction[localNodeIndex1]);
+
+          for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
+            const globalNodeIndex2 = localToGlobalMap[localNodeIndex2];
+
+            const diffusionTerm =
+              basisFunctionDerivX[localNodeIndex1] *
+                (a[0][0] * basisFunctionDerivX[localNodeIndex2] +
+                  a[0][1] * basisFunctionDerivY[localNodeIndex2]) +
+              basisFunctionDerivY[localNodeIndex1] *
+                (a[1][0] * basisFunctionDerivX[localNodeIndex2] +
+                  a[1][1] * basisFunctionDerivY[localNodeIndex2]);
+            const advectionTerm =
+              (b[0] * basisFunctionDerivX[localNodeIndex2] + b[1] * basisFunctionDerivY[localNodeIndex2]) *
+              basisFunction[localNodeIndex1];
+            const reactionTerm =
+              (dDduVal - c) * basisFunction[localNodeIndex1] * basisFunction[localNodeIndex2];
+
+            // Jacobian is the negative of the residual derivative, matching the Newton-Raphson solver convention
+            jacobianMatrix.addValue(
+              globalNodeIndex1,
+              globalNodeIndex2,
+              -weight * (diffusionTerm - advectionTerm + reactionTerm),
+            );
           }
         }
       }
-    }
-  } else if (meshDimension === "2D") {
-    errorLog("2D nonlinear general form PDE is not yet supported in assembleGeneralFormPDENonlinearMat.");
-    // 2D nonlinear general form PDE - empty for now
+    });
   }
 
   // Apply boundary conditions
@@ -390,6 +419,8 @@ export function assembleGeneralFormPDENonlinearMat(
     nop,
     meshDimension,
     elementOrder,
+    elementType,
+    { nodesXCoordinates, nodesYCoordinates },
   );
 
   // Apply Dirichlet boundary conditions only (as a Newton-Raphson increment, since solutionVector is passed)
@@ -402,3 +433,32 @@ export function assembleGeneralFormPDENonlinearMat(
     residualVector,
   };
 }
+
+/**
+ * Function to evaluate the diffusion coefficient A at a point as a 2×2 tensor
+ * @param {function} A - Diffusion coefficient function returning a scalar (isotropic) or a 2×2 tensor
+ * @param {number} xCoord - Physical x coordinate
+ * @param {number} yCoord - Physical y coordinate
+ * @returns {array} The diffusion tensor [[Axx, Axy], [Ayx, Ayy]]
+ */
+function evaluateDiffusionTensor(A, xCoord, yCoord) {
+  const a = A(xCoord, yCoord);
+  return Array.isArray(a)
+    ? a
+    : [
+        [a, 0],
+        [0, a],
+      ];
+}
+
+/**
+ * Function to evaluate the advection coefficient B at a point as a vector
+ * @param {function} B - Advection coefficient function returning [Bx, By] (a scalar b is taken as [b, b])
+ * @param {number} xCoord - Physical x coordinate
+ * @param {number} yCoord - Physical y coordinate
+ * @returns {array} The advection vector [Bx, By]
+ */
+function evaluateAdvectionVector(B, xCoord, yCoord) {
+  const b = B(xCoord, yCoord);
+  return Array.isArray(b) ? b : [b, b];
+}
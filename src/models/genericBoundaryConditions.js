@@ -8,7 +8,9 @@
  */
 
 // Internal imports
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { triangleBoundarySides } from "../mesh/meshUtils.js";
+import { BoundaryConditionError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
 
 /**
  * Class to handle generic boundary conditions application
@@ -21,19 +23,55 @@ export class GenericBoundaryConditions {
    * @param {array} nop - Nodal numbering (NOP) array representing the connectivity between elements and nodes
    * @param {string} meshDimension - The dimension of the mesh (e.g., "2D")
    * @param {string} elementOrder - The order of elements (e.g., "linear", "quadratic")
+   * @param {string} [elementType='quadrilateral'] - The shape of 2D elements ("quadrilateral" or "triangle")
+   * @param {object} [nodesCoordinates] - Object with the `nodesXCoordinates` and `nodesYCoordinates` arrays,
+   *  required for boundary values given as functions of the node coordinates
    */
-  constructor(boundaryConditions, boundaryElements, nop, meshDimension, elementOrder) {
+  constructor(
+    boundaryConditions,
+    boundaryElements,
+    nop,
+    meshDimension,
+    elementOrder,
+    elementType = "quadrilateral",
+    nodesCoordinates = null,
+  ) {
     this.boundaryConditions = boundaryConditions;
     this.boundaryElements = boundaryElements;
     this.nop = nop;
     this.meshDimension = meshDimension;
     this.elementOrder = elementOrder;
+    this.elementType = elementType;
+    this.nodesCoordinates = nodesCoordinates;
+  }
+
+  /**
+   * Function to evaluate a Dirichlet boundary value at a node
+   * @param {number|function} value - Constant value, or a function of the node coordinates
+   *  (value(x) in 1D, value(x, y) in 2D)
+   * @param {number} globalNodeIndex - Zero-based global index of the boundary node
+   * @returns {number} The prescribed value at the node
+   */
+  evaluateBoundaryValue(value, globalNodeIndex) {
+    if (typeof value !== "function") {
+      return value;
+    }
+    if (!this.nodesCoordinates) {
+      throw new BoundaryConditionError(
+        "Node coordinates are required to evaluate a boundary value given as a function",
+        { code: "MISSING_NODE_COORDINATES" },
+      );
+    }
+    const { nodesXCoordinates, nodesYCoordinates } = this.nodesCoordinates;
+    return this.meshDimension === "1D"
+      ? value(nodesXCoordinates[globalNodeIndex])
+      : value(nodesXCoordinates[globalNodeIndex], nodesYCoordinates[globalNodeIndex]);
   }
 
   /**
    * Function to impose Dirichlet boundary conditions
    * @param {array} residualVector - The residual vector to be modified
-   * @param {array} jacobianMatrix - The Jacobian matrix to be modified
+   * @param {SparseMatrix} jacobianMatrix - The Jacobian matrix to be modified
    * @param {array} [solutionVector] - Current solution (Newton-Raphson iterate); when provided, the
    *  residual is set to the increment needed to reach the prescribed value instead of the value itself
    *
@@ -65,15 +103,12 @@ export class GenericBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 // Set the residual vector to the value, or the increment needed to reach it for Newton-Raphson
+                const prescribedValue = this.evaluateBoundaryValue(value, globalNodeIndex);
                 residualVector[globalNodeIndex] = solutionVector
-                  ? value - solutionVector[globalNodeIndex]
-                  : value;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
+                  ? prescribedValue - solutionVector[globalNodeIndex]
+                  : prescribedValue;
+                // Replace the Jacobian matrix row with the identity row
+                jacobianMatrix.setIdentityRow(globalNodeIndex);
               });
             } else if (this.elementOrder === "quadratic") {
               const boundarySides = {
@@ -88,15 +123,12 @@ export class GenericBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 // Set the residual vector to the value, or the increment needed to reach it for Newton-Raphson
+                const prescribedValue = this.evaluateBoundaryValue(value, globalNodeIndex);
                 residualVector[globalNodeIndex] = solutionVector
-                  ? value - solutionVector[globalNodeIndex]
-                  : value;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
+                  ? prescribedValue - solutionVector[globalNodeIndex]
+                  : prescribedValue;
+                // Replace the Jacobian matrix row with the identity row
+                jacobianMatrix.setIdentityRow(globalNodeIndex);
               });
             }
           });
@@ -108,7 +140,23 @@ export class GenericBoundaryConditions {
           const value = this.boundaryConditions[boundaryKey][1];
           debugLog(`Boundary ${boundaryKey}: Applying constant value of ${value} (Dirichlet condition)`);
           this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
-            if (this.elementOrder === "linear") {
+            if (this.elementType === "triangle") {
+              triangleBoundarySides[this.elementOrder][side].forEach((nodeIndex) => {
+                const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
+                debugLog(
+                  `  - Applied constant value to node ${globalNodeIndex + 1} (element ${
+                    elementIndex + 1
+                  }, local node ${nodeIndex + 1})`,
+                );
+                // Set the residual vector to the value, or the increment needed to reach it for Newton-Raphson
+                const prescribedValue = this.evaluateBoundaryValue(value, globalNodeIndex);
+                residualVector[globalNodeIndex] = solutionVector
+                  ? prescribedValue - solutionVector[globalNodeIndex]
+                  : prescribedValue;
+                // Replace the Jacobian matrix row with the identity row
+                jacobianMatrix.setIdentityRow(globalNodeIndex);
+              });
+            } else if (this.elementOrder === "linear") {
               const boundarySides = {
                 0: [0, 2], // Nodes at the bottom side of the reference element
                 1: [0, 1], // Nodes at the left side of the reference element
@@ -123,15 +171,12 @@ export class GenericBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 // Set the residual vector to the value, or the increment needed to reach it for Newton-Raphson
+                const prescribedValue = this.evaluateBoundaryValue(value, globalNodeIndex);
                 residualVector[globalNodeIndex] = solutionVector
-                  ? value - solutionVector[globalNodeIndex]
-                  : value;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
+                  ? prescribedValue - solutionVector[globalNodeIndex]
+                  : prescribedValue;
+                // Replace the Jacobian matrix row with the identity row
+                jacobianMatrix.setIdentityRow(globalNodeIndex);
               });
             } else if (this.elementOrder === "quadratic") {
               const boundarySides = {
@@ -148,15 +193,12 @@ export class GenericBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 // Set the residual vector to the value, or the increment needed to reach it for Newton-Raphson
+                const prescribedValue = this.evaluateBoundaryValue(value, globalNodeIndex);
                 residualVector[globalNodeIndex] = solutionVector
-                  ? value - solutionVector[globalNodeIndex]
-                  : value;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
+                  ? prescribedValue - solutionVector[globalNodeIndex]
+                  : prescribedValue;
+                // Replace the Jacobian matrix row with the identity row
+                jacobianMatrix.setIdentityRow(globalNodeIndex);
               });
             }
           });
@@ -190,12 +232,12 @@ export class GenericBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 nodeConstraintCode[globalNodeIndex] = 1;
-                boundaryValues[globalNodeIndex] = value;
+                boundaryValues[globalNodeIndex] = this.evaluateBoundaryValue(value, globalNodeIndex);
               });
             } else if (this.elementOrder === "quadratic") {
               const boundarySides = {
                 0: [0], // Node at the left side of the reference element
-                2: [2], // Node at the right side of the reference element
+                1: [2], // Node at the right side of the reference element
               };
               boundarySides[side].forEach((nodeIndex) => {
                 const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
@@ -205,7 +247,7 @@ export class GenericBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 nodeConstraintCode[globalNodeIndex] = 1;
-                boundaryValues[globalNodeIndex] = value;
+                boundaryValues[globalNodeIndex] = this.evaluateBoundaryValue(value, globalNodeIndex);
               });
             }
           });
@@ -217,7 +259,18 @@ export class GenericBoundaryConditions {
           const value = this.boundaryConditions[boundaryKey][1];
           debugLog(`Boundary ${boundaryKey}: Applying constant value of ${value} (Dirichlet condition)`);
           this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
-            if (this.elementOrder === "linear") {
+            if (this.elementType === "triangle") {
+              triangleBoundarySides[this.elementOrder][side].forEach((nodeIndex) => {
+                const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
+                debugLog(
+                  `  - Applied constant value to node ${globalNodeIndex + 1} (element ${
+                    elementIndex + 1
+                  }, local node ${nodeIndex + 1})`,
+                );
+                nodeConstraintCode[globalNodeIndex] = 1;
+                boundaryValues[globalNodeIndex] = this.evaluateBoundaryValue(value, globalNodeIndex);
+              });
+            } else if (this.elementOrder === "linear") {
               const boundarySides = {
                 0: [0, 2], // Nodes at the bottom side of the reference element
                 1: [0, 1], // Nodes at the left side of the reference element
@@ -232,7 +285,7 @@ export class GenericBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 nodeConstraintCode[globalNodeIndex] = 1;
-                boundaryValues[globalNodeIndex] = value;
+                boundaryValues[globalNodeIndex] = this.evaluateBoundaryValue(value, globalNodeIndex);
               });
             } else if (this.elementOrder === "quadratic") {
               const boundarySides = {
@@ -249,7 +302,7 @@ export class GenericBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 nodeConstraintCode[globalNodeIndex] = 1;
-                boundaryValues[globalNodeIndex] = value;
+                boundaryValues[globalNodeIndex] = this.evaluateBoundaryValue(value, globalNodeIndex);
               });
             }
           });
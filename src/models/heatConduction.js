@@ -10,6 +10,7 @@
 // Internal imports
 import {
   initializeFEA,
+  forEachGaussPoint,
   performIsoparametricMapping1D,
   performIsoparametricMapping2D,
 } from "../mesh/meshUtils.js";
@@ -22,7 +23,7 @@ import { basicLog, debugLog } from "../utilities/logging.js";
  * @param {object} boundaryConditions - Object containing boundary conditions for the finite element analysis
  * @param {object} coefficientFunctions - Heat transfer coefficient and heat source functions
  * @returns {object} An object containing:
- *  - jacobianMatrix: The assembled Jacobian matrix
+ *  - jacobianMatrix: The assembled Jacobian matrix (SparseMatrix)
  *  - residualVector: The assembled residual vector
  *
  * For consistency across both linear and nonlinear formulations,
@@ -45,6 +46,7 @@ export function assembleHeatConductionMat(meshData, boundaryConditions, coeffici
     totalElements,
     meshDimension,
     elementOrder,
+    elementType,
   } = meshData;
 
   // Extract coefficient functions
@@ -66,6 +68,8 @@ export function assembleHeatConductionMat(meshData, boundaryConditions, coeffici
     basisFunctions,
     gaussPoints,
     gaussWeights,
+    gaussPoints2D,
+    gaussWeights2D,
     nodesPerElement,
   } = FEAData;
 
@@ -78,9 +82,9 @@ export function assembleHeatConductionMat(meshData, boundaryConditions, coeffici
     }
 
     // Loop over Gauss points
-    for (let gaussPointIndex1 = 0; gaussPointIndex1 < gaussPoints.length; gaussPointIndex1++) {
-      // 1D solid heat transfer
-      if (meshDimension === "1D") {
+    // 1D solid heat transfer
+    if (meshDimension === "1D") {
+      for (let gaussPointIndex1 = 0; gaussPointIndex1 < gaussPoints.length; gaussPointIndex1++) {
         // Get basis functions for the current Gauss point
         const basisFunctionsAndDerivatives = basisFunctions.getBasisFunctions(gaussPoints[gaussPointIndex1]);
 
@@ -120,74 +124,77 @@ export function assembleHeatConductionMat(meshData, boundaryConditions, coeffici
 
           for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
             let localToGlobalMap2 = localToGlobalMap[localNodeIndex2];
-            jacobianMatrix[localToGlobalMap1][localToGlobalMap2] +=
+            jacobianMatrix.addValue(
+              localToGlobalMap1,
+              localToGlobalMap2,
               -gaussWeights[gaussPointIndex1] *
-              detJacobian *
-              k *
-              (basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2]);
+                detJacobian *
+                k *
+                (basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2]),
+            );
           }
         }
       }
-      // 2D solid heat transfer
-      else if (meshDimension === "2D") {
-        for (let gaussPointIndex2 = 0; gaussPointIndex2 < gaussPoints.length; gaussPointIndex2++) {
-          // Get basis functions for the current Gauss point
-          const basisFunctionsAndDerivatives = basisFunctions.getBasisFunctions(
-            gaussPoints[gaussPointIndex1],
-            gaussPoints[gaussPointIndex2],
-          );
-
-          // Perform isoparametric mapping
-          const mappingResult = performIsoparametricMapping2D({
-            basisFunction: basisFunctionsAndDerivatives.basisFunction,
-            basisFunctionDerivKsi: basisFunctionsAndDerivatives.basisFunctionDerivKsi,
-            basisFunctionDerivEta: basisFunctionsAndDerivatives.basisFunctionDerivEta,
-            nodesXCoordinates,
-            nodesYCoordinates,
-            localToGlobalMap,
-            nodesPerElement,
-          });
-
-          // Extract mapping results
-          const { detJacobian, basisFunctionDerivX, basisFunctionDerivY } = mappingResult;
-
-          // Calculate the physical (x, y) coordinates at this Gauss point
-          let xCoord = 0;
-          let yCoord = 0;
-          for (let i = 0; i < nodesPerElement; i++) {
-            xCoord += nodesXCoordinates[localToGlobalMap[i]] * basisFunctionsAndDerivatives.basisFunction[i];
-            yCoord += nodesYCoordinates[localToGlobalMap[i]] * basisFunctionsAndDerivatives.basisFunction[i];
-          }
+    }
+    // 2D solid heat transfer
+    else if (meshDimension === "2D") {
+      for (let gaussPointIndex = 0; gaussPointIndex < gaussWeights2D.length; gaussPointIndex++) {
+        // Get basis functions for the current Gauss point
+        const basisFunctionsAndDerivatives = basisFunctions.getBasisFunctions(
+          ...gaussPoints2D[gaussPointIndex],
+        );
+
+        // Perform isoparametric mapping
+        const mappingResult = performIsoparametricMapping2D({
+          basisFunction: basisFunctionsAndDerivatives.basisFunction,
+          basisFunctionDerivKsi: basisFunctionsAndDerivatives.basisFunctionDerivKsi,
+          basisFunctionDerivEta: basisFunctionsAndDerivatives.basisFunctionDerivEta,
+          nodesXCoordinates,
+          nodesYCoordinates,
+          localToGlobalMap,
+          nodesPerElement,
+        });
+
+        // Extract mapping results
+        const { detJacobian, basisFunctionDerivX, basisFunctionDerivY } = mappingResult;
+
+        // Calculate the physical (x, y) coordinates at this Gauss point
+        let xCoord = 0;
+        let yCoord = 0;
+        for (let i = 0; i < nodesPerElement; i++) {
+          xCoord += nodesXCoordinates[localToGlobalMap[i]] * basisFunctionsAndDerivatives.basisFunction[i];
+          yCoord += nodesYCoordinates[localToGlobalMap[i]] * basisFunctionsAndDerivatives.basisFunction[i];
+        }
 
-          // Evaluate thermal conductivity and heat source at this Gauss point
-          const k =
-            typeof thermalConductivity === "function"
-              ? thermalConductivity(xCoord, yCoord)
-              : thermalConductivity;
-          const Q = typeof heatSource === "function" ? heatSource(xCoord, yCoord) : heatSource;
-
-          // Computation of Galerkin's residuals and Jacobian matrix
-          for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerElement; localNodeIndex1++) {
-            let localToGlobalMap1 = localToGlobalMap[localNodeIndex1];
-
-            // Heat source contribution to residual vector
-            residualVector[localToGlobalMap1] -=
-              gaussWeights[gaussPointIndex1] *
-              gaussWeights[gaussPointIndex2] *
-              detJacobian *
-              Q *
-              basisFunctionsAndDerivatives.basisFunction[localNodeIndex1];
-
-            for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
-              let localToGlobalMap2 = localToGlobalMap[localNodeIndex2];
-              jacobianMatrix[localToGlobalMap1][localToGlobalMap2] +=
-                -gaussWeights[gaussPointIndex1] *
-                gaussWeights[gaussPointIndex2] *
+        // Evaluate thermal conductivity and heat source at this Gauss point
+        const k =
+          typeof thermalConductivity === "function"
+            ? thermalConductivity(xCoord, yCoord)
+            : thermalConductivity;
+        const Q = typeof heatSource === "function" ? heatSource(xCoord, yCoord) : heatSource;
+
+        // Computation of Galerkin's residuals and Jacobian matrix
+        for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerElement; localNodeIndex1++) {
+          let localToGlobalMap1 = localToGlobalMap[localNodeIndex1];
+
+          // Heat source contribution to residual vector
+          residualVector[localToGlobalMap1] -=
+            gaussWeights2D[gaussPointIndex] *
+            detJacobian *
+            Q *
+            basisFunctionsAndDerivatives.basisFunction[localNodeIndex1];
+
+          for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
+            let localToGlobalMap2 = localToGlobalMap[localNodeIndex2];
+            jacobianMatrix.addValue(
+              localToGlobalMap1,
+              localToGlobalMap2,
+              -gaussWeights2D[gaussPointIndex] *
                 detJacobian *
                 k *
                 (basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2] +
-                  basisFunctionDerivY[localNodeIndex1] * basisFunctionDerivY[localNodeIndex2]);
-            }
+                  basisFunctionDerivY[localNodeIndex1] * basisFunctionDerivY[localNodeIndex2]),
+            );
           }
         }
       }
@@ -201,6 +208,8 @@ export function assembleHeatConductionMat(meshData, boundaryConditions, coeffici
     nop,
     meshDimension,
     elementOrder,
+    elementType,
+    { nodesXCoordinates, nodesYCoordinates },
   );
 
   // Impose Convection boundary conditions
@@ -214,6 +223,16 @@ export function assembleHeatConductionMat(meshData, boundaryConditions, coeffici
     basisFunctions,
   );
 
+  // Impose heat flux boundary conditions
+  thermalBoundaryConditions.imposeHeatFluxBoundaryConditions(
+    residualVector,
+    gaussPoints,
+    gaussWeights,
+    nodesXCoordinates,
+    nodesYCoordinates,
+    basisFunctions,
+  );
+
   // Impose ConstantTemp boundary conditions
   thermalBoundaryConditions.imposeConstantTempBoundaryConditions(residualVector, jacobianMatrix);
   basicLog("Solid heat transfer matrix assembly completed");
@@ -224,6 +243,69 @@ export function assembleHeatConductionMat(meshData, boundaryConditions, coeffici
   };
 }
 
+/**
+ * Function to assemble the heat capacity (mass) matrix ρ·c·∫Nᵢ·Nⱼ dΩ for transient solid heat transfer
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Density and specific heat (constants or functions of the coordinates)
+ * @param {boolean} [lumped=false] - Whether to lump each row onto the diagonal (row-sum lumping)
+ * @returns {SparseMatrix} The assembled mass matrix
+ *
+ * The mass matrix is assembled with a negative sign, in line with the Jacobian matrix of
+ * assembleHeatConductionMat, so that massMatrix·dT/dt + jacobianMatrix·T = residualVector.
+ */
+export function assembleHeatConductionMassMat(meshData, coefficientFunctions, lumped = false) {
+  basicLog(`Starting solid heat transfer ${lumped ? "lumped" : "consistent"} mass matrix assembly...`);
+
+  // Extract mesh data
+  const { nop, totalElements, meshDimension } = meshData;
+
+  // Extract coefficient functions
+  const density = coefficientFunctions?.density ?? 1;
+  const specificHeat = coefficientFunctions?.specificHeat ?? 1;
+
+  // Initialize FEA components
+  const FEAData = initializeFEA(meshData);
+  const { jacobianMatrix: massMatrix, localToGlobalMap, nodesPerElement } = FEAData;
+
+  // Helper to add the contribution of a single Gauss point
+  const addGaussPointContribution = (weight, basisFunction, coordinates) => {
+    const rho = typeof density === "function" ? density(...coordinates) : density;
+    const c = typeof specificHeat === "function" ? specificHeat(...coordinates) : specificHeat;
+    for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerElement; localNodeIndex1++) {
+      const localToGlobalMap1 = localToGlobalMap[localNodeIndex1];
+      for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
+        // Row-sum lumping moves every entry of the row onto the diagonal
+        const localToGlobalMap2 = lumped ? localToGlobalMap1 : localToGlobalMap[localNodeIndex2];
+        massMatrix.addValue(
+          localToGlobalMap1,
+          localToGlobalMap2,
+          -weight * rho * c * basisFunction[localNodeIndex1] * basisFunction[localNodeIndex2],
+        );
+      }
+    }
+  };
+
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    // Map local element nodes to global mesh nodes
+    for (let localNodeIndex = 0; localNodeIndex < nodesPerElement; localNodeIndex++) {
+      // Subtract 1 from nop in order to start numbering from 0
+      localToGlobalMap[localNodeIndex] = nop[elementIndex][localNodeIndex] - 1;
+    }
+
+    forEachGaussPoint(
+      { meshData, FEAData, localToGlobalMap },
+      ({ basisFunction, gaussWeight, detJacobian, xCoord, yCoord }) => {
+        const coordinates = meshDimension === "1D" ? [xCoord] : [xCoord, yCoord];
+        addGaussPointContribution(gaussWeight * detJacobian, basisFunction, coordinates);
+      },
+    );
+  }
+
+  basicLog("Solid heat transfer mass matrix assembly completed");
+
+  return massMatrix.compress();
+}
+
 /**
  * Function to assemble the local Jacobian matrix and residual vector for the solid heat transfer model when using the frontal system solver
  * @param {number} elementIndex - Index of the element being processed
@@ -245,7 +327,7 @@ export function assembleHeatConductionFront({
   coefficientFunctions,
 }) {
   // Extract numerical integration parameters and mesh coordinates
-  const { gaussPoints, gaussWeights, nodesPerElement } = FEAData;
+  const { gaussPoints, gaussWeights, gaussPoints2D, gaussWeights2D, nodesPerElement } = FEAData;
   const { nodesXCoordinates, nodesYCoordinates, meshDimension } = meshData;
 
   // Extract coefficient functions (with safe defaults)
@@ -315,60 +397,51 @@ export function assembleHeatConductionFront({
     }
   } else if (meshDimension === "2D") {
     // 2D solid heat transfer
-    for (let gaussPointIndex1 = 0; gaussPointIndex1 < gaussPoints.length; gaussPointIndex1++) {
-      for (let gaussPointIndex2 = 0; gaussPointIndex2 < gaussPoints.length; gaussPointIndex2++) {
-        // Get basis functions for the current Gauss point
-        const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } =
-          basisFunctions.getBasisFunctions(gaussPoints[gaussPointIndex1], gaussPoints[gaussPointIndex2]);
+    for (let gaussPointIndex = 0; gaussPointIndex < gaussWeights2D.length; gaussPointIndex++) {
+      // Get basis functions for the current Gauss point
+      const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } =
+        basisFunctions.getBasisFunctions(...gaussPoints2D[gaussPointIndex]);
 
-        // Create mapping from local element space to global mesh (convert to 0-based indexing)
-        const localToGlobalMap = ngl.map((globalIndex) => globalIndex - 1);
+      // Create mapping from local element space to global mesh (convert to 0-based indexing)
+      const localToGlobalMap = ngl.map((globalIndex) => globalIndex - 1);
 
-        // Perform isoparametric mapping
-        const { detJacobian, basisFunctionDerivX, basisFunctionDerivY } = performIsoparametricMapping2D({
-          basisFunction,
-          basisFunctionDerivKsi,
-          basisFunctionDerivEta,
-          nodesXCoordinates,
-          nodesYCoordinates,
-          localToGlobalMap,
-          nodesPerElement,
-        });
+      // Perform isoparametric mapping
+      const { detJacobian, basisFunctionDerivX, basisFunctionDerivY } = performIsoparametricMapping2D({
+        basisFunction,
+        basisFunctionDerivKsi,
+        basisFunctionDerivEta,
+        nodesXCoordinates,
+        nodesYCoordinates,
+        localToGlobalMap,
+        nodesPerElement,
+      });
 
-        // Calculate the physical (x, y) coordinates at this Gauss point
-        let xCoord = 0;
-        let yCoord = 0;
-        for (let i = 0; i < nodesPerElement; i++) {
-          xCoord += nodesXCoordinates[localToGlobalMap[i]] * basisFunction[i];
-          yCoord += nodesYCoordinates[localToGlobalMap[i]] * basisFunction[i];
-        }
+      // Calculate the physical (x, y) coordinates at this Gauss point
+      let xCoord = 0;
+      let yCoord = 0;
+      for (let i = 0; i < nodesPerElement; i++) {
+        xCoord += nodesXCoordinates[localToGlobalMap[i]] * basisFunction[i];
+        yCoord += nodesYCoordinates[localToGlobalMap[i]] * basisFunction[i];
+      }
 
-        // Evaluate thermal conductivity and heat source at this Gauss point
-        const k =
-          typeof thermalConductivity === "function"
-            ? thermalConductivity(xCoord, yCoord)
-            : thermalConductivity;
-        const Q = typeof heatSource === "function" ? heatSource(xCoord, yCoord) : heatSource;
+      // Evaluate thermal conductivity and heat source at this Gauss point
+      const k =
+        typeof thermalConductivity === "function" ? thermalConductivity(xCoord, yCoord) : thermalConductivity;
+      const Q = typeof heatSource === "function" ? heatSource(xCoord, yCoord) : heatSource;
 
-        // Computation of Galerkin's residuals and local Jacobian matrix
-        for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerElement; localNodeIndex1++) {
-          // Heat source contribution to local residual vector
-          localResidualVector[localNodeIndex1] -=
-            gaussWeights[gaussPointIndex1] *
-            gaussWeights[gaussPointIndex2] *
-            detJacobian *
-            Q *
-            basisFunction[localNodeIndex1];
+      // Computation of Galerkin's residuals and local Jacobian matrix
+      for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerElement; localNodeIndex1++) {
+        // Heat source contribution to local residual vector
+        localResidualVector[localNodeIndex1] -=
+          gaussWeights2D[gaussPointIndex] * detJacobian * Q * basisFunction[localNodeIndex1];
 
-          for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
-            localJacobianMatrix[localNodeIndex1][localNodeIndex2] -=
-              gaussWeights[gaussPointIndex1] *
-              gaussWeights[gaussPointIndex2] *
-              detJacobian *
-              k *
-              (basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2] +
-                basisFunctionDerivY[localNodeIndex1] * basisFunctionDerivY[localNodeIndex2]);
-          }
+        for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
+          localJacobianMatrix[localNodeIndex1][localNodeIndex2] -=
+            gaussWeights2D[gaussPointIndex] *
+            detJacobian *
+            k *
+            (basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2] +
+              basisFunctionDerivY[localNodeIndex1] * basisFunctionDerivY[localNodeIndex2]);
         }
       }
     }
@@ -0,0 +1,356 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import {
+  initializeFEA,
+  forEachGaussPoint,
+  getElementNodeNaturalCoordinates,
+  performIsoparametricMapping2D,
+} from "../mesh/meshUtils.js";
+import { SparseMatrix } from "../methods/sparseMatrix.js";
+import { ElasticityBoundaryConditions } from "./elasticityBoundaryConditions.js";
+import { ConfigurationError, MeshError } from "../utilities/errors.js";
+import { basicLog } from "../utilities/logging.js";
+import { flattenSolutionVector } from "../utilities/solutionUtils.js";
+
+/**
+ * Function to assemble the Jacobian (stiffness) matrix and residual (load) vector of the 2D linear
+ * elasticity model, in plane stress or plane strain:
+ *   k_ij = ∫ Bᵢᵀ D Bⱼ dΩ,   f_i = ∫ Nᵢ b dΩ + ∫ Nᵢ t ds
+ * where B is the strain-displacement matrix giving the strains [εxx, εyy, γxy] (engineering shear strain),
+ * D the elasticity matrix of the formulation, b the body force and t the boundary traction. Each node
+ * carries the displacements [ux, uy], ordered as [ux_0, uy_0, ux_1, uy_1, ...]. Linear and quadratic
+ * quadrilaterals and triangles are supported
+ *
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} boundaryConditions - Object containing boundary conditions for the finite element analysis
+ *  (see elasticityBoundaryConditions.js)
+ * @param {object} coefficientFunctions - Constants or functions of the coordinates (x, y):
+ *  - youngsModulus: Young's modulus E
+ *  - poissonsRatio: Poisson's ratio ν
+ *  - bodyForce: Body force per unit volume [bx, by], or a function (x, y) => [bx, by] (optional)
+ * @param {string} [formulation="planeStress"] - "planeStress" (thin plates loaded in their plane) or
+ *  "planeStrain" (long bodies with no strain along z)
+ * @returns {object} An object containing the Jacobian (stiffness) matrix, the residual (load) vector, the
+ *  number of degrees of freedom per node (2) and the total number of degrees of freedom
+ * @throws {MeshError} If the mesh is not 2D (code "UNSUPPORTED_MESH_DIMENSION")
+ * @throws {ConfigurationError} If a material property is missing (code "MISSING_CONFIGURATION") or invalid
+ *  (code "INVALID_MATERIAL_PROPERTY"), or the formulation is unknown (code "UNKNOWN_FORMULATION")
+ */
+export function assembleLinearElasticityMat(
+  meshData,
+  boundaryConditions,
+  coefficientFunctions,
+  formulation = "planeStress",
+) {
+  basicLog(`Starting linear elasticity matrix assembly (${formulation})...`);
+  validateLinearElasticitySettings(meshData, coefficientFunctions, formulation);
+
+  const { nodesXCoordinates, nodesYCoordinates, nop, boundaryElements, totalNodes, totalElements } = meshData;
+  const dofsPerNode = 2; // [ux, uy] at each node
+  const totalDOFs = dofsPerNode * totalNodes;
+  const residualVector = new Array(totalDOFs).fill(0);
+  const jacobianMatrix = new SparseMatrix(totalDOFs);
+  const bodyForce = coefficientFunctions.bodyForce ?? [0, 0];
+
+  const FEAData = initializeElasticityFEA(meshData);
+  const { basisFunctions, gaussPoints, gaussWeights, nodesPerElement } = FEAData;
+
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const localToGlobalMap = nop[elementIndex].map((nodeNumber) => nodeNumber - 1);
+
+    forEachGaussPoint({ meshData, FEAData, localToGlobalMap }, (gaussPoint) => {
+      const { basisFunction, basisFunctionDerivX, basisFunctionDerivY, gaussWeight, detJacobian } =
+        gaussPoint;
+      const { xCoord, yCoord } = gaussPoint;
+      const weightFactor = gaussWeight * detJacobian;
+      const [[d11, d12], [d21, d22], [, , d33]] = getElasticityMatrix(
+        coefficientFunctions,
+        xCoord,
+        yCoord,
+        formulation,
+      );
+      const [xBodyForce, yBodyForce] =
+        typeof bodyForce === "function" ? bodyForce(xCoord, yCoord) : bodyForce;
+
+      for (let localNodeIndex1 = 0; localNodeIndex1 < nodesPerElement; localNodeIndex1++) {
+        const xDegreeOfFreedom1 = dofsPerNode * localToGlobalMap[localNodeIndex1];
+        const derivX1 = basisFunctionDerivX[localNodeIndex1];
+        const derivY1 = basisFunctionDerivY[localNodeIndex1];
+
+        // Body force contribution to the load vector
+        residualVector[xDegreeOfFreedom1] += weightFactor * basisFunction[localNodeIndex1] * xBodyForce;
+        residualVector[xDegreeOfFreedom1 + 1] += weightFactor * basisFunction[localNodeIndex1] * yBodyForce;
+
+        for (let localNodeIndex2 = 0; localNodeIndex2 < nodesPerElement; localNodeIndex2++) {
+          const xDegreeOfFreedom2 = dofsPerNode * localToGlobalMap[localNodeIndex2];
+          const derivX2 = basisFunctionDerivX[localNodeIndex2];
+          const derivY2 = basisFunctionDerivY[localNodeIndex2];
+
+          // Bᵢᵀ D Bⱼ, with Bᵢ = [[∂Nᵢ/∂x, 0], [0, ∂Nᵢ/∂y], [∂Nᵢ/∂y, ∂Nᵢ/∂x]]
+          jacobianMatrix.addValue(
+            xDegreeOfFreedom1,
+            xDegreeOfFreedom2,
+            weightFactor * (d11 * derivX1 * derivX2 + d33 * derivY1 * derivY2),
+          );
+          jacobianMatrix.addValue(
+            xDegreeOfFreedom1,
+            xDegreeOfFreedom2 + 1,
+            weightFactor * (d12 * derivX1 * derivY2 + d33 * derivY1 * derivX2),
+          );
+          jacobianMatrix.addValue(
+            xDegreeOfFreedom1 + 1,
+            xDegreeOfFreedom2,
+            weightFactor * (d21 * derivY1 * derivX2 + d33 * derivX1 * derivY2),
+          );
+          jacobianMatrix.addValue(
+            xDegreeOfFreedom1 + 1,
+            xDegreeOfFreedom2 + 1,
+            weightFactor * (d22 * derivY1 * derivY2 + d33 * derivX1 * derivX2),
+          );
+        }
+      }
+    });
+  }
+
+  // Apply boundary conditions
+  const elasticityBoundaryConditions = new ElasticityBoundaryConditions(
+    boundaryConditions,
+    boundaryElements,
+    nop,
+    meshData.elementOrder,
+    meshData.elementType,
+    { nodesXCoordinates, nodesYCoordinates },
+  );
+  elasticityBoundaryConditions.imposeNaturalBoundaryConditions(
+    residualVector,
+    gaussPoints,
+    gaussWeights,
+    basisFunctions,
+  );
+  elasticityBoundaryConditions.imposeEssentialBoundaryConditions(residualVector, jacobianMatrix);
+
+  basicLog("Linear elasticity matrix assembly completed");
+
+  return {
+    jacobianMatrix,
+    residualVector,
+    dofsPerNode,
+    totalDOFs,
+  };
+}
+
+/**
+ * Function to compute the displacement, strain and stress fields of a solved linear elasticity model at the
+ * mesh nodes. Strains and stresses are discontinuous between elements, so the nodal values average those of
+ * the elements sharing the node
+ * @param {array} solutionVector - Solution vector ordered as [ux_0, uy_0, ux_1, uy_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Linear elasticity coefficient functions (youngsModulus,
+ *  poissonsRatio)
+ * @param {string} [formulation="planeStress"] - "planeStress" or "planeStrain"
+ * @returns {object} An object containing the nodal fields:
+ *  - ux, uy, displacementMagnitude: Displacements
+ *  - strainXX, strainYY, shearStrainXY: Strains, with the engineering shear strain γxy = ∂ux/∂y + ∂uy/∂x
+ *  - stressXX, stressYY, stressXY: In-plane stresses
+ *  - stressZZ: Out-of-plane stress, ν(σxx + σyy) in plane strain and zero in plane stress
+ *  - vonMisesStress: Von Mises equivalent stress
+ */
+export function computeLinearElasticityFields(
+  solutionVector,
+  meshData,
+  coefficientFunctions,
+  formulation = "planeStress",
+) {
+  const { nodesXCoordinates, nodesYCoordinates, nop, totalNodes, totalElements, elementOrder, elementType } =
+    meshData;
+  const displacementValues = flattenSolutionVector(solutionVector);
+  const ux = displacementValues.filter((_, dofIndex) => dofIndex % 2 === 0);
+  const uy = displacementValues.filter((_, dofIndex) => dofIndex % 2 === 1);
+
+  const { basisFunctions, nodesPerElement } = initializeFEA(meshData);
+  const localNodeCoordinates = getElementNodeNaturalCoordinates(elementOrder, elementType);
+  const componentNames = [
+    "strainXX",
+    "strainYY",
+    "shearStrainXY",
+    "stressXX",
+    "stressYY",
+    "stressXY",
+    "stressZZ",
+  ];
+  const componentSums = componentNames.map(() => new Array(totalNodes).fill(0));
+  const elementCount = new Array(totalNodes).fill(0);
+
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const localToGlobalMap = nop[elementIndex].map((nodeNumber) => nodeNumber - 1);
+    localNodeCoordinates.forEach(([ksi, eta], localNodeIndex) => {
+      const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } =
+        basisFunctions.getBasisFunctions(ksi, eta);
+      const { basisFunctionDerivX, basisFunctionDerivY } = performIsoparametricMapping2D({
+        basisFunction,
+        basisFunctionDerivKsi,
+        basisFunctionDerivEta,
+        nodesXCoordinates,
+        nodesYCoordinates,
+        localToGlobalMap,
+        nodesPerElement,
+      });
+
+      // Strains [εxx, εyy, γxy] of the element at its node
+      const strains = [0, 0, 0];
+      localToGlobalMap.forEach((globalNode, localNodeIndex2) => {
+        strains[0] += ux[globalNode] * basisFunctionDerivX[localNodeIndex2];
+        strains[1] += uy[globalNode] * basisFunctionDerivY[localNodeIndex2];
+        strains[2] +=
+          ux[globalNode] * basisFunctionDerivY[localNodeIndex2] +
+          uy[globalNode] * basisFunctionDerivX[localNodeIndex2];
+      });
+
+      const globalNodeIndex = localToGlobalMap[localNodeIndex];
+      const x = nodesXCoordinates[globalNodeIndex];
+      const y = nodesYCoordinates[globalNodeIndex];
+      const elasticityMatrix = getElasticityMatrix(coefficientFunctions, x, y, formulation);
+      const stresses = elasticityMatrix.map((row) =>
+        row.reduce((sum, entry, componentIndex) => sum + entry * strains[componentIndex], 0),
+      );
+      const outOfPlaneStress =
+        formulation === "planeStrain"
+          ? evaluateCoefficient(coefficientFunctions.poissonsRatio, x, y) * (stresses[0] + stresses[1])
+          : 0;
+
+      [...strains, ...stresses, outOfPlaneStress].forEach((value, componentIndex) => {
+        componentSums[componentIndex][globalNodeIndex] += value;
+      });
+      elementCount[globalNodeIndex]++;
+    });
+  }
+
+  const fields = {
+    ux,
+    uy,
+    displacementMagnitude: ux.map((uxValue, nodeIndex) => Math.hypot(uxValue, uy[nodeIndex])),
+  };
+  componentNames.forEach((componentName, componentIndex) => {
+    fields[componentName] = componentSums[componentIndex].map(
+      (value, nodeIndex) => value / elementCount[nodeIndex],
+    );
+  });
+  const { stressXX, stressYY, stressXY, stressZZ } = fields;
+  fields.vonMisesStress = stressXX.map((sigmaXX, nodeIndex) => {
+    const sigmaYY = stressYY[nodeIndex];
+    const sigmaZZ = stressZZ[nodeIndex];
+    return Math.sqrt(
+      0.5 * ((sigmaXX - sigmaYY) ** 2 + (sigmaYY - sigmaZZ) ** 2 + (sigmaZZ - sigmaXX) ** 2) +
+        3 * stressXY[nodeIndex] ** 2,
+    );
+  });
+
+  return fields;
+}
+
+/**
+ * Function to check the mesh, the material properties and the formulation of the linear elasticity model
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Linear elasticity coefficient functions
+ * @param {string} formulation - "planeStress" or "planeStrain"
+ */
+function validateLinearElasticitySettings(meshData, coefficientFunctions, formulation) {
+  if (meshData.meshDimension !== "2D") {
+    throw new MeshError("Linear elasticity solver requires a 2D mesh", {
+      code: "UNSUPPORTED_MESH_DIMENSION",
+      details: { meshDimension: meshData.meshDimension },
+    });
+  }
+  ["youngsModulus", "poissonsRatio"].forEach((coefficientFunction) => {
+    if (coefficientFunctions?.[coefficientFunction] === undefined) {
+      throw new ConfigurationError(`The ${coefficientFunction} coefficient function is required`, {
+        code: "MISSING_CONFIGURATION",
+        details: { coefficientFunction },
+      });
+    }
+  });
+  if (formulation !== "planeStress" && formulation !== "planeStrain") {
+    throw new ConfigurationError(
+      `Unknown linear elasticity formulation: "${formulation}". Expected "planeStress" or "planeStrain"`,
+      { code: "UNKNOWN_FORMULATION", details: { formulation } },
+    );
+  }
+}
+
+/**
+ * Function to initialize the basis functions and integration rules of the linear elasticity assembly
+ * The 1-point rule of linear quadrilaterals leaves zero-energy (hourglass) displacement modes, which makes
+ * the stiffness matrix singular, so these elements are integrated with the 2 × 2 Gauss rule instead
+ * @param {object} meshData - Object containing prepared mesh data
+ * @returns {object} The FEA data of initializeFEA, with the full integration rule where needed
+ */
+function initializeElasticityFEA(meshData) {
+  const FEAData = initializeFEA(meshData);
+  if (meshData.elementOrder !== "linear" || meshData.elementType === "triangle") return FEAData;
+
+  const gaussPoints = [(1 - 1 / Math.sqrt(3)) / 2, (1 + 1 / Math.sqrt(3)) / 2];
+  const gaussWeights = [0.5, 0.5];
+  return {
+    ...FEAData,
+    gaussPoints,
+    gaussWeights,
+    gaussPoints2D: gaussPoints.flatMap((ksi) => gaussPoints.map((eta) => [ksi, eta])),
+    gaussWeights2D: [0.25, 0.25, 0.25, 0.25],
+  };
+}
+
+/**
+ * Function to compute the elasticity matrix D relating the stresses [σxx, σyy, τxy] to the strains
+ * [εxx, εyy, γxy] at a point
+ * @param {object} coefficientFunctions - Linear elasticity coefficient functions (youngsModulus,
+ *  poissonsRatio)
+ * @param {number} x - X-coordinate of the point
+ * @param {number} y - Y-coordinate of the point
+ * @param {string} formulation - "planeStress" or "planeStrain"
+ * @returns {array} The 3 × 3 elasticity matrix
+ */
+function getElasticityMatrix(coefficientFunctions, x, y, formulation) {
+  const youngsModulus = evaluateCoefficient(coefficientFunctions.youngsModulus, x, y);
+  const poissonsRatio = evaluateCoefficient(coefficientFunctions.poissonsRatio, x, y);
+  if (!(youngsModulus > 0) || !(poissonsRatio > -1 && poissonsRatio < 0.5)) {
+    throw new ConfigurationError(
+      `Invalid material properties at (${x}, ${y}): E = ${youngsModulus}, ν = ${poissonsRatio}. Expected ` +
+        "E > 0 and -1 < ν < 0.5",
+      { code: "INVALID_MATERIAL_PROPERTY", details: { x, y, youngsModulus, poissonsRatio } },
+    );
+  }
+
+  if (formulation === "planeStrain") {
+    const factor = youngsModulus / ((1 + poissonsRatio) * (1 - 2 * poissonsRatio));
+    return [
+      [factor * (1 - poissonsRatio), factor * poissonsRatio, 0],
+      [factor * poissonsRatio, factor * (1 - poissonsRatio), 0],
+      [0, 0, (factor * (1 - 2 * poissonsRatio)) / 2],
+    ];
+  }
+  const factor = youngsModulus / (1 - poissonsRatio ** 2);
+  return [
+    [factor, factor * poissonsRatio, 0],
+    [factor * poissonsRatio, factor, 0],
+    [0, 0, (factor * (1 - poissonsRatio)) / 2],
+  ];
+}
+
+/**
+ * Function to evaluate a coefficient given as a constant or as a function of the coordinates
+ * @param {number|function} coefficient - The coefficient
+ * @param {number} x - X-coordinate of the point
+ * @param {number} y - Y-coordinate of the point
+ * @returns {number} The value of the coefficient at the point
+ */
+function evaluateCoefficient(coefficient, x, y) {
+  return typeof coefficient === "function" ? coefficient(x, y) : coefficient;
+}
@@ -0,0 +1,104 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { resolveBoundaryNames } from "../mesh/meshUtils.js";
+import { assembleWeakFormMat, assembleWeakFormFront } from "../methods/weakFormAssembly.js";
+import { ConfigurationError } from "../utilities/errors.js";
+import { debugLog, warnLog } from "../utilities/logging.js";
+
+// Registered models, keyed by the name passed to FEAScriptModel.setModelConfig
+const registeredModels = new Map();
+
+/**
+ * Function to register a physical model, making it available to FEAScriptModel.setModelConfig
+ * @param {string} name - Model name, e.g. "heatConductionScript"
+ * @param {object} definition - Model definition. Every function receives a context object with `model` (the
+ *  FEAScriptModel), `meshData`, `boundaryConditions`, `coefficientFunctions`, `solverMethod` and
+ *  `solverOptions` (`maxIterations`, `tolerance`, `preconditioner`, `restart`)
+ * @param {function} [definition.assembleMat] - Assembler returning `{ jacobianMatrix, residualVector }`.
+ *  Nonlinear models also receive the current `solutionVector` in the context, and dynamic simulations the
+ *  current `time`, at which time-dependent loads are evaluated
+ * @param {function} [definition.kernel] - Weak-form kernel of a scalar field, integrated at each Gauss point
+ *  (see assembleWeakFormMat). FEAScript then provides assembleMat and assembleFront, with "constantValue"
+ *  Dirichlet conditions
+ * @param {function} [definition.boundaryKernel] - Weak-form kernel of the natural boundary conditions of a
+ *  kernel-based model, integrated along the sides of every boundary whose condition is not "constantValue"
+ * @param {function} [definition.assembleFront] - Element assembler for the frontal solver, with the
+ *  signature of assembleHeatConductionFront
+ * @param {function} [definition.assembleMassMat] - Mass matrix assembler for transient simulations (the
+ *  context also holds `massLumping`), modal analyses and dynamic simulations
+ * @param {function} [definition.assembleGeometricStiffnessMat] - Assembler of the geometric stiffness matrix
+ *  (SparseMatrix) of the reference loads, for buckling analyses
+ * @param {boolean|function} [definition.nonlinear=false] - Whether the model is solved with the
+ *  Newton-Raphson method, or a function of the context deciding it
+ * @param {number} [definition.dofsPerNode] - Degrees of freedom per mesh node, which sizes the solution
+ *  vector of nonlinear and transient models (1 if omitted)
+ * @param {function} [definition.prepareBoundaryConditions] - Boundary condition handler called as
+ *  (boundaryConditions, meshData); resolves named boundaries by default
+ * @param {function} [definition.postProcess] - Result post-processing called as (result, context), with the
+ *  output of the last assembly in `context.assembly`; returns the result of FEAScriptModel.solve
+ * @param {function} [definition.solveTransient] - Custom time integration of transient simulations, used
+ *  instead of the θ-method when the `transient` option is set; returns `{ solutionVector, timeSeries, assembly? }`
+ * @param {function} [definition.solve] - Custom solution strategy replacing the built-in linear, nonlinear,
+ *  frontal, transient and modal ones; returns `{ solutionVector, timeSeries?, modes?, bucklingModes?, assembly? }`
+ */
+export function registerModel(name, definition) {
+  if (typeof name !== "string" || name.length === 0) {
+    throw new ConfigurationError("Model name must be a non-empty string", {
+      code: "INVALID_MODEL_DEFINITION",
+      details: { name },
+    });
+  }
+  const { assembleMat, solve, kernel, boundaryKernel } = definition ?? {};
+  if (![assembleMat, solve, kernel].some((entry) => typeof entry === "function")) {
+    throw new ConfigurationError(`Model ${name} must define an assembleMat, a kernel or a solve function`, {
+      code: "INVALID_MODEL_DEFINITION",
+      details: { name },
+    });
+  }
+  if (registeredModels.has(name)) {
+    warnLog(`Model ${name} is already registered and will be replaced`);
+  }
+
+  // The element and Gauss point loops of kernel-based models are handled by the weak-form assemblers
+  const weakFormAssemblers =
+    typeof kernel === "function"
+      ? {
+          assembleMat: (context) => assembleWeakFormMat({ kernel, boundaryKernel }, context),
+          assembleFront: (frontData) => assembleWeakFormFront({ kernel, boundaryKernel }, frontData),
+        }
+      : {};
+
+  registeredModels.set(name, {
+    nonlinear: false,
+    prepareBoundaryConditions: resolveBoundaryNames,
+    ...weakFormAssemblers,
+    ...definition,
+    name,
+  });
+  debugLog(`Model ${name} registered`);
+}
+
+/**
+ * Function to look up a registered model
+ * @param {string} name - Model name
+ * @returns {object} The model definition, with defaults for the optional entries
+ * @throws {ConfigurationError} If no model is registered under this name (code "UNKNOWN_MODEL")
+ */
+export function getModel(name) {
+  if (!registeredModels.has(name)) {
+    const availableModels = [...registeredModels.keys()];
+    throw new ConfigurationError(`Unknown model: ${name}. Available models: ${availableModels.join(", ")}`, {
+      code: "UNKNOWN_MODEL",
+      details: { solverConfig: name, availableModels },
+    });
+  }
+  return registeredModels.get(name);
+}
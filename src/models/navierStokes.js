@@ -0,0 +1,232 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { SparseMatrix } from "../methods/sparseMatrix.js";
+import {
+  addStokesContributions,
+  addTimeDerivativeContributions,
+  forEachTaylorHoodGaussPoint,
+  getTaylorHoodDOFLayout,
+} from "./creepingFlow.js";
+import { FlowBoundaryConditions } from "./flowBoundaryConditions.js";
+import { ConfigurationError } from "../utilities/errors.js";
+import { basicLog } from "../utilities/logging.js";
+
+/**
+ * Function to assemble the Jacobian matrix and residual vector of the steady incompressible Navier-Stokes
+ * equations in dimensionless form, (u·∇)u = −∇p + (1/Re)∇²u and ∇·u = 0, for one Newton-Raphson
+ * iteration. The Taylor-Hood (Q2-Q1, or P2-P1 on triangles) element and the DOF ordering
+ * [u…, v…, p…] are those of the creeping flow model (see assembleCreepingFlowMatrix)
+ *
+ * The residual vector is minus the discrete equations evaluated at the current solution, and the Dirichlet
+ * rows hold the increments to the prescribed velocities, so that solving jacobianMatrix·Δ = residualVector
+ * gives the update of the solution. The Jacobian matrix is either:
+ *  - "picard": the Oseen linearization, with the convective velocity frozen at the current solution
+ *  - "newton": the exact derivative of the equations, which adds the velocity gradient terms
+ * A time step of the unsteady equations adds the velocity mass terms of du/dt (see
+ * addTimeDerivativeContributions)
+ *
+ * @param {object} meshData - Object containing prepared mesh data (must use quadratic elements)
+ * @param {object} boundaryConditions - Object containing boundary conditions for the finite element analysis
+ * @param {array} solutionVector - The current solution vector (Newton-Raphson iterate)
+ * @param {object} settings - Object containing:
+ *  - reynoldsNumber: The Reynolds number Re
+ *  - linearization: "newton" (default) or "picard"
+ *  - time: Time at which the boundary velocities and tractions are evaluated (default 0)
+ *  - timeDerivative: The `coefficient` and `historyVector` of the time derivative (steady flow if omitted)
+ *  - pressureReference: The `node` and `value` of the reference pressure (see FlowBoundaryConditions)
+ * @returns {object} An object containing:
+ *  - jacobianMatrix: The assembled Jacobian matrix (SparseMatrix)
+ *  - residualVector: The assembled residual vector
+ *  - totalNodesVelocity: Number of velocity nodes (Q2)
+ *  - totalNodesPressure: Number of pressure nodes (Q1)
+ *  - pressureNodeIndices: Array mapping pressure DOF index to global Q2 node index
+ * @throws {ConfigurationError} If the Reynolds number is not a positive number (code
+ *  "INVALID_REYNOLDS_NUMBER") or the linearization is unknown (code "UNKNOWN_LINEARIZATION")
+ */
+export function assembleNavierStokesMat(
+  meshData,
+  boundaryConditions,
+  solutionVector,
+  { reynoldsNumber, linearization = "newton", time = 0, timeDerivative, pressureReference } = {},
+) {
+  if (!(reynoldsNumber > 0)) {
+    throw new ConfigurationError("The Navier-Stokes model requires a positive Reynolds number", {
+      code: "INVALID_REYNOLDS_NUMBER",
+      details: { reynoldsNumber },
+    });
+  }
+  if (linearization !== "newton" && linearization !== "picard") {
+    throw new ConfigurationError(`Unknown Navier-Stokes linearization: "${linearization}"`, {
+      code: "UNKNOWN_LINEARIZATION",
+      details: { linearization },
+    });
+  }
+  basicLog(`Starting Navier-Stokes matrix assembly (Re = ${reynoldsNumber}, ${linearization})...`);
+
+  const dofLayout = getTaylorHoodDOFLayout(meshData, "Navier-Stokes");
+  const { totalNodesVelocity, totalNodesPressure, totalDOFs, pressureNodeIndices } = dofLayout;
+  const pressureOffset = 2 * totalNodesVelocity;
+  const useNewton = linearization === "newton";
+
+  // Initialize Jacobian matrix and residual vector
+  let residualVector = new Array(totalDOFs).fill(0);
+  let jacobianMatrix = new SparseMatrix(totalDOFs);
+
+  // Dimensionless viscosity (the density is 1)
+  const mu = 1 / reynoldsNumber;
+
+  forEachTaylorHoodGaussPoint(meshData, dofLayout, (gaussPointData) => {
+    const {
+      velLocalToGlobalMap,
+      presLocalToGlobalMap,
+      basisFunction,
+      basisFunctionDerivX,
+      basisFunctionDerivY,
+      pressureBasisFunction,
+      weightFactor,
+    } = gaussPointData;
+
+    // Viscous and pressure terms, shared with the creeping flow model
+    addStokesContributions(jacobianMatrix, gaussPointData, totalNodesVelocity, mu);
+    if (timeDerivative) {
+      addTimeDerivativeContributions(
+        jacobianMatrix,
+        residualVector,
+        gaussPointData,
+        totalNodesVelocity,
+        timeDerivative,
+        solutionVector,
+      );
+    }
+
+    // Velocity, velocity gradient and pressure at the Gauss point
+    let xVelocity = 0;
+    let yVelocity = 0;
+    let xVelocityDerivX = 0;
+    let xVelocityDerivY = 0;
+    let yVelocityDerivX = 0;
+    let yVelocityDerivY = 0;
+    velLocalToGlobalMap.forEach((globalNode, localNodeIndex) => {
+      const xVelocityValue = solutionVector[globalNode];
+      const yVelocityValue = solutionVector[totalNodesVelocity + globalNode];
+      xVelocity += xVelocityValue * basisFunction[localNodeIndex];
+      yVelocity += yVelocityValue * basisFunction[localNodeIndex];
+      xVelocityDerivX += xVelocityValue * basisFunctionDerivX[localNodeIndex];
+      xVelocityDerivY += xVelocityValue * basisFunctionDerivY[localNodeIndex];
+      yVelocityDerivX += yVelocityValue * basisFunctionDerivX[localNodeIndex];
+      yVelocityDerivY += yVelocityValue * basisFunctionDerivY[localNodeIndex];
+    });
+    const pressure = presLocalToGlobalMap.reduce(
+      (sum, pressureIndex, localPresIndex) =>
+        sum + solutionVector[pressureOffset + pressureIndex] * pressureBasisFunction[localPresIndex],
+      0,
+    );
+
+    for (let localNodeIndex1 = 0; localNodeIndex1 < velLocalToGlobalMap.length; localNodeIndex1++) {
+      const globalNode1 = velLocalToGlobalMap[localNodeIndex1];
+      const xVelocityDegreeOfFreedom1 = globalNode1; // u-velocity DOF
+      const yVelocityDegreeOfFreedom1 = totalNodesVelocity + globalNode1; // v-velocity DOF
+      const weightedBasis = weightFactor * basisFunction[localNodeIndex1];
+
+      // Residual of the momentum equations: −(−μ∇N·∇u + p ∂N/∂x − N (u·∇)u)
+      residualVector[xVelocityDegreeOfFreedom1] -=
+        weightFactor *
+          (-mu *
+            (basisFunctionDerivX[localNodeIndex1] * xVelocityDerivX +
+              basisFunctionDerivY[localNodeIndex1] * xVelocityDerivY) +
+            pressure * basisFunctionDerivX[localNodeIndex1]) -
+        weightedBasis * (xVelocity * xVelocityDerivX + yVelocity * xVelocityDerivY);
+      residualVector[yVelocityDegreeOfFreedom1] -=
+        weightFactor *
+          (-mu *
+            (basisFunctionDerivX[localNodeIndex1] * yVelocityDerivX +
+              basisFunctionDerivY[localNodeIndex1] * yVelocityDerivY) +
+            pressure * basisFunctionDerivY[localNodeIndex1]) -
+        weightedBasis * (xVelocity * yVelocityDerivX + yVelocity * yVelocityDerivY);
+
+      for (let localNodeIndex2 = 0; localNodeIndex2 < velLocalToGlobalMap.length; localNodeIndex2++) {
+        const globalNode2 = velLocalToGlobalMap[localNodeIndex2];
+        const xVelocityDegreeOfFreedom2 = globalNode2; // u-velocity DOF
+        const yVelocityDegreeOfFreedom2 = totalNodesVelocity + globalNode2; // v-velocity DOF
+
+        // Convection by the current velocity (Oseen term), in both u-u and v-v blocks
+        const convectiveContribution =
+          -weightedBasis *
+          (xVelocity * basisFunctionDerivX[localNodeIndex2] +
+            yVelocity * basisFunctionDerivY[localNodeIndex2]);
+        jacobianMatrix.addValue(xVelocityDegreeOfFreedom1, xVelocityDegreeOfFreedom2, convectiveContribution);
+        jacobianMatrix.addValue(yVelocityDegreeOfFreedom1, yVelocityDegreeOfFreedom2, convectiveContribution);
+
+        // Derivative of the convective term with respect to the convective velocity
+        if (useNewton) {
+          const reactionContribution = -weightedBasis * basisFunction[localNodeIndex2];
+          jacobianMatrix.addValue(
+            xVelocityDegreeOfFreedom1,
+            xVelocityDegreeOfFreedom2,
+            reactionContribution * xVelocityDerivX,
+          );
+          jacobianMatrix.addValue(
+            xVelocityDegreeOfFreedom1,
+            yVelocityDegreeOfFreedom2,
+            reactionContribution * xVelocityDerivY,
+          );
+          jacobianMatrix.addValue(
+            yVelocityDegreeOfFreedom1,
+            xVelocityDegreeOfFreedom2,
+            reactionContribution * yVelocityDerivX,
+          );
+          jacobianMatrix.addValue(
+            yVelocityDegreeOfFreedom1,
+            yVelocityDegreeOfFreedom2,
+            reactionContribution * yVelocityDerivY,
+          );
+        }
+      }
+    }
+
+    // Residual of the continuity equation: −(−q ∇·u)
+    presLocalToGlobalMap.forEach((pressureIndex, localPresIndex) => {
+      residualVector[pressureOffset + pressureIndex] +=
+        weightFactor * pressureBasisFunction[localPresIndex] * (xVelocityDerivX + yVelocityDerivY);
+    });
+  });
+
+  // Apply the tractions, then the Dirichlet conditions as increments of the current solution
+  const flowBoundaryConditions = new FlowBoundaryConditions(
+    boundaryConditions,
+    meshData.boundaryElements,
+    meshData.nop,
+    meshData.meshDimension,
+    meshData.elementOrder,
+    meshData.elementType,
+    totalNodesVelocity,
+    totalNodesPressure,
+    dofLayout.q2ToPressureMap,
+    { nodesXCoordinates: meshData.nodesXCoordinates, nodesYCoordinates: meshData.nodesYCoordinates },
+    pressureReference,
+  );
+  flowBoundaryConditions.imposeNaturalBoundaryConditions(residualVector, time);
+  flowBoundaryConditions.imposeDirichletBoundaryConditions(
+    residualVector,
+    jacobianMatrix,
+    solutionVector,
+    time,
+  );
+  basicLog("Navier-Stokes matrix assembly completed");
+
+  return {
+    jacobianMatrix,
+    residualVector,
+    totalNodesVelocity,
+    totalNodesPressure,
+    pressureNodeIndices,
+  };
+}
@@ -8,7 +8,9 @@
  */
 
 // Internal imports
-import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
+import { triangleBoundarySides, mapTriangleSidePoint, getSideIntegrationPoints } from "../mesh/meshUtils.js";
+import { BoundaryConditionError } from "../utilities/errors.js";
+import { basicLog, debugLog } from "../utilities/logging.js";
 
 /**
  * Class to handle thermal boundary conditions application
@@ -21,19 +23,55 @@ export class ThermalBoundaryConditions {
    * @param {array} nop - Nodal numbering (NOP) array representing the connectivity between elements and nodes
    * @param {string} meshDimension - The dimension of the mesh (e.g., "2D")
    * @param {string} elementOrder - The order of elements (e.g., "linear", "quadratic")
+   * @param {string} [elementType='quadrilateral'] - The shape of 2D elements ("quadrilateral" or "triangle")
+   * @param {object} [nodesCoordinates] - Object with the `nodesXCoordinates` and `nodesYCoordinates` arrays,
+   *  required for temperatures given as functions of the node coordinates
    */
-  constructor(boundaryConditions, boundaryElements, nop, meshDimension, elementOrder) {
+  constructor(
+    boundaryConditions,
+    boundaryElements,
+    nop,
+    meshDimension,
+    elementOrder,
+    elementType = "quadrilateral",
+    nodesCoordinates = null,
+  ) {
     this.boundaryConditions = boundaryConditions;
     this.boundaryElements = boundaryElements;
     this.nop = nop;
     this.meshDimension = meshDimension;
     this.elementOrder = elementOrder;
+    this.elementType = elementType;
+    this.nodesCoordinates = nodesCoordinates;
+  }
+
+  /**
+   * Function to evaluate a Dirichlet boundary value at a node
+   * @param {number|function} value - Constant temperature, or a function of the node coordinates
+   *  (value(x) in 1D, value(x, y) in 2D)
+   * @param {number} globalNodeIndex - Zero-based global index of the boundary node
+   * @returns {number} The prescribed value at the node
+   */
+  evaluateBoundaryValue(value, globalNodeIndex) {
+    if (typeof value !== "function") {
+      return value;
+    }
+    if (!this.nodesCoordinates) {
+      throw new BoundaryConditionError(
+        "Node coordinates are required to evaluate a boundary temperature given as a function",
+        { code: "MISSING_NODE_COORDINATES" },
+      );
+    }
+    const { nodesXCoordinates, nodesYCoordinates } = this.nodesCoordinates;
+    return this.meshDimension === "1D"
+      ? value(nodesXCoordinates[globalNodeIndex])
+      : value(nodesXCoordinates[globalNodeIndex], nodesYCoordinates[globalNodeIndex]);
   }
 
   /**
    * Function to impose constant temperature boundary conditions (Dirichlet type)
    * @param {array} residualVector - The residual vector to be modified
-   * @param {array} jacobianMatrix - The Jacobian matrix to be modified
+   * @param {SparseMatrix} jacobianMatrix - The Jacobian matrix to be modified
    *
    * For consistency across both linear and nonlinear formulations,
    * this project always refers to the assembled right-hand side vector
@@ -65,13 +103,12 @@ export class ThermalBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 // Set the residual vector to the ConstantTemp value
-                residualVector[globalNodeIndex] = constantTemperatureValue;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
+                residualVector[globalNodeIndex] = this.evaluateBoundaryValue(
+                  constantTemperatureValue,
+                  globalNodeIndex,
+                );
+                // Replace the Jacobian matrix row with the identity row
+                jacobianMatrix.setIdentityRow(globalNodeIndex);
               });
             } else if (this.elementOrder === "quadratic") {
               const boundarySides = {
@@ -86,13 +123,12 @@ export class ThermalBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 // Set the residual vector to the ConstantTemp value
-                residualVector[globalNodeIndex] = constantTemperatureValue;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
+                residualVector[globalNodeIndex] = this.evaluateBoundaryValue(
+                  constantTemperatureValue,
+                  globalNodeIndex,
+                );
+                // Replace the Jacobian matrix row with the identity row
+                jacobianMatrix.setIdentityRow(globalNodeIndex);
               });
             }
           });
@@ -106,7 +142,23 @@ export class ThermalBoundaryConditions {
             `Boundary ${boundaryKey}: Applying constant temperature of ${constantTemperatureValue} K (Dirichlet condition)`,
           );
           this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
-            if (this.elementOrder === "linear") {
+            if (this.elementType === "triangle") {
+              triangleBoundarySides[this.elementOrder][side].forEach((nodeIndex) => {
+                const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
+                debugLog(
+                  `  - Applied constant temperature to node ${globalNodeIndex + 1} (element ${
+                    elementIndex + 1
+                  }, local node ${nodeIndex + 1})`,
+                );
+                // Set the residual vector to the ConstantTemp value
+                residualVector[globalNodeIndex] = this.evaluateBoundaryValue(
+                  constantTemperatureValue,
+                  globalNodeIndex,
+                );
+                // Replace the Jacobian matrix row with the identity row
+                jacobianMatrix.setIdentityRow(globalNodeIndex);
+              });
+            } else if (this.elementOrder === "linear") {
               const boundarySides = {
                 0: [0, 2], // Nodes at the bottom side of the reference element
                 1: [0, 1], // Nodes at the left side of the reference element
@@ -121,13 +173,12 @@ export class ThermalBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 // Set the residual vector to the ConstantTemp value
-                residualVector[globalNodeIndex] = constantTemperatureValue;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
+                residualVector[globalNodeIndex] = this.evaluateBoundaryValue(
+                  constantTemperatureValue,
+                  globalNodeIndex,
+                );
+                // Replace the Jacobian matrix row with the identity row
+                jacobianMatrix.setIdentityRow(globalNodeIndex);
               });
             } else if (this.elementOrder === "quadratic") {
               const boundarySides = {
@@ -144,13 +195,12 @@ export class ThermalBoundaryConditions {
                   }, local node ${nodeIndex + 1})`,
                 );
                 // Set the residual vector to the ConstantTemp value
-                residualVector[globalNodeIndex] = constantTemperatureValue;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
+                residualVector[globalNodeIndex] = this.evaluateBoundaryValue(
+                  constantTemperatureValue,
+                  globalNodeIndex,
+                );
+                // Replace the Jacobian matrix row with the identity row
+                jacobianMatrix.setIdentityRow(globalNodeIndex);
               });
             }
           });
@@ -190,12 +240,15 @@ export class ThermalBoundaryConditions {
 
                 // Set boundary condition code and value
                 nodeConstraintCode[globalNodeIndex] = 1;
-                boundaryValues[globalNodeIndex] = constantTemperatureValue;
+                boundaryValues[globalNodeIndex] = this.evaluateBoundaryValue(
+                  constantTemperatureValue,
+                  globalNodeIndex,
+                );
               });
             } else if (this.elementOrder === "quadratic") {
               const boundarySides = {
                 0: [0], // Node at the left side of the reference element
-                2: [2], // Node at the right side of the reference element
+                1: [2], // Node at the right side of the reference element
               };
 
               boundarySides[side].forEach((nodeIndex) => {
@@ -208,7 +261,10 @@ export class ThermalBoundaryConditions {
 
                 // Set boundary condition code and value
                 nodeConstraintCode[globalNodeIndex] = 1;
-                boundaryValues[globalNodeIndex] = constantTemperatureValue;
+                boundaryValues[globalNodeIndex] = this.evaluateBoundaryValue(
+                  constantTemperatureValue,
+                  globalNodeIndex,
+                );
               });
             }
           });
@@ -223,7 +279,23 @@ export class ThermalBoundaryConditions {
           );
 
           this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
-            if (this.elementOrder === "linear") {
+            if (this.elementType === "triangle") {
+              triangleBoundarySides[this.elementOrder][side].forEach((nodeIndex) => {
+                const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
+                debugLog(
+                  `  - Applied constant temperature to node ${globalNodeIndex + 1} (element ${
+                    elementIndex + 1
+                  }, local node ${nodeIndex + 1})`,
+                );
+
+                // Set boundary condition code and value
+                nodeConstraintCode[globalNodeIndex] = 1;
+                boundaryValues[globalNodeIndex] = this.evaluateBoundaryValue(
+                  constantTemperatureValue,
+                  globalNodeIndex,
+                );
+              });
+            } else if (this.elementOrder === "linear") {
               const boundarySides = {
                 0: [0, 2], // Nodes at the bottom side of the reference element
                 1: [0, 1], // Nodes at the left side of the reference element
@@ -241,7 +313,10 @@ export class ThermalBoundaryConditions {
 
                 // Set boundary condition code and value
                 nodeConstraintCode[globalNodeIndex] = 1;
-                boundaryValues[globalNodeIndex] = constantTemperatureValue;
+                boundaryValues[globalNodeIndex] = this.evaluateBoundaryValue(
+                  constantTemperatureValue,
+                  globalNodeIndex,
+                );
               });
             } else if (this.elementOrder === "quadratic") {
               const boundarySides = {
@@ -261,7 +336,10 @@ export class ThermalBoundaryConditions {
 
                 // Set boundary condition code and value
                 nodeConstraintCode[globalNodeIndex] = 1;
-                boundaryValues[globalNodeIndex] = constantTemperatureValue;
+                boundaryValues[globalNodeIndex] = this.evaluateBoundaryValue(
+                  constantTemperatureValue,
+                  globalNodeIndex,
+                );
               });
             }
           });
@@ -273,7 +351,7 @@ export class ThermalBoundaryConditions {
   /**
    * Function to impose convection boundary conditions (Robin type)
    * @param {array} residualVector - The residual vector to be modified
-   * @param {array} jacobianMatrix - The Jacobian matrix to be modified
+   * @param {SparseMatrix} jacobianMatrix - The Jacobian matrix to be modified
    * @param {array} gaussPoints - Array of Gauss points for numerical integration
    * @param {array} gaussWeights - Array of Gauss weights for numerical integration
    * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
@@ -335,7 +413,7 @@ export class ThermalBoundaryConditions {
               }, local node ${nodeIndex + 1})`,
             );
             residualVector[globalNodeIndex] += -convectionHeatTransferCoefficient * externalTemperature;
-            jacobianMatrix[globalNodeIndex][globalNodeIndex] += convectionHeatTransferCoefficient;
+            jacobianMatrix.addValue(globalNodeIndex, globalNodeIndex, convectionHeatTransferCoefficient);
           });
         }
       });
@@ -348,7 +426,61 @@ export class ThermalBoundaryConditions {
             `Boundary ${boundaryKey}: Applying convection with heat transfer coefficient h=${convectionHeatTransferCoefficient} W/(m²·K) and external temperature T∞=${externalTemperature} K`,
           );
           this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
-            if (this.elementOrder === "linear") {
+            if (this.elementType === "triangle") {
+              const sideNodeIndices = triangleBoundarySides[this.elementOrder][side];
+              for (let gaussPointIndex = 0; gaussPointIndex < gaussPoints.length; gaussPointIndex++) {
+                // Map the Gauss point along the side to the reference triangle
+                const { ksi, eta, ksiDerivSide, etaDerivSide } = mapTriangleSidePoint(
+                  side,
+                  gaussPoints[gaussPointIndex],
+                );
+                const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } =
+                  basisFunctions.getBasisFunctions(ksi, eta);
+
+                // Compute the length of tangent vector
+                let sideDerivX = 0;
+                let sideDerivY = 0;
+                const nodesPerElement = this.nop[elementIndex].length;
+                for (let nodeIndex = 0; nodeIndex < nodesPerElement; nodeIndex++) {
+                  const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
+                  const basisFunctionDerivSide =
+                    basisFunctionDerivKsi[nodeIndex] * ksiDerivSide +
+                    basisFunctionDerivEta[nodeIndex] * etaDerivSide;
+                  sideDerivX += nodesXCoordinates[globalNodeIndex] * basisFunctionDerivSide;
+                  sideDerivY += nodesYCoordinates[globalNodeIndex] * basisFunctionDerivSide;
+                }
+                const tangentVectorLength = Math.sqrt(sideDerivX ** 2 + sideDerivY ** 2);
+
+                sideNodeIndices.forEach((localNodeIndex) => {
+                  const globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
+                  debugLog(
+                    `  - Applied convection boundary condition to node ${globalNodeIndex + 1} (element ${
+                      elementIndex + 1
+                    }, local node ${localNodeIndex + 1})`,
+                  );
+
+                  residualVector[globalNodeIndex] +=
+                    -gaussWeights[gaussPointIndex] *
+                    tangentVectorLength *
+                    basisFunction[localNodeIndex] *
+                    convectionHeatTransferCoefficient *
+                    externalTemperature;
+
+                  sideNodeIndices.forEach((localNodeIndex2) => {
+                    const globalNodeIndex2 = this.nop[elementIndex][localNodeIndex2] - 1;
+                    jacobianMatrix.addValue(
+                      globalNodeIndex,
+                      globalNodeIndex2,
+                      -gaussWeights[gaussPointIndex] *
+                        tangentVectorLength *
+                        basisFunction[localNodeIndex] *
+                        basisFunction[localNodeIndex2] *
+                        convectionHeatTransferCoefficient,
+                    );
+                  });
+                });
+              }
+            } else if (this.elementOrder === "linear") {
               let gaussPoint1, gaussPoint2, firstNodeIndex, lastNodeIndex, nodeIncrement;
               if (side === 0) {
                 // Nodes at the bottom side of the reference element
@@ -439,12 +571,15 @@ export class ThermalBoundaryConditions {
                   localNodeIndex2 += nodeIncrement
                 ) {
                   let globalNodeIndex2 = this.nop[elementIndex][localNodeIndex2] - 1;
-                  jacobianMatrix[globalNodeIndex][globalNodeIndex2] +=
+                  jacobianMatrix.addValue(
+                    globalNodeIndex,
+                    globalNodeIndex2,
                     -gaussWeights[0] *
-                    tangentVectorLength *
-                    basisFunction[localNodeIndex] *
-                    basisFunction[localNodeIndex2] *
-                    convectionHeatTransferCoefficient;
+                      tangentVectorLength *
+                      basisFunction[localNodeIndex] *
+                      basisFunction[localNodeIndex2] *
+                      convectionHeatTransferCoefficient,
+                  );
                 }
               }
             } else if (this.elementOrder === "quadratic") {
@@ -538,12 +673,15 @@ export class ThermalBoundaryConditions {
                     localNodeIndex2 += nodeIncrement
                   ) {
                     let globalNodeIndex2 = this.nop[elementIndex][localNodeIndex2] - 1;
-                    jacobianMatrix[globalNodeIndex][globalNodeIndex2] +=
+                    jacobianMatrix.addValue(
+                      globalNodeIndex,
+                      globalNodeIndex2,
                       -gaussWeights[gaussPointIndex] *
-                      tangentVectorLength *
-                      basisFunction[localNodeIndex] *
-                      basisFunction[localNodeIndex2] *
-                      convectionHeatTransferCoefficient;
+                        tangentVectorLength *
+                        basisFunction[localNodeIndex] *
+                        basisFunction[localNodeIndex2] *
+                        convectionHeatTransferCoefficient,
+                    );
                   }
                 }
               }
@@ -628,7 +766,50 @@ export class ThermalBoundaryConditions {
             localJacobianMatrix[nodeIndex][nodeIndex] += convectionHeatTransferCoefficient;
           } else if (this.meshDimension === "2D") {
             // Handle 2D case
-            if (this.elementOrder === "linear") {
+            if (this.elementType === "triangle") {
+              const sideNodeIndices = triangleBoundarySides[this.elementOrder][side];
+              for (let gaussPointIndex = 0; gaussPointIndex < gaussPoints.length; gaussPointIndex++) {
+                // Map the Gauss point along the side to the reference triangle
+                const { ksi, eta, ksiDerivSide, etaDerivSide } = mapTriangleSidePoint(
+                  side,
+                  gaussPoints[gaussPointIndex],
+                );
+                const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } =
+                  basisFunctions.getBasisFunctions(ksi, eta);
+
+                // Compute tangent vector length
+                let sideDerivX = 0;
+                let sideDerivY = 0;
+                for (let nodeIndex = 0; nodeIndex < nodesPerElement; nodeIndex++) {
+                  const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
+                  const basisFunctionDerivSide =
+                    basisFunctionDerivKsi[nodeIndex] * ksiDerivSide +
+                    basisFunctionDerivEta[nodeIndex] * etaDerivSide;
+                  sideDerivX += nodesXCoordinates[globalNodeIndex] * basisFunctionDerivSide;
+                  sideDerivY += nodesYCoordinates[globalNodeIndex] * basisFunctionDerivSide;
+                }
+                const tangentVectorLength = Math.sqrt(sideDerivX ** 2 + sideDerivY ** 2);
+
+                // Apply boundary conditions to local matrices
+                sideNodeIndices.forEach((localNodeIndex) => {
+                  localResidualVector[localNodeIndex] +=
+                    -gaussWeights[gaussPointIndex] *
+                    tangentVectorLength *
+                    basisFunction[localNodeIndex] *
+                    convectionHeatTransferCoefficient *
+                    externalTemperature;
+
+                  sideNodeIndices.forEach((localNodeIndex2) => {
+                    localJacobianMatrix[localNodeIndex][localNodeIndex2] +=
+                      -gaussWeights[gaussPointIndex] *
+                      tangentVectorLength *
+                      basisFunction[localNodeIndex] *
+                      basisFunction[localNodeIndex2] *
+                      convectionHeatTransferCoefficient;
+                  });
+                });
+              }
+            } else if (this.elementOrder === "linear") {
               let gaussPoint1, gaussPoint2, firstNodeIndex, lastNodeIndex, nodeIncrement;
 
               if (side === 0) {
@@ -820,4 +1001,123 @@ export class ThermalBoundaryConditions {
 
     return { localJacobianMatrix, localResidualVector };
   }
+
+  /**
+   * Function to impose prescribed heat flux boundary conditions (Neumann type)
+   * @param {array} residualVector - The residual vector to be modified
+   * @param {array} gaussPoints - Array of Gauss points for numerical integration
+   * @param {array} gaussWeights - Array of Gauss weights for numerical integration
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+   * @param {object} basisFunctions - Object containing basis functions and their derivatives
+   *
+   * The heat flux q (W/m²) is the heat entering the domain through the boundary, so positive values heat
+   * the body. It can be a constant or a function of position, q(x) in 1D and q(x, y) in 2D. The
+   * "symmetry" and "insulated" types are zero heat flux boundaries and add no contribution.
+   */
+  imposeHeatFluxBoundaryConditions(
+    residualVector,
+    gaussPoints,
+    gaussWeights,
+    nodesXCoordinates,
+    nodesYCoordinates,
+    basisFunctions,
+  ) {
+    const meshData = {
+      nop: this.nop,
+      nodesXCoordinates,
+      nodesYCoordinates,
+      meshDimension: this.meshDimension,
+      elementOrder: this.elementOrder,
+      elementType: this.elementType,
+    };
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      const boundaryConditionType = this.boundaryConditions[boundaryKey][0];
+      if (boundaryConditionType === "symmetry" || boundaryConditionType === "insulated") {
+        debugLog(`Boundary ${boundaryKey}: Zero heat flux (${boundaryConditionType} condition)`);
+      } else if (boundaryConditionType === "heatFlux") {
+        const heatFlux = this.boundaryConditions[boundaryKey][1];
+        debugLog(`Boundary ${boundaryKey}: Applying heat flux of ${heatFlux} W/m² (Neumann condition)`);
+        this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+          const sideIntegrationPoints = getSideIntegrationPoints(
+            meshData,
+            elementIndex,
+            side,
+            gaussPoints,
+            gaussWeights,
+            basisFunctions,
+          );
+          sideIntegrationPoints.forEach(({ sideNodeIndices, basisFunction, weight, xCoord, yCoord }) => {
+            const heatFluxValue = typeof heatFlux === "function" ? heatFlux(xCoord, yCoord) : heatFlux;
+            sideNodeIndices.forEach((localNodeIndex) => {
+              const globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
+              residualVector[globalNodeIndex] += -weight * basisFunction[localNodeIndex] * heatFluxValue;
+            });
+          });
+        });
+      }
+    });
+  }
+
+  /**
+   * Function to impose prescribed heat flux boundary conditions for the frontal solver
+   * @param {number} elementIndex - Index of the element being processed
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+   * @param {array} gaussPoints - Array of Gauss points for numerical integration
+   * @param {array} gaussWeights - Array of Gauss weights for numerical integration
+   * @param {object} basisFunctions - Object containing basis functions and their derivatives
+   * @returns {object} An object containing:
+   *  - localResidualVector: Residual vector with heat flux contributions
+   */
+  imposeHeatFluxBoundaryConditionsFront(
+    elementIndex,
+    nodesXCoordinates,
+    nodesYCoordinates,
+    gaussPoints,
+    gaussWeights,
+    basisFunctions,
+  ) {
+    const meshData = {
+      nop: this.nop,
+      nodesXCoordinates,
+      nodesYCoordinates,
+      meshDimension: this.meshDimension,
+      elementOrder: this.elementOrder,
+      elementType: this.elementType,
+    };
+    const localResidualVector = Array(this.nop[elementIndex].length).fill(0);
+
+    for (const boundaryKey in this.boundaryElements) {
+      if (this.boundaryConditions[boundaryKey]?.[0] !== "heatFlux") continue;
+      const heatFlux = this.boundaryConditions[boundaryKey][1];
+
+      // An element can touch the same boundary with more than one side (e.g. at a corner)
+      this.boundaryElements[boundaryKey]
+        .filter(([boundaryElementIndex, _]) => boundaryElementIndex === elementIndex)
+        .forEach(([_, side]) => {
+          debugLog(
+            `Boundary ${boundaryKey}: Applying heat flux of ${heatFlux} W/m² to side ${side} of element ${
+              elementIndex + 1
+            }`,
+          );
+          const sideIntegrationPoints = getSideIntegrationPoints(
+            meshData,
+            elementIndex,
+            side,
+            gaussPoints,
+            gaussWeights,
+            basisFunctions,
+          );
+          sideIntegrationPoints.forEach(({ sideNodeIndices, basisFunction, weight, xCoord, yCoord }) => {
+            const heatFluxValue = typeof heatFlux === "function" ? heatFlux(xCoord, yCoord) : heatFlux;
+            sideNodeIndices.forEach((localNodeIndex) => {
+              localResidualVector[localNodeIndex] += -weight * basisFunction[localNodeIndex] * heatFluxValue;
+            });
+          });
+        });
+    }
+
+    return { localResidualVector };
+  }
 }
@@ -0,0 +1,449 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { NumericalIntegration } from "../methods/numericalIntegration.js";
+import { SparseMatrix } from "../methods/sparseMatrix.js";
+import { BeamBoundaryConditions } from "./beamBoundaryConditions.js";
+import { evaluateBeamResults, sampleBeamElements } from "./eulerBernoulliBeam.js";
+import { ConfigurationError, MeshError } from "../utilities/errors.js";
+import { basicLog } from "../utilities/logging.js";
+import { flattenSolutionVector } from "../utilities/solutionUtils.js";
+
+/**
+ * Function to assemble the Jacobian matrix and residual vector for the 1D Timoshenko beam model
+ *
+ * The deflection w and the rotation theta of the cross-section are independent fields, governed by:
+ *   d/dx( kGA(x) (dw/dx - theta) ) - c0(x) w + q(x) = 0
+ *   d/dx( EI(x) dtheta/dx ) + kGA(x) (dw/dx - theta) = 0
+ * with weak form (element level):
+ *   K_ij = ∫ [ EI(x) phi_i' phi_j' + kGA(x) (psi_i' - phi_i) (psi_j' - phi_j) + c0(x) psi_i psi_j ] dx
+ *   F_i  = ∫ q(x) psi_i dx + (point forces/moments/spring contributions from boundary conditions)
+ * where psi_i and phi_i interpolate w and theta from the nodal values [w1, theta1, w2, theta2].
+ *
+ * The element is the interdependent interpolation element: a cubic w and a quadratic theta, both
+ * depending on the ratio Φ = 12·EI/(kGA·h²) of the element, with a constant shear strain dw/dx - theta
+ * along the element. It is free of shear locking, reduces to the cubic Hermite Euler-Bernoulli element
+ * for slender beams (Φ → 0), and gives exact nodal values for beams with constant EI and kGA.
+ *
+ * The degrees of freedom, [w_0, theta_0, w_1, theta_1, ...], and the node-keyed boundary conditions are
+ * those of the Euler-Bernoulli beam model (see beamBoundaryConditions.js), so both models are
+ * interchangeable; as there, the mesh must use 'linear' (2-node) elements for the geometry.
+ *
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} boundaryConditions - Object containing boundary conditions, keyed by 1-based node number
+ * @param {object} coefficientFunctions - Functions of x for the beam model:
+ *  - EI(x): bending stiffness
+ *  - kGA(x): shear stiffness (shear correction factor times shear modulus times area)
+ *  - c0(x): elastic foundation modulus (optional, defaults to 0)
+ *  - q(x, t): distributed transverse load (optional, defaults to 0)
+ * @param {number} [time=0] - Time at which the time-dependent loads are evaluated, as used by dynamic
+ *  simulations
+ * @returns {object} An object containing the Jacobian (stiffness) matrix, the residual (load) vector, the
+ *  number of degrees of freedom per node (2) and the total number of degrees of freedom
+ * @throws {ConfigurationError} If EI or kGA is missing (code "MISSING_CONFIGURATION")
+ */
+export function assembleTimoshenkoBeamMat(meshData, boundaryConditions, coefficientFunctions, time = 0) {
+  basicLog("Starting Timoshenko beam matrix assembly...");
+
+  const { totalNodesX } = meshData;
+  const { EI, kGA, c0 = () => 0, q = () => 0 } = coefficientFunctions;
+  checkTimoshenkoBeamConfiguration(meshData, coefficientFunctions);
+
+  const dofsPerNode = 2;
+  const totalDOFs = dofsPerNode * totalNodesX;
+  const residualVector = new Array(totalDOFs).fill(0);
+  const jacobianMatrix = new SparseMatrix(totalDOFs);
+
+  forEachTimoshenkoGaussPoint(
+    meshData,
+    coefficientFunctions,
+    ({ dofMap, xCoord, weightFactor, shapeFunctions }) => {
+      const { deflection, deflectionDerivX, rotation, rotationDerivX } = shapeFunctions;
+      const shearStrain = deflectionDerivX.map((value, localIndex) => value - rotation[localIndex]);
+      const EIVal = EI(xCoord);
+      const kGAVal = kGA(xCoord);
+      const c0Val = c0(xCoord);
+      const qVal = q(xCoord, time);
+
+      for (let localIndex1 = 0; localIndex1 < 4; localIndex1++) {
+        residualVector[dofMap[localIndex1]] += weightFactor * qVal * deflection[localIndex1];
+
+        for (let localIndex2 = 0; localIndex2 < 4; localIndex2++) {
+          // Bending, shear and elastic-foundation terms
+          jacobianMatrix.addValue(
+            dofMap[localIndex1],
+            dofMap[localIndex2],
+            weightFactor *
+              (EIVal * rotationDerivX[localIndex1] * rotationDerivX[localIndex2] +
+                kGAVal * shearStrain[localIndex1] * shearStrain[localIndex2] +
+                c0Val * deflection[localIndex1] * deflection[localIndex2]),
+          );
+        }
+      }
+    },
+  );
+
+  // Natural/spring contributions first, essential conditions last (see assembleEulerBernoulliBeamMat)
+  const beamBoundaryConditions = new BeamBoundaryConditions(boundaryConditions, totalNodesX, dofsPerNode);
+  beamBoundaryConditions.imposeNaturalAndSpringBoundaryConditions(residualVector, jacobianMatrix, time);
+  beamBoundaryConditions.imposeEssentialBoundaryConditions(residualVector, jacobianMatrix);
+
+  basicLog("Timoshenko beam matrix assembly completed");
+
+  return {
+    jacobianMatrix,
+    residualVector,
+    dofsPerNode,
+    totalDOFs,
+  };
+}
+
+/**
+ * Function to assemble the consistent mass matrix of the 1D Timoshenko beam model, for modal analysis
+ * and dynamic simulations
+ *
+ *   M_ij = ∫ [ rhoA(x) psi_i psi_j + rhoI(x) phi_i phi_j ] dx
+ *
+ * plus the point masses and rotary inertias of "mass" conditions
+ *
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} boundaryConditions - Object containing boundary conditions, keyed by 1-based node number
+ * @param {object} coefficientFunctions - Beam coefficient functions, with rhoA(x) the mass per unit length
+ *  and rhoI(x) the rotary inertia per unit length (optional, defaults to 0)
+ * @returns {SparseMatrix} The assembled mass matrix
+ * @throws {ConfigurationError} If rhoA is missing (code "MISSING_CONFIGURATION")
+ */
+export function assembleTimoshenkoBeamMassMat(meshData, boundaryConditions, coefficientFunctions) {
+  const { rhoA, rhoI = () => 0 } = coefficientFunctions;
+  if (typeof rhoA !== "function") {
+    throw new ConfigurationError("The rhoA(x) coefficient function (mass per unit length) is required", {
+      code: "MISSING_CONFIGURATION",
+      details: { coefficientFunction: "rhoA" },
+    });
+  }
+  checkTimoshenkoBeamConfiguration(meshData, coefficientFunctions);
+
+  const dofsPerNode = 2;
+  const massMatrix = new SparseMatrix(dofsPerNode * meshData.totalNodesX);
+  forEachTimoshenkoGaussPoint(
+    meshData,
+    coefficientFunctions,
+    ({ dofMap, xCoord, weightFactor, shapeFunctions }) => {
+      const { deflection, rotation } = shapeFunctions;
+      const rhoAVal = rhoA(xCoord);
+      const rhoIVal = rhoI(xCoord);
+      for (let localIndex1 = 0; localIndex1 < 4; localIndex1++) {
+        for (let localIndex2 = 0; localIndex2 < 4; localIndex2++) {
+          massMatrix.addValue(
+            dofMap[localIndex1],
+            dofMap[localIndex2],
+            weightFactor *
+              (rhoAVal * deflection[localIndex1] * deflection[localIndex2] +
+                rhoIVal * rotation[localIndex1] * rotation[localIndex2]),
+          );
+        }
+      }
+    },
+  );
+
+  new BeamBoundaryConditions(boundaryConditions, meshData.totalNodesX, dofsPerNode).imposePointMasses(
+    massMatrix,
+  );
+
+  return massMatrix.compress();
+}
+
+/**
+ * Function to assemble the geometric stiffness matrix of the 1D Timoshenko beam model, for linear
+ * buckling analysis
+ *
+ *   KG_ij = ∫ N(x) psi_i' psi_j' dx
+ *
+ * with N(x) the axial force (positive in tension) of the reference load case
+ *
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Beam coefficient functions, with N(x) the axial force
+ * @returns {SparseMatrix} The assembled geometric stiffness matrix
+ * @throws {ConfigurationError} If N is missing (code "MISSING_CONFIGURATION") or the beam is nowhere in
+ *  compression (code "NO_COMPRESSIVE_LOAD")
+ */
+export function assembleTimoshenkoBeamGeometricStiffnessMat(meshData, coefficientFunctions) {
+  const { N } = coefficientFunctions;
+  if (typeof N !== "function") {
+    throw new ConfigurationError("The N(x) coefficient function (axial force) is required", {
+      code: "MISSING_CONFIGURATION",
+      details: { coefficientFunction: "N" },
+    });
+  }
+  checkTimoshenkoBeamConfiguration(meshData, coefficientFunctions);
+
+  const geometricStiffnessMatrix = new SparseMatrix(2 * meshData.totalNodesX);
+  let hasCompression = false;
+  forEachTimoshenkoGaussPoint(
+    meshData,
+    coefficientFunctions,
+    ({ dofMap, xCoord, weightFactor, shapeFunctions }) => {
+      const { deflectionDerivX } = shapeFunctions;
+      const NVal = N(xCoord);
+      if (NVal < 0) hasCompression = true;
+      for (let localIndex1 = 0; localIndex1 < 4; localIndex1++) {
+        for (let localIndex2 = 0; localIndex2 < 4; localIndex2++) {
+          geometricStiffnessMatrix.addValue(
+            dofMap[localIndex1],
+            dofMap[localIndex2],
+            weightFactor * NVal * deflectionDerivX[localIndex1] * deflectionDerivX[localIndex2],
+          );
+        }
+      }
+    },
+  );
+
+  if (!hasCompression) {
+    throw new ConfigurationError("Buckling analysis requires a compressive axial force (N(x) < 0)", {
+      code: "NO_COMPRESSIVE_LOAD",
+      details: { coefficientFunction: "N" },
+    });
+  }
+
+  return geometricStiffnessMatrix.compress();
+}
+
+/**
+ * Function to evaluate the deflection, rotation, bending moment and shear force of a solved Timoshenko
+ * beam at sample points
+ *
+ *   M(x) = −EI(x) dtheta/dx,   V(x) = kGA(x) (dw/dx − theta)
+ *
+ * The shear force is constant within an element. At a node shared by two elements the values of the
+ * element on its left are returned.
+ *
+ * @param {array} solutionVector - Solution vector ordered as [w_0, theta_0, w_1, theta_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Beam coefficient functions (EI and kGA are used here)
+ * @param {array} [samplePoints] - x coordinates of the sample points (defaults to the mesh nodes)
+ * @returns {object} An object containing the arrays x, deflection, rotation, bendingMoment and shearForce
+ * @throws {ConfigurationError} If a sample point lies outside the beam (code "INVALID_SAMPLE_POINT")
+ */
+export function evaluateTimoshenkoBeamResults(
+  solutionVector,
+  meshData,
+  coefficientFunctions,
+  samplePoints = meshData.nodesXCoordinates,
+) {
+  return evaluateBeamResults(
+    solutionVector,
+    meshData,
+    createTimoshenkoPointEvaluator(coefficientFunctions),
+    samplePoints,
+  );
+}
+
+/**
+ * Function to sample the deflection, rotation, bending moment and shear force of a solved Timoshenko beam
+ * at equally spaced points of every element, including both end points of each element (see
+ * sampleEulerBernoulliBeamElements)
+ * @param {array} solutionVector - Solution vector ordered as [w_0, theta_0, w_1, theta_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Beam coefficient functions (EI and kGA are used here)
+ * @param {number} [pointsPerElement=10] - Number of intervals each element is divided into
+ * @returns {object} An object containing the arrays x, deflection, rotation, bendingMoment and shearForce
+ */
+export function sampleTimoshenkoBeamElements(
+  solutionVector,
+  meshData,
+  coefficientFunctions,
+  pointsPerElement = 10,
+) {
+  return sampleBeamElements(
+    solutionVector,
+    meshData,
+    createTimoshenkoPointEvaluator(coefficientFunctions),
+    pointsPerElement,
+  );
+}
+
+/**
+ * Function to compute the support reactions of a solved Timoshenko beam (see
+ * BeamBoundaryConditions.computeReactions)
+ * @param {array} solutionVector - Solution vector ordered as [w_0, theta_0, w_1, theta_1, ...]
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} boundaryConditions - Beam boundary conditions, keyed by 1-based node number
+ * @param {object} coefficientFunctions - Beam coefficient functions (EI, kGA, c0, q)
+ * @returns {array} One entry per supported node with its `node` number, `x` coordinate, reaction `force`
+ *  and reaction `moment`
+ */
+export function computeTimoshenkoBeamReactions(
+  solutionVector,
+  meshData,
+  boundaryConditions,
+  coefficientFunctions,
+) {
+  const dofValues = flattenSolutionVector(solutionVector);
+  const beamBoundaryConditions = new BeamBoundaryConditions(boundaryConditions, meshData.totalNodesX, 2);
+  const { jacobianMatrix, residualVector } = assembleTimoshenkoBeamMat(
+    meshData,
+    beamBoundaryConditions.getPointLoadConditions(),
+    coefficientFunctions,
+  );
+
+  return beamBoundaryConditions.computeReactions(
+    dofValues,
+    jacobianMatrix.multiply(dofValues),
+    residualVector,
+    meshData.nodesXCoordinates,
+  );
+}
+
+/**
+ * Function to check the mesh and the stiffness coefficients of a Timoshenko beam
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Beam coefficient functions
+ * @throws {MeshError} If the mesh is not a 1D mesh of 'linear' elements
+ * @throws {ConfigurationError} If EI or kGA is missing (code "MISSING_CONFIGURATION")
+ */
+function checkTimoshenkoBeamConfiguration(meshData, coefficientFunctions) {
+  const { meshDimension, elementOrder } = meshData;
+  if (meshDimension !== "1D") {
+    throw new MeshError("Timoshenko beam solver requires a 1D mesh", {
+      code: "UNSUPPORTED_MESH_DIMENSION",
+      details: { meshDimension },
+    });
+  }
+  if (elementOrder !== "linear") {
+    throw new MeshError(
+      "Timoshenko beam solver requires 'linear' (2-node) elements for the beam geometry; " +
+        "the field interpolation is applied internally regardless of this setting",
+      { code: "UNSUPPORTED_ELEMENT_ORDER", details: { elementOrder } },
+    );
+  }
+  ["EI", "kGA"].forEach((coefficientFunction) => {
+    if (typeof coefficientFunctions[coefficientFunction] !== "function") {
+      throw new ConfigurationError(`The ${coefficientFunction}(x) coefficient function is required`, {
+        code: "MISSING_CONFIGURATION",
+        details: { coefficientFunction },
+      });
+    }
+  });
+}
+
+/**
+ * Function to loop over the Gauss points of every element of a Timoshenko beam (4-point rule)
+ * @param {object} meshData - Object containing prepared mesh data
+ * @param {object} coefficientFunctions - Beam coefficient functions (EI and kGA set the ratio Φ)
+ * @param {function} callback - Called with { dofMap, xCoord, weightFactor, shapeFunctions } at each Gauss
+ *  point, with dofMap the global indices of [w1, theta1, w2, theta2]
+ */
+function forEachTimoshenkoGaussPoint(meshData, coefficientFunctions, callback) {
+  const { nodesXCoordinates, nop, totalElements } = meshData;
+  const numericalIntegration = new NumericalIntegration({
+    meshDimension: "1D",
+    elementOrder: "hermiteCubic",
+  });
+  const { gaussPoints, gaussWeights } = numericalIntegration.getGaussPointsAndWeights();
+
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const globalNode1 = nop[elementIndex][0] - 1;
+    const globalNode2 = nop[elementIndex][1] - 1;
+    const x1 = nodesXCoordinates[globalNode1];
+    const elementLength = nodesXCoordinates[globalNode2] - x1;
+    const dofMap = [2 * globalNode1, 2 * globalNode1 + 1, 2 * globalNode2, 2 * globalNode2 + 1];
+    const shearRatio = getShearRatio(coefficientFunctions, x1, elementLength);
+
+    for (let gaussPointIndex = 0; gaussPointIndex < gaussPoints.length; gaussPointIndex++) {
+      const ksi = gaussPoints[gaussPointIndex];
+      callback({
+        dofMap,
+        xCoord: x1 + elementLength * ksi,
+        weightFactor: gaussWeights[gaussPointIndex] * elementLength,
+        shapeFunctions: getTimoshenkoShapeFunctions(ksi, elementLength, shearRatio),
+      });
+    }
+  }
+}
+
+/**
+ * Function to compute the ratio Φ = 12·EI/(kGA·h²) of bending to shear flexibility of an element, from
+ * the stiffnesses at its midpoint
+ * @param {object} coefficientFunctions - Beam coefficient functions (EI and kGA)
+ * @param {number} x1 - x coordinate of the first node of the element
+ * @param {number} elementLength - Element length h
+ * @returns {number} The ratio Φ
+ */
+function getShearRatio({ EI, kGA }, x1, elementLength) {
+  const xMid = x1 + elementLength / 2;
+  return (12 * EI(xMid)) / (kGA(xMid) * elementLength ** 2);
+}
+
+/**
+ * Function to evaluate the shape functions of the interdependent interpolation element, for the element
+ * degrees of freedom [w1, theta1, w2, theta2]
+ * @param {number} ksi - Local coordinate between 0 and 1
+ * @param {number} h - Element length
+ * @param {number} phi - Ratio Φ = 12·EI/(kGA·h²) of the element
+ * @returns {object} An object containing the arrays deflection and deflectionDerivX (psi, psi'), and
+ *  rotation and rotationDerivX (phi, phi'), with derivatives taken with respect to x
+ */
+function getTimoshenkoShapeFunctions(ksi, h, phi) {
+  const scale = 1 / (1 + phi);
+  return {
+    deflection: [
+      scale * (2 * ksi ** 3 - 3 * ksi ** 2 - phi * ksi + 1 + phi),
+      scale * h * (ksi ** 3 - (2 + phi / 2) * ksi ** 2 + (1 + phi / 2) * ksi),
+      -scale * (2 * ksi ** 3 - 3 * ksi ** 2 - phi * ksi),
+      scale * h * (ksi ** 3 - (1 - phi / 2) * ksi ** 2 - (phi / 2) * ksi),
+    ],
+    deflectionDerivX: [
+      (scale * (6 * ksi ** 2 - 6 * ksi - phi)) / h,
+      scale * (3 * ksi ** 2 - (4 + phi) * ksi + 1 + phi / 2),
+      (-scale * (6 * ksi ** 2 - 6 * ksi - phi)) / h,
+      scale * (3 * ksi ** 2 - (2 - phi) * ksi - phi / 2),
+    ],
+    rotation: [
+      (scale * 6 * (ksi ** 2 - ksi)) / h,
+      scale * (3 * ksi ** 2 - (4 + phi) * ksi + 1 + phi),
+      (-scale * 6 * (ksi ** 2 - ksi)) / h,
+      scale * (3 * ksi ** 2 - (2 - phi) * ksi),
+    ],
+    rotationDerivX: [
+      (scale * 6 * (2 * ksi - 1)) / h ** 2,
+      (scale * (6 * ksi - 4 - phi)) / h,
+      (-scale * 6 * (2 * ksi - 1)) / h ** 2,
+      (scale * (6 * ksi - 2 + phi)) / h,
+    ],
+  };
+}
+
+/**
+ * Function to create the point evaluator of the Timoshenko beam results, from the interdependent
+ * interpolation of the element
+ * @param {object} coefficientFunctions - Beam coefficient functions (EI and kGA)
+ * @returns {function} Point evaluator (see evaluateBeamResults)
+ */
+function createTimoshenkoPointEvaluator(coefficientFunctions) {
+  const { EI, kGA } = coefficientFunctions;
+
+  return ({ xCoord, x1, elementLength, elementDOFValues }) => {
+    const { deflection, deflectionDerivX, rotation, rotationDerivX } = getTimoshenkoShapeFunctions(
+      (xCoord - x1) / elementLength,
+      elementLength,
+      getShearRatio(coefficientFunctions, x1, elementLength),
+    );
+    const interpolate = (values) =>
+      values.reduce((sum, value, localIndex) => sum + value * elementDOFValues[localIndex], 0);
+    const theta = interpolate(rotation);
+
+    return {
+      deflection: interpolate(deflection),
+      rotation: theta,
+      bendingMoment: -EI(xCoord) * interpolate(rotationDerivX),
+      shearForce: kGA(xCoord) * (interpolate(deflectionDerivX) - theta),
+    };
+  };
+}
@@ -247,7 +247,7 @@ const importGmshMesh = async (file) => {
 
           if (!result.boundaryNodePairs[physicalTag]) result.boundaryNodePairs[physicalTag] = [];
           result.boundaryNodePairs[physicalTag].push(nodeIndices);
-        } else if (currentElementBlock.elementType === 2) {
+        } else if (currentElementBlock.elementType === 2 || currentElementBlock.elementType === 9) {
           result.nodalNumbering.triangleElements.push(nodeIndices);
         } else if (currentElementBlock.elementType === 3 || currentElementBlock.elementType === 10) {
           result.nodalNumbering.quadElements.push(nodeIndices);
@@ -0,0 +1,65 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Base class of the errors thrown by FEAScript. Catch it to handle any library failure, or one of the
+ * subclasses below for a specific category
+ * @param {string} message - Human-readable description of the failure
+ * @param {object} [options] - Optional additional information
+ * @param {string} [options.code] - Machine-readable error code, e.g. "UNKNOWN_SOLVER_METHOD" (defaults to the
+ *  code of the error class)
+ * @param {object} [options.details] - Values that describe the failure, e.g. the number of iterations
+ * @param {Error} [options.cause] - The underlying error, if any
+ */
+export class FEAScriptError extends Error {
+  static defaultCode = "FEASCRIPT_ERROR";
+
+  constructor(message, { code, details = {}, cause } = {}) {
+    super(message, cause !== undefined ? { cause } : undefined);
+    this.name = new.target.name;
+    this.code = code ?? new.target.defaultCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Class for invalid or incomplete model settings, e.g. a missing model or an unknown solver method
+ */
+export class ConfigurationError extends FEAScriptError {
+  static defaultCode = "CONFIGURATION_ERROR";
+}
+
+/**
+ * Class for meshes that are invalid, or not supported by the selected model
+ */
+export class MeshError extends FEAScriptError {
+  static defaultCode = "MESH_ERROR";
+}
+
+/**
+ * Class for boundary conditions that cannot be applied, e.g. an unknown boundary or condition type
+ */
+export class BoundaryConditionError extends FEAScriptError {
+  static defaultCode = "BOUNDARY_CONDITION_ERROR";
+}
+
+/**
+ * Class for numerical failures while solving, e.g. a singular system matrix
+ */
+export class SolverError extends FEAScriptError {
+  static defaultCode = "SOLVER_ERROR";
+}
+
+/**
+ * Class for iterative methods (linear solvers, Newton-Raphson) that do not converge. The `details` hold
+ * the iteration count and the last error or residual norm
+ */
+export class ConvergenceError extends SolverError {
+  static defaultCode = "CONVERGENCE_ERROR";
+}
@@ -0,0 +1,17 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Function to convert a solution vector, possibly returned as a column of 1-element rows, to a flat array
+ * @param {array} solutionVector - Solution vector
+ * @returns {array} Flat array of the degree of freedom values
+ */
+export function flattenSolutionVector(solutionVector) {
+  return Array.from(solutionVector, (entry) => (Array.isArray(entry) ? entry[0] : entry));
+}
@@ -0,0 +1,171 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { prepareMesh } from "../mesh/meshUtils.js";
+import { sampleEulerBernoulliBeamElements } from "../models/eulerBernoulliBeam.js";
+import { sampleTimoshenkoBeamElements } from "../models/timoshenkoBeam.js";
+import { ConfigurationError } from "../utilities/errors.js";
+
+/**
+ * Plot types drawn from the element interpolation of a beam solution: the deflected shape with its support
+ * and load glyphs, and the bending moment and shear force diagrams
+ */
+export const beamPlotTypes = ["beam", "bendingMoment", "shearForce"];
+
+// Element samplers of the beam models
+const beamSamplers = {
+  eulerBernoulliBeamScript: sampleEulerBernoulliBeamElements,
+  timoshenkoBeamScript: sampleTimoshenkoBeamElements,
+};
+
+/**
+ * Function to build the curves of the beam plot types
+ * @param {object} model - Object containing model properties (an eulerBernoulliBeamScript or
+ *  timoshenkoBeamScript model)
+ * @param {object} result - Object returned by FEAScriptModel.solve
+ * @param {object} [plotOptions] - Optional plot settings
+ * @param {number} [plotOptions.pointsPerElement=20] - Number of intervals each element is drawn with
+ * @returns {object} An object containing the undeformed beam `length` and `minX`, and the arrays x,
+ *  deflection, rotation, bendingMoment and shearForce sampled along every element (nodes shared by two
+ *  elements appear twice, so that the diagrams jump under point loads)
+ * @throws {ConfigurationError} If the model is not a beam model (code "UNSUPPORTED_PLOT_TYPE")
+ */
+export function buildBeamDiagramData(model, result, plotOptions = {}) {
+  const sampleBeamElements = beamSamplers[model.solverConfig];
+  if (!sampleBeamElements) {
+    throw new ConfigurationError(`Beam plots are not available for the ${model.solverConfig} model`, {
+      code: "UNSUPPORTED_PLOT_TYPE",
+      details: { solverConfig: model.solverConfig, plotTypes: beamPlotTypes },
+    });
+  }
+  const meshData = prepareMesh(model.meshConfig);
+  const sampledResults = sampleBeamElements(
+    result.solutionVector,
+    meshData,
+    model.coefficientFunctions,
+    plotOptions.pointsPerElement ?? 20,
+  );
+  const minX = Math.min(...meshData.nodesXCoordinates);
+  const length = Math.max(...meshData.nodesXCoordinates) - minX;
+
+  return { minX, length, ...sampledResults };
+}
+
+/**
+ * Function to build the glyphs of the supports and point loads of a beam, drawn around the undeformed axis
+ * (y = 0) as polylines
+ * @param {object} boundaryConditions - Beam boundary conditions, keyed by 1-based node number
+ * @param {array} nodesXCoordinates - x coordinates of the mesh nodes
+ * @param {object} glyphSize - Size of the glyphs along x (`sizeX`) and y (`sizeY`), in plot units
+ * @returns {object} An object containing:
+ *  - x, y: Coordinates of the glyph polylines, separated by null entries
+ *  - labels: Array of { x, y, text } entries with the values of the point forces and moments
+ *
+ * Fixed supports are drawn as a hatched wall, pinned supports as a triangle, rotation constraints as a
+ * sleeve and springs as a zigzag. Forces are arrows pointing to the node in the direction of w, and
+ * moments are arcs around the node, counterclockwise for positive values (the direction of theta).
+ * Time-dependent forces and moments are drawn with their value at t = 0.
+ */
+export function buildBeamGlyphs(boundaryConditions, nodesXCoordinates, { sizeX, sizeY }) {
+  const glyphs = { x: [], y: [], labels: [] };
+  const addPolyline = (points) => {
+    points.forEach(([x, y]) => {
+      glyphs.x.push(x);
+      glyphs.y.push(y);
+    });
+    glyphs.x.push(null);
+    glyphs.y.push(null);
+  };
+  const minX = Math.min(...nodesXCoordinates);
+  const maxX = Math.max(...nodesXCoordinates);
+
+  Object.entries(boundaryConditions).forEach(([nodeKey, conditions]) => {
+    const x = nodesXCoordinates[Number(nodeKey) - 1];
+
+    conditions.forEach(([conditionType, conditionValue]) => {
+      const value = typeof conditionValue === "function" ? conditionValue(0) : conditionValue;
+      if (conditionType === "fixed") {
+        // Wall on the outer side of the beam end (on the left for interior nodes)
+        const side = x === maxX && x !== minX ? 1 : -1;
+        addPolyline([
+          [x, -2 * sizeY],
+          [x, 2 * sizeY],
+        ]);
+        for (let hatchIndex = 0; hatchIndex < 4; hatchIndex++) {
+          const hatchY = -2 * sizeY + hatchIndex * sizeY;
+          addPolyline([
+            [x, hatchY + sizeY],
+            [x + side * sizeX, hatchY],
+          ]);
+        }
+      } else if (conditionType === "pinned" || conditionType === "deflection") {
+        addPolyline([
+          [x, 0],
+          [x - sizeX, -1.5 * sizeY],
+          [x + sizeX, -1.5 * sizeY],
+          [x, 0],
+        ]);
+        addPolyline([
+          [x - 1.5 * sizeX, -2 * sizeY],
+          [x + 1.5 * sizeX, -2 * sizeY],
+        ]);
+      } else if (conditionType === "rotationFixed" || conditionType === "rotation") {
+        [-0.5 * sizeX, 0.5 * sizeX].forEach((offsetX) =>
+          addPolyline([
+            [x + offsetX, -sizeY],
+            [x + offsetX, sizeY],
+          ]),
+        );
+      } else if (conditionType === "spring") {
+        const zigzagPoints = [[x, 0]];
+        for (let zigzagIndex = 1; zigzagIndex <= 6; zigzagIndex++) {
+          zigzagPoints.push([x + (zigzagIndex % 2 === 1 ? 0.5 : -0.5) * sizeX, (-zigzagIndex * sizeY) / 3]);
+        }
+        zigzagPoints.push([x, -2.5 * sizeY]);
+        addPolyline(zigzagPoints);
+        addPolyline([
+          [x - sizeX, -2.5 * sizeY],
+          [x + sizeX, -2.5 * sizeY],
+        ]);
+      } else if (conditionType === "force" && value !== 0) {
+        // Arrow ending at the node, from the side opposite to the force
+        const direction = Math.sign(value);
+        const tailY = -direction * 3 * sizeY;
+        addPolyline([
+          [x, tailY],
+          [x, 0],
+        ]);
+        addPolyline([
+          [x - 0.4 * sizeX, -direction * 0.8 * sizeY],
+          [x, 0],
+          [x + 0.4 * sizeX, -direction * 0.8 * sizeY],
+        ]);
+        glyphs.labels.push({ x, y: tailY - direction * 0.5 * sizeY, text: `${value}` });
+      } else if (conditionType === "moment" && value !== 0) {
+        // Three-quarter arc above the node, with the arrowhead at its end
+        const direction = Math.sign(value);
+        const arcAngle = (arcIndex) =>
+          Math.PI / 2 - direction * (0.75 * Math.PI - (1.5 * Math.PI * arcIndex) / 12);
+        const arcPoint = (angle, radius) => [
+          x + radius * sizeX * Math.cos(angle),
+          1.5 * sizeY + radius * sizeY * Math.sin(angle),
+        ];
+        addPolyline(Array.from({ length: 13 }, (_, arcIndex) => arcPoint(arcAngle(arcIndex), 1.5)));
+        // Arrowhead wings, a little behind the end of the arc on either side of it
+        const endAngle = arcAngle(12);
+        const wingAngle = endAngle - direction * 0.35;
+        addPolyline([arcPoint(wingAngle, 1.1), arcPoint(endAngle, 1.5), arcPoint(wingAngle, 1.9)]);
+        glyphs.labels.push({ x, y: 3.5 * sizeY, text: `${value}` });
+      }
+    });
+  });
+
+  return glyphs;
+}
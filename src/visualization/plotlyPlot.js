@@ -11,10 +11,13 @@
 import {
   prepareMesh,
   pointInsideQuadrilateral,
+  pointInsideTriangle,
   computeNodeNeighbors,
   getBoundarySegments,
 } from "../mesh/meshUtils.js";
 import { BasisFunctions } from "../mesh/basisFunctions.js";
+import { selectResultField } from "./resultFields.js";
+import { beamPlotTypes, buildBeamDiagramData, buildBeamGlyphs } from "./beamDiagrams.js";
 import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
 
 /**
@@ -23,8 +26,22 @@ import { basicLog, debugLog, errorLog } from "../utilities/logging.js";
  * @param {object} model - Object containing model properties
  * @param {string} plotType - The type of plot
  * @param {string} plotDivId - The id of the div where the plot will be rendered
+ * @param {object} [plotOptions] - Optional plot settings
+ * @param {string} [plotOptions.field] - Name of the result field to plot (e.g. "velocityMagnitude" for
+ *  creeping flow); the solution vector is plotted when omitted
+ * @param {number} [plotOptions.pointsPerElement] - Number of intervals each element is drawn with in the
+ *  beam plot types ("beam" for the deflected shape, "bendingMoment" and "shearForce" for the diagrams)
  */
-export function plotSolution(model, result, plotType, plotDivId) {
+export function plotSolution(model, result, plotType, plotDivId, plotOptions = {}) {
+  if (beamPlotTypes.includes(plotType)) {
+    console.time("plottingTime");
+    plotBeamDiagram(model, result, plotType, plotDivId, plotOptions);
+    console.timeEnd("plottingTime");
+    return;
+  }
+  // Resolve the field before starting the timer, which an unknown field would otherwise leave running
+  const { field } = plotOptions;
+  result = selectResultField(result, field);
   console.time("plottingTime");
   const { nodesXCoordinates, nodesYCoordinates } = result.nodesCoordinates;
   const solutionVector = result.solutionVector;
@@ -60,7 +77,7 @@ export function plotSolution(model, result, plotType, plotDivId) {
       width: plotWidth,
       height: plotHeight,
       xaxis: { title: "x" },
-      yaxis: { title: "Solution" },
+      yaxis: { title: field ?? "Solution" },
       margin: { l: 50, r: 50, t: 50, b: 50 },
     };
 
@@ -117,7 +134,7 @@ export function plotSolution(model, result, plotType, plotDivId) {
       },
       //colorscale: 'Viridis',
       colorbar: {
-        title: "Solution",
+        title: field ?? "Solution",
       },
       name: "Solution Field",
     };
@@ -127,14 +144,95 @@ export function plotSolution(model, result, plotType, plotDivId) {
   }
 }
 
+/**
+ * Function to plot the deflected shape of a beam, with its supports and point loads, or its bending moment
+ * or shear force diagram
+ * @param {object} model - Object containing model properties
+ * @param {object} result - Object containing solution vector and mesh information
+ * @param {string} plotType - One of the beam plot types ("beam", "bendingMoment" or "shearForce")
+ * @param {string} plotDivId - The id of the div where the plot will be rendered
+ * @param {object} plotOptions - Plot settings (see plotSolution)
+ */
+function plotBeamDiagram(model, result, plotType, plotDivId, plotOptions) {
+  const diagramData = buildBeamDiagramData(model, result, plotOptions);
+  const { x, minX, length } = diagramData;
+  const axisTitles = { beam: "Deflection w", bendingMoment: "Bending moment M", shearForce: "Shear force V" };
+  const values = plotType === "beam" ? diagramData.deflection : diagramData[plotType];
+
+  // Undeformed beam axis
+  const traces = [
+    {
+      x: [minX, minX + length],
+      y: [0, 0],
+      mode: "lines",
+      type: "scatter",
+      line: { color: "rgb(128, 128, 128)", width: 1, dash: plotType === "beam" ? "dash" : "solid" },
+      hoverinfo: "skip",
+      showlegend: false,
+    },
+    {
+      x,
+      y: values,
+      mode: "lines",
+      type: "scatter",
+      fill: plotType === "beam" ? "none" : "tozeroy",
+      line: { color: "rgb(219, 64, 82)", width: 2 },
+      name: axisTitles[plotType],
+    },
+  ];
+  const annotations = [];
+
+  if (plotType === "beam") {
+    // Glyphs are sized relative to the beam length and to the largest deflection
+    const maxDeflection = Math.max(...values.map(Math.abs)) || 1;
+    const glyphs = buildBeamGlyphs(model.boundaryConditions, result.nodesCoordinates.nodesXCoordinates, {
+      sizeX: 0.015 * length,
+      sizeY: 0.1 * maxDeflection,
+    });
+    traces.push({
+      x: glyphs.x,
+      y: glyphs.y,
+      mode: "lines",
+      type: "scatter",
+      line: { color: "rgb(0, 0, 0)", width: 1.5 },
+      hoverinfo: "skip",
+      name: "Supports and loads",
+    });
+    glyphs.labels.forEach(({ x: labelX, y: labelY, text }) =>
+      annotations.push({ x: labelX, y: labelY, text, showarrow: false, font: { size: 11 } }),
+    );
+  }
+
+  let maxWindowWidth = Math.min(window.innerWidth, 700);
+  let plotWidth = Math.min(maxWindowWidth, 600);
+  let plotHeight = 300;
+
+  let layout = {
+    title: `${plotType} plot - ${model.solverConfig}`,
+    width: plotWidth,
+    height: plotHeight,
+    xaxis: { title: "x" },
+    yaxis: { title: axisTitles[plotType] },
+    annotations,
+    margin: { l: 50, r: 50, t: 50, b: 50 },
+  };
+
+  Plotly.newPlot(plotDivId, traces, layout, { responsive: true });
+}
+
 /**
  * Function to generate a dense visualization grid and interpolate the FEM solution on it
  * @param {object} result - Object containing solution vector and mesh information
  * @param {object} model - Object containing model properties
  * @param {string} plotType - The type of plot
  * @param {string} plotDivId - The id of the div where the plot will be rendered
+ * @param {object} [plotOptions] - Optional plot settings
+ * @param {string} [plotOptions.field] - Name of the result field to plot; the solution vector is plotted
+ *  when omitted
  */
-export function plotInterpolatedSolution(model, result, plotType, plotDivId) {
+export function plotInterpolatedSolution(model, result, plotType, plotDivId, plotOptions = {}) {
+  const { field } = plotOptions;
+  result = selectResultField(result, field);
   console.time("plottingTime");
   const { nodesXCoordinates, nodesYCoordinates } = result.nodesCoordinates; // TODO: Check if we should place it inside the 2D block
   const meshDimension = model.meshConfig.meshDimension;
@@ -144,6 +242,7 @@ export function plotInterpolatedSolution(model, result, plotType, plotDivId) {
   const basisFunctions = new BasisFunctions({
     meshDimension: model.meshConfig.meshDimension,
     elementOrder: model.meshConfig.elementOrder,
+    elementType: meshData.elementType,
   });
 
   if (meshDimension === "1D" && plotType === "line") {
@@ -295,7 +394,7 @@ export function plotInterpolatedSolution(model, result, plotType, plotDivId) {
       },
       //colorscale: 'Viridis',
       colorbar: {
-        title: "Solution",
+        title: field ?? "Solution",
       },
       name: "Interpolated Solution Field",
     };
@@ -398,7 +497,30 @@ function pointSearch(
         ),
       };
     }
-  } // TODO: Add also triangular element cases
+  } else if (nodesPerElement === 3 || nodesPerElement === 6) {
+    // Linear or quadratic triangle element (the vertices are the first three nodes)
+    let vertices = [0, 1, 2].map((localNodeIndex) => [
+      nodesXCoordinates[meshData.nop[currentElement][localNodeIndex] - 1],
+      nodesYCoordinates[meshData.nop[currentElement][localNodeIndex] - 1],
+    ]);
+    const pointCheck = pointInsideTriangle(visNodeXCoordinate, visNodeYCoordinate, vertices);
+    if (pointCheck.inside) {
+      // pointInsideTriangle returns the barycentric weights of vertices 0 and 1, while the natural
+      // coordinates (ksi, eta) are the weights of vertices 1 and 2
+      return {
+        inside: true,
+        value: solutionInterpolation(
+          model,
+          meshData,
+          result,
+          currentElement,
+          pointCheck.eta,
+          1 - pointCheck.ksi - pointCheck.eta,
+          basisFunctions,
+        ),
+      };
+    }
+  }
   return { inside: false, value: null };
 }
 
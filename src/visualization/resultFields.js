@@ -0,0 +1,33 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+// Internal imports
+import { ConfigurationError } from "../utilities/errors.js";
+
+/**
+ * Function to select the nodal field to visualize from a solve result
+ * @param {object} result - Object returned by FEAScriptModel.solve
+ * @param {string} [field] - Name of one of the result `fields` (e.g. "pressure"), or undefined for the
+ *  solution vector itself
+ * @returns {object} The result, with the values of the selected field in place of the solution vector
+ * @throws {ConfigurationError} If the result has no field with this name (code "UNKNOWN_FIELD")
+ */
+export function selectResultField(result, field) {
+  if (field === undefined) {
+    return result;
+  }
+  if (!result.fields?.[field]) {
+    const availableFields = Object.keys(result.fields ?? {});
+    throw new ConfigurationError(
+      `Unknown field: ${field}. Available fields: ${availableFields.join(", ") || "none"}`,
+      { code: "UNKNOWN_FIELD", details: { field, availableFields } },
+    );
+  }
+  return { ...result, solutionVector: result.fields[field] };
+}
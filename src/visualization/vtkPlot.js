@@ -11,10 +11,13 @@
 import {
   prepareMesh,
   pointInsideQuadrilateral,
+  pointInsideTriangle,
   computeNodeNeighbors,
   getBoundarySegments,
 } from "../mesh/meshUtils.js";
 import { BasisFunctions } from "../mesh/basisFunctions.js";
+import { selectResultField } from "./resultFields.js";
+import { beamPlotTypes, buildBeamDiagramData, buildBeamGlyphs } from "./beamDiagrams.js";
 import { errorLog } from "../utilities/logging.js";
 
 let _vtkModules = null;
@@ -108,17 +111,26 @@ export function createContourLineOptions(options = {}) {
  * @param {object} result - Object containing solution vector and node coordinates
  * @param {string} plotType - The type of plot (e.g., "line", "contour")
  * @param {string} plotDivId - The id of the HTML element for rendering
- * @param {object} [renderOptions={}] - Rendering options including colorScale, contourLines
+ * @param {object} [renderOptions={}] - Rendering options including colorScale, contourLines and field (the
+ *  name of the result field to plot, e.g. "pressure"; the solution vector is plotted when omitted). The beam
+ *  plot types ("beam", "bendingMoment" and "shearForce") also accept pointsPerElement and deformationScale
  */
 export async function plotSolutionVtk(model, result, plotType, plotDivId, renderOptions = {}) {
   console.time("plottingTime");
-  const meshDimension = model.meshConfig.meshDimension;
-  const meshData = prepareMesh(model.meshConfig);
-  const vtkData = await transformSolverOutputToVtkData(model, result, meshData, {
-    mode: meshDimension === "1D" && plotType === "line" ? "line" : "surface",
-  });
-  await renderVtkScene(vtkData, plotDivId, model.solverConfig, plotType, renderOptions);
-  console.timeEnd("plottingTime");
+  // The timer is also stopped when plotting fails, e.g. for an unknown field
+  try {
+    const meshDimension = model.meshConfig.meshDimension;
+    const meshData = prepareMesh(model.meshConfig);
+    const vtkData = beamPlotTypes.includes(plotType)
+      ? await buildBeamVtkData(model, result, plotType, renderOptions)
+      : await transformSolverOutputToVtkData(model, result, meshData, {
+          mode: meshDimension === "1D" && plotType === "line" ? "line" : "surface",
+          field: renderOptions.field,
+        });
+    await renderVtkScene(vtkData, plotDivId, model.solverConfig, plotType, renderOptions);
+  } finally {
+    console.timeEnd("plottingTime");
+  }
 }
 
 /**
@@ -127,30 +139,36 @@ export async function plotSolutionVtk(model, result, plotType, plotDivId, render
  * @param {object} result - Object containing solution vector and node coordinates
  * @param {string} plotType - The type of plot (e.g., "contour")
  * @param {string} plotDivId - The id of the HTML element for rendering
- * @param {object} [renderOptions={}] - Rendering options including colorScale, contourLines
+ * @param {object} [renderOptions={}] - Rendering options including colorScale, contourLines and field
  */
 export async function plotInterpolatedSolutionVtk(model, result, plotType, plotDivId, renderOptions = {}) {
   console.time("plottingTime");
-  if (model.meshConfig.meshDimension !== "2D" || plotType !== "contour") {
-    // Fallback to non-interpolated for non-2D contour cases
+  try {
     const meshData = prepareMesh(model.meshConfig);
-    const vtkData = await transformSolverOutputToVtkData(model, result, meshData, {
-      mode: model.meshConfig.meshDimension === "1D" && plotType === "line" ? "line" : "surface",
-    });
-    await renderVtkScene(vtkData, plotDivId, model.solverConfig, plotType, renderOptions);
+    if (model.meshConfig.meshDimension !== "2D" || plotType !== "contour") {
+      // Fallback to non-interpolated for non-2D contour cases
+      const vtkData = await transformSolverOutputToVtkData(model, result, meshData, {
+        mode: model.meshConfig.meshDimension === "1D" && plotType === "line" ? "line" : "surface",
+        field: renderOptions.field,
+      });
+      await renderVtkScene(vtkData, plotDivId, model.solverConfig, plotType, renderOptions);
+      return;
+    }
+    const interpolatedVtkData = await buildInterpolatedVtkData(
+      model,
+      selectResultField(result, renderOptions.field),
+      meshData,
+    );
+    await renderVtkScene(
+      interpolatedVtkData,
+      plotDivId,
+      model.solverConfig,
+      `${plotType}-interpolated`,
+      renderOptions,
+    );
+  } finally {
     console.timeEnd("plottingTime");
-    return;
   }
-  const meshData = prepareMesh(model.meshConfig);
-  const interpolatedVtkData = await buildInterpolatedVtkData(model, result, meshData);
-  await renderVtkScene(
-    interpolatedVtkData,
-    plotDivId,
-    model.solverConfig,
-    `${plotType}-interpolated`,
-    renderOptions,
-  );
-  console.timeEnd("plottingTime");
 }
 
 /**
@@ -158,13 +176,15 @@ export async function plotInterpolatedSolutionVtk(model, result, plotType, plotD
  * @param {object} model - FEAScript model containing mesh and solver configuration
  * @param {object} result - Object containing solution vector and node coordinates
  * @param {object|null} [meshData=null] - Pre-prepared mesh data, or null to auto-prepare
- * @param {object} [options={}] - Options including mode ("surface" or "line")
+ * @param {object} [options={}] - Options including mode ("surface" or "line") and field (the name of the
+ *  result field to export; the solution vector is used when omitted)
  * @returns {Promise<object>} VTK data object with points, scalars, cells, polyData, and metadata
  */
 export async function transformSolverOutputToVtkData(model, result, meshData = null, options = {}) {
   const preparedMesh = meshData ?? prepareMesh(model.meshConfig);
   const { nodesXCoordinates, nodesYCoordinates } = result.nodesCoordinates;
-  const solutionArray = extractScalarSolution(result.solutionVector, nodesXCoordinates.length);
+  const { solutionVector } = selectResultField(result, options.field);
+  const solutionArray = extractScalarSolution(solutionVector, nodesXCoordinates.length);
   const points = buildPointsArray(nodesXCoordinates, nodesYCoordinates);
 
   const mode = options.mode ?? "surface";
@@ -195,7 +215,7 @@ export async function transformSolverOutputToVtkData(model, result, meshData = n
  * @param {object} model - FEAScript model containing mesh and solver configuration
  * @param {object} result - Object containing solution vector and node coordinates
  * @param {object|null} [meshData=null] - Pre-prepared mesh data, or null to auto-prepare
- * @param {object} [options={}] - Options including mode ("surface" or "line")
+ * @param {object} [options={}] - Options including mode ("surface" or "line") and field
  * @returns {Promise<string>} VTP XML string
  */
 export async function transformSolverOutputToVTP(model, result, meshData = null, options = {}) {
@@ -276,7 +296,9 @@ async function renderVtkScene(vtkData, plotDivId, solverConfig, plotType, render
   const scalarRange = getScalarRange(vtkData.scalars);
   mapper.setScalarRange(scalarRange[0], scalarRange[1]);
 
-  const colorScale = renderOptions.colorScale ?? createColorScale({});
+  const colorScale =
+    renderOptions.colorScale ??
+    createColorScale({ scalarBarTitle: renderOptions.field ?? vtkData.metadata?.fieldName });
   const lookupTable = vtkColorTransferFunction.newInstance();
   const preset =
     vtkColorMaps.getPresetByName(colorScale.presetName) ?? vtkColorMaps.getPresetByName("Cool to Warm");
@@ -291,6 +313,16 @@ async function renderVtkScene(vtkData, plotDivId, solverConfig, plotType, render
   if (vtkData.mode === "line") actor.getProperty().setLineWidth(3);
   renderer.addActor(actor);
 
+  if (vtkData.glyphPolyData) {
+    const glyphMapper = vtkMapper.newInstance();
+    glyphMapper.setInputData(vtkData.glyphPolyData);
+    glyphMapper.setScalarVisibility(false);
+    const glyphActor = vtkActor.newInstance();
+    glyphActor.setMapper(glyphMapper);
+    glyphActor.getProperty().setColor(0, 0, 0);
+    renderer.addActor(glyphActor);
+  }
+
   if (colorScale.showScalarBar) {
     const scalarBarActor = vtkScalarBarActor.newInstance({
       drawNanAnnotation: false,
@@ -394,6 +426,87 @@ function reverseColorMapPreset(preset, reverse) {
 
 // Data building helpers
 
+/**
+ * Builds the VTK data of a beam plot type: the deflected shape or an internal force diagram as a line
+ * colored by its values, and the beam axis, supports and point loads as black glyph lines. Since the axes
+ * share one scale, the curve is scaled to a fraction of the beam length (renderOptions.deformationScale
+ * sets the scale of the deflected shape)
+ * @param {object} model - FEAScript model containing mesh and solver configuration
+ * @param {object} result - Object containing solution vector and node coordinates
+ * @param {string} plotType - One of the beam plot types ("beam", "bendingMoment" or "shearForce")
+ * @param {object} renderOptions - Rendering options
+ * @returns {Promise<object>} VTK data object with points, scalars, cells, polyData, glyphPolyData and metadata
+ */
+async function buildBeamVtkData(model, result, plotType, renderOptions) {
+  const diagramData = buildBeamDiagramData(model, result, renderOptions);
+  const { x, minX, length } = diagramData;
+  const values = plotType === "beam" ? diagramData.deflection : diagramData[plotType];
+  const maxValue = Math.max(...values.map(Math.abs)) || 1;
+  const scale =
+    plotType === "beam" && renderOptions.deformationScale !== undefined
+      ? renderOptions.deformationScale
+      : ((plotType === "beam" ? 0.1 : 0.2) * length) / maxValue;
+
+  const points = buildPointsArray(
+    x,
+    values.map((value) => value * scale),
+  );
+  const scalars = Float32Array.from(values);
+  const cells = buildLineCellsFromPoints(x.length);
+  const polyData = await buildPolyData(points, scalars, cells, "line");
+
+  const glyphs =
+    plotType === "beam"
+      ? buildBeamGlyphs(model.boundaryConditions, result.nodesCoordinates.nodesXCoordinates, {
+          sizeX: 0.015 * length,
+          sizeY: 0.015 * length,
+        })
+      : { x: [], y: [] };
+  glyphs.x.push(minX, minX + length, null);
+  glyphs.y.push(0, 0, null);
+  const glyphPolyData = await buildPolylinePolyData(glyphs.x, glyphs.y);
+
+  return {
+    points,
+    scalars,
+    cells,
+    polyData,
+    glyphPolyData,
+    mode: "line",
+    metadata: {
+      solverConfig: model.solverConfig,
+      meshDimension: model.meshConfig.meshDimension,
+      numberOfPoints: points.length / 3,
+      numberOfCells: countPackedCells(cells),
+      fieldName: { beam: "Deflection w", bendingMoment: "Bending moment M", shearForce: "Shear force V" }[
+        plotType
+      ],
+      scale,
+    },
+  };
+}
+
+async function buildPolylinePolyData(xValues, yValues) {
+  // Polylines separated by null entries, as returned by buildBeamGlyphs
+  const { vtkPolyData } = await loadVtkModules();
+  const coordinates = [];
+  const packed = [];
+  let polyline = [];
+  for (let i = 0; i <= xValues.length; i++) {
+    if (i === xValues.length || xValues[i] === null) {
+      if (polyline.length > 1) packed.push(polyline.length, ...polyline);
+      polyline = [];
+      continue;
+    }
+    polyline.push(coordinates.length / 3);
+    coordinates.push(xValues[i], yValues[i], 0);
+  }
+  const polyData = vtkPolyData.newInstance();
+  polyData.getPoints().setData(Float32Array.from(coordinates), 3);
+  polyData.getLines().setData(Uint32Array.from(packed));
+  return polyData;
+}
+
 async function buildPolyData(points, scalars, cells, mode = "surface") {
   const { vtkPolyData, vtkDataArray } = await loadVtkModules();
   const polyData = vtkPolyData.newInstance();
@@ -470,7 +583,8 @@ function convertElementNodesToLinearCell(elementNodes) {
   }
 
   if (n === 6) {
-    return [indices[0], indices[2], indices[5]];
+    // Quadratic triangle (Gmsh numbering): vertices 0, 1, 2 followed by the mid-side nodes
+    return [indices[0], indices[1], indices[2]];
   }
 
   if (n === 8) {
@@ -578,6 +692,7 @@ async function buildInterpolatedGridValues(model, result, meshData) {
   const basisFunctions = new BasisFunctions({
     meshDimension: model.meshConfig.meshDimension,
     elementOrder: model.meshConfig.elementOrder,
+    elementType: meshData.elementType,
   });
 
   let minX = nodesXCoordinates[0];
@@ -837,6 +952,28 @@ function pointSearch(
         ),
       };
     }
+  } else if (nodesPerElement === 3 || nodesPerElement === 6) {
+    const vertices = [0, 1, 2].map((localNodeIndex) => [
+      nodesXCoordinates[meshData.nop[currentElement][localNodeIndex] - 1],
+      nodesYCoordinates[meshData.nop[currentElement][localNodeIndex] - 1],
+    ]);
+
+    // Barycentric weights of vertices 1 and 2 are the natural coordinates (ksi, eta)
+    const pointCheck = pointInsideTriangle(visNodeXCoordinate, visNodeYCoordinate, vertices);
+    if (pointCheck.inside) {
+      return {
+        inside: true,
+        value: solutionInterpolation(
+          model,
+          meshData,
+          result,
+          currentElement,
+          pointCheck.eta,
+          1 - pointCheck.ksi - pointCheck.eta,
+          basisFunctions,
+        ),
+      };
+    }
   }
 
   return { inside: false, value: null };
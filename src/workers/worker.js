@@ -93,11 +93,12 @@ export class FEAScriptWorker {
   /**
    * Function to set the model configuration in the worker
    * @param {string} modelConfig - The model configuration to set
+   * @param {object} [options] - Optional additional configuration (e.g. the transient settings)
    * @returns {Promise<boolean>} Resolves when the configuration is set
    */
-  async setModelConfig(modelConfig) {
+  async setModelConfig(modelConfig, options = {}) {
     await this._ensureReady();
-    return this.feaWorker.setModelConfig(modelConfig);
+    return this.feaWorker.setModelConfig(modelConfig, options);
   }
 
   /**
@@ -124,11 +125,12 @@ export class FEAScriptWorker {
   /**
    * Function to set the solver method in the worker
    * @param {string} solverMethod - The solver method to set
+   * @param {object} [options] - Optional solver options (e.g. `preconditioner`)
    * @returns {Promise<boolean>} Resolves when the solver method is set
    */
-  async setSolverMethod(solverMethod) {
+  async setSolverMethod(solverMethod, options = {}) {
     await this._ensureReady();
-    return this.feaWorker.setSolverMethod(solverMethod);
+    return this.feaWorker.setSolverMethod(solverMethod, options);
   }
 
   /**
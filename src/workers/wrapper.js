@@ -39,12 +39,13 @@ class workerWrapper {
   /**
    * Function to set the model configuration in the FEAScriptModel
    * @param {string} modelConfig - The model configuration to set
+   * @param {object} [options] - Optional additional configuration (e.g. the transient settings)
    * @returns {boolean} Returns true if the configuration is set successfully
    * @throws Will throw an error if the configuration fails to set
    */
-  setModelConfig(modelConfig) {
+  setModelConfig(modelConfig, options = {}) {
     try {
-      this.model.setModelConfig(modelConfig);
+      this.model.setModelConfig(modelConfig, options);
       return true;
     } catch (error) {
       console.error("FEA Worker: Error in setModelConfig", error);
@@ -88,12 +89,13 @@ class workerWrapper {
   /**
    * Function to set the solver method in the FEAScriptModel
    * @param {string} solverMethod - The solver method to set
+   * @param {object} [options] - Optional solver options (e.g. `preconditioner`)
    * @returns {boolean} Returns true if the solver method is set successfully
    * @throws Will throw an error if the solver method fails to set
    */
-  setSolverMethod(solverMethod) {
+  setSolverMethod(solverMethod, options = {}) {
     try {
-      this.model.setSolverMethod(solverMethod);
+      this.model.setSolverMethod(solverMethod, options);
       return true;
     } catch (error) {
       console.error("FEA Worker: Error in setSolverMethod", error);
@@ -103,7 +105,7 @@ class workerWrapper {
 
   /**
    * Function to solve the problem using the FEAScriptModel
-   * @returns {object} Returns the solution result, including the solution vector, node coordinates, solver configuration, and mesh dimension
+   * @returns {object} Returns the solution result, including the solution vector, node coordinates, named solution fields, flow rates (also per time step in the time series), beam results, member forces, reactions and time histories, modes, buckling modes, solver configuration, and mesh dimension
    * @throws Will throw an error if the solve operation fails
    */
   solve() {
@@ -113,6 +115,15 @@ class workerWrapper {
       return {
         solutionVector: result.solutionVector,
         nodesCoordinates: result.nodesCoordinates,
+        timeSeries: result.timeSeries,
+        fields: result.fields,
+        flowRates: result.flowRates,
+        beamResults: result.beamResults,
+        memberForces: result.memberForces,
+        reactions: result.reactions,
+        timeHistory: result.timeHistory,
+        modes: result.modes,
+        bucklingModes: result.bucklingModes,
         solverConfig: this.model.solverConfig,
         meshDimension: this.model.meshConfig.meshDimension,
       };
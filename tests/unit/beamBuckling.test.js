@@ -0,0 +1,208 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the linear buckling analysis of Euler-Bernoulli beams
+ *
+ * Covers:
+ *  - Critical loads of pinned-pinned, fixed-fixed, fixed-pinned and cantilever columns vs. the Euler
+ *    formulas, and the higher modes of the pinned-pinned column
+ *  - Buckled mode shapes, and a stiff spring support acting as a pin
+ *  - Columns in compression over part of their length and in tension over the rest
+ *  - Errors for a beam without compression and a missing axial force
+ *
+ * Run: node tests/unit/beamBuckling.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: beam buckling");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+const L = 3;
+const EI = 2.0e6;
+const P = 1000; // Reference compressive load
+const numElements = 12;
+const topNode = numElements + 1;
+
+function solveBuckling({ boundaryConditions, buckling = { numberOfModes: 1 }, N = () => -P }) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("eulerBernoulliBeamScript", {
+    coefficientFunctions: { EI: () => EI, N, q: () => -500 },
+    buckling,
+  });
+  model.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: numElements, maxX: L });
+  Object.entries(boundaryConditions).forEach(([nodeKey, conditions]) =>
+    model.addBoundaryCondition(nodeKey, conditions),
+  );
+  return model.solve();
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+// Euler critical load π²EI/(K·L)², with K the effective length factor
+const eulerLoad = (effectiveLengthFactor) => (Math.PI ** 2 * EI) / (effectiveLengthFactor * L) ** 2;
+// Fixed-pinned columns: βL = 4.4934 is the first root of tan(βL) = βL
+const fixedPinnedFactor = Math.PI / 4.4934095;
+const relativeError = (loadFactor, criticalLoad) => Math.abs(loadFactor * P - criticalLoad) / criticalLoad;
+
+basicLog("");
+basicLog("[1] Euler critical loads");
+
+const supportCases = [
+  { name: "Pinned-pinned", factor: 1, boundaryConditions: { 1: [["pinned"]], [topNode]: [["pinned"]] } },
+  { name: "Fixed-fixed", factor: 0.5, boundaryConditions: { 1: [["fixed"]], [topNode]: [["fixed"]] } },
+  {
+    name: "Fixed-pinned",
+    factor: fixedPinnedFactor,
+    boundaryConditions: { 1: [["fixed"]], [topNode]: [["pinned"]] },
+  },
+  { name: "Cantilever", factor: 2, boundaryConditions: { 1: [["fixed"]] } },
+];
+supportCases.forEach(({ name, factor, boundaryConditions }) => {
+  const { bucklingModes } = solveBuckling({ boundaryConditions });
+  const error = relativeError(bucklingModes[0].loadFactor, eulerLoad(factor));
+  assert(
+    error < 2e-4,
+    `${name} column buckles at π²EI/(${factor.toFixed(4)}L)² (relative error ${error.toExponential(3)})`,
+  );
+});
+
+const pinnedModes = solveBuckling({
+  boundaryConditions: { 1: [["pinned"]], [topNode]: [["pinned"]] },
+  buckling: { numberOfModes: 3 },
+}).bucklingModes;
+const higherModeErrors = pinnedModes.map((mode, modeIndex) =>
+  relativeError(mode.loadFactor, eulerLoad(1 / (modeIndex + 1))),
+);
+assert(
+  Math.max(...higherModeErrors) < 1e-3,
+  `Pinned-pinned modes n = 1, 2, 3 buckle at n²π²EI/L² (max relative error ${Math.max(
+    ...higherModeErrors,
+  ).toExponential(3)})`,
+);
+
+basicLog("");
+basicLog("[2] Buckled mode shapes and springs");
+
+const pinnedResult = solveBuckling({ boundaryConditions: { 1: [["pinned"]], [topNode]: [["pinned"]] } });
+const [firstMode] = pinnedResult.bucklingModes;
+const midDeflection = firstMode.deflection[numElements / 2];
+assert(
+  firstMode.deflection.length === topNode &&
+    firstMode.deflection.every(
+      (value, nodeIndex) =>
+        Math.abs(value - midDeflection * Math.sin((Math.PI * nodeIndex) / numElements)) <
+        1e-3 * Math.abs(midDeflection),
+    ),
+  "First pinned-pinned mode is a half sine wave",
+);
+assert(
+  pinnedResult.fields.deflection.every((value, nodeIndex) => value === firstMode.deflection[nodeIndex]) &&
+    pinnedResult.beamResults === undefined,
+  "Fields hold the first buckled shape, and the static results are not computed",
+);
+
+const springSupported = solveBuckling({
+  boundaryConditions: { 1: [["fixed"]], [topNode]: [["spring", 1e12]] },
+});
+const springError = relativeError(springSupported.bucklingModes[0].loadFactor, eulerLoad(fixedPinnedFactor));
+assert(
+  springError < 1e-4,
+  `A stiff spring at the top acts as a pin (relative error ${springError.toExponential(3)})`,
+);
+const softSpring = solveBuckling({ boundaryConditions: { 1: [["fixed"]], [topNode]: [["spring", 10]] } });
+assert(
+  softSpring.bucklingModes[0].loadFactor * P > eulerLoad(2) &&
+    softSpring.bucklingModes[0].loadFactor < springSupported.bucklingModes[0].loadFactor,
+  "A soft spring raises the critical load of a cantilever, less than a pin",
+);
+
+// Compression in the lower half and tension in the upper half: the geometric stiffness matrix has a zero or
+// negative trace. The tension half restrains the compressed one, at most like a fixed end of a column of
+// length L/2
+const halfLength = L / 2;
+const mixedLoads = [
+  { name: "equal tension", N: (x) => (x < halfLength ? -P : P) },
+  { name: "larger tension", N: (x) => (x < halfLength ? -P : 3 * P) },
+];
+const mixedLoadFactors = mixedLoads.map(({ name, N }) => {
+  const { loadFactor } = solveBuckling({
+    boundaryConditions: { 1: [["pinned"]], [topNode]: [["pinned"]] },
+    N,
+  }).bucklingModes[0];
+  assert(
+    Number.isFinite(loadFactor) &&
+      loadFactor * P > eulerLoad(1) &&
+      loadFactor * P < eulerLoad(fixedPinnedFactor / 2),
+    `A pinned-pinned column half in compression, half in ${name} buckles above π²EI/L² and below the ` +
+      `fixed-pinned load of the lower half (load factor ${loadFactor.toFixed(2)})`,
+  );
+  return loadFactor;
+});
+const mirroredLoadFactor = solveBuckling({
+  boundaryConditions: { 1: [["pinned"]], [topNode]: [["pinned"]] },
+  N: (x) => (x < halfLength ? P : -P),
+}).bucklingModes[0].loadFactor;
+assert(
+  mixedLoadFactors[1] > mixedLoadFactors[0] &&
+    Math.abs(mirroredLoadFactor - mixedLoadFactors[0]) < 1e-8 * mixedLoadFactors[0],
+  "Larger tension raises the critical load, and mirroring the axial force gives the same load factor",
+);
+
+basicLog("");
+basicLog("[3] Configuration errors");
+
+const tensionError = captureError(() =>
+  solveBuckling({ boundaryConditions: { 1: [["fixed"]] }, N: () => P }),
+);
+assert(
+  tensionError instanceof ConfigurationError && tensionError.code === "NO_COMPRESSIVE_LOAD",
+  "A beam in tension throws NO_COMPRESSIVE_LOAD",
+);
+const missingNError = captureError(() => solveBuckling({ boundaryConditions: { 1: [["fixed"]] }, N: null }));
+assert(
+  missingNError instanceof ConfigurationError && missingNError.code === "MISSING_CONFIGURATION",
+  "A buckling analysis without N throws MISSING_CONFIGURATION",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,166 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the data of the beam plot types (deflected shape, bending moment and shear force diagrams)
+ *
+ * Covers:
+ *  - Hermite interpolation of the deflected shape between the nodes
+ *  - Jumps of the shear force diagram under a point load, and of the bending moment under a point moment
+ *  - Support and load glyphs
+ *  - Errors for models other than eulerBernoulliBeamScript
+ *
+ * Run: node tests/unit/beamDiagrams.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { buildBeamDiagramData, buildBeamGlyphs } from "../../src/visualization/beamDiagrams.js";
+import { ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: beam diagrams");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+// Simply supported beam of length 4 under a downward point force P at x = 1 and a point moment C at x = 3
+const P = 1200;
+const C = 800;
+const EI = 3e6;
+const model = new FEAScriptModel();
+model.setModelConfig("eulerBernoulliBeamScript", { coefficientFunctions: { EI: () => EI } });
+model.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: 4, maxX: 4 });
+model.addBoundaryCondition("1", [["pinned"]]);
+model.addBoundaryCondition("2", [["force", -P]]);
+model.addBoundaryCondition("4", [["moment", C]]);
+model.addBoundaryCondition("5", [["pinned"]]);
+const result = model.solve();
+
+basicLog("");
+basicLog("[1] Deflected shape");
+
+const pointsPerElement = 8;
+const diagramData = buildBeamDiagramData(model, result, { pointsPerElement });
+assert(
+  diagramData.x.length === 4 * (pointsPerElement + 1) && diagramData.minX === 0 && diagramData.length === 4,
+  "Every element is sampled at both ends and pointsPerElement - 1 interior points",
+);
+
+// Between the loads the exact deflection is cubic, which the Hermite elements reproduce exactly. With
+// Macaulay brackets <x - a>, the point force gives EI·w = -(P/6)·[b·x·(L² - b² - x²)/L + <x - a>³]
+const deflectionAt = (xCoord) => {
+  const L = 4;
+  const a = 1;
+  const b = L - a;
+  const macaulay = (value) => Math.max(value, 0);
+  const forceTerm = (b * xCoord * (L ** 2 - b ** 2 - xCoord ** 2)) / L + macaulay(xCoord - a) ** 3;
+  // and the point moment (counterclockwise, like theta) EI·w = -C·[x·(L² - 3(L - c)²)/(6L) - x³/(6L)
+  // + <x - c>²/2]
+  const c = 3;
+  const momentTerm =
+    (xCoord * (L ** 2 - 3 * (L - c) ** 2)) / (6 * L) - xCoord ** 3 / (6 * L) + macaulay(xCoord - c) ** 2 / 2;
+  return ((-P / 6) * forceTerm - C * momentTerm) / EI;
+};
+const deflectionError = Math.max(
+  ...diagramData.x.map((xCoord, index) => Math.abs(diagramData.deflection[index] - deflectionAt(xCoord))),
+);
+assert(
+  deflectionError < 1e-12,
+  `Interpolated deflection matches the closed-form solution (max error ${deflectionError.toExponential(3)})`,
+);
+
+basicLog("");
+basicLog("[2] Internal force diagrams");
+
+// Values at the end of element 1 and at the start of element 2 (both at the node x = 1)
+const endOfElement1 = pointsPerElement;
+const startOfElement2 = pointsPerElement + 1;
+assert(
+  diagramData.x[endOfElement1] === 1 && diagramData.x[startOfElement2] === 1,
+  "A node shared by two elements appears twice",
+);
+assert(
+  Math.abs(diagramData.shearForce[startOfElement2] - diagramData.shearForce[endOfElement1] - P) < 1e-6,
+  "The shear force jumps by P under the downward point force (V' = -q)",
+);
+assert(
+  Math.abs(diagramData.bendingMoment[endOfElement1] - diagramData.bendingMoment[startOfElement2]) < 1e-6,
+  "The bending moment is continuous under the point force",
+);
+const endOfElement3 = 3 * (pointsPerElement + 1) - 1;
+assert(
+  Math.abs(diagramData.bendingMoment[endOfElement3 + 1] - diagramData.bendingMoment[endOfElement3] - C) <
+    1e-6,
+  "The bending moment jumps by C under the point moment",
+);
+
+basicLog("");
+basicLog("[3] Glyphs");
+
+const glyphs = buildBeamGlyphs(model.boundaryConditions, result.nodesCoordinates.nodesXCoordinates, {
+  sizeX: 0.1,
+  sizeY: 0.1,
+});
+assert(
+  glyphs.x.length === glyphs.y.length && glyphs.x[glyphs.x.length - 1] === null,
+  "Glyph polylines are separated by null entries",
+);
+assert(
+  glyphs.labels.length === 2 &&
+    glyphs.labels[0].x === 1 &&
+    glyphs.labels[0].text === `${-P}` &&
+    glyphs.labels[0].y > 0 &&
+    glyphs.labels[1].x === 3 &&
+    glyphs.labels[1].text === `${C}`,
+  "The point force (drawn from above, as it points down) and the point moment are labelled",
+);
+const pinnedGlyphPoints = glyphs.x.filter(
+  (xCoord, index) => xCoord !== null && Math.abs(xCoord - 4) <= 0.15 && glyphs.y[index] < 0,
+);
+assert(pinnedGlyphPoints.length > 0, "Supports are drawn below the beam axis");
+
+basicLog("");
+basicLog("[4] Errors");
+
+const heatModel = new FEAScriptModel();
+heatModel.setModelConfig("heatConductionScript");
+let plotTypeError = null;
+try {
+  buildBeamDiagramData(heatModel, result);
+} catch (error) {
+  plotTypeError = error;
+}
+assert(
+  plotTypeError instanceof ConfigurationError && plotTypeError.code === "UNSUPPORTED_PLOT_TYPE",
+  "Beam plots of other models throw UNSUPPORTED_PLOT_TYPE",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
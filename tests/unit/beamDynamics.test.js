@@ -0,0 +1,294 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the Newmark and HHT-alpha dynamics of Euler-Bernoulli beams
+ *
+ * Covers:
+ *  - Free vibration of a simply supported beam released from its first mode shape, undamped and with
+ *    Rayleigh damping
+ *  - Step and harmonic (time-dependent) point forces on a cantilever with a heavy tip mass vs. the
+ *    single degree of freedom solutions
+ *  - Numerical damping of the HHT-alpha method, time histories at chosen nodes and configuration errors
+ *
+ * Run: node tests/unit/beamDynamics.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: beam dynamics");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+const L = 2;
+const EI = 3;
+const rhoA = 1.5;
+const numElements = 8;
+const midNode = numElements / 2 + 1;
+const tipNode = numElements + 1;
+const simplySupportedBCs = { 1: [["pinned"]], [tipNode]: [["pinned"]] };
+
+function solveBeam({ boundaryConditions, coefficientFunctions, ...options }) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("eulerBernoulliBeamScript", {
+    coefficientFunctions: coefficientFunctions ?? { EI: () => EI, rhoA: () => rhoA },
+    ...options,
+  });
+  model.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: numElements, maxX: L });
+  Object.entries(boundaryConditions).forEach(([nodeKey, conditions]) =>
+    model.addBoundaryCondition(nodeKey, conditions),
+  );
+  return model.solve();
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+const maxAbs = (values) => Math.max(...values.map(Math.abs));
+
+basicLog("");
+basicLog("[1] Free vibration of a simply supported beam");
+
+const [firstMode] = solveBeam({ boundaryConditions: simplySupportedBCs, modal: { numberOfModes: 1 } }).modes;
+const omega = firstMode.angularFrequency;
+const period = (2 * Math.PI) / omega;
+const initialMidspan = firstMode.deflection[midNode - 1];
+
+const freeVibration = solveBeam({
+  boundaryConditions: simplySupportedBCs,
+  dynamic: {
+    timeStep: period / 200,
+    endTime: 2 * period,
+    initialDisplacement: firstMode.modeShape,
+    historyNodes: [midNode],
+  },
+});
+const [midspanHistory] = freeVibration.timeHistory.nodes;
+const freeVibrationError =
+  maxAbs(
+    freeVibration.timeHistory.times.map(
+      (time, stepIndex) => midspanHistory.deflection[stepIndex] - initialMidspan * Math.cos(omega * time),
+    ),
+  ) / Math.abs(initialMidspan);
+assert(
+  freeVibrationError < 2e-3,
+  `Midspan deflection follows w₀·cos(ωt) over two periods (max relative error ${freeVibrationError.toExponential(
+    3,
+  )})`,
+);
+assert(
+  Math.abs(midspanHistory.velocity[50] + initialMidspan * omega) < 2e-3 * Math.abs(initialMidspan * omega),
+  "Midspan velocity reaches -w₀·ω at a quarter period",
+);
+
+// Mass-proportional damping a₀·M gives the damping ratio ζ = a₀/(2ω) and the decay exp(-ζωt)
+const dampingRatio = 0.02;
+const dampedVibration = solveBeam({
+  boundaryConditions: simplySupportedBCs,
+  dynamic: {
+    timeStep: period / 200,
+    endTime: 2 * period,
+    initialDisplacement: firstMode.modeShape,
+    rayleighDamping: { massCoefficient: 2 * dampingRatio * omega },
+    historyNodes: [midNode],
+  },
+});
+const dampedRatio = dampedVibration.timeHistory.nodes[0].deflection[400] / initialMidspan;
+const expectedDecay = Math.exp(-dampingRatio * omega * 2 * period);
+assert(
+  Math.abs(dampedRatio - expectedDecay) < 5e-3,
+  `Rayleigh damping decays the amplitude by exp(-ζωt) after two periods (${dampedRatio.toFixed(
+    4,
+  )} vs ${expectedDecay.toFixed(4)})`,
+);
+
+basicLog("");
+basicLog("[2] Single degree of freedom responses");
+
+// A tip mass much heavier than the cantilever: stiffness k = 3EI/L³ and ω = √(k/m)
+const tipMass = 10;
+const tipStiffness = (3 * EI) / L ** 3;
+const tipOmega = Math.sqrt(tipStiffness / tipMass);
+const tipPeriod = (2 * Math.PI) / tipOmega;
+const lightBeam = { EI: () => EI, rhoA: () => 1e-6 };
+const force = -2;
+
+const stepResponse = solveBeam({
+  boundaryConditions: {
+    1: [["fixed"]],
+    [tipNode]: [
+      ["mass", tipMass],
+      ["force", force],
+    ],
+  },
+  coefficientFunctions: lightBeam,
+  dynamic: { timeStep: tipPeriod / 200, endTime: tipPeriod, historyNodes: [tipNode] },
+});
+const staticTipDeflection = force / tipStiffness;
+const stepDeflection = stepResponse.timeHistory.nodes[0].deflection;
+const stepError =
+  maxAbs(
+    stepResponse.timeHistory.times.map(
+      (time, stepIndex) => stepDeflection[stepIndex] - staticTipDeflection * (1 - Math.cos(tipOmega * time)),
+    ),
+  ) / Math.abs(staticTipDeflection);
+assert(
+  stepError < 5e-3,
+  `A suddenly applied force gives w = w_static·(1 - cos ωt), peaking at twice the static deflection (max relative error ${stepError.toExponential(
+    3,
+  )})`,
+);
+
+// Harmonic force F₀·sin(Ωt): w = w_static/(1 - r²)·(sin Ωt - r·sin ωt), with r = Ω/ω
+const forcingOmega = 0.5 * tipOmega;
+const frequencyRatio = forcingOmega / tipOmega;
+const harmonicResponse = solveBeam({
+  boundaryConditions: {
+    1: [["fixed"]],
+    [tipNode]: [
+      ["mass", tipMass],
+      ["force", (t) => force * Math.sin(forcingOmega * t)],
+    ],
+  },
+  coefficientFunctions: lightBeam,
+  dynamic: { timeStep: tipPeriod / 200, endTime: 2 * tipPeriod, historyNodes: [tipNode] },
+});
+const harmonicDeflection = harmonicResponse.timeHistory.nodes[0].deflection;
+const harmonicError =
+  maxAbs(
+    harmonicResponse.timeHistory.times.map(
+      (time, stepIndex) =>
+        harmonicDeflection[stepIndex] -
+        (staticTipDeflection / (1 - frequencyRatio ** 2)) *
+          (Math.sin(forcingOmega * time) - frequencyRatio * Math.sin(tipOmega * time)),
+    ),
+  ) / Math.abs(staticTipDeflection);
+assert(
+  harmonicError < 1e-2,
+  `A time-dependent harmonic force matches the undamped forced response (max relative error ${harmonicError.toExponential(
+    3,
+  )})`,
+);
+
+basicLog("");
+basicLog("[3] HHT-alpha method");
+
+// With a coarse step (ωΔt ≈ 1.6) the average acceleration scheme keeps the amplitude, HHT-alpha damps it
+const coarseOptions = {
+  timeStep: period / 4,
+  endTime: 8 * period,
+  initialDisplacement: firstMode.modeShape,
+  historyNodes: [midNode],
+};
+const newmarkPeak = maxAbs(
+  solveBeam({
+    boundaryConditions: simplySupportedBCs,
+    dynamic: coarseOptions,
+  }).timeHistory.nodes[0].deflection.slice(-8),
+);
+const hhtPeak = maxAbs(
+  solveBeam({
+    boundaryConditions: simplySupportedBCs,
+    dynamic: { ...coarseOptions, alpha: -0.3 },
+  }).timeHistory.nodes[0].deflection.slice(-8),
+);
+assert(
+  Math.abs(newmarkPeak / Math.abs(initialMidspan) - 1) < 1e-2 && hhtPeak < 0.8 * newmarkPeak,
+  `HHT-alpha (alpha = -0.3) damps poorly resolved modes while Newmark preserves them (peaks ${hhtPeak.toExponential(
+    3,
+  )} vs ${newmarkPeak.toExponential(3)})`,
+);
+
+const fineHHT = solveBeam({
+  boundaryConditions: simplySupportedBCs,
+  dynamic: { timeStep: period / 200, endTime: period, initialDisplacement: firstMode.modeShape, alpha: -0.1 },
+});
+assert(
+  Math.abs(fineHHT.timeHistory.nodes[midNode - 1].deflection[200] / initialMidspan - 1) < 5e-3,
+  "HHT-alpha barely damps a well resolved mode after one period",
+);
+
+basicLog("");
+basicLog("[4] Results and configuration errors");
+
+assert(
+  fineHHT.timeHistory.nodes.length === tipNode &&
+    fineHHT.timeHistory.times.length === 201 &&
+    fineHHT.timeSeries.solutionVectors.length === 201 &&
+    fineHHT.fields.deflection.every(
+      (value, nodeIndex) => value === fineHHT.timeHistory.nodes[nodeIndex].deflection[200],
+    ) &&
+    fineHHT.beamResults.bendingMoment.length === tipNode &&
+    fineHHT.reactions === undefined,
+  "Time histories cover every node by default, with the final state as fields and beam results",
+);
+
+const invalidNodeError = captureError(() =>
+  solveBeam({
+    boundaryConditions: simplySupportedBCs,
+    dynamic: { timeStep: 0.1, endTime: 0.2, historyNodes: [tipNode + 1] },
+  }),
+);
+assert(
+  invalidNodeError instanceof ConfigurationError && invalidNodeError.code === "INVALID_HISTORY_NODE",
+  "A history node outside the mesh throws INVALID_HISTORY_NODE",
+);
+const invalidAlphaError = captureError(() =>
+  solveBeam({
+    boundaryConditions: simplySupportedBCs,
+    dynamic: { timeStep: 0.1, endTime: 0.2, alpha: -0.5 },
+  }),
+);
+assert(
+  invalidAlphaError instanceof ConfigurationError && invalidAlphaError.code === "INVALID_TIME_STEPPING",
+  "An HHT alpha below -1/3 throws INVALID_TIME_STEPPING",
+);
+const partialStepError = captureError(() =>
+  solveBeam({
+    boundaryConditions: simplySupportedBCs,
+    dynamic: { timeStep: 0.1, endTime: 0.25 },
+  }),
+);
+assert(
+  partialStepError instanceof ConfigurationError && partialStepError.code === "INVALID_TIME_STEPPING",
+  "An end time that is not a whole number of time steps throws INVALID_TIME_STEPPING",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,239 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the modal analysis of Euler-Bernoulli beams
+ *
+ * Covers:
+ *  - Natural frequencies of simply supported and cantilever beams vs. the closed-form solutions
+ *  - Mass normalization of the mode shapes and the deflection fields of every mode
+ *  - Point masses, and free-free beams solved with a negative shift
+ *  - Errors for unsupported beams without a shift and for a missing rhoA coefficient
+ *  - Eigenmodes of 2D heat conduction on a mesh with thousands of unknowns (sparse eigensolver)
+ *
+ * Run: node tests/unit/beamModalAnalysis.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { assembleEulerBernoulliBeamMassMat } from "../../src/models/eulerBernoulliBeam.js";
+import { prepareMesh } from "../../src/mesh/meshUtils.js";
+import { ConfigurationError, SolverError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: beam modal analysis");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+const L = 2;
+const EI = 3;
+const rhoA = 1.5;
+const numElements = 16;
+const meshConfig = { meshDimension: "1D", elementOrder: "linear", numElementsX: numElements, maxX: L };
+
+function solveModes({ boundaryConditions, modal, coefficientFunctions }) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("eulerBernoulliBeamScript", {
+    coefficientFunctions: coefficientFunctions ?? { EI: () => EI, rhoA: () => rhoA },
+    modal,
+  });
+  model.setMeshConfig(meshConfig);
+  Object.entries(boundaryConditions).forEach(([nodeKey, conditions]) =>
+    model.addBoundaryCondition(nodeKey, conditions),
+  );
+  return model.solve();
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+// ω = (βL)² / L² · √(EI / rhoA)
+const angularFrequency = (betaL) => (betaL / L) ** 2 * Math.sqrt(EI / rhoA);
+
+basicLog("");
+basicLog("[1] Simply supported beam");
+
+const simplySupportedBCs = { 1: [["pinned"]], [numElements + 1]: [["pinned"]] };
+const simplySupported = solveModes({ boundaryConditions: simplySupportedBCs, modal: { numberOfModes: 3 } });
+const simplySupportedError = Math.max(
+  ...simplySupported.modes.map(
+    (mode, modeIndex) =>
+      Math.abs(mode.angularFrequency - angularFrequency((modeIndex + 1) * Math.PI)) /
+      angularFrequency((modeIndex + 1) * Math.PI),
+  ),
+);
+assert(
+  simplySupported.modes.length === 3 && simplySupportedError < 1e-4,
+  `First three frequencies match (nπ/L)²√(EI/rhoA) (max relative error ${simplySupportedError.toExponential(
+    3,
+  )})`,
+);
+assert(
+  simplySupported.modes.every(
+    (mode) =>
+      Math.abs(mode.angularFrequency ** 2 - mode.eigenvalue) < 1e-9 * mode.eigenvalue &&
+      Math.abs(mode.frequency - mode.angularFrequency / (2 * Math.PI)) < 1e-12,
+  ),
+  "Each mode reports ω² as eigenvalue and f = ω/2π",
+);
+
+const massMatrix = assembleEulerBernoulliBeamMassMat(
+  prepareMesh(meshConfig),
+  {},
+  {
+    rhoA: () => rhoA,
+  },
+).toDense();
+const massProduct = (vectorA, vectorB) =>
+  vectorA.reduce(
+    (sum, valueA, rowIndex) =>
+      sum +
+      valueA *
+        massMatrix[rowIndex].reduce((rowSum, entry, colIndex) => rowSum + entry * vectorB[colIndex], 0),
+    0,
+  );
+const [firstShape, secondShape] = simplySupported.modes.map((mode) => mode.modeShape);
+assert(
+  Math.abs(massProduct(firstShape, firstShape) - 1) < 1e-8 &&
+    Math.abs(massProduct(firstShape, secondShape)) < 1e-8,
+  "Mode shapes are mass-normalized and mass-orthogonal",
+);
+
+const firstMode = simplySupported.modes[0];
+const midspanDeflection = firstMode.deflection[numElements / 2];
+assert(
+  firstMode.deflection.length === numElements + 1 &&
+    firstMode.rotation.length === numElements + 1 &&
+    Math.abs(firstMode.deflection[0]) < 1e-14 &&
+    Math.abs(firstMode.deflection[numElements]) < 1e-14 &&
+    firstMode.deflection.every(
+      (value, nodeIndex) =>
+        Math.abs(value - midspanDeflection * Math.sin((Math.PI * nodeIndex) / numElements)) <
+        1e-3 * Math.abs(midspanDeflection),
+    ),
+  "First mode deflection is a half sine wave vanishing at the supports",
+);
+assert(
+  simplySupported.fields.deflection.every((value, nodeIndex) => value === firstMode.deflection[nodeIndex]),
+  "Fields hold the first mode shape",
+);
+
+basicLog("");
+basicLog("[2] Cantilever and point masses");
+
+const cantilever = solveModes({ boundaryConditions: { 1: [["fixed"]] }, modal: { numberOfModes: 2 } });
+const cantileverErrors = [1.8751041, 4.6940911].map(
+  (betaL, modeIndex) =>
+    Math.abs(cantilever.modes[modeIndex].angularFrequency - angularFrequency(betaL)) /
+    angularFrequency(betaL),
+);
+assert(
+  Math.max(...cantileverErrors) < 1e-4,
+  `Cantilever frequencies match βL = 1.8751 and 4.6941 (relative errors ${cantileverErrors
+    .map((error) => error.toExponential(2))
+    .join(", ")})`,
+);
+
+// A tip mass much heavier than the beam behaves as a single degree of freedom with stiffness 3EI/L³
+const tipMass = 10;
+const tipMassModel = solveModes({
+  boundaryConditions: { 1: [["fixed"]], [numElements + 1]: [["mass", tipMass, 0]] },
+  modal: { numberOfModes: 1 },
+  coefficientFunctions: { EI: () => EI, rhoA: () => 1e-8 },
+});
+const tipMassFrequency = Math.sqrt((3 * EI) / (tipMass * L ** 3));
+assert(
+  Math.abs(tipMassModel.modes[0].angularFrequency - tipMassFrequency) / tipMassFrequency < 1e-6,
+  `Cantilever with a tip mass vibrates at √(3EI/(m L³)) (${tipMassModel.modes[0].angularFrequency})`,
+);
+
+basicLog("");
+basicLog("[3] Free-free beam");
+
+const unsupportedError = captureError(() =>
+  solveModes({ boundaryConditions: {}, modal: { numberOfModes: 3 } }),
+);
+assert(
+  unsupportedError instanceof SolverError && unsupportedError.code === "SINGULAR_MATRIX",
+  "An unsupported beam without a shift throws SINGULAR_MATRIX",
+);
+const freeFree = solveModes({ boundaryConditions: {}, modal: { numberOfModes: 3, shift: -1 } });
+const freeFreeFrequency = angularFrequency(4.7300408);
+assert(
+  Math.abs(freeFree.modes[0].eigenvalue) < 1e-8 &&
+    Math.abs(freeFree.modes[1].eigenvalue) < 1e-8 &&
+    Math.abs(freeFree.modes[2].angularFrequency - freeFreeFrequency) / freeFreeFrequency < 1e-4,
+  `A negative shift returns the two rigid body modes and the first flexible mode (βL = 4.7300)`,
+);
+
+basicLog("");
+basicLog("[4] Configuration errors");
+
+const missingRhoAError = captureError(() =>
+  solveModes({ boundaryConditions: simplySupportedBCs, modal: {}, coefficientFunctions: { EI: () => EI } }),
+);
+assert(
+  missingRhoAError instanceof ConfigurationError && missingRhoAError.code === "MISSING_CONFIGURATION",
+  "A modal analysis without rhoA throws MISSING_CONFIGURATION",
+);
+
+basicLog("");
+basicLog("[5] Heat conduction eigenmodes");
+
+// −∇²u = λu on the unit square with u = 0 on the boundary: λ = π²(m² + n²), for 1681 unknowns
+const heatModel = new FEAScriptModel();
+heatModel.setModelConfig("heatConductionScript", { modal: { numberOfModes: 3 } });
+heatModel.setMeshConfig({
+  meshDimension: "2D",
+  elementOrder: "quadratic",
+  numElementsX: 20,
+  numElementsY: 20,
+  maxX: 1,
+  maxY: 1,
+});
+["0", "1", "2", "3"].forEach((boundaryKey) =>
+  heatModel.addBoundaryCondition(boundaryKey, ["constantTemp", 0]),
+);
+const heatModes = heatModel.solve().modes;
+assert(
+  [2, 5, 5].every(
+    (factor, modeIndex) => Math.abs(heatModes[modeIndex].eigenvalue / (factor * Math.PI ** 2) - 1) < 1e-4,
+  ),
+  "The first eigenvalues of the Laplacian on the unit square are 2π², 5π² and 5π²",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,214 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the post-processing of Euler-Bernoulli beam results
+ *
+ * Covers:
+ *  - Bending moment and shear force of a cantilever under a tip load vs. the closed-form solution
+ *  - Bending moment of a simply supported beam under a uniform load, evaluated between the nodes
+ *  - Support reactions of both beams, and of a spring support
+ *  - Deflection and rotation fields returned by solve, and errors for sample points outside the beam
+ *
+ * Run: node tests/unit/beamPostProcessing.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { evaluateEulerBernoulliBeamResults } from "../../src/models/eulerBernoulliBeam.js";
+import { prepareMesh } from "../../src/mesh/meshUtils.js";
+import { ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: beam post-processing");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function maxRelativeError(values, exactValues, scale) {
+  return Math.max(...values.map((value, index) => Math.abs(value - exactValues[index]) / scale));
+}
+
+function solveBeam({ numElements, length, EI, q, boundaryConditions, samplePoints }) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("eulerBernoulliBeamScript", {
+    coefficientFunctions: { EI: () => EI, q: () => q },
+    samplePoints,
+  });
+  model.setMeshConfig({
+    meshDimension: "1D",
+    elementOrder: "linear",
+    numElementsX: numElements,
+    maxX: length,
+  });
+  Object.entries(boundaryConditions).forEach(([nodeKey, conditions]) =>
+    model.addBoundaryCondition(nodeKey, conditions),
+  );
+  return model.solve();
+}
+
+basicLog("");
+basicLog("[1] Cantilever under a tip load");
+
+// Clamped at x = 0 with a downward force P at x = L: w'' = -P(L - x)/EI, hence M = -EI w'' = P(L - x),
+// V = dM/dx = -P, and the support reacts with an upward force P and a moment P·L
+const P = 1000;
+const L = 4;
+const cantileverSamplePoints = [0, 0.3, 1, 1.7, 2.5, 3.9, 4];
+const cantilever = solveBeam({
+  numElements: 4,
+  length: L,
+  EI: 5e6,
+  q: 0,
+  boundaryConditions: { 1: [["fixed"]], 5: [["force", -P]] },
+  samplePoints: cantileverSamplePoints,
+});
+const cantileverMomentError = maxRelativeError(
+  cantilever.beamResults.bendingMoment,
+  cantileverSamplePoints.map((x) => P * (L - x)),
+  P * L,
+);
+assert(
+  cantileverMomentError < 1e-9,
+  `Bending moment matches P(L - x) (max relative error ${cantileverMomentError.toExponential(3)})`,
+);
+const cantileverShearError = maxRelativeError(
+  cantilever.beamResults.shearForce,
+  cantileverSamplePoints.map(() => -P),
+  P,
+);
+assert(
+  cantileverShearError < 1e-9,
+  `Shear force is -P along the beam (max relative error ${cantileverShearError.toExponential(3)})`,
+);
+const [clampedReaction] = cantilever.reactions;
+assert(
+  cantilever.reactions.length === 1 &&
+    clampedReaction.node === 1 &&
+    Math.abs(clampedReaction.force - P) < 1e-6 &&
+    Math.abs(clampedReaction.moment - P * L) < 1e-6,
+  `Clamped support reacts with force P and moment P·L (${clampedReaction.force}, ${clampedReaction.moment})`,
+);
+const tipIndex = cantileverSamplePoints.indexOf(L);
+assert(
+  Math.abs(cantilever.beamResults.deflection[tipIndex] - (-P * L ** 3) / (3 * 5e6)) < 1e-12 &&
+    Math.abs(cantilever.beamResults.rotation[tipIndex] - (-P * L ** 2) / (2 * 5e6)) < 1e-12,
+  "Deflection and rotation at the tip match the closed-form solution",
+);
+
+basicLog("");
+basicLog("[2] Simply supported beam under a uniform load");
+
+// Pinned at both ends under q: M(x) = q·x(L - x)/2 and the supports each react with -q·L/2. The cubic
+// deflection of each element gives a linear moment, within q·h²/8 of the parabola
+const q = -2000;
+const span = 6;
+const midspanSamplePoints = [0.75, 1.5, 2.2, 3, 4.1, 5.25];
+const simplySupported = solveBeam({
+  numElements: 12,
+  length: span,
+  EI: 1e7,
+  q,
+  boundaryConditions: { 1: [["pinned"]], 13: [["pinned"]] },
+  samplePoints: midspanSamplePoints,
+});
+const simplySupportedMomentError = maxRelativeError(
+  simplySupported.beamResults.bendingMoment,
+  midspanSamplePoints.map((x) => (q * x * (span - x)) / 2),
+  (-q * span ** 2) / 8,
+);
+assert(
+  simplySupportedMomentError < 0.01,
+  `Bending moment matches q·x(L - x)/2 between the nodes (max relative error ${simplySupportedMomentError.toExponential(
+    3,
+  )})`,
+);
+assert(
+  simplySupported.reactions.length === 2 &&
+    simplySupported.reactions.every(
+      ({ force, moment }) => Math.abs(force + (q * span) / 2) < 1e-6 && moment === 0,
+    ),
+  "Each pinned support reacts with -q·L/2 and no moment",
+);
+assert(
+  simplySupported.fields.deflection.length === 13 &&
+    simplySupported.fields.rotation.length === 13 &&
+    Math.abs(simplySupported.fields.deflection[6] - (5 * q * span ** 4) / (384 * 1e7)) < 1e-12,
+  "Deflection and rotation fields hold one value per node, with the closed-form midspan deflection",
+);
+
+basicLog("");
+basicLog("[3] Spring support");
+
+// Cantilever propped by a spring at its tip: the clamped and spring reactions balance the tip load
+const propped = solveBeam({
+  numElements: 2,
+  length: L,
+  EI: 5e6,
+  q: 0,
+  boundaryConditions: {
+    1: [["fixed"]],
+    3: [
+      ["spring", 1e5],
+      ["force", -P],
+    ],
+  },
+});
+const [proppedClamp, proppedSpring] = propped.reactions;
+const tipDeflection = propped.fields.deflection[2];
+assert(
+  Math.abs(proppedSpring.force + 1e5 * tipDeflection) < 1e-9 &&
+    Math.abs(proppedClamp.force + proppedSpring.force - P) < 1e-6 &&
+    Math.abs(proppedClamp.moment + proppedSpring.force * L - P * L) < 1e-6,
+  "Spring reaction is -k·w, and the reactions are in equilibrium with the load",
+);
+
+basicLog("");
+basicLog("[4] Sample points outside the beam");
+
+let samplePointError = null;
+try {
+  evaluateEulerBernoulliBeamResults(
+    new Array(10).fill(0),
+    prepareMesh({ meshDimension: "1D", elementOrder: "linear", numElementsX: 4, maxX: 1 }),
+    { EI: () => 1 },
+    [0.5, 1.2],
+  );
+} catch (error) {
+  samplePointError = error;
+}
+assert(
+  samplePointError instanceof ConfigurationError &&
+    samplePointError.code === "INVALID_SAMPLE_POINT" &&
+    samplePointError.details.samplePoint === 1.2,
+  "A sample point outside the beam throws INVALID_SAMPLE_POINT",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,158 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for conjugateGradientSolver and the "cg"/"pcg" solver methods
+ *
+ * Covers:
+ *  - Plain CG on a small symmetric positive definite system (exact in n iterations)
+ *  - Residual history contract (starts at the initial residual and ends below the tolerance)
+ *  - "cg" and "pcg" (Jacobi and incomplete Cholesky) on the 2D fin heat conduction model,
+ *    compared against "lusolve" and against each other in iteration count
+ *
+ * Run: node tests/unit/conjugateGradient.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { conjugateGradientSolver } from "../../src/methods/conjugateGradientSolver.js";
+import { solveLinearSystem } from "../../src/methods/linearSystemSolver.js";
+import { assembleHeatConductionMat } from "../../src/models/heatConduction.js";
+import { prepareMesh } from "../../src/mesh/meshUtils.js";
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: conjugateGradientSolver");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+basicLog("");
+basicLog("[1] Small SPD system");
+
+//   4x -  y      = 3       exact solution: x = 1, y = 1, z = 1
+//   -x + 4y -  z = 2
+//       -  y + 4z = 3
+const A = [
+  [4, -1, 0],
+  [-1, 4, -1],
+  [0, -1, 4],
+];
+const b = [3, 2, 3];
+const result = conjugateGradientSolver(A, b, [0, 0, 0], { maxIterations: 50, tolerance: 1e-12 });
+
+assert(result.converged === true, "Method converges");
+assert(result.iterations <= 3, `Converges in at most n = 3 iterations (got ${result.iterations})`);
+assert(
+  result.solutionVector.every((value) => Math.abs(value - 1) < 1e-10),
+  `Solution is (1, 1, 1) (got ${Array.from(result.solutionVector)})`,
+);
+assert(
+  result.residualHistory.length === result.iterations + 1,
+  "Residual history holds the initial residual plus one entry per iteration",
+);
+assert(result.residualHistory.at(-1) < 1e-12, "Last residual is below the tolerance");
+
+basicLog("");
+basicLog("[2] 2D fin heat conduction system (identity rows, negative definite convention)");
+
+const meshData = prepareMesh({
+  meshDimension: "2D",
+  elementOrder: "quadratic",
+  numElementsX: 8,
+  numElementsY: 4,
+  maxX: 4,
+  maxY: 2,
+});
+const boundaryConditions = {
+  0: ["constantTemperature", 200],
+  1: ["symmetry"],
+  2: ["convection", 1, 20],
+  3: ["constantTemperature", 200],
+};
+const { jacobianMatrix, residualVector } = assembleHeatConductionMat(meshData, boundaryConditions);
+
+const reference = solveLinearSystem("lusolve", jacobianMatrix, residualVector).solutionVector;
+
+function maxDeviation(solutionVector) {
+  let deviation = 0;
+  for (let i = 0; i < reference.length; i++) {
+    deviation = Math.max(deviation, Math.abs(solutionVector[i] - reference[i]));
+  }
+  return deviation;
+}
+
+const iterationCounts = {};
+for (const [solverMethod, preconditioner] of [
+  ["cg", undefined],
+  ["pcg", "jacobi"],
+  ["pcg", "incompleteCholesky"],
+]) {
+  const label = preconditioner ? `${solverMethod} (${preconditioner})` : solverMethod;
+  const linearSystemResult = solveLinearSystem(solverMethod, jacobianMatrix, residualVector, {
+    maxIterations: 1000,
+    tolerance: 1e-10,
+    preconditioner,
+  });
+  iterationCounts[label] = linearSystemResult.iterations;
+  assert(linearSystemResult.converged, `${label} converges (${linearSystemResult.iterations} iterations)`);
+  const deviation = maxDeviation(linearSystemResult.solutionVector);
+  assert(deviation < 1e-6, `${label} matches lusolve (max deviation ${deviation.toExponential(3)})`);
+  assert(
+    linearSystemResult.residualHistory.length === linearSystemResult.iterations + 1,
+    `${label} returns a residual history`,
+  );
+}
+assert(
+  iterationCounts["pcg (incompleteCholesky)"] < iterationCounts["cg"],
+  "Incomplete Cholesky preconditioning reduces the iteration count",
+);
+
+basicLog("");
+basicLog("[3] Selecting pcg through setSolverMethod");
+
+const model = new FEAScriptModel();
+model.setModelConfig("heatConductionScript", { tolerance: 1e-10 });
+model.setMeshConfig({
+  meshDimension: "2D",
+  elementOrder: "quadratic",
+  numElementsX: 8,
+  numElementsY: 4,
+  maxX: 4,
+  maxY: 2,
+});
+Object.entries(boundaryConditions).forEach(([boundaryKey, condition]) =>
+  model.addBoundaryCondition(boundaryKey, condition),
+);
+model.setSolverMethod("pcg", { preconditioner: "incompleteCholesky" });
+const { solutionVector } = model.solve();
+const modelDeviation = maxDeviation(solutionVector);
+assert(modelDeviation < 1e-6, `Model solve with pcg matches lusolve (max deviation ${modelDeviation})`);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
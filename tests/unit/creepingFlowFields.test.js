@@ -0,0 +1,188 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the named fields of creeping flow results
+ *
+ * Covers:
+ *  - u, v, velocity magnitude and pressure fields returned by solve for the lid-driven cavity
+ *  - Interpolation of the Q1 (P1) pressure to the mid-side and center nodes of Q2 (P2) elements
+ *  - Selection of a result field for plotting
+ *
+ * Run: node tests/unit/creepingFlowFields.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { prepareMesh } from "../../src/mesh/meshUtils.js";
+import { assembleCreepingFlowMatrix, extractCreepingFlowFields } from "../../src/models/creepingFlow.js";
+import { selectResultField } from "../../src/visualization/resultFields.js";
+import { ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: creeping flow fields");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+const meshConfig = {
+  meshDimension: "2D",
+  elementOrder: "quadratic",
+  numElementsX: 4,
+  numElementsY: 4,
+  maxX: 1,
+  maxY: 1,
+};
+
+basicLog("");
+basicLog("[1] Fields returned by solve");
+
+const model = new FEAScriptModel();
+model.setModelConfig("creepingFlowScript");
+model.setMeshConfig(meshConfig);
+model.addBoundaryCondition("bottom", ["constantVelocity", 0, 0]);
+model.addBoundaryCondition("left", ["constantVelocity", 0, 0]);
+model.addBoundaryCondition("top", ["constantVelocity", 1, 0]);
+model.addBoundaryCondition("right", ["constantVelocity", 0, 0]);
+const result = model.solve();
+const { solutionVector, fields } = result;
+const { nodesXCoordinates, nodesYCoordinates } = result.nodesCoordinates;
+const { totalNodesVelocity, pressureNodeIndices } = model._creepingFlowMetadata;
+const totalNodes = nodesXCoordinates.length;
+
+assert(
+  ["u", "v", "velocityMagnitude", "pressure"].every((field) => fields[field].length === totalNodes),
+  `u, v, velocityMagnitude and pressure hold one value per node (${totalNodes})`,
+);
+assert(
+  fields.u.every((value, nodeIndex) => value === solutionVector[nodeIndex]) &&
+    fields.v.every((value, nodeIndex) => value === solutionVector[totalNodesVelocity + nodeIndex]),
+  "u and v are the velocity blocks of the solution vector",
+);
+const lidNodes = nodesYCoordinates
+  .map((y, nodeIndex) =>
+    y === 1 && nodesXCoordinates[nodeIndex] > 0 && nodesXCoordinates[nodeIndex] < 1 ? nodeIndex : -1,
+  )
+  .filter((nodeIndex) => nodeIndex >= 0);
+assert(
+  lidNodes.every(
+    (nodeIndex) =>
+      Math.abs(fields.u[nodeIndex] - 1) < 1e-12 && Math.abs(fields.velocityMagnitude[nodeIndex] - 1) < 1e-12,
+  ),
+  "The lid nodes move with u = 1 and unit velocity magnitude",
+);
+assert(
+  fields.velocityMagnitude.every(
+    (value, nodeIndex) => Math.abs(value - Math.hypot(fields.u[nodeIndex], fields.v[nodeIndex])) < 1e-15,
+  ),
+  "velocityMagnitude is the magnitude of (u, v)",
+);
+assert(
+  pressureNodeIndices.every(
+    (nodeIndex, pressureIndex) =>
+      fields.pressure[nodeIndex] === solutionVector[2 * totalNodesVelocity + pressureIndex],
+  ),
+  "Pressure at the corner nodes is the pressure block of the solution vector",
+);
+assert(
+  fields.pressure.every((value) => Number.isFinite(value)),
+  "Pressure is defined at every node",
+);
+
+basicLog("");
+basicLog("[2] Pressure interpolation");
+
+// A linear pressure field is reproduced exactly by the Q1 (P1) interpolation
+const linearPressure = (x, y) => 2 + 3 * x - y;
+
+const meshData = prepareMesh(meshConfig);
+const dofLayout = assembleCreepingFlowMatrix(meshData, {});
+const packedSolution = [
+  ...new Array(2 * dofLayout.totalNodesVelocity).fill(0),
+  ...dofLayout.pressureNodeIndices.map((nodeIndex) =>
+    linearPressure(meshData.nodesXCoordinates[nodeIndex], meshData.nodesYCoordinates[nodeIndex]),
+  ),
+];
+const { pressure } = extractCreepingFlowFields(packedSolution, meshData, dofLayout);
+const quadrilateralError = Math.max(
+  ...pressure.map((value, nodeIndex) =>
+    Math.abs(
+      value - linearPressure(meshData.nodesXCoordinates[nodeIndex], meshData.nodesYCoordinates[nodeIndex]),
+    ),
+  ),
+);
+assert(
+  quadrilateralError < 1e-12,
+  `Linear pressure is interpolated exactly on Q2 elements (max error ${quadrilateralError})`,
+);
+
+// A single P2 triangle with vertices (0, 0), (1, 0) and (0, 1)
+const triangleCoordinates = [
+  [0, 0],
+  [1, 0],
+  [0, 1],
+  [0.5, 0],
+  [0.5, 0.5],
+  [0, 0.5],
+];
+const { pressure: trianglePressure } = extractCreepingFlowFields(
+  [...new Array(12).fill(0), ...triangleCoordinates.slice(0, 3).map(([x, y]) => linearPressure(x, y))],
+  { nop: [[1, 2, 3, 4, 5, 6]], totalElements: 1, elementType: "triangle" },
+  { totalNodesVelocity: 6, pressureNodeIndices: [0, 1, 2] },
+);
+assert(
+  trianglePressure.every(
+    (value, nodeIndex) => Math.abs(value - linearPressure(...triangleCoordinates[nodeIndex])) < 1e-12,
+  ),
+  "Linear pressure is interpolated exactly on P2 triangles",
+);
+
+basicLog("");
+basicLog("[3] Field selection for plotting");
+
+assert(
+  selectResultField(result, "pressure").solutionVector === fields.pressure,
+  "A named field replaces the solution vector",
+);
+assert(selectResultField(result).solutionVector === solutionVector, "The solution vector is used by default");
+let unknownFieldError = null;
+try {
+  selectResultField(result, "temperature");
+} catch (error) {
+  unknownFieldError = error;
+}
+assert(
+  unknownFieldError instanceof ConfigurationError &&
+    unknownFieldError.code === "UNKNOWN_FIELD" &&
+    unknownFieldError.details.availableFields.includes("velocityMagnitude"),
+  "An unknown field throws UNKNOWN_FIELD listing the available fields",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
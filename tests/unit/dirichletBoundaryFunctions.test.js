@@ -0,0 +1,150 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for Dirichlet boundary values given as functions of the node coordinates
+ *
+ * Covers:
+ *  - "constantTemperature" profiles for heat conduction with lusolve and the frontal solver (1D and 2D)
+ *  - "constantValue" profiles for the linear and the Newton-Raphson general form PDE
+ *  - Mixing constant and function-valued boundaries
+ *
+ * Run: node tests/unit/dirichletBoundaryFunctions.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: function-valued Dirichlet conditions");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function maxNodalError({ solutionVector, nodesCoordinates }, exactSolution) {
+  const { nodesXCoordinates, nodesYCoordinates } = nodesCoordinates;
+  let error = 0;
+  for (let i = 0; i < solutionVector.length; i++) {
+    error = Math.max(
+      error,
+      Math.abs(solutionVector[i] - exactSolution(nodesXCoordinates[i], nodesYCoordinates?.[i])),
+    );
+  }
+  return error;
+}
+
+basicLog("");
+basicLog("[1] Heat conduction with a prescribed temperature profile");
+
+// T = 100 + 20·x² - 20·y² is harmonic, so quadratic elements reproduce it exactly
+const harmonicTemperature = (x, y) => 100 + 20 * x ** 2 - 20 * y ** 2;
+for (const solverMethod of ["lusolve", "frontal"]) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("heatConductionScript");
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    numElementsX: 4,
+    numElementsY: 3,
+    maxX: 2,
+    maxY: 1,
+  });
+  for (const boundaryKey of ["0", "1", "2", "3"]) {
+    model.addBoundaryCondition(boundaryKey, ["constantTemperature", harmonicTemperature]);
+  }
+  model.setSolverMethod(solverMethod);
+  const error = maxNodalError(model.solve(), harmonicTemperature);
+  assert(error < 1e-8, `${solverMethod} reproduces the harmonic temperature field (max error ${error})`);
+}
+
+// 1D wall with T(0) = 50 given as a function and T(1) = 150 as a constant
+for (const solverMethod of ["lusolve", "frontal"]) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("heatConductionScript");
+  model.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: 5, maxX: 1 });
+  model.addBoundaryCondition("0", ["constantTemperature", (x) => 50 + x]);
+  model.addBoundaryCondition("1", ["constantTemperature", 150]);
+  model.setSolverMethod(solverMethod);
+  const error = maxNodalError(model.solve(), (x) => 50 + 100 * x);
+  assert(error < 1e-8, `1D ${solverMethod} mixes function and constant temperatures (max error ${error})`);
+}
+
+basicLog("");
+basicLog("[2] General form PDE with a prescribed boundary profile");
+
+// Δu = 0 with u = x·y + x on the boundary
+const harmonicValue = (x, y) => x * y + x;
+const laplaceModel = new FEAScriptModel();
+laplaceModel.setModelConfig("generalFormPDEScript", {
+  coefficientFunctions: {
+    A: (x, y) => 1,
+    B: (x, y) => [0, 0],
+    C: (x, y) => 0,
+    D: (x, y) => 0,
+  },
+});
+laplaceModel.setMeshConfig({
+  meshDimension: "2D",
+  elementOrder: "linear",
+  numElementsX: 5,
+  numElementsY: 5,
+  maxX: 1,
+  maxY: 1,
+});
+for (const boundaryKey of ["0", "1", "2", "3"]) {
+  laplaceModel.addBoundaryCondition(boundaryKey, ["constantValue", harmonicValue]);
+}
+const laplaceError = maxNodalError(laplaceModel.solve(), harmonicValue);
+assert(laplaceError < 1e-8, `Linear solve reproduces u = x·y + x (max error ${laplaceError})`);
+
+// Δu = u² - u_exact² with u_exact = 1 + x² on [0, 1]
+const nonlinearExact = (x) => 1 + x ** 2;
+const nonlinearModel = new FEAScriptModel();
+nonlinearModel.setModelConfig("generalFormPDEScript", {
+  nonlinear: true,
+  coefficientFunctions: {
+    A: (x) => 1,
+    B: (x) => 0,
+    C: (x) => 0,
+    D: (x, u) => u ** 2 - nonlinearExact(x) ** 2 + 2,
+    dDdu: (x, u) => 2 * u,
+  },
+});
+nonlinearModel.setMeshConfig({ meshDimension: "1D", elementOrder: "quadratic", numElementsX: 10, maxX: 1 });
+nonlinearModel.addBoundaryCondition("0", ["constantValue", nonlinearExact]);
+nonlinearModel.addBoundaryCondition("1", ["constantValue", nonlinearExact]);
+const nonlinearResult = nonlinearModel.solve({ maxIterations: 20, tolerance: 1e-10 });
+const nonlinearError = maxNodalError(nonlinearResult, nonlinearExact);
+assert(
+  nonlinearError < 1e-6,
+  `Newton-Raphson solve holds the prescribed boundary values (max error ${nonlinearError.toExponential(3)})`,
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,300 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the FEAScriptError hierarchy
+ *
+ * Covers:
+ *  - Class hierarchy, names, default and custom error codes
+ *  - Errors thrown by FEAScriptModel.solve for missing settings, unknown models and solver methods,
+ *    invalid mesh dimensions and missing mesh parameters
+ *  - SolverError for a singular system matrix, with the solver timers closed after a failed solve
+ *  - ConvergenceError for a non-converging linear solver and for Newton-Raphson iterations that diverge or
+ *    do not converge, including those of the front propagation continuation
+ *
+ * Run: node tests/unit/errors.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import {
+  FEAScriptError,
+  ConfigurationError,
+  MeshError,
+  BoundaryConditionError,
+  SolverError,
+  ConvergenceError,
+} from "../../src/utilities/errors.js";
+import { solveLinearSystem } from "../../src/methods/linearSystemSolver.js";
+import { newtonRaphson } from "../../src/methods/newtonRaphson.js";
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { registerModel } from "../../src/models/modelRegistry.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: FEAScript errors");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+function heatConductionModel(meshConfig) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("heatConductionScript");
+  model.setMeshConfig(meshConfig);
+  model.addBoundaryCondition("0", ["constantTemperature", 0]);
+  model.addBoundaryCondition("1", ["constantTemperature", 1]);
+  return model;
+}
+
+basicLog("");
+basicLog("[1] Error classes");
+
+for (const [ErrorClass, defaultCode] of [
+  [ConfigurationError, "CONFIGURATION_ERROR"],
+  [MeshError, "MESH_ERROR"],
+  [BoundaryConditionError, "BOUNDARY_CONDITION_ERROR"],
+  [SolverError, "SOLVER_ERROR"],
+  [ConvergenceError, "CONVERGENCE_ERROR"],
+]) {
+  const error = new ErrorClass("message");
+  assert(
+    error instanceof FEAScriptError && error instanceof Error,
+    `${ErrorClass.name} extends FEAScriptError and Error`,
+  );
+  assert(
+    error.name === ErrorClass.name && error.code === defaultCode && error.message === "message",
+    `${ErrorClass.name} has name ${ErrorClass.name} and default code ${defaultCode}`,
+  );
+}
+assert(new ConvergenceError("message") instanceof SolverError, "ConvergenceError extends SolverError");
+
+const cause = new Error("underlying");
+const customError = new MeshError("message", { code: "CUSTOM", details: { value: 1 }, cause });
+assert(
+  customError.code === "CUSTOM" && customError.details.value === 1 && customError.cause === cause,
+  "Code, details and cause can be set",
+);
+
+basicLog("");
+basicLog("[2] Errors thrown by FEAScriptModel.solve");
+
+const missingConfigurationError = captureError(() => new FEAScriptModel().solve());
+assert(
+  missingConfigurationError instanceof ConfigurationError &&
+    missingConfigurationError.code === "MISSING_CONFIGURATION",
+  "Solving without a model throws MISSING_CONFIGURATION",
+);
+
+const unknownModel = heatConductionModel({ meshDimension: "1D", numElementsX: 4, maxX: 1 });
+unknownModel.setModelConfig("unknownScript");
+const unknownModelError = captureError(() => unknownModel.solve());
+assert(
+  unknownModelError instanceof ConfigurationError && unknownModelError.code === "UNKNOWN_MODEL",
+  "An unknown model throws UNKNOWN_MODEL",
+);
+
+const meshDimensionError = captureError(() =>
+  heatConductionModel({ meshDimension: "3D", numElementsX: 4, maxX: 1 }).solve(),
+);
+assert(
+  meshDimensionError instanceof MeshError &&
+    meshDimensionError.code === "INVALID_MESH_DIMENSION" &&
+    meshDimensionError.details.meshDimension === "3D",
+  "An unsupported mesh dimension throws INVALID_MESH_DIMENSION",
+);
+
+const meshParametersError = captureError(() => heatConductionModel({ meshDimension: "1D" }).solve());
+assert(
+  meshParametersError instanceof MeshError && meshParametersError.code === "MISSING_MESH_PARAMETERS",
+  "A generated mesh without numElementsX and maxX throws MISSING_MESH_PARAMETERS",
+);
+
+const unknownSolverModel = heatConductionModel({ meshDimension: "1D", numElementsX: 4, maxX: 1 });
+unknownSolverModel.setSolverMethod("cholesky");
+const unknownSolverError = captureError(() => unknownSolverModel.solve());
+assert(
+  unknownSolverError instanceof ConfigurationError &&
+    unknownSolverError.code === "UNKNOWN_SOLVER_METHOD" &&
+    unknownSolverError.details.solverMethod === "cholesky",
+  "An unknown solver method throws UNKNOWN_SOLVER_METHOD",
+);
+
+// Names inherited from Object.prototype are not solver methods either
+const prototypeSolverErrors = ["constructor", "toString"].map((solverMethod) =>
+  captureError(() => solveLinearSystem(solverMethod, [[1]], [1])),
+);
+assert(
+  prototypeSolverErrors.every(
+    (error) => error instanceof ConfigurationError && error.code === "UNKNOWN_SOLVER_METHOD",
+  ),
+  "Object.prototype keys as solver methods throw UNKNOWN_SOLVER_METHOD",
+);
+
+basicLog("");
+basicLog("[3] Solver errors");
+
+// Record the console timers still running, which a failed solve must not leave behind
+const runningTimers = new Set();
+const { time: consoleTime, timeEnd: consoleTimeEnd } = console;
+console.time = (label) => {
+  runningTimers.add(label);
+  consoleTime(label);
+};
+console.timeEnd = (label) => {
+  runningTimers.delete(label);
+  consoleTimeEnd(label);
+};
+
+// Only flux (symmetry) boundaries: the temperature is determined up to a constant
+const singularModel = new FEAScriptModel();
+singularModel.setModelConfig("heatConductionScript");
+singularModel.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: 4, maxX: 1 });
+singularModel.addBoundaryCondition("0", ["symmetry"]);
+singularModel.addBoundaryCondition("1", ["symmetry"]);
+singularModel.setSolverMethod("lusolve");
+const singularMatrixError = captureError(() => singularModel.solve());
+assert(
+  singularMatrixError instanceof SolverError &&
+    singularMatrixError.code === "SINGULAR_MATRIX" &&
+    singularMatrixError.cause instanceof Error,
+  "A singular system solved with lusolve throws SINGULAR_MATRIX with the math.js error as cause",
+);
+assert(runningTimers.size === 0, "The solving timers are stopped when the solve fails");
+
+basicLog("");
+basicLog("[4] Convergence errors");
+
+const linearSolverError = captureError(() =>
+  solveLinearSystem(
+    "jacobi",
+    [
+      [4, 1],
+      [1, 3],
+    ],
+    [1, 2],
+    { maxIterations: 2, tolerance: 1e-14 },
+  ),
+);
+assert(
+  linearSolverError instanceof ConvergenceError &&
+    linearSolverError.code === "LINEAR_SOLVER_NOT_CONVERGED" &&
+    linearSolverError.details.iterations === 2,
+  "A non-converging Jacobi solve throws LINEAR_SOLVER_NOT_CONVERGED with the iteration count",
+);
+
+const identityMatrix = [
+  [1, 0],
+  [0, 1],
+];
+const newtonContext = { meshData: { nodesXCoordinates: [0, 1] }, solverMethod: "lusolve" };
+
+// A first update far larger than 1e2 is not a divergence: the linear system u = 1e3 converges
+const largeStepResult = newtonRaphson(
+  (meshData, boundaryConditions, solutionVector) => ({
+    jacobianMatrix: identityMatrix,
+    residualVector: [1e3 - solutionVector[0], 0],
+  }),
+  newtonContext,
+);
+assert(
+  largeStepResult.converged && Math.abs(largeStepResult.solutionVector[0] - 1e3) < 1e-9,
+  "Newton-Raphson accepts a large first update from a zero initial guess",
+);
+
+// Each Newton update is 1000 times larger than the previous one
+let divergingIteration = 0;
+const newtonError = captureError(() =>
+  newtonRaphson(
+    () => ({ jacobianMatrix: identityMatrix, residualVector: [1e3 ** ++divergingIteration, 0] }),
+    newtonContext,
+  ),
+);
+assert(
+  newtonError instanceof ConvergenceError &&
+    newtonError.code === "NEWTON_DIVERGED" &&
+    newtonError.details.errorNorm === 1e6 &&
+    newtonError.details.previousErrorNorm === 1e3,
+  "A diverging Newton-Raphson iteration throws NEWTON_DIVERGED with the error norms",
+);
+
+// u³ + u = 10 needs more than two Newton iterations from u = 0
+registerModel("cubicErrorScript", {
+  nonlinear: true,
+  prepareBoundaryConditions: () => ({}),
+  assembleMat: ({ solutionVector }) => ({
+    jacobianMatrix: Array.from(solutionVector, (u, i) =>
+      Array.from(solutionVector, (_, j) => (i === j ? 3 * u ** 2 + 1 : 0)),
+    ),
+    residualVector: Array.from(solutionVector, (u) => 10 - u ** 3 - u),
+  }),
+});
+const cubicModel = new FEAScriptModel();
+cubicModel.setModelConfig("cubicErrorScript");
+cubicModel.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: 2, maxX: 1 });
+const notConvergedError = captureError(() => cubicModel.solve({ maxIterations: 2 }));
+assert(
+  notConvergedError instanceof ConvergenceError &&
+    notConvergedError.code === "NEWTON_NOT_CONVERGED" &&
+    notConvergedError.details.iterations === 2,
+  "Newton-Raphson iterations that reach maxIterations throw NEWTON_NOT_CONVERGED",
+);
+
+// The eikonal continuation checks the Newton-Raphson iterations of every step
+const frontModel = new FEAScriptModel();
+frontModel.setModelConfig("frontPropagationScript");
+frontModel.setMeshConfig({
+  meshDimension: "2D",
+  elementOrder: "quadratic",
+  numElementsX: 4,
+  numElementsY: 2,
+  maxX: 4,
+  maxY: 2,
+});
+frontModel.addBoundaryCondition("0", ["constantValue", 0]);
+frontModel.addBoundaryCondition("1", ["constantValue", 0]);
+frontModel.addBoundaryCondition("2", ["zeroGradient"]);
+frontModel.addBoundaryCondition("3", ["constantValue", 0]);
+frontModel.setSolverMethod("lusolve");
+const frontNotConvergedError = captureError(() => frontModel.solve({ maxIterations: 2 }));
+assert(
+  frontNotConvergedError instanceof ConvergenceError &&
+    frontNotConvergedError.code === "NEWTON_NOT_CONVERGED" &&
+    frontNotConvergedError.details.eikonalActivationFlag > 0,
+  "A front propagation continuation step that does not converge throws NEWTON_NOT_CONVERGED",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -88,7 +88,7 @@ for (const [EI, L] of [
     {},
     { EI: () => EI }
   );
-  const diff = maxAbsDiff(jacobianMatrix, closedFormBeamStiffness(EI, L));
+  const diff = maxAbsDiff(jacobianMatrix.toDense(), closedFormBeamStiffness(EI, L));
   assert(
     diff < 1e-6,
     `Element stiffness matches closed-form matrix for EI=${EI}, L=${L} (diff=${diff})`
@@ -0,0 +1,238 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the boundary conditions of the creeping flow and Navier-Stokes models
+ *
+ * Covers:
+ *  - Parabolic inflow profile with a stress-free or pressure outlet (exact Poiseuille flow)
+ *  - Pressure-driven channel flow between a pressure inlet and outlet
+ *  - Half channel with a slip (symmetry) condition on the centerline
+ *  - Reference pressure of flows enclosed by velocity conditions
+ *  - Invalid slip boundaries and reference pressure nodes
+ *
+ * Run: node tests/unit/flowBoundaryConditions.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { FlowBoundaryConditions } from "../../src/models/flowBoundaryConditions.js";
+import { SparseMatrix } from "../../src/methods/sparseMatrix.js";
+import { BoundaryConditionError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: flow boundary conditions");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+// Channel of length 2 and height maxY; boundaries 0 (bottom), 1 (inlet), 2 (top) and 3 (outlet)
+function solveChannel({ modelConfig = "creepingFlowScript", maxY = 1, boundaryConditions, ...options }) {
+  const model = new FEAScriptModel();
+  model.setModelConfig(modelConfig, options);
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    numElementsX: 4,
+    numElementsY: 2,
+    maxX: 2,
+    maxY,
+  });
+  Object.entries(boundaryConditions).forEach(([boundaryKey, condition]) =>
+    model.addBoundaryCondition(boundaryKey, condition),
+  );
+  model.setSolverMethod("lusolve");
+  return model.solve();
+}
+
+// Maximum nodal error of the velocity and pressure fields against an exact solution
+function maxFieldError({ fields, nodesCoordinates }, exactSolution) {
+  const { nodesXCoordinates, nodesYCoordinates } = nodesCoordinates;
+  return Math.max(
+    ...nodesXCoordinates.map((x, nodeIndex) => {
+      const [u, v, pressure] = exactSolution(x, nodesYCoordinates[nodeIndex]);
+      return Math.max(
+        Math.abs(fields.u[nodeIndex] - u),
+        Math.abs(fields.v[nodeIndex] - v),
+        Math.abs(fields.pressure[nodeIndex] - pressure),
+      );
+    }),
+  );
+}
+
+// Poiseuille flow with unit viscosity and centerline velocity, u = 4y(1 − y) and p = 8(2 − x)
+const poiseuilleFlow = (x, y) => [4 * y * (1 - y), 0, 8 * (2 - x)];
+const wallConditions = { 0: ["constantVelocity", 0, 0], 2: ["constantVelocity", 0, 0] };
+const parabolicInflow = ["velocityProfile", (x, y) => 4 * y * (1 - y), 0];
+
+basicLog("");
+basicLog("[1] Parabolic inflow");
+
+const stressFreeOutlet = solveChannel({
+  boundaryConditions: { ...wallConditions, 1: parabolicInflow, 3: ["stressFree"] },
+});
+assert(
+  maxFieldError(stressFreeOutlet, poiseuilleFlow) < 1e-10,
+  "Parabolic inflow with a stress-free outlet gives the exact Poiseuille flow",
+);
+
+const pressureOutlet = solveChannel({
+  boundaryConditions: { ...wallConditions, 1: parabolicInflow, 3: ["pressure", 1] },
+});
+assert(
+  maxFieldError(pressureOutlet, (x, y) => {
+    const [u, v, pressure] = poiseuilleFlow(x, y);
+    return [u, v, pressure + 1];
+  }) < 1e-10,
+  "A pressure outlet sets the pressure level of the Poiseuille flow",
+);
+
+// The convective term of fully developed flow vanishes, so the Navier-Stokes solution is the same
+const navierStokesChannel = solveChannel({
+  modelConfig: "navierStokesScript",
+  navierStokes: { reynoldsNumber: 20 },
+  boundaryConditions: { ...wallConditions, 1: parabolicInflow, 3: ["pressure", 0] },
+});
+assert(
+  maxFieldError(navierStokesChannel, (x, y) => {
+    const [u, v, pressure] = poiseuilleFlow(x, y);
+    return [u, v, pressure / 20];
+  }) < 1e-8,
+  "Navier-Stokes flow with a parabolic inflow and a pressure outlet is fully developed",
+);
+
+basicLog("");
+basicLog("[2] Pressure-driven flow");
+
+// A pressure drop Δp over the length L drives u = (Δp / 2μL)·y(H − y)
+const pressureDrivenChannel = solveChannel({
+  boundaryConditions: { ...wallConditions, 1: ["pressure", 16], 3: ["pressure", 0] },
+});
+assert(
+  maxFieldError(pressureDrivenChannel, poiseuilleFlow) < 1e-10,
+  "Inlet and outlet pressures drive the analytic parabolic profile",
+);
+
+const tractionChannel = solveChannel({
+  boundaryConditions: { ...wallConditions, 1: ["traction", 16, 0], 3: ["traction", 0, 0] },
+});
+assert(
+  maxFieldError(tractionChannel, poiseuilleFlow) < 1e-10,
+  "An inlet traction equal to the pressure drop drives the same flow",
+);
+
+basicLog("");
+basicLog("[3] Slip condition");
+
+// Lower half of a channel of height 1 centered on y = 0: u = 1 − 4y², with the symmetry line at y = 0
+const halfChannel = solveChannel({
+  maxY: 0.5,
+  boundaryConditions: {
+    0: ["slip"],
+    1: ["velocityProfile", (x, y) => 1 - 4 * y ** 2, 0],
+    2: ["constantVelocity", 0, 0],
+    3: ["stressFree"],
+  },
+});
+assert(
+  maxFieldError(halfChannel, (x, y) => [1 - 4 * y ** 2, 0, 8 * (2 - x)]) < 1e-10,
+  "A slip condition on the centerline reproduces the half of the symmetric channel flow",
+);
+
+const skewedElementCoordinates = {
+  nodesXCoordinates: [0, 0.25, 0.5, 0.5, 0.75, 1, 1, 1.25, 1.5],
+  nodesYCoordinates: [0, 0.5, 1, 0, 0.5, 1, 0, 0.5, 1],
+};
+const skewedSlipError = captureError(() =>
+  new FlowBoundaryConditions(
+    { 1: ["slip"] },
+    { 1: [[0, 1]] },
+    [[1, 2, 3, 4, 5, 6, 7, 8, 9]],
+    "2D",
+    "quadratic",
+    "quadrilateral",
+    9,
+    4,
+    new Map([
+      [0, 0],
+      [2, 1],
+      [6, 2],
+      [8, 3],
+    ]),
+    skewedElementCoordinates,
+  ).imposeDirichletBoundaryConditions(new Array(22).fill(0), new SparseMatrix(22)),
+);
+assert(
+  skewedSlipError instanceof BoundaryConditionError && skewedSlipError.code === "UNSUPPORTED_SLIP_BOUNDARY",
+  "A slip boundary inclined to the axes throws UNSUPPORTED_SLIP_BOUNDARY",
+);
+
+basicLog("");
+basicLog("[4] Reference pressure");
+
+// Lid velocity vanishing at the corners, so that no fluid leaks through the side walls
+const cavityConditions = {
+  0: ["constantVelocity", 0, 0],
+  1: ["constantVelocity", 0, 0],
+  2: ["velocityProfile", (x) => x * (2 - x), 0],
+  3: ["constantVelocity", 0, 0],
+};
+const defaultCavity = solveChannel({ boundaryConditions: cavityConditions });
+const referenceNode = defaultCavity.fields.pressure.length; // Top right corner
+const referenceCavity = solveChannel({
+  boundaryConditions: cavityConditions,
+  pressureReference: { node: referenceNode, value: 5 },
+});
+const pressureShift = 5 - defaultCavity.fields.pressure[referenceNode - 1];
+assert(
+  referenceCavity.fields.pressure.every(
+    (value, nodeIndex) => Math.abs(value - defaultCavity.fields.pressure[nodeIndex] - pressureShift) < 1e-9,
+  ) && Math.abs(referenceCavity.fields.u[7] - defaultCavity.fields.u[7]) < 1e-12,
+  "The reference pressure shifts the pressure field by a constant and leaves the velocity unchanged",
+);
+
+const midsideNodeError = captureError(() =>
+  solveChannel({ boundaryConditions: cavityConditions, pressureReference: { node: 2 } }),
+);
+assert(
+  midsideNodeError instanceof BoundaryConditionError && midsideNodeError.code === "INVALID_NODE",
+  "A reference pressure node without a pressure degree of freedom throws INVALID_NODE",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
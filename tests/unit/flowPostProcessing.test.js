@@ -0,0 +1,177 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the vorticity, stream function and flow rate post-processing of the flow models
+ *
+ * Covers:
+ *  - Vorticity and stream function of a rigid rotation, both exactly represented by Q2 elements
+ *  - Flow rates of a uniform flow through each side of a square
+ *  - Poiseuille flow: vorticity, stream function and flow rates returned by solve(), keyed by boundary
+ *    index and name
+ *  - Derived fields and flow rates at every time step of a transient simulation
+ *
+ * Run: node tests/unit/flowPostProcessing.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { prepareMesh } from "../../src/mesh/meshUtils.js";
+import {
+  computeFlowRates,
+  computeStreamFunction,
+  computeVorticity,
+  getTaylorHoodDOFLayout,
+} from "../../src/models/creepingFlow.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: flow post-processing");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+// Maximum nodal difference between a field and a function of the node coordinates
+const maxNodalError = (values, { nodesXCoordinates, nodesYCoordinates }, exactValue) =>
+  Math.max(
+    ...values.map((value, nodeIndex) =>
+      Math.abs(value - exactValue(nodesXCoordinates[nodeIndex], nodesYCoordinates[nodeIndex])),
+    ),
+  );
+
+basicLog("");
+basicLog("[1] Prescribed velocity fields");
+
+const meshData = prepareMesh({
+  meshDimension: "2D",
+  elementOrder: "quadratic",
+  numElementsX: 3,
+  numElementsY: 3,
+  maxX: 1,
+  maxY: 1,
+});
+const dofLayout = getTaylorHoodDOFLayout(meshData, "Flow post-processing");
+const { totalNodesVelocity, totalDOFs } = dofLayout;
+const buildSolution = (velocity) => {
+  const solutionVector = new Array(totalDOFs).fill(0);
+  meshData.nodesXCoordinates.forEach((x, nodeIndex) => {
+    const [u, v] = velocity(x, meshData.nodesYCoordinates[nodeIndex]);
+    solutionVector[nodeIndex] = u;
+    solutionVector[totalNodesVelocity + nodeIndex] = v;
+  });
+  return solutionVector;
+};
+
+// Rigid rotation about the center of the square: ω = 2 and ψ = −r²/2, zero at the first node (0, 0)
+const rotation = buildSolution((x, y) => [-(y - 0.5), x - 0.5]);
+assert(
+  maxNodalError(computeVorticity(rotation, meshData, dofLayout), meshData, () => 2) < 1e-12,
+  "Vorticity of a rigid rotation is twice the angular velocity",
+);
+assert(
+  maxNodalError(
+    computeStreamFunction(rotation, meshData, dofLayout),
+    meshData,
+    (x, y) => 0.25 - ((x - 0.5) ** 2 + (y - 0.5) ** 2) / 2,
+  ) < 1e-12,
+  "Stream function of a rigid rotation is exact",
+);
+
+const uniformFlowRates = computeFlowRates(
+  buildSolution(() => [1, 0.5]),
+  meshData,
+  dofLayout,
+);
+assert(
+  Math.abs(uniformFlowRates.left + 1) < 1e-12 &&
+    Math.abs(uniformFlowRates.right - 1) < 1e-12 &&
+    Math.abs(uniformFlowRates.bottom + 0.5) < 1e-12 &&
+    Math.abs(uniformFlowRates.top - 0.5) < 1e-12,
+  "Flow rates of a uniform flow are negative at the inflow sides and positive at the outflow sides",
+);
+
+basicLog("");
+basicLog("[2] Poiseuille flow");
+
+function solveChannel(inflowVelocity, options = {}) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("creepingFlowScript", options);
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    numElementsX: 4,
+    numElementsY: 2,
+    maxX: 2,
+    maxY: 1,
+  });
+  model.addBoundaryCondition("bottom", ["constantVelocity", 0, 0]);
+  model.addBoundaryCondition("top", ["constantVelocity", 0, 0]);
+  model.addBoundaryCondition("left", ["velocityProfile", inflowVelocity, 0]);
+  model.addBoundaryCondition("right", ["stressFree"]);
+  model.setSolverMethod("lusolve");
+  return model.solve();
+}
+
+// u = 4y(1 − y): ω = 8y − 4, ψ = 2y² − 4y³/3 and Q = 2/3
+const channel = solveChannel((x, y) => 4 * y * (1 - y));
+assert(
+  maxNodalError(channel.fields.vorticity, channel.nodesCoordinates, (x, y) => 8 * y - 4) < 1e-10 &&
+    maxNodalError(
+      channel.fields.streamFunction,
+      channel.nodesCoordinates,
+      (x, y) => 2 * y ** 2 - (4 * y ** 3) / 3,
+    ) < 1e-10,
+  "Vorticity and stream function fields of the Poiseuille flow",
+);
+assert(
+  Math.abs(channel.flowRates["3"] - 2 / 3) < 1e-10 &&
+    channel.flowRates.right === channel.flowRates["3"] &&
+    Math.abs(channel.flowRates.left + 2 / 3) < 1e-10 &&
+    Math.abs(channel.flowRates.top) < 1e-12,
+  "Flow rates through the inlet, outlet and walls, by boundary index and name",
+);
+
+basicLog("");
+basicLog("[3] Transient flow");
+
+// Inflow ramped up until t = 1: the inlet flow rate is 2t/3
+const rampedChannel = solveChannel((x, y, t) => 4 * y * (1 - y) * Math.min(t, 1), {
+  transient: { timeStep: 0.25, endTime: 1 },
+});
+const { fields: stepFields, flowRates: stepFlowRates } = rampedChannel.timeSeries;
+assert(
+  stepFields.length === 5 &&
+    stepFields.every((stepField) => stepField.streamFunction && stepField.vorticity) &&
+    stepFlowRates
+      .map((flowRates) => flowRates.left)
+      .every((flowRate, step) => Math.abs(flowRate + step / 6) < 1e-10),
+  "Vorticity, stream function and flow rates at every time step",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
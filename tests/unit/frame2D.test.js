@@ -0,0 +1,326 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the 2D frame model
+ *
+ * Covers:
+ *  - A frame of horizontal members vs. the Euler-Bernoulli beam model, and an inclined cantilever vs. the
+ *    closed-form axial and bending solutions (rotation to global coordinates)
+ *  - Sway of a fixed-base portal frame with a rigid beam, and a portal frame with a hinge
+ *  - A pin-jointed truss built from fully released members
+ *  - Member forces, reactions and configuration errors
+ *
+ * Run: node tests/unit/frame2D.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { BoundaryConditionError, ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: 2D frame");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+const EA = 2.0e5;
+const EI = 3.0e2;
+
+function solveFrame({ nodes, members, boundaryConditions, coefficientFunctions, memberReleases }) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("frame2DScript", {
+    coefficientFunctions: coefficientFunctions ?? { EA: () => EA, EI: () => EI },
+    memberReleases,
+  });
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder: "linear",
+    parsedMesh: {
+      nodesXCoordinates: nodes.map(([x]) => x),
+      nodesYCoordinates: nodes.map(([, y]) => y),
+      nodalNumbering: members,
+    },
+  });
+  Object.entries(boundaryConditions).forEach(([nodeKey, conditions]) =>
+    model.addBoundaryCondition(nodeKey, conditions),
+  );
+  return model.solve();
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+const closeTo = (value, expected, tolerance = 1e-9) =>
+  Math.abs(value - expected) <= tolerance * Math.max(1, Math.abs(expected));
+
+basicLog("");
+basicLog("[1] Straight members");
+
+// Propped cantilever under a uniform load and a point load, as a frame and as a beam
+const L = 6;
+const numMembers = 6;
+const lineNodes = Array.from({ length: numMembers + 1 }, (_, nodeIndex) => [(L * nodeIndex) / numMembers, 0]);
+const lineMembers = Array.from({ length: numMembers }, (_, memberIndex) => [
+  memberIndex + 1,
+  memberIndex + 2,
+]);
+const frameLine = solveFrame({
+  nodes: lineNodes,
+  members: lineMembers,
+  boundaryConditions: { 1: [["fixed"]], 3: [["forceY", -5]], 7: [["pinned"]] },
+  coefficientFunctions: { EA: () => EA, EI: () => EI, q: () => -2 },
+});
+const beamModel = new FEAScriptModel();
+beamModel.setModelConfig("eulerBernoulliBeamScript", { coefficientFunctions: { EI: () => EI, q: () => -2 } });
+beamModel.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: numMembers, maxX: L });
+beamModel.addBoundaryCondition("1", [["fixed"]]);
+beamModel.addBoundaryCondition("3", [["force", -5]]);
+beamModel.addBoundaryCondition("7", [["pinned"]]);
+const beamLine = beamModel.solve();
+assert(
+  frameLine.fields.w.every((value, nodeIndex) => closeTo(value, beamLine.fields.deflection[nodeIndex])) &&
+    frameLine.fields.rotation.every((value, nodeIndex) =>
+      closeTo(value, beamLine.fields.rotation[nodeIndex]),
+    ) &&
+    frameLine.fields.u.every((value) => value === 0),
+  "Horizontal members deflect as the Euler-Bernoulli beam with the same supports and loads",
+);
+// Each member of unit length is in equilibrium under q = -2: V' = -q and M' = V
+assert(
+  frameLine.memberForces.every(
+    ({ start, end }, memberIndex) =>
+      closeTo(end.shearForce - start.shearForce, 2) &&
+      closeTo(end.bendingMoment - start.bendingMoment, (start.shearForce + end.shearForce) / 2) &&
+      (memberIndex === 0 ||
+        closeTo(start.bendingMoment, frameLine.memberForces[memberIndex - 1].end.bendingMoment)) &&
+      closeTo(start.axialForce, 0),
+  ) &&
+    closeTo(frameLine.memberForces[0].start.bendingMoment, frameLine.reactions[0].moment) &&
+    closeTo(frameLine.memberForces[0].start.shearForce, -frameLine.reactions[0].forceY) &&
+    closeTo(frameLine.memberForces[numMembers - 1].end.bendingMoment, 0) &&
+    closeTo(frameLine.reactions[0].forceY, beamLine.reactions[0].force) &&
+    closeTo(frameLine.reactions[0].moment, beamLine.reactions[0].moment) &&
+    closeTo(frameLine.reactions[1].forceY, beamLine.reactions[1].force),
+  "Member end forces are in equilibrium, and the reactions match those of the beam",
+);
+
+// Cantilever at 30° with a tip load along its axis and across it
+const angle = Math.PI / 6;
+const [axisX, axisY] = [Math.cos(angle), Math.sin(angle)];
+const [normalX, normalY] = [-axisY, axisX];
+const axialLoad = 8;
+const transverseLoad = -3;
+const inclined = solveFrame({
+  nodes: [0, 1, 2, 3, 4].map((nodeIndex) => [nodeIndex * axisX, nodeIndex * axisY]),
+  members: [
+    [1, 2],
+    [2, 3],
+    [3, 4],
+    [4, 5],
+  ],
+  boundaryConditions: {
+    1: [["fixed"]],
+    5: [
+      ["forceX", axialLoad * axisX + transverseLoad * normalX],
+      ["forceY", axialLoad * axisY + transverseLoad * normalY],
+    ],
+  },
+});
+const inclinedLength = 4;
+const axialDisplacement = (axialLoad * inclinedLength) / EA;
+const transverseDisplacement = (transverseLoad * inclinedLength ** 3) / (3 * EI);
+assert(
+  closeTo(inclined.fields.u[4], axialDisplacement * axisX + transverseDisplacement * normalX) &&
+    closeTo(inclined.fields.w[4], axialDisplacement * axisY + transverseDisplacement * normalY) &&
+    closeTo(inclined.fields.rotation[4], (transverseLoad * inclinedLength ** 2) / (2 * EI)),
+  "Inclined cantilever: tip displacement PL/EA along the axis and PL³/3EI across it, rotation PL²/2EI",
+);
+const [firstMember] = inclined.memberForces;
+assert(
+  inclined.memberForces.every(
+    ({ start, end }) => closeTo(start.axialForce, axialLoad) && closeTo(end.axialForce, axialLoad),
+  ) &&
+    closeTo(firstMember.start.shearForce, transverseLoad) &&
+    closeTo(firstMember.start.bendingMoment, -transverseLoad * inclinedLength) &&
+    closeTo(firstMember.angle, angle) &&
+    closeTo(firstMember.length, 1),
+  "Inclined members carry the axial load as tension, and the shear and moment of a cantilever",
+);
+
+basicLog("");
+basicLog("[2] Portal frames");
+
+// Columns of height h and a beam much stiffer than them: each column sways as a guided cantilever,
+// 12EI/h³ each, with base and top moments Hh/4
+const h = 3;
+const span = 5;
+const H = 10;
+const portalNodes = [
+  [0, 0],
+  [0, h],
+  [span, h],
+  [span, 0],
+];
+const portalMembers = [
+  [1, 2],
+  [2, 3],
+  [3, 4],
+];
+const rigidBeam = solveFrame({
+  nodes: portalNodes,
+  members: portalMembers,
+  boundaryConditions: { 1: [["fixed"]], 2: [["forceX", H]], 4: [["fixed"]] },
+  coefficientFunctions: { EA: () => 1e6 * EA, EI: (x, y, member) => (member === 2 ? 1e6 * EI : EI) },
+});
+const sway = (H * h ** 3) / (24 * EI);
+assert(
+  closeTo(rigidBeam.fields.u[1], sway, 1e-5) &&
+    closeTo(rigidBeam.fields.u[2], sway, 1e-5) &&
+    rigidBeam.reactions.every(
+      ({ forceX, moment }) => closeTo(forceX, -H / 2, 1e-5) && closeTo(Math.abs(moment), (H * h) / 4, 1e-5),
+    ),
+  "A portal frame with a rigid beam sways by Hh³/24EI, each base taking H/2 and a moment Hh/4",
+);
+
+// Hinge where the beam meets the right column: the moment vanishes on both sides of the joint
+const hinged = solveFrame({
+  nodes: portalNodes,
+  members: portalMembers,
+  boundaryConditions: {
+    1: [["fixed"]],
+    2: [
+      ["forceX", H],
+      ["forceY", -20],
+    ],
+    4: [["fixed"]],
+  },
+  memberReleases: { 2: "end" },
+});
+const [, hingedBeam, rightColumn] = hinged.memberForces;
+const sumReactions = (key) => hinged.reactions.reduce((sum, reaction) => sum + reaction[key], 0);
+const reactionMoment = hinged.reactions.reduce(
+  (sum, { x, y, forceX, forceY, moment }) => sum + x * forceY - y * forceX + moment,
+  0,
+);
+assert(
+  closeTo(hingedBeam.end.bendingMoment, 0) &&
+    closeTo(rightColumn.start.bendingMoment, 0) &&
+    Math.abs(hingedBeam.start.bendingMoment) > 1,
+  "A released member end carries no moment, and neither does the column it is pinned to",
+);
+assert(
+  closeTo(sumReactions("forceX"), -H) &&
+    closeTo(sumReactions("forceY"), 20) &&
+    closeTo(reactionMoment - h * H, 0),
+  "Reactions of the hinged portal balance the applied loads and their moment",
+);
+
+basicLog("");
+basicLog("[3] Truss");
+
+// Two bars meeting at an apex load, released at both ends: the bars carry axial forces only
+const P = 12;
+const truss = solveFrame({
+  nodes: [
+    [0, 0],
+    [4, 0],
+    [2, 1.5],
+  ],
+  members: [
+    [1, 3],
+    [3, 2],
+  ],
+  boundaryConditions: { 1: [["pinned"]], 2: [["pinned"]], 3: [["forceY", -P]] },
+  memberReleases: { 1: "both", 2: "both" },
+});
+const barForce = -P / (2 * 0.6);
+assert(
+  truss.memberForces.every(
+    ({ start, end }) =>
+      closeTo(start.axialForce, barForce) &&
+      closeTo(end.axialForce, barForce) &&
+      closeTo(start.shearForce, 0) &&
+      closeTo(start.bendingMoment, 0) &&
+      closeTo(end.bendingMoment, 0),
+  ),
+  `Truss bars carry the compression P/(2 sin α) = ${(-barForce).toFixed(2)} without bending`,
+);
+assert(
+  closeTo(truss.reactions[0].forceX, -0.8 * barForce) &&
+    closeTo(truss.reactions[1].forceX, 0.8 * barForce) &&
+    truss.reactions.every(({ forceY, moment }) => closeTo(forceY, P / 2) && moment === 0) &&
+    truss.fields.rotation.every((value) => value === 0),
+  "Truss supports take P/2 and the thrust of the bars, and the undefined joint rotations are zero",
+);
+
+basicLog("");
+basicLog("[4] Configuration errors");
+
+const missingEAError = captureError(() =>
+  solveFrame({
+    nodes: portalNodes,
+    members: portalMembers,
+    boundaryConditions: { 1: [["fixed"]] },
+    coefficientFunctions: { EI: () => EI },
+  }),
+);
+assert(
+  missingEAError instanceof ConfigurationError && missingEAError.code === "MISSING_CONFIGURATION",
+  "A frame without EA throws MISSING_CONFIGURATION",
+);
+const invalidReleaseError = captureError(() =>
+  solveFrame({
+    nodes: portalNodes,
+    members: portalMembers,
+    boundaryConditions: { 1: [["fixed"]], 4: [["fixed"]] },
+    memberReleases: { 4: "end" },
+  }),
+);
+assert(
+  invalidReleaseError instanceof ConfigurationError && invalidReleaseError.code === "INVALID_MEMBER_RELEASE",
+  "A release of a member outside the mesh throws INVALID_MEMBER_RELEASE",
+);
+const unknownConditionError = captureError(() =>
+  solveFrame({ nodes: portalNodes, members: portalMembers, boundaryConditions: { 1: [["clamped"]] } }),
+);
+assert(
+  unknownConditionError instanceof BoundaryConditionError &&
+    unknownConditionError.code === "UNKNOWN_BOUNDARY_CONDITION_TYPE",
+  "An unknown support type throws UNKNOWN_BOUNDARY_CONDITION_TYPE",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,145 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the 2D general form PDE ∇·(A∇u) + B·∇u + C·u = D
+ *
+ * Covers:
+ *  - Linear assembly with scalar A, vector B and reaction C against a manufactured solution
+ *  - Anisotropic (tensor) diffusion coefficient A
+ *  - Error reduction under mesh refinement
+ *  - Newton-Raphson mode with a nonlinear source D(x, y, u) against a manufactured solution
+ *
+ * Run: node tests/unit/generalFormPDE2D.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: 2D general form PDE");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+// Manufactured solution u = sin(πx)·sin(πy) on the unit square (u = 0 on the boundary)
+const PI = Math.PI;
+const exactSolution = (x, y) => Math.sin(PI * x) * Math.sin(PI * y);
+const exactDerivX = (x, y) => PI * Math.cos(PI * x) * Math.sin(PI * y);
+const exactDerivY = (x, y) => PI * Math.sin(PI * x) * Math.cos(PI * y);
+
+function solveOnUnitSquare(coefficientFunctions, numElements, nonlinear = false) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("generalFormPDEScript", { coefficientFunctions, nonlinear });
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    numElementsX: numElements,
+    numElementsY: numElements,
+    maxX: 1,
+    maxY: 1,
+  });
+  for (const boundaryKey of ["0", "1", "2", "3"]) {
+    model.addBoundaryCondition(boundaryKey, ["constantValue", 0]);
+  }
+  return model.solve({ maxIterations: 20, tolerance: 1e-10 });
+}
+
+function maxNodalError({ solutionVector, nodesCoordinates }) {
+  const { nodesXCoordinates, nodesYCoordinates } = nodesCoordinates;
+  let error = 0;
+  for (let i = 0; i < solutionVector.length; i++) {
+    error = Math.max(
+      error,
+      Math.abs(solutionVector[i] - exactSolution(nodesXCoordinates[i], nodesYCoordinates[i])),
+    );
+  }
+  return error;
+}
+
+basicLog("");
+basicLog("[1] Scalar diffusion, advection and reaction");
+
+// Δu + (1, 2)·∇u + 3u = D
+const isotropicCoefficients = {
+  A: (x, y) => 1,
+  B: (x, y) => [1, 2],
+  C: (x, y) => 3,
+  D: (x, y) =>
+    -2 * PI ** 2 * exactSolution(x, y) + exactDerivX(x, y) + 2 * exactDerivY(x, y) + 3 * exactSolution(x, y),
+};
+const coarseError = maxNodalError(solveOnUnitSquare(isotropicCoefficients, 4));
+const fineError = maxNodalError(solveOnUnitSquare(isotropicCoefficients, 8));
+assert(
+  fineError < 1e-3,
+  `Solution matches the manufactured solution (max error ${fineError.toExponential(3)})`,
+);
+assert(
+  fineError < coarseError / 4,
+  `Error decreases under refinement (${coarseError.toExponential(3)} -> ${fineError.toExponential(3)})`,
+);
+
+basicLog("");
+basicLog("[2] Anisotropic diffusion tensor");
+
+// ∇·(A∇u) with A = [[2, 0.5], [0.5, 1]] gives 2·u_xx + u_xy + u_yy
+const anisotropicCoefficients = {
+  A: (x, y) => [
+    [2, 0.5],
+    [0.5, 1],
+  ],
+  B: (x, y) => [0, 0],
+  C: (x, y) => 0,
+  D: (x, y) => -3 * PI ** 2 * exactSolution(x, y) + PI ** 2 * Math.cos(PI * x) * Math.cos(PI * y),
+};
+const anisotropicError = maxNodalError(solveOnUnitSquare(anisotropicCoefficients, 8));
+assert(
+  anisotropicError < 1e-3,
+  `Tensor diffusion matches the manufactured solution (max error ${anisotropicError.toExponential(3)})`,
+);
+
+basicLog("");
+basicLog("[3] Newton-Raphson with a nonlinear source");
+
+// Δu = u² + f(x, y)
+const nonlinearCoefficients = {
+  A: (x, y) => 1,
+  B: (x, y) => 0,
+  C: (x, y) => 0,
+  D: (x, y, u) => u ** 2 - 2 * PI ** 2 * exactSolution(x, y) - exactSolution(x, y) ** 2,
+  dDdu: (x, y, u) => 2 * u,
+};
+const nonlinearError = maxNodalError(solveOnUnitSquare(nonlinearCoefficients, 8, true));
+assert(
+  nonlinearError < 1e-3,
+  `Nonlinear solution matches the manufactured solution (max error ${nonlinearError.toExponential(3)})`,
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,192 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for gmresSolver, biCgStabSolver and the "gmres"/"bicgstab" solver methods
+ *
+ * Covers:
+ *  - GMRES(m) and BiCGSTAB on a small non-symmetric system, with and without restarts
+ *  - Residual history contract (starts at the initial residual and ends below the tolerance)
+ *  - The advection-diffusion general form PDE (non-symmetric), with and without ILU(0), compared
+ *    against "lusolve"
+ *  - Selecting "gmres" and "bicgstab" through setSolverMethod for the Newton-Raphson solve of the
+ *    nonlinear reaction-diffusion PDE
+ *
+ * Run: node tests/unit/gmresBiCgStab.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { gmresSolver } from "../../src/methods/gmresSolver.js";
+import { biCgStabSolver } from "../../src/methods/biCgStabSolver.js";
+import { solveLinearSystem } from "../../src/methods/linearSystemSolver.js";
+import { assembleGeneralFormPDEMat } from "../../src/models/generalFormPDE.js";
+import { prepareMesh } from "../../src/mesh/meshUtils.js";
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: gmresSolver and biCgStabSolver");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function maxDeviation(solutionVector, reference) {
+  let deviation = 0;
+  for (let i = 0; i < reference.length; i++) {
+    deviation = Math.max(deviation, Math.abs(solutionVector[i] - reference[i]));
+  }
+  return deviation;
+}
+
+basicLog("");
+basicLog("[1] Small non-symmetric system");
+
+//   4x + 2y      = 6       exact solution: x = 1, y = 1, z = 1
+//   -x + 5y + 3z = 7
+//       - 2y + 6z = 4
+const A = [
+  [4, 2, 0],
+  [-1, 5, 3],
+  [0, -2, 6],
+];
+const b = [6, 7, 4];
+const exact = [1, 1, 1];
+
+for (const [label, solver, solverOptions] of [
+  ["GMRES", gmresSolver, {}],
+  ["GMRES(1)", gmresSolver, { restart: 1 }],
+  ["BiCGSTAB", biCgStabSolver, {}],
+]) {
+  const result = solver(A, b, [0, 0, 0], { maxIterations: 100, tolerance: 1e-12, ...solverOptions });
+  assert(result.converged === true, `${label} converges (${result.iterations} iterations)`);
+  assert(
+    maxDeviation(result.solutionVector, exact) < 1e-10,
+    `${label} solution is (1, 1, 1) (got ${Array.from(result.solutionVector)})`,
+  );
+  assert(
+    result.residualHistory.length === result.iterations + 1,
+    `${label} residual history holds the initial residual plus one entry per iteration`,
+  );
+  assert(result.residualHistory.at(-1) < 1e-12, `${label} last residual is below the tolerance`);
+}
+
+const fullGmresResult = gmresSolver(A, b, [0, 0, 0], { tolerance: 1e-12 });
+assert(fullGmresResult.iterations <= 3, "Unrestarted GMRES converges in at most n = 3 iterations");
+
+basicLog("");
+basicLog("[2] 1D advection-diffusion system (non-symmetric)");
+
+const meshData = prepareMesh({
+  meshDimension: "1D",
+  elementOrder: "quadratic",
+  numElementsX: 40,
+  maxX: 1.0,
+});
+const boundaryConditions = {
+  0: ["constantValue", 1],
+  1: ["zeroGradient"],
+};
+const coefficientFunctions = {
+  A: (x) => 1,
+  B: (x) => -10,
+  C: (x) => 0,
+  D: (x) => 10 * Math.exp(-200 * Math.pow(x - 0.5, 2)),
+};
+const { jacobianMatrix, residualVector } = assembleGeneralFormPDEMat(
+  meshData,
+  boundaryConditions,
+  coefficientFunctions,
+);
+
+const reference = solveLinearSystem("lusolve", jacobianMatrix, residualVector).solutionVector;
+
+const iterationCounts = {};
+for (const [solverMethod, preconditioner] of [
+  ["gmres", "none"],
+  ["gmres", undefined],
+  ["bicgstab", "none"],
+  ["bicgstab", undefined],
+]) {
+  const label = `${solverMethod} (${preconditioner ?? "incompleteLU"})`;
+  const linearSystemResult = solveLinearSystem(solverMethod, jacobianMatrix, residualVector, {
+    maxIterations: 2000,
+    tolerance: 1e-10,
+    restart: 100, // Information travels one node per Krylov iteration, so GMRES(m) with m < n stagnates
+    preconditioner,
+  });
+  iterationCounts[label] = linearSystemResult.iterations;
+  assert(linearSystemResult.converged, `${label} converges (${linearSystemResult.iterations} iterations)`);
+  const deviation = maxDeviation(linearSystemResult.solutionVector, reference);
+  assert(deviation < 1e-6, `${label} matches lusolve (max deviation ${deviation.toExponential(3)})`);
+}
+assert(
+  iterationCounts["gmres (incompleteLU)"] < iterationCounts["gmres (none)"],
+  "ILU(0) preconditioning reduces the GMRES iteration count",
+);
+assert(
+  iterationCounts["bicgstab (incompleteLU)"] < iterationCounts["bicgstab (none)"],
+  "ILU(0) preconditioning reduces the BiCGSTAB iteration count",
+);
+
+basicLog("");
+basicLog("[3] Newton-Raphson with gmres and bicgstab through setSolverMethod");
+
+function solveNonlinearReactionDiffusion(solverMethod, options) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("generalFormPDEScript", {
+    nonlinear: true,
+    coefficientFunctions: {
+      A: (x) => 1,
+      B: (x) => 0,
+      C: (x) => 0,
+      D: (x, u) => u ** 2,
+      dDdu: (x, u) => 2 * u,
+    },
+  });
+  model.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: 20, maxX: 10.0 });
+  model.addBoundaryCondition("0", ["constantValue", 1]);
+  model.addBoundaryCondition("1", "zeroGradient");
+  model.setSolverMethod(solverMethod, options);
+  return model.solve({ maxIterations: 100, tolerance: 1e-5 }).solutionVector;
+}
+
+const newtonReference = solveNonlinearReactionDiffusion("lusolve");
+for (const [solverMethod, options] of [
+  ["gmres", { restart: 10 }],
+  ["bicgstab", { preconditioner: "jacobi" }],
+]) {
+  const solutionVector = solveNonlinearReactionDiffusion(solverMethod, options);
+  const deviation = maxDeviation(solutionVector, newtonReference);
+  assert(
+    deviation < 1e-4,
+    `Newton-Raphson with ${solverMethod} matches lusolve (max deviation ${deviation})`,
+  );
+}
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,140 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the "heatFlux", "symmetry" and "insulated" heat conduction boundary conditions
+ *
+ * Covers:
+ *  - Heat flux at the end of a 1D bar against the analytical solution (linear/quadratic, lusolve/frontal)
+ *  - Heat flux through one side of a 2D plate with insulated and symmetry sides
+ *  - Position-dependent heat flux, whose assembled contributions sum to the total heat input
+ *
+ * Run: node tests/unit/heatFluxBoundaryConditions.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { ThermalBoundaryConditions } from "../../src/models/thermalBoundaryConditions.js";
+import { prepareMesh, initializeFEA } from "../../src/mesh/meshUtils.js";
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: heat flux boundary conditions");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function maxNodalError({ solutionVector, nodesCoordinates }, exactSolution) {
+  let error = 0;
+  nodesCoordinates.nodesXCoordinates.forEach((x, nodeIndex) => {
+    error = Math.max(error, Math.abs(solutionVector[nodeIndex] - exactSolution(x)));
+  });
+  return error;
+}
+
+basicLog("");
+basicLog("[1] 1D bar heated at one end");
+
+// -k·T'' = 0, heat flux q entering at x = 0 and T(1) = 100 give T(x) = 100 + q·(1 - x) / k
+for (const elementOrder of ["linear", "quadratic"]) {
+  for (const solverMethod of ["lusolve", "frontal"]) {
+    const model = new FEAScriptModel();
+    model.setModelConfig("heatConductionScript", { coefficientFunctions: { thermalConductivity: 2 } });
+    model.setMeshConfig({ meshDimension: "1D", elementOrder, numElementsX: 4, maxX: 1 });
+    model.addBoundaryCondition("0", ["heatFlux", 50]);
+    model.addBoundaryCondition("1", ["constantTemperature", 100]);
+    model.setSolverMethod(solverMethod);
+    const error = maxNodalError(model.solve(), (x) => 100 + (50 * (1 - x)) / 2);
+    assert(error < 1e-8, `${elementOrder} elements with ${solverMethod} (max error ${error})`);
+  }
+}
+
+basicLog("");
+basicLog("[2] 2D plate heated through its left side");
+
+// Bottom insulated, top symmetry: the heat flows along x and T(x) = 20 + q·(2 - x) / k
+for (const elementOrder of ["linear", "quadratic"]) {
+  for (const solverMethod of ["lusolve", "frontal"]) {
+    const model = new FEAScriptModel();
+    model.setModelConfig("heatConductionScript", { coefficientFunctions: { thermalConductivity: 1.5 } });
+    model.setMeshConfig({
+      meshDimension: "2D",
+      elementOrder,
+      numElementsX: 4,
+      numElementsY: 2,
+      maxX: 2,
+      maxY: 1,
+    });
+    model.addBoundaryCondition("0", ["insulated"]);
+    model.addBoundaryCondition("1", ["heatFlux", 30]);
+    model.addBoundaryCondition("2", ["symmetry"]);
+    model.addBoundaryCondition("3", ["constantTemperature", 20]);
+    model.setSolverMethod(solverMethod);
+    const error = maxNodalError(model.solve(), (x) => 20 + (30 * (2 - x)) / 1.5);
+    assert(error < 1e-8, `${elementOrder} elements with ${solverMethod} (max error ${error})`);
+  }
+}
+
+basicLog("");
+basicLog("[3] Position-dependent heat flux");
+
+// q(x, y) = 10·y on the left side (x = 0, 0 ≤ y ≤ 1) brings in ∫q dy = 5
+for (const elementOrder of ["linear", "quadratic"]) {
+  const meshData = prepareMesh({
+    meshDimension: "2D",
+    elementOrder,
+    numElementsX: 3,
+    numElementsY: 3,
+    maxX: 1,
+    maxY: 1,
+  });
+  const { residualVector, gaussPoints, gaussWeights, basisFunctions } = initializeFEA(meshData);
+  const thermalBoundaryConditions = new ThermalBoundaryConditions(
+    { 1: ["heatFlux", (x, y) => 10 * y] },
+    meshData.boundaryElements,
+    meshData.nop,
+    meshData.meshDimension,
+    meshData.elementOrder,
+  );
+  thermalBoundaryConditions.imposeHeatFluxBoundaryConditions(
+    residualVector,
+    gaussPoints,
+    gaussWeights,
+    meshData.nodesXCoordinates,
+    meshData.nodesYCoordinates,
+    basisFunctions,
+  );
+  const totalHeatInput = -residualVector.reduce((sum, value) => sum + value, 0);
+  assert(
+    Math.abs(totalHeatInput - 5) < 1e-12,
+    `${elementOrder} contributions sum to the total heat input 5 (got ${totalHeatInput})`,
+  );
+}
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,336 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the 2D linear elasticity model
+ *
+ * Covers:
+ *  - Uniaxial tension patch test in plane stress and plane strain, on linear and quadratic quadrilaterals
+ *    and triangles, with traction and pressure loads
+ *  - Column under its own weight (body force) and a bar made of two materials
+ *  - Tip deflection of a cantilever against beam theory
+ *  - Missing and invalid material properties, unknown formulations and boundary conditions
+ *
+ * Run: node tests/unit/linearElasticity.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { BoundaryConditionError, ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: linear elasticity");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+function solveElasticity({ meshConfig, boundaryConditions, ...options }) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("linearElasticityScript", options);
+  model.setMeshConfig({ meshDimension: "2D", ...meshConfig });
+  Object.entries(boundaryConditions).forEach(([boundaryKey, condition]) =>
+    model.addBoundaryCondition(boundaryKey, condition),
+  );
+  model.setSolverMethod("lusolve");
+  return model.solve();
+}
+
+// Maximum nodal difference between a field and a constant or a function of the node coordinates
+const maxNodalError = (values, { nodesXCoordinates, nodesYCoordinates }, exactValue) =>
+  Math.max(
+    ...values.map((value, nodeIndex) =>
+      Math.abs(
+        value -
+          (typeof exactValue === "function"
+            ? exactValue(nodesXCoordinates[nodeIndex], nodesYCoordinates[nodeIndex])
+            : exactValue),
+      ),
+    ),
+  );
+
+/**
+ * Builds a Gmsh-style parsed mesh of the unit square, where each of the n × n cells is split into the
+ * triangles (a, b, c) and (a, c, d). Physical tags 1-4 are the bottom, right, top and left boundaries
+ */
+function triangulatedUnitSquare(numCells, elementOrder) {
+  const nodesPerSide = elementOrder === "quadratic" ? 2 * numCells + 1 : numCells + 1;
+  const step = elementOrder === "quadratic" ? 2 : 1;
+  const nodeTag = (i, j) => j * nodesPerSide + i + 1;
+
+  const nodesXCoordinates = [];
+  const nodesYCoordinates = [];
+  for (let j = 0; j < nodesPerSide; j++) {
+    for (let i = 0; i < nodesPerSide; i++) {
+      nodesXCoordinates.push(i / (nodesPerSide - 1));
+      nodesYCoordinates.push(j / (nodesPerSide - 1));
+    }
+  }
+
+  const triangleElements = [];
+  for (let cellY = 0; cellY < numCells; cellY++) {
+    for (let cellX = 0; cellX < numCells; cellX++) {
+      const [i, j] = [cellX * step, cellY * step];
+      const [a, b, c, d] = [
+        nodeTag(i, j),
+        nodeTag(i + step, j),
+        nodeTag(i + step, j + step),
+        nodeTag(i, j + step),
+      ];
+      if (elementOrder === "quadratic") {
+        triangleElements.push([a, b, c, nodeTag(i + 1, j), nodeTag(i + 2, j + 1), nodeTag(i + 1, j + 1)]);
+        triangleElements.push([a, c, d, nodeTag(i + 1, j + 1), nodeTag(i + 1, j + 2), nodeTag(i, j + 1)]);
+      } else {
+        triangleElements.push([a, b, c]);
+        triangleElements.push([a, c, d]);
+      }
+    }
+  }
+
+  const boundaryNodePairs = { 1: [], 2: [], 3: [], 4: [] };
+  for (let k = 0; k < nodesPerSide - 1; k += step) {
+    const last = nodesPerSide - 1;
+    boundaryNodePairs[1].push([nodeTag(k, 0), nodeTag(k + step, 0)]);
+    boundaryNodePairs[2].push([nodeTag(last, k), nodeTag(last, k + step)]);
+    boundaryNodePairs[3].push([nodeTag(k + step, last), nodeTag(k, last)]);
+    boundaryNodePairs[4].push([nodeTag(0, k + step), nodeTag(0, k)]);
+  }
+
+  return {
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nodalNumbering: { quadElements: [], triangleElements },
+    boundaryElements: [],
+    boundaryNodePairs,
+    totalNodesX: nodesXCoordinates.length,
+    totalNodesY: nodesYCoordinates.length,
+    physicalPropMap: [
+      { tag: 1, dimension: 1, name: "bottom" },
+      { tag: 2, dimension: 1, name: "right" },
+      { tag: 3, dimension: 1, name: "top" },
+      { tag: 4, dimension: 1, name: "left" },
+      { tag: 5, dimension: 2, name: "domain" },
+    ],
+    elementTypes: { [elementOrder === "quadratic" ? 9 : 2]: triangleElements.length },
+  };
+}
+
+basicLog("");
+basicLog("[1] Uniaxial tension patch test");
+
+// Rollers on the left and bottom sides and a unit traction on the right side: σxx = 1 everywhere
+const youngsModulus = 200;
+const poissonsRatio = 0.25;
+const coefficientFunctions = { youngsModulus, poissonsRatio };
+const tensionConditions = {
+  left: ["displacement", 0, null],
+  bottom: ["displacement", null, 0],
+  right: ["traction", 1, 0],
+  top: ["free"],
+};
+const rectangularMesh = (elementOrder) => ({
+  elementOrder,
+  numElementsX: 3,
+  numElementsY: 2,
+  maxX: 2,
+  maxY: 1,
+});
+
+for (const elementOrder of ["linear", "quadratic"]) {
+  const { fields, nodesCoordinates } = solveElasticity({
+    coefficientFunctions,
+    meshConfig: rectangularMesh(elementOrder),
+    boundaryConditions: tensionConditions,
+  });
+  assert(
+    maxNodalError(fields.stressXX, nodesCoordinates, 1) < 1e-10 &&
+      maxNodalError(fields.stressYY, nodesCoordinates, 0) < 1e-10 &&
+      maxNodalError(fields.stressXY, nodesCoordinates, 0) < 1e-10 &&
+      maxNodalError(fields.strainXX, nodesCoordinates, 1 / youngsModulus) < 1e-12 &&
+      maxNodalError(fields.strainYY, nodesCoordinates, -poissonsRatio / youngsModulus) < 1e-12 &&
+      maxNodalError(fields.ux, nodesCoordinates, (x) => x / youngsModulus) < 1e-12 &&
+      maxNodalError(fields.vonMisesStress, nodesCoordinates, 1) < 1e-10,
+    `Plane stress tension of ${elementOrder} quadrilaterals is exact`,
+  );
+
+  const planeStrain = solveElasticity({
+    coefficientFunctions,
+    elasticity: { formulation: "planeStrain" },
+    meshConfig: rectangularMesh(elementOrder),
+    boundaryConditions: tensionConditions,
+  });
+  assert(
+    maxNodalError(planeStrain.fields.stressXX, nodesCoordinates, 1) < 1e-10 &&
+      maxNodalError(planeStrain.fields.strainXX, nodesCoordinates, (1 - poissonsRatio ** 2) / youngsModulus) <
+        1e-12 &&
+      maxNodalError(
+        planeStrain.fields.strainYY,
+        nodesCoordinates,
+        (-poissonsRatio * (1 + poissonsRatio)) / youngsModulus,
+      ) < 1e-12 &&
+      maxNodalError(planeStrain.fields.stressZZ, nodesCoordinates, poissonsRatio) < 1e-10,
+    `Plane strain tension of ${elementOrder} quadrilaterals has the out-of-plane stress νσxx`,
+  );
+}
+
+// A negative pressure pulls on the boundary like a traction along the outward normal
+const pressureTension = solveElasticity({
+  coefficientFunctions,
+  meshConfig: rectangularMesh("quadratic"),
+  boundaryConditions: { ...tensionConditions, right: ["pressure", -1] },
+});
+assert(
+  maxNodalError(pressureTension.fields.stressXX, pressureTension.nodesCoordinates, 1) < 1e-10,
+  "A negative pressure on the right side gives the same tension",
+);
+
+for (const elementOrder of ["linear", "quadratic"]) {
+  const { fields, nodesCoordinates } = solveElasticity({
+    coefficientFunctions,
+    meshConfig: { elementOrder, parsedMesh: triangulatedUnitSquare(2, elementOrder) },
+    boundaryConditions: tensionConditions,
+  });
+  assert(
+    maxNodalError(fields.stressXX, nodesCoordinates, 1) < 1e-10 &&
+      maxNodalError(fields.uy, nodesCoordinates, (x, y) => (-poissonsRatio * y) / youngsModulus) < 1e-12,
+    `Plane stress tension of ${elementOrder} triangles is exact`,
+  );
+}
+
+basicLog("");
+basicLog("[2] Body forces and material properties");
+
+// Column of height 2 on a roller, under a unit weight per volume and with ν = 0: σyy = y − 2
+const column = solveElasticity({
+  coefficientFunctions: { youngsModulus: 100, poissonsRatio: 0, bodyForce: [0, -1] },
+  meshConfig: { elementOrder: "quadratic", numElementsX: 1, numElementsY: 4, maxX: 1, maxY: 2 },
+  boundaryConditions: { left: ["displacement", 0, null], bottom: ["displacement", null, 0] },
+});
+assert(
+  maxNodalError(column.fields.stressYY, column.nodesCoordinates, (x, y) => y - 2) < 1e-10 &&
+    maxNodalError(column.fields.uy, column.nodesCoordinates, (x, y) => (y ** 2 / 2 - 2 * y) / 100) < 1e-12,
+  "Stress and settlement of a column under its own weight",
+);
+
+// Two materials in series: the softer half stretches three times as much as the stiffer one
+const bar = solveElasticity({
+  coefficientFunctions: { youngsModulus: (x) => (x < 1 ? 100 : 300), poissonsRatio: 0 },
+  meshConfig: { ...rectangularMesh("linear"), numElementsX: 4 },
+  boundaryConditions: { ...tensionConditions, right: ["traction", (x, y) => 1, 0] },
+});
+const { nodesXCoordinates } = bar.nodesCoordinates;
+assert(
+  maxNodalError(bar.fields.ux, bar.nodesCoordinates, (x) => (x < 1 ? x / 100 : 0.01 + (x - 1) / 300)) <
+    1e-12 &&
+    bar.fields.stressXX
+      .filter((_, nodeIndex) => nodesXCoordinates[nodeIndex] === 0 || nodesXCoordinates[nodeIndex] === 2)
+      .every((value) => Math.abs(value - 1) < 1e-10),
+  "Displacements of a bar with a piecewise Young's modulus",
+);
+
+basicLog("");
+basicLog("[3] Cantilever");
+
+// Clamped beam of length 10 and unit height with a unit shear force at the tip: δ = PL³ / 3EI
+const cantilever = solveElasticity({
+  coefficientFunctions: { youngsModulus: 1000, poissonsRatio: 0.3 },
+  meshConfig: { elementOrder: "quadratic", numElementsX: 20, numElementsY: 2, maxX: 10, maxY: 1 },
+  boundaryConditions: { left: ["fixed"], right: ["traction", 0, -1] },
+});
+const tipDeflection = Math.min(...cantilever.fields.uy);
+const beamTheoryDeflection = -1000 / (3 * 1000 * (1 / 12));
+assert(
+  Math.abs(tipDeflection / beamTheoryDeflection - 1) < 0.02,
+  `Tip deflection ${tipDeflection.toFixed(4)} agrees with beam theory (${beamTheoryDeflection})`,
+);
+
+basicLog("");
+basicLog("[4] Invalid configurations");
+
+const missingPropertyError = captureError(() =>
+  solveElasticity({
+    coefficientFunctions: { youngsModulus },
+    meshConfig: rectangularMesh("linear"),
+    boundaryConditions: tensionConditions,
+  }),
+);
+assert(
+  missingPropertyError instanceof ConfigurationError && missingPropertyError.code === "MISSING_CONFIGURATION",
+  "A missing Poisson's ratio throws MISSING_CONFIGURATION",
+);
+
+const invalidPropertyError = captureError(() =>
+  solveElasticity({
+    coefficientFunctions: { youngsModulus, poissonsRatio: 0.5 },
+    meshConfig: rectangularMesh("linear"),
+    boundaryConditions: tensionConditions,
+  }),
+);
+assert(
+  invalidPropertyError instanceof ConfigurationError &&
+    invalidPropertyError.code === "INVALID_MATERIAL_PROPERTY",
+  "An incompressible material throws INVALID_MATERIAL_PROPERTY",
+);
+
+const formulationError = captureError(() =>
+  solveElasticity({
+    coefficientFunctions,
+    elasticity: { formulation: "axisymmetric" },
+    meshConfig: rectangularMesh("linear"),
+    boundaryConditions: tensionConditions,
+  }),
+);
+assert(
+  formulationError instanceof ConfigurationError && formulationError.code === "UNKNOWN_FORMULATION",
+  "An unknown formulation throws UNKNOWN_FORMULATION",
+);
+
+const boundaryConditionError = captureError(() =>
+  solveElasticity({
+    coefficientFunctions,
+    meshConfig: rectangularMesh("linear"),
+    boundaryConditions: { ...tensionConditions, left: ["constantValue", 0] },
+  }),
+);
+assert(
+  boundaryConditionError instanceof BoundaryConditionError &&
+    boundaryConditionError.code === "UNKNOWN_BOUNDARY_CONDITION_TYPE",
+  "An unknown boundary condition throws UNKNOWN_BOUNDARY_CONDITION_TYPE",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,214 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the model registry (registerModel)
+ *
+ * Covers:
+ *  - Registration of the built-in models
+ *  - A custom linear model with named boundaries and result post-processing, solved with solve and solveAsync
+ *  - A custom nonlinear model with two degrees of freedom per node, solved with the Newton-Raphson method
+ *  - Custom boundary condition handlers and solution strategies
+ *  - Errors for invalid definitions and unknown models
+ *
+ * Run: node tests/unit/modelRegistry.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { registerModel, getModel } from "../../src/models/modelRegistry.js";
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: model registry");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+basicLog("");
+basicLog("[1] Built-in models");
+
+for (const name of [
+  "heatConductionScript",
+  "frontPropagationScript",
+  "generalFormPDEScript",
+  "creepingFlowScript",
+  "eulerBernoulliBeamScript",
+]) {
+  assert(getModel(name).name === name, `${name} is registered`);
+}
+
+basicLog("");
+basicLog("[2] Custom linear model");
+
+// -u'' = f on a 1D mesh of linear elements, with u prescribed at the boundaries ["fixedValue", value]
+function assemblePoissonMat({ meshData, boundaryConditions, coefficientFunctions }) {
+  const { nodesXCoordinates, nop, boundaryElements } = meshData;
+  const totalNodes = nodesXCoordinates.length;
+  const jacobianMatrix = Array.from({ length: totalNodes }, () => new Array(totalNodes).fill(0));
+  const residualVector = new Array(totalNodes).fill(0);
+
+  nop.forEach(([node1, node2]) => {
+    const [i, j] = [node1 - 1, node2 - 1];
+    const elementLength = nodesXCoordinates[j] - nodesXCoordinates[i];
+    const elementLoad = (coefficientFunctions.f * elementLength) / 2;
+    jacobianMatrix[i][i] += 1 / elementLength;
+    jacobianMatrix[j][j] += 1 / elementLength;
+    jacobianMatrix[i][j] -= 1 / elementLength;
+    jacobianMatrix[j][i] -= 1 / elementLength;
+    residualVector[i] += elementLoad;
+    residualVector[j] += elementLoad;
+  });
+
+  Object.entries(boundaryConditions).forEach(([boundaryKey, [, value]]) => {
+    boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+      const nodeIndex = nop[elementIndex][side] - 1;
+      jacobianMatrix[nodeIndex].fill(0);
+      jacobianMatrix[nodeIndex][nodeIndex] = 1;
+      residualVector[nodeIndex] = value;
+    });
+  });
+  return { jacobianMatrix, residualVector };
+}
+
+registerModel("poissonScript", {
+  assembleMat: assemblePoissonMat,
+  postProcess: (result) => ({ ...result, maxValue: Math.max(...result.solutionVector) }),
+});
+
+function poissonModel() {
+  const model = new FEAScriptModel();
+  model.setModelConfig("poissonScript", { coefficientFunctions: { f: 2 } });
+  model.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: 8, maxX: 1 });
+  model.addBoundaryCondition("left", ["fixedValue", 0]);
+  model.addBoundaryCondition("right", ["fixedValue", 1]);
+  return model;
+}
+
+// -u'' = 2 with u(0) = 0 and u(1) = 1 gives u = 2x - x², which linear elements reproduce at the nodes
+const poissonExact = (x) => 2 * x - x ** 2;
+function maxNodalError({ solutionVector, nodesCoordinates }, exactSolution) {
+  let error = 0;
+  nodesCoordinates.nodesXCoordinates.forEach((x, nodeIndex) => {
+    error = Math.max(error, Math.abs(solutionVector[nodeIndex] - exactSolution(x)));
+  });
+  return error;
+}
+
+const poissonResult = poissonModel().solve();
+const poissonError = maxNodalError(poissonResult, poissonExact);
+assert(poissonError < 1e-10, `Custom model is solved with named boundaries (max error ${poissonError})`);
+assert(Math.abs(poissonResult.maxValue - 1) < 1e-10, "postProcess adds fields to the solve result");
+
+const asyncResult = await poissonModel().solveAsync(null);
+const asyncError = maxNodalError(asyncResult, poissonExact);
+assert(asyncError < 1e-10, `solveAsync handles the custom model (max error ${asyncError})`);
+
+const frontalModel = poissonModel();
+frontalModel.setSolverMethod("frontal");
+const frontalError = captureError(() => frontalModel.solve());
+assert(
+  frontalError instanceof ConfigurationError && frontalError.code === "UNSUPPORTED_SOLVER_METHOD",
+  "The frontal solver is rejected for a model without assembleFront",
+);
+
+basicLog("");
+basicLog("[3] Custom nonlinear model with two degrees of freedom per node");
+
+// Each unknown solves u³ + u = 10 (root u = 2), a system of 2 unknowns per node
+registerModel("cubicScript", {
+  nonlinear: true,
+  dofsPerNode: 2,
+  prepareBoundaryConditions: () => ({}),
+  assembleMat: ({ solutionVector }) => {
+    const totalDOFs = solutionVector.length;
+    const jacobianMatrix = Array.from({ length: totalDOFs }, (_, i) =>
+      Array.from({ length: totalDOFs }, (_, j) => (i === j ? 3 * solutionVector[i] ** 2 + 1 : 0)),
+    );
+    const residualVector = Array.from(solutionVector, (u) => 10 - u ** 3 - u);
+    return { jacobianMatrix, residualVector };
+  },
+});
+
+const cubicModel = new FEAScriptModel();
+cubicModel.setModelConfig("cubicScript");
+cubicModel.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: 2, maxX: 1 });
+cubicModel.addBoundaryCondition("unused", ["none"]);
+const cubicResult = cubicModel.solve({ tolerance: 1e-10 });
+assert(cubicResult.solutionVector.length === 6, "Solution vector holds 2 unknowns for each of the 3 nodes");
+assert(
+  Array.from(cubicResult.solutionVector).every((u) => Math.abs(u - 2) < 1e-8),
+  "Newton-Raphson converges to the root u = 2",
+);
+
+basicLog("");
+basicLog("[4] Custom solution strategy");
+
+registerModel("constantScript", {
+  solve: ({ meshData, coefficientFunctions }) => ({
+    solutionVector: meshData.nodesXCoordinates.map(() => coefficientFunctions.value),
+  }),
+});
+const constantModel = new FEAScriptModel();
+constantModel.setModelConfig("constantScript", { coefficientFunctions: { value: 7 } });
+constantModel.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: 3, maxX: 1 });
+const constantResult = constantModel.solve();
+assert(
+  constantResult.solutionVector.length === 4 && constantResult.solutionVector.every((value) => value === 7),
+  "A custom solve function replaces the built-in strategies",
+);
+
+basicLog("");
+basicLog("[5] Errors");
+
+const missingAssemblerError = captureError(() => registerModel("emptyScript", { dofsPerNode: 1 }));
+assert(
+  missingAssemblerError instanceof ConfigurationError &&
+    missingAssemblerError.code === "INVALID_MODEL_DEFINITION",
+  "A definition without assembleMat, kernel or solve throws INVALID_MODEL_DEFINITION",
+);
+const unknownModelError = captureError(() => getModel("missingScript"));
+assert(
+  unknownModelError instanceof ConfigurationError &&
+    unknownModelError.code === "UNKNOWN_MODEL" &&
+    unknownModelError.details.availableModels.includes("poissonScript"),
+  "An unknown model throws UNKNOWN_MODEL listing the registered models",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
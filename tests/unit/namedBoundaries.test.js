@@ -0,0 +1,158 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for named boundaries (resolveBoundaryNames)
+ *
+ * Covers:
+ *  - "left"/"right" and "bottom"/"left"/"top"/"right" names for generated 1D and 2D meshes
+ *  - Gmsh physical names read by importGmshMesh
+ *  - The error listing the available boundaries when a key matches no boundary
+ *
+ * Run: node tests/unit/namedBoundaries.test.js (or npm test)
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { prepareMesh, resolveBoundaryNames } from "../../src/mesh/meshUtils.js";
+import { importGmshMesh } from "../../src/readers/gmshReader.js";
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { BoundaryConditionError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: named boundaries");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function sameSolution(firstSolution, secondSolution) {
+  return (
+    firstSolution.length === secondSolution.length &&
+    Array.from(firstSolution).every((value, nodeIndex) => Math.abs(value - secondSolution[nodeIndex]) < 1e-10)
+  );
+}
+
+basicLog("");
+basicLog("[1] Generated meshes");
+
+function solveFin(boundaryKeys) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("heatConductionScript");
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    numElementsX: 4,
+    numElementsY: 2,
+    maxX: 4,
+    maxY: 2,
+  });
+  model.addBoundaryCondition(boundaryKeys[0], ["constantTemperature", 200]);
+  model.addBoundaryCondition(boundaryKeys[1], ["constantTemperature", 200]);
+  model.addBoundaryCondition(boundaryKeys[2], ["convection", 1, 20]);
+  model.addBoundaryCondition(boundaryKeys[3], ["symmetry"]);
+  return model.solve().solutionVector;
+}
+assert(
+  sameSolution(solveFin(["0", "1", "2", "3"]), solveFin(["bottom", "left", "top", "right"])),
+  "2D names bottom/left/top/right match boundaries 0/1/2/3",
+);
+
+const wallMeshData = prepareMesh({ meshDimension: "1D", elementOrder: "linear", numElementsX: 4, maxX: 1 });
+const resolvedWallConditions = resolveBoundaryNames(
+  { left: ["constantTemperature", 1], right: ["constantTemperature", 2] },
+  wallMeshData,
+);
+assert(
+  JSON.stringify(resolvedWallConditions) ===
+    JSON.stringify({ 0: ["constantTemperature", 1], 1: ["constantTemperature", 2] }),
+  "1D names left/right resolve to boundaries 0/1",
+);
+
+basicLog("");
+basicLog("[2] Gmsh physical names");
+
+const meshFilePath = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../examples/heatConductionScript/heatConduction2DFin/rect_quad.msh",
+);
+const meshContent = fs.readFileSync(meshFilePath, "utf8");
+
+async function solveGmshFin(boundaryKeys) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("heatConductionScript");
+  model.setMeshConfig({
+    parsedMesh: await importGmshMesh({ text: async () => meshContent, name: "rect_quad.msh" }),
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+  });
+  model.addBoundaryCondition(boundaryKeys[0], ["constantTemperature", 200]);
+  model.addBoundaryCondition(boundaryKeys[1], ["constantTemperature", 200]);
+  model.addBoundaryCondition(boundaryKeys[2], ["convection", 1, 20]);
+  model.addBoundaryCondition(boundaryKeys[3], ["symmetry"]);
+  return model.solve().solutionVector;
+}
+assert(
+  sameSolution(
+    await solveGmshFin(["0", "1", "2", "3"]),
+    await solveGmshFin(["bottom", "right", "top", "left"]),
+  ),
+  "Gmsh physical names bottom/right/top/left match boundaries 0/1/2/3",
+);
+
+basicLog("");
+basicLog("[3] Unknown boundary keys");
+
+const finMeshData = prepareMesh({
+  meshDimension: "2D",
+  elementOrder: "linear",
+  numElementsX: 2,
+  numElementsY: 2,
+  maxX: 1,
+  maxY: 1,
+});
+let unknownKeyError;
+try {
+  resolveBoundaryNames({ inlet: ["constantTemperature", 1], top: ["symmetry"] }, finMeshData);
+} catch (error) {
+  unknownKeyError = error;
+}
+assert(
+  unknownKeyError instanceof BoundaryConditionError && unknownKeyError.code === "UNKNOWN_BOUNDARY",
+  "Unknown key throws a BoundaryConditionError with code UNKNOWN_BOUNDARY",
+);
+assert(
+  unknownKeyError?.message.includes('"inlet"') &&
+    unknownKeyError.message.includes('"0" ("bottom"), "1" ("left"), "2" ("top"), "3" ("right")'),
+  "The error names the unknown key and lists the available boundaries",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
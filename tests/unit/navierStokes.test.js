@@ -0,0 +1,228 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the steady Navier-Stokes model
+ *
+ * Covers:
+ *  - Newton Jacobian vs. a finite-difference derivative of the residual
+ *  - Creeping flow limit at a vanishing Reynolds number
+ *  - Lid-driven cavity at Re = 100 vs. the centerline velocities of Ghia et al. (1982)
+ *  - Agreement of the Picard and Newton iterations, with and without Reynolds-number continuation
+ *  - Configuration errors
+ *
+ * Run: node tests/unit/navierStokes.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { prepareMesh } from "../../src/mesh/meshUtils.js";
+import { assembleNavierStokesMat } from "../../src/models/navierStokes.js";
+import { ConfigurationError, MeshError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: Navier-Stokes flow");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+const cavityBoundaryConditions = {
+  0: ["constantVelocity", 0, 0],
+  1: ["constantVelocity", 0, 0],
+  2: ["constantVelocity", 1, 0], // Moving lid
+  3: ["constantVelocity", 0, 0],
+};
+
+function solveCavity({
+  modelConfig = "navierStokesScript",
+  numElements,
+  elementOrder = "quadratic",
+  navierStokes,
+}) {
+  const model = new FEAScriptModel();
+  model.setModelConfig(modelConfig, { navierStokes });
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder,
+    numElementsX: numElements,
+    numElementsY: numElements,
+    maxX: 1,
+    maxY: 1,
+  });
+  Object.entries(cavityBoundaryConditions).forEach(([boundaryKey, condition]) =>
+    model.addBoundaryCondition(boundaryKey, condition),
+  );
+  model.setSolverMethod("lusolve");
+  return model.solve();
+}
+
+const maxDifference = (values, referenceValues) =>
+  Math.max(...values.map((value, index) => Math.abs(value - referenceValues[index])));
+
+basicLog("");
+basicLog("[1] Newton Jacobian");
+
+// Directional derivative of the residual at an arbitrary (non-solution) state: the Jacobian is the
+// derivative of the discrete equations, i.e. of minus the residual vector
+const meshData = prepareMesh({
+  meshDimension: "2D",
+  elementOrder: "quadratic",
+  numElementsX: 2,
+  numElementsY: 2,
+  maxX: 1,
+  maxY: 1,
+});
+const settings = { reynoldsNumber: 50, linearization: "newton" };
+const totalDOFs = 2 * meshData.totalNodes + 9; // 5 x 5 velocity nodes and 3 x 3 pressure nodes
+const baseSolution = Array.from({ length: totalDOFs }, (_, dofIndex) => Math.sin(1.7 * dofIndex + 0.3));
+const { jacobianMatrix, residualVector } = assembleNavierStokesMat(
+  meshData,
+  { 0: ["stressFree"] },
+  baseSolution,
+  settings,
+);
+const direction = baseSolution.map((_, dofIndex) => Math.cos(0.9 * dofIndex));
+const step = 1e-6;
+const perturbedResidual = assembleNavierStokesMat(
+  meshData,
+  { 0: ["stressFree"] },
+  baseSolution.map((value, dofIndex) => value + step * direction[dofIndex]),
+  settings,
+).residualVector;
+const jacobianDirection = jacobianMatrix.multiply(direction);
+const jacobianError = Math.max(
+  ...residualVector.map((value, dofIndex) =>
+    Math.abs(-(perturbedResidual[dofIndex] - value) / step - jacobianDirection[dofIndex]),
+  ),
+);
+assert(
+  jacobianError < 1e-5,
+  `Newton Jacobian matches the finite-difference derivative (error ${jacobianError.toExponential(2)})`,
+);
+
+basicLog("");
+basicLog("[2] Creeping flow limit");
+
+// With Re → 0 the convective term vanishes: the velocities of the Stokes solution are recovered, and the
+// pressure scales with the dimensionless viscosity 1/Re
+const creepingFlow = solveCavity({ modelConfig: "creepingFlowScript", numElements: 4 });
+const slowFlow = solveCavity({ numElements: 4, navierStokes: { reynoldsNumber: 1e-6 } });
+assert(
+  maxDifference(slowFlow.fields.u, creepingFlow.fields.u) < 1e-8 &&
+    maxDifference(slowFlow.fields.v, creepingFlow.fields.v) < 1e-8,
+  "Velocities at Re = 1e-6 match the creeping flow solution",
+);
+assert(
+  maxDifference(
+    slowFlow.fields.pressure.map((value) => value * 1e-6),
+    creepingFlow.fields.pressure,
+  ) < 1e-6,
+  "Pressure at Re = 1e-6 is the creeping flow pressure scaled by 1/Re",
+);
+
+basicLog("");
+basicLog("[3] Lid-driven cavity at Re = 100");
+
+const cavity = solveCavity({ numElements: 8, navierStokes: { reynoldsNumber: 100 } });
+const { nodesXCoordinates, nodesYCoordinates } = cavity.nodesCoordinates;
+const centerline = new Map();
+nodesXCoordinates.forEach((x, nodeIndex) => {
+  if (Math.abs(x - 0.5) < 1e-12) centerline.set(nodesYCoordinates[nodeIndex], cavity.fields.u[nodeIndex]);
+});
+const minimumVelocity = Math.min(...centerline.values());
+const minimumHeight = [...centerline.entries()].find(([, value]) => value === minimumVelocity)[0];
+
+// Ghia et al.: minimum u = -0.2109 near y = 0.453, the vortex center moving below the cavity center with Re
+assert(
+  Math.abs(minimumVelocity + 0.2109) < 0.03 && minimumHeight > 0.4 && minimumHeight < 0.5,
+  `Minimum centerline velocity ${minimumVelocity.toFixed(
+    4,
+  )} at y = ${minimumHeight} matches Ghia et al. (-0.2109 at y = 0.453)`,
+);
+assert(
+  Math.abs(centerline.get(0.8125) - 0.2) < 0.05 && Math.abs(centerline.get(0.5) + 0.2058) < 0.02,
+  "Centerline velocities at y = 0.5 and y = 0.8125 follow Ghia et al. (-0.2058 and about 0.2)",
+);
+
+basicLog("");
+basicLog("[4] Picard and Newton iterations");
+
+const newtonCavity = solveCavity({ numElements: 4, navierStokes: { reynoldsNumber: 100 } });
+const picardCavity = solveCavity({
+  numElements: 4,
+  navierStokes: { reynoldsNumber: 100, linearization: "picard" },
+});
+const continuationCavity = solveCavity({
+  numElements: 4,
+  navierStokes: { reynoldsNumber: 100, picardIterations: 0, continuationSteps: 4 },
+});
+assert(
+  maxDifference(picardCavity.fields.u, newtonCavity.fields.u) < 1e-4 &&
+    maxDifference(picardCavity.fields.v, newtonCavity.fields.v) < 1e-4,
+  "Picard iterations converge to the Newton solution",
+);
+assert(
+  maxDifference(continuationCavity.fields.u, newtonCavity.fields.u) < 1e-4,
+  "Reynolds-number continuation without Picard iterations reaches the same solution",
+);
+
+basicLog("");
+basicLog("[5] Configuration errors");
+
+const missingReynoldsError = captureError(() => solveCavity({ numElements: 2 }));
+assert(
+  missingReynoldsError instanceof ConfigurationError && missingReynoldsError.code === "MISSING_CONFIGURATION",
+  "A missing Reynolds number throws MISSING_CONFIGURATION",
+);
+const linearizationError = captureError(() =>
+  solveCavity({ numElements: 2, navierStokes: { reynoldsNumber: 10, linearization: "secant" } }),
+);
+assert(
+  linearizationError instanceof ConfigurationError && linearizationError.code === "UNKNOWN_LINEARIZATION",
+  "An unknown linearization throws UNKNOWN_LINEARIZATION",
+);
+const linearMeshError = captureError(() =>
+  solveCavity({ numElements: 2, elementOrder: "linear", navierStokes: { reynoldsNumber: 10 } }),
+);
+assert(
+  linearMeshError instanceof MeshError && linearMeshError.code === "UNSUPPORTED_ELEMENT_ORDER",
+  "Linear elements throw UNSUPPORTED_ELEMENT_ORDER",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,196 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for SparseMatrix (CSR global matrix storage)
+ *
+ * Covers:
+ *  - Triplet accumulation with duplicate summation and sorted CSR column indices
+ *  - In-place updates after compression, identity rows for Dirichlet conditions and entries
+ *    outside the sparsity pattern, and the lookup of identity rows
+ *  - Matrix-vector product, transpose, in-place scaling and dense round trip
+ *  - lusolve and jacobi solving a CSR system assembled by assembleHeatConductionMat
+ *
+ * Run: node tests/unit/sparseMatrix.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { SparseMatrix } from "../../src/methods/sparseMatrix.js";
+import { solveLinearSystem } from "../../src/methods/linearSystemSolver.js";
+import { assembleHeatConductionMat } from "../../src/models/heatConduction.js";
+import { prepareMesh } from "../../src/mesh/meshUtils.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: SparseMatrix");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+basicLog("");
+basicLog("[1] Triplet accumulation and compression");
+
+//  | 4 -1  0 |
+//  |-1  4 -1 |
+//  | 0 -1  3 |
+const matrix = new SparseMatrix(3);
+matrix.addValue(1, 2, -1);
+matrix.addValue(0, 0, 2);
+matrix.addValue(1, 0, -1);
+matrix.addValue(0, 0, 2); // Duplicate, summed on compress
+matrix.addValue(2, 2, 3);
+matrix.addValue(1, 1, 4);
+matrix.addValue(0, 1, -1);
+matrix.addValue(2, 1, -1);
+matrix.compress();
+
+assert(matrix.nonZeroCount === 7, `Duplicates are merged (nonZeroCount = ${matrix.nonZeroCount})`);
+assert(matrix.values instanceof Float64Array, "Values are stored in a Float64Array");
+assert(
+  Array.from(matrix.rowPointers).join(",") === "0,2,5,7",
+  `Row pointers are correct (got ${Array.from(matrix.rowPointers)})`,
+);
+assert(
+  Array.from(matrix.columnIndices).join(",") === "0,1,0,1,2,1,2",
+  `Column indices are sorted within each row (got ${Array.from(matrix.columnIndices)})`,
+);
+assert(matrix.getValue(0, 0) === 4, "Duplicate entries are summed");
+assert(matrix.getValue(0, 2) === 0, "Entries outside the pattern read as zero");
+
+basicLog("");
+basicLog("[2] Updates after compression");
+
+matrix.addValue(2, 2, 1);
+assert(matrix.getValue(2, 2) === 4 && matrix.nonZeroCount === 7, "addValue updates stored entries in place");
+
+matrix.addValue(0, 2, 0.5);
+assert(matrix.getValue(0, 2) === 0.5 && matrix.nonZeroCount === 8, "addValue extends the sparsity pattern");
+
+matrix.setIdentityRow(1);
+assert(
+  matrix.getValue(1, 0) === 0 && matrix.getValue(1, 1) === 1 && matrix.getValue(1, 2) === 0,
+  "setIdentityRow zeroes the row and sets the diagonal to one",
+);
+
+const saddleMatrix = new SparseMatrix(2);
+saddleMatrix.addValue(0, 1, 1);
+saddleMatrix.addValue(1, 0, 1);
+saddleMatrix.setIdentityRow(1);
+assert(
+  saddleMatrix.getValue(1, 1) === 1 && saddleMatrix.getValue(1, 0) === 0,
+  "setIdentityRow inserts a missing diagonal entry",
+);
+
+// Row 0 is coupled, row 1 an identity row, row 2 a scaled identity row with a stored zero entry and row 3
+// has no diagonal entry
+const constrainedMatrix = SparseMatrix.fromDense([
+  [2, -1, 0, 0],
+  [-1, 2, -1, 0],
+  [0, 0, 4, 0],
+  [0, 0, 1, 0],
+]);
+constrainedMatrix.setIdentityRow(1);
+constrainedMatrix.setValue(2, 3, 0);
+const identityRows = constrainedMatrix.getIdentityRows();
+assert(
+  [...identityRows.entries()].join(";") === "1,1;2,4",
+  "getIdentityRows maps the rows with a lone non-zero diagonal entry to that entry",
+);
+
+basicLog("");
+basicLog("[3] Products, transpose and dense round trip");
+
+const dense = [
+  [4, -1, 0],
+  [-1, 4, -2],
+  [0, -1, 3],
+];
+const fromDense = SparseMatrix.fromDense(dense);
+const product = fromDense.multiply([1, 2, 3]);
+assert(
+  product[0] === 2 && product[1] === 1 && product[2] === 7,
+  `multiply computes A·x (got ${Array.from(product)})`,
+);
+assert(fromDense.transpose().getValue(2, 1) === -2, "transpose swaps rows and columns");
+assert(JSON.stringify(fromDense.toDense()) === JSON.stringify(dense), "toDense reproduces the dense matrix");
+
+const scaledMatrix = SparseMatrix.fromDense(dense);
+const scaledValues = scaledMatrix.values;
+scaledMatrix.scale(-2);
+assert(
+  scaledMatrix.values === scaledValues &&
+    scaledMatrix.getValue(1, 2) === 4 &&
+    scaledMatrix.getValue(2, 2) === -6 &&
+    scaledMatrix.nonZeroCount === 7,
+  "scale multiplies the stored values in place",
+);
+
+basicLog("");
+basicLog("[4] Solving an assembled CSR system");
+
+const meshData = prepareMesh({
+  meshDimension: "2D",
+  elementOrder: "linear",
+  numElementsX: 4,
+  numElementsY: 4,
+  maxX: 1,
+  maxY: 1,
+});
+// Bottom at 100, top at 200, insulated sides: exact solution is linear in y
+const { jacobianMatrix, residualVector } = assembleHeatConductionMat(meshData, {
+  0: ["constantTemperature", 100],
+  2: ["constantTemperature", 200],
+});
+
+assert(jacobianMatrix instanceof SparseMatrix, "assembleHeatConductionMat returns a SparseMatrix");
+assert(
+  jacobianMatrix.nonZeroCount < meshData.totalNodes ** 2,
+  `Only the element-coupled entries are stored (${jacobianMatrix.nonZeroCount} of ${
+    meshData.totalNodes ** 2
+  })`,
+);
+
+const tolerance = 1e-6;
+for (const solverMethod of ["lusolve", "jacobi"]) {
+  const { solutionVector } = solveLinearSystem(solverMethod, jacobianMatrix, residualVector, {
+    maxIterations: 10000,
+    tolerance: 1e-12,
+  });
+  let maxError = 0;
+  for (let nodeIndex = 0; nodeIndex < meshData.totalNodes; nodeIndex++) {
+    const exact = 100 + 100 * meshData.nodesYCoordinates[nodeIndex];
+    maxError = Math.max(maxError, Math.abs(solutionVector[nodeIndex] - exact));
+  }
+  assert(
+    maxError < tolerance,
+    `${solverMethod} recovers T = 100 + 100y (max error ${maxError.toExponential(3)})`,
+  );
+}
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,231 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the Timoshenko beam model
+ *
+ * Covers:
+ *  - Cantilever and simply supported beams vs. the closed-form solutions with shear deformation, on a
+ *    single element and on refined meshes
+ *  - Absence of shear locking: a slender beam matches the Euler-Bernoulli model
+ *  - Bending moment, shear force and reactions, and the interchangeability of the boundary conditions
+ *  - Natural frequencies with a high shear stiffness, and configuration errors
+ *
+ * Run: node tests/unit/timoshenkoBeam.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: Timoshenko beam");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+const L = 2;
+const EI = 3;
+const kGA = 5;
+const P = -4;
+const q = -1.5;
+
+function solveBeam({
+  modelConfig = "timoshenkoBeamScript",
+  boundaryConditions,
+  coefficientFunctions,
+  numElements,
+  ...options
+}) {
+  const model = new FEAScriptModel();
+  model.setModelConfig(modelConfig, {
+    coefficientFunctions: coefficientFunctions ?? { EI: () => EI, kGA: () => kGA },
+    ...options,
+  });
+  model.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: numElements, maxX: L });
+  Object.entries(boundaryConditions).forEach(([nodeKey, conditions]) =>
+    model.addBoundaryCondition(nodeKey, conditions),
+  );
+  return model.solve();
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+const closeTo = (value, expected, tolerance = 1e-10) =>
+  Math.abs(value - expected) <= tolerance * Math.max(1, Math.abs(expected));
+
+basicLog("");
+basicLog("[1] Closed-form solutions");
+
+// Tip load P: w(L) = PL³/(3EI) + PL/kGA
+const cantileverTip = (P * L ** 3) / (3 * EI) + (P * L) / kGA;
+[1, 4].forEach((numElements) => {
+  const cantilever = solveBeam({
+    boundaryConditions: { 1: [["fixed"]], [numElements + 1]: [["force", P]] },
+    numElements,
+  });
+  assert(
+    closeTo(cantilever.fields.deflection[numElements], cantileverTip) &&
+      closeTo(cantilever.fields.rotation[numElements], (P * L ** 2) / (2 * EI)),
+    `Cantilever with ${numElements} element(s): tip deflection PL³/3EI + PL/kGA and rotation PL²/2EI`,
+  );
+});
+
+// Uniform load q: w(L/2) = 5qL⁴/(384EI) + qL²/(8kGA)
+const simplySupported = solveBeam({
+  boundaryConditions: { 1: [["pinned"]], 5: [["pinned"]] },
+  coefficientFunctions: { EI: () => EI, kGA: () => kGA, q: () => q },
+  numElements: 4,
+});
+assert(
+  closeTo(simplySupported.fields.deflection[2], (5 * q * L ** 4) / (384 * EI) + (q * L ** 2) / (8 * kGA)),
+  "Simply supported beam under a uniform load: midspan deflection 5qL⁴/384EI + qL²/8kGA",
+);
+
+// Shear-only response: the end rotation vanishes and the tip deflection is PL/kGA when EI is very large
+const shearOnly = solveBeam({
+  boundaryConditions: { 1: [["fixed"]], 2: [["force", P]] },
+  coefficientFunctions: { EI: () => 1e12, kGA: () => kGA },
+  numElements: 1,
+});
+assert(
+  closeTo(shearOnly.fields.deflection[1], (P * L) / kGA, 1e-8),
+  "A beam rigid in bending deflects by PL/kGA in shear alone",
+);
+
+basicLog("");
+basicLog("[2] Slender beams");
+
+// A shear stiffness far above the bending one recovers the Euler-Bernoulli solution on a coarse mesh,
+// which a locking element would underestimate by orders of magnitude
+const slenderBCs = { 1: [["fixed"]], 3: [["force", P]] };
+const slenderTimoshenko = solveBeam({
+  boundaryConditions: slenderBCs,
+  coefficientFunctions: { EI: () => EI, kGA: () => 1e8 * EI },
+  numElements: 2,
+});
+const slenderEulerBernoulli = solveBeam({
+  modelConfig: "eulerBernoulliBeamScript",
+  boundaryConditions: slenderBCs,
+  coefficientFunctions: { EI: () => EI },
+  numElements: 2,
+});
+assert(
+  slenderTimoshenko.fields.deflection.every((value, nodeIndex) =>
+    closeTo(value, slenderEulerBernoulli.fields.deflection[nodeIndex], 1e-6),
+  ),
+  "A slender Timoshenko beam matches the Euler-Bernoulli beam on two elements (no shear locking)",
+);
+
+basicLog("");
+basicLog("[3] Internal forces and reactions");
+
+// Clamped at x = 0 and pinned at x = L, with a point load at midspan, from the same conditions as an
+// Euler-Bernoulli beam
+const proppedBCs = {
+  1: [["fixed"]],
+  3: [["force", P]],
+  5: [["pinned"]],
+};
+const propped = solveBeam({
+  boundaryConditions: proppedBCs,
+  numElements: 4,
+  samplePoints: [0, 0.25, 1.5, L],
+});
+const [clampedReaction, pinnedReaction] = propped.reactions;
+assert(
+  propped.reactions.length === 2 &&
+    closeTo(clampedReaction.force + pinnedReaction.force, -P, 1e-9) &&
+    closeTo(clampedReaction.moment + pinnedReaction.force * L + P * (L / 2), 0, 1e-9),
+  "Reactions of a propped cantilever balance the applied load and its moment",
+);
+const { bendingMoment, shearForce } = propped.beamResults;
+assert(
+  closeTo(shearForce[0], -clampedReaction.force, 1e-9) &&
+    closeTo(shearForce[1], -clampedReaction.force, 1e-9) &&
+    closeTo(shearForce[2], pinnedReaction.force, 1e-9) &&
+    closeTo(bendingMoment[0], clampedReaction.moment, 1e-9) &&
+    closeTo(bendingMoment[2], -pinnedReaction.force * (L - 1.5), 1e-9),
+  "Bending moment -EI·theta' and shear force kGA·(w' - theta) follow from the reactions",
+);
+
+// Statically indeterminate: from the tip compatibility of the cantilever, the prop carries
+// R = -P·(5L³/48EI + L/2kGA)/(L³/3EI + L/kGA), which tends to 5|P|/16 without shear deformation
+const proppedEulerBernoulli = solveBeam({
+  modelConfig: "eulerBernoulliBeamScript",
+  boundaryConditions: proppedBCs,
+  coefficientFunctions: { EI: () => EI },
+  numElements: 4,
+});
+const propReaction = (-P * ((5 * L ** 3) / (48 * EI) + L / (2 * kGA))) / (L ** 3 / (3 * EI) + L / kGA);
+assert(
+  closeTo(proppedEulerBernoulli.reactions[1].force, (-5 * P) / 16, 1e-9) &&
+    closeTo(pinnedReaction.force, propReaction, 1e-9),
+  `The same node-keyed conditions solve both beam models, and shear raises the prop reaction (${propReaction.toFixed(
+    4,
+  )} vs ${((-5 * P) / 16).toFixed(4)})`,
+);
+
+basicLog("");
+basicLog("[4] Modal analysis and configuration errors");
+
+const rhoA = 1.5;
+const [firstMode] = solveBeam({
+  boundaryConditions: { 1: [["pinned"]], 17: [["pinned"]] },
+  coefficientFunctions: { EI: () => EI, kGA: () => 1e6 * EI, rhoA: () => rhoA },
+  numElements: 16,
+  modal: { numberOfModes: 1 },
+}).modes;
+const eulerOmega = (Math.PI / L) ** 2 * Math.sqrt(EI / rhoA);
+assert(
+  Math.abs(firstMode.angularFrequency - eulerOmega) / eulerOmega < 1e-4,
+  "A stiff-in-shear simply supported beam vibrates at (π/L)²√(EI/rhoA)",
+);
+
+const missingShearError = captureError(() =>
+  solveBeam({
+    boundaryConditions: { 1: [["fixed"]] },
+    coefficientFunctions: { EI: () => EI },
+    numElements: 2,
+  }),
+);
+assert(
+  missingShearError instanceof ConfigurationError && missingShearError.code === "MISSING_CONFIGURATION",
+  "A Timoshenko beam without kGA throws MISSING_CONFIGURATION",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,176 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for the transient creeping flow and Navier-Stokes models
+ *
+ * Covers:
+ *  - Start-up flow in a lid-driven cavity, which settles to the steady solution
+ *  - First- and second-order accuracy in time of BDF1 and BDF2, with an oscillating lid
+ *  - Velocity and pressure fields at every time step
+ *  - Invalid time stepping settings
+ *
+ * Run: node tests/unit/transientFlow.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: transient flow");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+function solveCavity({ modelConfig = "creepingFlowScript", numElements, lidVelocity = 1, ...options }) {
+  const model = new FEAScriptModel();
+  model.setModelConfig(modelConfig, options);
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    numElementsX: numElements,
+    numElementsY: numElements,
+    maxX: 1,
+    maxY: 1,
+  });
+  model.addBoundaryCondition("0", ["constantVelocity", 0, 0]);
+  model.addBoundaryCondition("1", ["constantVelocity", 0, 0]);
+  model.addBoundaryCondition("2", ["constantVelocity", lidVelocity, 0]);
+  model.addBoundaryCondition("3", ["constantVelocity", 0, 0]);
+  model.setSolverMethod("lusolve");
+  return model.solve();
+}
+
+const maxDifference = (values, referenceValues) =>
+  Math.max(...values.map((value, index) => Math.abs(value - referenceValues[index])));
+
+basicLog("");
+basicLog("[1] Start-up flow");
+
+// The viscous time scale of the unit cavity is 1, so the Stokes flow is steady well before t = 2
+const steadyStokes = solveCavity({ numElements: 4 });
+const startUp = solveCavity({ numElements: 4, transient: { timeStep: 0.1, endTime: 2 } });
+assert(
+  maxDifference(startUp.fields.u, steadyStokes.fields.u) < 1e-6 &&
+    maxDifference(startUp.fields.v, steadyStokes.fields.v) < 1e-6,
+  "Impulsively started Stokes flow settles to the steady creeping flow",
+);
+
+const { times, fields: stepFields } = startUp.timeSeries;
+assert(
+  times.length === 21 &&
+    stepFields.length === times.length &&
+    stepFields[0].velocityMagnitude.every((value) => value === 0) &&
+    stepFields[1].u.some((value) => value === 1) &&
+    stepFields[5].pressure.every(Number.isFinite),
+  "Time series holds the u, v, velocity magnitude and pressure fields of every step, from rest at t = 0",
+);
+
+// Navier-Stokes at Re = 100: the start-up flow reaches the steady Newton solution
+const steadyNavierStokes = solveCavity({
+  modelConfig: "navierStokesScript",
+  numElements: 4,
+  navierStokes: { reynoldsNumber: 100 },
+});
+const navierStokesStartUp = solveCavity({
+  modelConfig: "navierStokesScript",
+  numElements: 4,
+  navierStokes: { reynoldsNumber: 100 },
+  transient: { timeStep: 1, endTime: 40 },
+});
+assert(
+  maxDifference(navierStokesStartUp.fields.u, steadyNavierStokes.fields.u) < 1e-4,
+  "Navier-Stokes start-up flow at Re = 100 reaches the steady solution",
+);
+
+basicLog("");
+basicLog("[2] Order of accuracy");
+
+// Oscillating lid u = sin(2πt), started smoothly from rest; velocity errors at t = 0.25 vs. a fine BDF2
+// solution
+const oscillatingLid = (t) => Math.sin(2 * Math.PI * t);
+const solveOscillatingLid = (order, timeStep) => {
+  const { u, v } = solveCavity({
+    numElements: 2,
+    lidVelocity: oscillatingLid,
+    transient: { timeStep, endTime: 0.25, order },
+  }).fields;
+  return [...u, ...v];
+};
+const referenceVelocity = solveOscillatingLid(2, 0.25 / 512);
+[1, 2].forEach((order) => {
+  const coarseError = maxDifference(solveOscillatingLid(order, 0.25 / 16), referenceVelocity);
+  const fineError = maxDifference(solveOscillatingLid(order, 0.25 / 32), referenceVelocity);
+  const observedOrder = Math.log2(coarseError / fineError);
+  assert(
+    Math.abs(observedOrder - order) < 0.3,
+    `BDF${order} converges with order ${order} in time (observed ${observedOrder.toFixed(2)})`,
+  );
+});
+
+basicLog("");
+basicLog("[3] Configuration errors");
+
+const orderError = captureError(() =>
+  solveCavity({ numElements: 2, transient: { timeStep: 0.1, endTime: 0.2, order: 3 } }),
+);
+assert(
+  orderError instanceof ConfigurationError && orderError.code === "INVALID_TIME_STEPPING",
+  "A BDF order other than 1 or 2 throws INVALID_TIME_STEPPING",
+);
+const partialStepError = captureError(() =>
+  solveCavity({ numElements: 2, transient: { timeStep: 0.1, endTime: 0.25 } }),
+);
+assert(
+  partialStepError instanceof ConfigurationError && partialStepError.code === "INVALID_TIME_STEPPING",
+  "An end time that is not a whole number of time steps throws INVALID_TIME_STEPPING",
+);
+
+// 0.3 / 0.1 is 2.9999999999999996 in floating point
+const { times: decimalStepTimes } = solveCavity({
+  numElements: 2,
+  transient: { timeStep: 0.1, endTime: 0.3 },
+}).timeSeries;
+assert(
+  decimalStepTimes.length === 4 && Math.abs(decimalStepTimes.at(-1) - 0.3) < 1e-12,
+  "Decimal time steps reach the end time despite rounding",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
@@ -0,0 +1,189 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for transient heat conduction (assembleHeatConductionMassMat and thetaMethod)
+ *
+ * Covers:
+ *  - Consistent and lumped mass matrices (total heat capacity ρ·c·|Ω|, lumped matrix is diagonal)
+ *  - 1D decay of a sine temperature profile against the analytical solution for θ = 0, 0.5 and 1
+ *  - Time series contract (times and solution vectors for every step, including t = 0), and end times that
+ *    are not a whole number of time steps
+ *  - The 2D fin cool-down reaching the steady-state solution
+ *
+ * Run: node tests/unit/transientHeatConduction.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { assembleHeatConductionMassMat } from "../../src/models/heatConduction.js";
+import { prepareMesh } from "../../src/mesh/meshUtils.js";
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { ConfigurationError } from "../../src/utilities/errors.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: transient heat conduction");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+basicLog("");
+basicLog("[1] Heat capacity matrices");
+
+const coefficientFunctions = { density: 2, specificHeat: 3 };
+const finMeshData = prepareMesh({
+  meshDimension: "2D",
+  elementOrder: "quadratic",
+  numElementsX: 4,
+  numElementsY: 2,
+  maxX: 4,
+  maxY: 2,
+});
+for (const lumped of [false, true]) {
+  const label = lumped ? "Lumped" : "Consistent";
+  const denseMassMatrix = assembleHeatConductionMassMat(finMeshData, coefficientFunctions, lumped).toDense();
+  let total = 0;
+  let offDiagonalSum = 0;
+  denseMassMatrix.forEach((row, i) =>
+    row.forEach((value, j) => {
+      total += value;
+      if (i !== j) offDiagonalSum += Math.abs(value);
+    }),
+  );
+  // Negative sign convention, as for the conductivity matrix
+  assert(Math.abs(total + 2 * 3 * 4 * 2) < 1e-10, `${label} mass matrix sums to -ρ·c·|Ω| (got ${total})`);
+  if (lumped) assert(offDiagonalSum === 0, "Lumped mass matrix is diagonal");
+}
+
+basicLog("");
+basicLog("[2] 1D decay of a sine profile");
+
+// T(x, t) = sin(πx)·exp(-π²t) for T(0) = T(1) = 0, ρ = c = k = 1
+const endTime = 0.1;
+function solveSineDecay(theta, timeStep, massLumping) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("heatConductionScript", {
+    transient: {
+      timeStep,
+      endTime,
+      theta,
+      massLumping,
+      initialTemperature: (x) => Math.sin(Math.PI * x),
+    },
+  });
+  model.setMeshConfig({ meshDimension: "1D", elementOrder: "quadratic", numElementsX: 10, maxX: 1 });
+  model.addBoundaryCondition("0", ["constantTemperature", 0]);
+  model.addBoundaryCondition("1", ["constantTemperature", 0]);
+  return model.solve();
+}
+
+function maxAnalyticalError(result) {
+  let error = 0;
+  result.nodesCoordinates.nodesXCoordinates.forEach((x, nodeIndex) => {
+    const exact = Math.sin(Math.PI * x) * Math.exp(-(Math.PI ** 2) * endTime);
+    error = Math.max(error, Math.abs(result.solutionVector[nodeIndex] - exact));
+  });
+  return error;
+}
+
+for (const [label, theta, timeStep, massLumping, allowedError] of [
+  ["Backward Euler", 1, 0.005, false, 2e-2],
+  ["Crank-Nicolson", 0.5, 0.005, false, 1e-3],
+  ["Forward Euler (lumped)", 0, 0.0002, true, 5e-3],
+]) {
+  const result = solveSineDecay(theta, timeStep, massLumping);
+  const error = maxAnalyticalError(result);
+  assert(
+    error < allowedError,
+    `${label} matches the analytical solution (max error ${error.toExponential(3)})`,
+  );
+  if (theta === 1) {
+    const { times, solutionVectors } = result.timeSeries;
+    assert(times.length === 21 && solutionVectors.length === 21, "Time series holds t = 0 and 20 steps");
+    assert(Math.abs(times.at(-1) - endTime) < 1e-12, "Last time equals the end time");
+    assert(solutionVectors.at(-1) === result.solutionVector, "Last time series entry is the final solution");
+  }
+}
+
+const partialStepError = captureError(() => solveSineDecay(1, 0.03, false));
+assert(
+  partialStepError instanceof ConfigurationError && partialStepError.code === "INVALID_TIME_STEPPING",
+  "An end time that is not a whole number of time steps throws INVALID_TIME_STEPPING",
+);
+
+basicLog("");
+basicLog("[3] 2D fin cool-down towards the steady state");
+
+function solveFin(transient) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("heatConductionScript", transient ? { transient } : {});
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    numElementsX: 8,
+    numElementsY: 4,
+    maxX: 4,
+    maxY: 2,
+  });
+  model.addBoundaryCondition("0", ["constantTemperature", 200]);
+  model.addBoundaryCondition("1", ["symmetry"]);
+  model.addBoundaryCondition("2", ["convection", 1, 20]);
+  model.addBoundaryCondition("3", ["constantTemperature", 200]);
+  return model.solve();
+}
+
+const steadyState = solveFin(null).solutionVector;
+const transientResult = solveFin({ timeStep: 10, endTime: 300, initialTemperature: 200 });
+let steadyStateDeviation = 0;
+steadyState.forEach((value, nodeIndex) => {
+  steadyStateDeviation = Math.max(
+    steadyStateDeviation,
+    Math.abs(transientResult.solutionVector[nodeIndex] - value),
+  );
+});
+assert(
+  steadyStateDeviation < 1e-6,
+  `Transient solution reaches the steady state (max deviation ${steadyStateDeviation})`,
+);
+const firstStep = transientResult.timeSeries.solutionVectors[1];
+assert(
+  firstStep.every((value, nodeIndex) => value <= 200 + 1e-9 && value >= steadyState[nodeIndex] - 1e-9),
+  "First step lies between the steady state and the initial temperature",
+);
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
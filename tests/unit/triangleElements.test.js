@@ -0,0 +1,287 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for linear (3-node) and quadratic (6-node) triangle elements
+ *
+ * Covers:
+ *  - Triangle basis functions (partition of unity, nodal interpolation) and quadrature weights
+ *  - Element type detection and boundary side detection for Gmsh-style parsed meshes
+ *  - The 2D general form PDE against a manufactured solution, with error reduction under refinement
+ *  - Heat conduction with constant temperature, symmetry and convection boundaries
+ *
+ * Run: node tests/unit/triangleElements.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { BasisFunctions } from "../../src/mesh/basisFunctions.js";
+import { NumericalIntegration } from "../../src/methods/numericalIntegration.js";
+import { prepareMesh } from "../../src/mesh/meshUtils.js";
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: triangle elements");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+/**
+ * Builds a Gmsh-style parsed mesh of the unit square, where each of the n × n cells is split into the
+ * triangles (a, b, c) and (a, c, d). Physical tags 1-4 are the bottom, right, top and left boundaries
+ */
+function triangulatedUnitSquare(numCells, elementOrder) {
+  const nodesPerSide = elementOrder === "quadratic" ? 2 * numCells + 1 : numCells + 1;
+  const step = elementOrder === "quadratic" ? 2 : 1;
+  const nodeTag = (i, j) => j * nodesPerSide + i + 1;
+
+  const nodesXCoordinates = [];
+  const nodesYCoordinates = [];
+  for (let j = 0; j < nodesPerSide; j++) {
+    for (let i = 0; i < nodesPerSide; i++) {
+      nodesXCoordinates.push(i / (nodesPerSide - 1));
+      nodesYCoordinates.push(j / (nodesPerSide - 1));
+    }
+  }
+
+  const triangleElements = [];
+  for (let cellY = 0; cellY < numCells; cellY++) {
+    for (let cellX = 0; cellX < numCells; cellX++) {
+      const [i, j] = [cellX * step, cellY * step];
+      const [a, b, c, d] = [
+        nodeTag(i, j),
+        nodeTag(i + step, j),
+        nodeTag(i + step, j + step),
+        nodeTag(i, j + step),
+      ];
+      if (elementOrder === "quadratic") {
+        triangleElements.push([a, b, c, nodeTag(i + 1, j), nodeTag(i + 2, j + 1), nodeTag(i + 1, j + 1)]);
+        triangleElements.push([a, c, d, nodeTag(i + 1, j + 1), nodeTag(i + 1, j + 2), nodeTag(i, j + 1)]);
+      } else {
+        triangleElements.push([a, b, c]);
+        triangleElements.push([a, c, d]);
+      }
+    }
+  }
+
+  const boundaryNodePairs = { 1: [], 2: [], 3: [], 4: [] };
+  for (let k = 0; k < nodesPerSide - 1; k += step) {
+    const last = nodesPerSide - 1;
+    boundaryNodePairs[1].push([nodeTag(k, 0), nodeTag(k + step, 0)]);
+    boundaryNodePairs[2].push([nodeTag(last, k), nodeTag(last, k + step)]);
+    boundaryNodePairs[3].push([nodeTag(k + step, last), nodeTag(k, last)]);
+    boundaryNodePairs[4].push([nodeTag(0, k + step), nodeTag(0, k)]);
+  }
+
+  return {
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nodalNumbering: { quadElements: [], triangleElements },
+    boundaryElements: [],
+    boundaryNodePairs,
+    totalNodesX: nodesXCoordinates.length,
+    totalNodesY: nodesYCoordinates.length,
+    physicalPropMap: [
+      { tag: 1, dimension: 1, name: "bottom" },
+      { tag: 2, dimension: 1, name: "right" },
+      { tag: 3, dimension: 1, name: "top" },
+      { tag: 4, dimension: 1, name: "left" },
+      { tag: 5, dimension: 2, name: "domain" },
+    ],
+    elementTypes: { [elementOrder === "quadratic" ? 9 : 2]: triangleElements.length },
+  };
+}
+
+basicLog("");
+basicLog("[1] Basis functions and quadrature");
+
+const referenceNodes = [
+  [0, 0],
+  [1, 0],
+  [0, 1],
+  [0.5, 0],
+  [0.5, 0.5],
+  [0, 0.5],
+];
+for (const [elementOrder, nodesPerElement] of [
+  ["linear", 3],
+  ["quadratic", 6],
+]) {
+  const basisFunctions = new BasisFunctions({ meshDimension: "2D", elementOrder, elementType: "triangle" });
+  const { gaussPoints2D, gaussWeights2D } = new NumericalIntegration({
+    meshDimension: "2D",
+    elementOrder,
+    elementType: "triangle",
+  }).getGaussPointsAndWeights2D();
+
+  const weightSum = gaussWeights2D.reduce((sum, weight) => sum + weight, 0);
+  assert(
+    Math.abs(weightSum - 0.5) < 1e-12,
+    `${elementOrder} quadrature weights sum to the reference area 1/2`,
+  );
+
+  const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } = basisFunctions.getBasisFunctions(
+    0.2,
+    0.3,
+  );
+  const sum = basisFunction.reduce((total, value) => total + value, 0);
+  const derivKsiSum = basisFunctionDerivKsi.reduce((total, value) => total + value, 0);
+  const derivEtaSum = basisFunctionDerivEta.reduce((total, value) => total + value, 0);
+  assert(
+    basisFunction.length === nodesPerElement &&
+      Math.abs(sum - 1) < 1e-12 &&
+      Math.abs(derivKsiSum) < 1e-12 &&
+      Math.abs(derivEtaSum) < 1e-12,
+    `${elementOrder} triangle basis functions form a partition of unity`,
+  );
+
+  let isInterpolatory = true;
+  referenceNodes.slice(0, nodesPerElement).forEach(([ksi, eta], nodeIndex) => {
+    basisFunctions.getBasisFunctions(ksi, eta).basisFunction.forEach((value, localNodeIndex) => {
+      if (Math.abs(value - (localNodeIndex === nodeIndex ? 1 : 0)) > 1e-12) isInterpolatory = false;
+    });
+  });
+  assert(isInterpolatory, `${elementOrder} basis function i equals 1 at node i and 0 at the other nodes`);
+
+  // ∫ ksi·eta over the reference triangle is 1/24 (exact for both rules)
+  const integral = gaussPoints2D.reduce(
+    (total, [ksi, eta], gaussPointIndex) => total + gaussWeights2D[gaussPointIndex] * ksi * eta,
+    0,
+  );
+  assert(Math.abs(integral - 1 / 24) < 1e-12, `${elementOrder} quadrature integrates ksi·eta exactly`);
+}
+
+basicLog("");
+basicLog("[2] Parsed triangle meshes");
+
+for (const elementOrder of ["linear", "quadratic"]) {
+  const meshData = prepareMesh({
+    meshDimension: "2D",
+    elementOrder,
+    parsedMesh: triangulatedUnitSquare(2, elementOrder),
+  });
+  assert(meshData.elementType === "triangle", `${elementOrder} mesh is detected as a triangle mesh`);
+  assert(meshData.totalElements === 8, `${elementOrder} mesh holds 8 elements`);
+  const sidesFound = meshData.boundaryElements.map((boundary) => boundary.map(([, side]) => side));
+  assert(
+    JSON.stringify(sidesFound) ===
+      JSON.stringify([
+        [0, 0],
+        [1, 1],
+        [1, 1],
+        [2, 2],
+      ]),
+    `${elementOrder} boundary sides are detected from the Gmsh numbering (got ${JSON.stringify(sidesFound)})`,
+  );
+}
+
+basicLog("");
+basicLog("[3] General form PDE against a manufactured solution");
+
+// Δu = -2π²·sin(πx)·sin(πy), u = 0 on the boundary
+const PI = Math.PI;
+const exactSolution = (x, y) => Math.sin(PI * x) * Math.sin(PI * y);
+const coefficientFunctions = {
+  A: (x, y) => 1,
+  B: (x, y) => [0, 0],
+  C: (x, y) => 0,
+  D: (x, y) => -2 * PI ** 2 * exactSolution(x, y),
+};
+
+function maxNodalError(numCells, elementOrder) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("generalFormPDEScript", { coefficientFunctions });
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder,
+    parsedMesh: triangulatedUnitSquare(numCells, elementOrder),
+  });
+  for (const boundaryKey of ["0", "1", "2", "3"]) {
+    model.addBoundaryCondition(boundaryKey, ["constantValue", 0]);
+  }
+  const { solutionVector, nodesCoordinates } = model.solve();
+  const { nodesXCoordinates, nodesYCoordinates } = nodesCoordinates;
+  let error = 0;
+  for (let i = 0; i < solutionVector.length; i++) {
+    error = Math.max(
+      error,
+      Math.abs(solutionVector[i] - exactSolution(nodesXCoordinates[i], nodesYCoordinates[i])),
+    );
+  }
+  return error;
+}
+
+for (const [elementOrder, allowedError, minimumReduction] of [
+  ["linear", 2e-2, 3],
+  ["quadratic", 1e-3, 6],
+]) {
+  const coarseError = maxNodalError(4, elementOrder);
+  const fineError = maxNodalError(8, elementOrder);
+  assert(
+    fineError < allowedError,
+    `${elementOrder} triangles match the manufactured solution (max error ${fineError.toExponential(3)})`,
+  );
+  assert(
+    fineError < coarseError / minimumReduction,
+    `${elementOrder} error decreases under refinement (${coarseError.toExponential(
+      3,
+    )} -> ${fineError.toExponential(3)})`,
+  );
+}
+
+basicLog("");
+basicLog("[4] Heat conduction with convection");
+
+// T = 100 on the left, convection (h = 2, T∞ = 10) on the right and insulated top and bottom give the
+// linear profile T(x) = 100 + (T(1) - 100)·x with T(1) = (100 + h·T∞) / (1 + h) for k = 1
+const rightTemperature = (100 + 2 * 10) / (1 + 2);
+for (const elementOrder of ["linear", "quadratic"]) {
+  const model = new FEAScriptModel();
+  model.setModelConfig("heatConductionScript");
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder,
+    parsedMesh: triangulatedUnitSquare(3, elementOrder),
+  });
+  model.addBoundaryCondition("0", ["symmetry"]);
+  model.addBoundaryCondition("1", ["convection", 2, 10]);
+  model.addBoundaryCondition("2", ["symmetry"]);
+  model.addBoundaryCondition("3", ["constantTemperature", 100]);
+  const { solutionVector, nodesCoordinates } = model.solve();
+  let error = 0;
+  nodesCoordinates.nodesXCoordinates.forEach((x, nodeIndex) => {
+    error = Math.max(error, Math.abs(solutionVector[nodeIndex] - (100 + (rightTemperature - 100) * x)));
+  });
+  assert(
+    error < 1e-8,
+    `${elementOrder} triangles reproduce the linear temperature profile (max error ${error})`,
+  );
+}
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);
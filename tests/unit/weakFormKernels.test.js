@@ -0,0 +1,324 @@
+/**
+ * ════════════════════════════════════════════════════════════════
+ *  FEAScript Core Library
+ *  Lightweight Finite Element Simulation in JavaScript
+ *  Version: 0.3.0 (RC) | https://feascript.com
+ *  MIT License © 2023–2026 FEAScript
+ * ════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Unit tests for models defined by a weak-form kernel (registerModel with `kernel`)
+ *
+ * Covers:
+ *  - Anisotropic diffusion with cross terms against a manufactured solution, with lusolve and the frontal solver
+ *  - Agreement with the built-in heat conduction model for spatially varying coefficients
+ *  - A nonlinear kernel solved with the Newton-Raphson method
+ *  - Boundary kernels for flux and convection conditions, against the heat conduction model and in a
+ *    nonlinear 1D problem
+ *
+ * Run: node tests/unit/weakFormKernels.test.js (or npm test)
+ */
+
+import * as mathjs from "mathjs";
+globalThis.math = mathjs;
+
+import { registerModel } from "../../src/models/modelRegistry.js";
+import { FEAScriptModel } from "../../src/FEAScript.js";
+import { basicLog, errorLog } from "../../src/utilities/logging.js";
+
+basicLog("");
+basicLog("================================");
+basicLog("Unit tests: weak-form kernels");
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    errorLog(`FAIL: ${message}`);
+    failed++;
+  } else {
+    basicLog(`PASS: ${message}`);
+    passed++;
+  }
+}
+
+function maxDifference(vector1, vector2) {
+  let difference = 0;
+  for (let i = 0; i < vector1.length; i++) {
+    difference = Math.max(difference, Math.abs(vector1[i] - vector2[i]));
+  }
+  return difference;
+}
+
+function solveOnUnitSquare(
+  modelName,
+  { elementOrder, numElements, solverMethod, boundaryCondition, boundaryConditions },
+) {
+  const model = new FEAScriptModel();
+  model.setModelConfig(modelName, {
+    coefficientFunctions: {
+      thermalConductivity: (x, y) => 1 + x * y,
+      heatSource: (x, y) => 10 * x,
+    },
+  });
+  model.setMeshConfig({
+    meshDimension: "2D",
+    elementOrder,
+    numElementsX: numElements,
+    numElementsY: numElements,
+    maxX: 1,
+    maxY: 1,
+  });
+  for (const boundaryName of ["bottom", "left", "top", "right"]) {
+    model.addBoundaryCondition(boundaryName, boundaryConditions?.[boundaryName] ?? boundaryCondition);
+  }
+  if (solverMethod) model.setSolverMethod(solverMethod);
+  return model.solve();
+}
+
+basicLog("");
+basicLog("[1] Anisotropic diffusion with cross terms");
+
+// -∇·(A∇u) = f with A = [[2, 0.5], [0.5, 1]] and the manufactured solution u = sin(πx)·sin(πy)
+const PI = Math.PI;
+const exactSolution = (x, y) => Math.sin(PI * x) * Math.sin(PI * y);
+const anisotropicSource = (x, y) =>
+  3 * PI ** 2 * exactSolution(x, y) - PI ** 2 * Math.cos(PI * x) * Math.cos(PI * y);
+
+registerModel("anisotropicDiffusionScript", {
+  kernel: (
+    { basisFunction, basisFunctionDerivX, basisFunctionDerivY, gaussWeight, detJacobian, xCoord, yCoord },
+    { localJacobianMatrix, localResidualVector },
+  ) => {
+    const A = [
+      [2, 0.5],
+      [0.5, 1],
+    ];
+    const weight = gaussWeight * detJacobian;
+    for (let i = 0; i < basisFunction.length; i++) {
+      localResidualVector[i] += weight * anisotropicSource(xCoord, yCoord) * basisFunction[i];
+      for (let j = 0; j < basisFunction.length; j++) {
+        localJacobianMatrix[i][j] +=
+          weight *
+          (basisFunctionDerivX[i] * (A[0][0] * basisFunctionDerivX[j] + A[0][1] * basisFunctionDerivY[j]) +
+            basisFunctionDerivY[i] * (A[1][0] * basisFunctionDerivX[j] + A[1][1] * basisFunctionDerivY[j]));
+      }
+    }
+  },
+});
+
+const anisotropicOptions = {
+  elementOrder: "quadratic",
+  numElements: 8,
+  boundaryCondition: ["constantValue", 0],
+};
+const anisotropicResult = solveOnUnitSquare("anisotropicDiffusionScript", anisotropicOptions);
+const { nodesXCoordinates, nodesYCoordinates } = anisotropicResult.nodesCoordinates;
+const exactNodalValues = nodesXCoordinates.map((x, nodeIndex) =>
+  exactSolution(x, nodesYCoordinates[nodeIndex]),
+);
+const anisotropicError = maxDifference(anisotropicResult.solutionVector, exactNodalValues);
+assert(
+  anisotropicError < 1e-3,
+  `Kernel matches the manufactured solution (max error ${anisotropicError.toExponential(3)})`,
+);
+
+const frontalResult = solveOnUnitSquare("anisotropicDiffusionScript", {
+  ...anisotropicOptions,
+  solverMethod: "frontal",
+});
+const frontalDifference = maxDifference(frontalResult.solutionVector, anisotropicResult.solutionVector);
+assert(
+  frontalDifference < 1e-10,
+  `Frontal solver agrees with lusolve (max difference ${frontalDifference.toExponential(3)})`,
+);
+
+basicLog("");
+basicLog("[2] Agreement with the heat conduction model");
+
+// The heat conduction model assembles -k∇Nᵢ·∇Nⱼ and -Q·Nᵢ, the kernel the same terms with the opposite sign
+const heatConductionKernel = (gaussPoint, { localJacobianMatrix, localResidualVector }) => {
+  const { basisFunction, basisFunctionDerivX, basisFunctionDerivY, gaussWeight, detJacobian } = gaussPoint;
+  const { xCoord, yCoord, coefficientFunctions } = gaussPoint;
+  const k = coefficientFunctions.thermalConductivity(xCoord, yCoord);
+  const Q = coefficientFunctions.heatSource(xCoord, yCoord);
+  for (let i = 0; i < gaussPoint.nodesPerElement; i++) {
+    localResidualVector[i] += gaussWeight * detJacobian * Q * basisFunction[i];
+    for (let j = 0; j < gaussPoint.nodesPerElement; j++) {
+      localJacobianMatrix[i][j] +=
+        gaussWeight *
+        detJacobian *
+        k *
+        (basisFunctionDerivX[i] * basisFunctionDerivX[j] + basisFunctionDerivY[i] * basisFunctionDerivY[j]);
+    }
+  }
+};
+registerModel("kernelHeatConductionScript", { kernel: heatConductionKernel });
+
+const heatOptions = { elementOrder: "linear", numElements: 6 };
+const heatResult = solveOnUnitSquare("heatConductionScript", {
+  ...heatOptions,
+  boundaryCondition: ["constantTemp", 1],
+});
+const kernelHeatResult = solveOnUnitSquare("kernelHeatConductionScript", {
+  ...heatOptions,
+  boundaryCondition: ["constantValue", 1],
+});
+const heatDifference = maxDifference(kernelHeatResult.solutionVector, heatResult.solutionVector);
+assert(
+  heatDifference < 1e-10,
+  `Kernel reproduces heatConductionScript (max difference ${heatDifference.toExponential(3)})`,
+);
+
+basicLog("");
+basicLog("[3] Nonlinear kernel");
+
+// -((1 + u²)·u')' = -2x on [0, 1] with u(0) = 0 and u(1) = 1 has the solution u = x, which linear elements
+// reproduce exactly
+const nonlinearDiffusionKernel = (
+  { basisFunction, basisFunctionDerivX, gaussWeight, detJacobian, xCoord, solution, solutionDerivX },
+  { localJacobianMatrix, localResidualVector },
+) => {
+  const weight = gaussWeight * detJacobian;
+  const diffusivity = 1 + solution ** 2;
+  for (let i = 0; i < basisFunction.length; i++) {
+    // Out-of-balance load f·Nᵢ - (1 + u²)·u'·Nᵢ'
+    localResidualVector[i] +=
+      weight * (-2 * xCoord * basisFunction[i] - diffusivity * solutionDerivX * basisFunctionDerivX[i]);
+    for (let j = 0; j < basisFunction.length; j++) {
+      localJacobianMatrix[i][j] +=
+        weight *
+        (diffusivity * basisFunctionDerivX[j] + 2 * solution * basisFunction[j] * solutionDerivX) *
+        basisFunctionDerivX[i];
+    }
+  }
+};
+registerModel("nonlinearDiffusionScript", { nonlinear: true, kernel: nonlinearDiffusionKernel });
+
+const nonlinearModel = new FEAScriptModel();
+nonlinearModel.setModelConfig("nonlinearDiffusionScript");
+nonlinearModel.setMeshConfig({ meshDimension: "1D", elementOrder: "linear", numElementsX: 10, maxX: 1 });
+nonlinearModel.addBoundaryCondition("left", ["constantValue", 0]);
+nonlinearModel.addBoundaryCondition("right", ["constantValue", 1]);
+const nonlinearResult = nonlinearModel.solve({ tolerance: 1e-12 });
+const nonlinearError = maxDifference(
+  nonlinearResult.solutionVector,
+  nonlinearResult.nodesCoordinates.nodesXCoordinates,
+);
+assert(
+  nonlinearError < 1e-10,
+  `Newton-Raphson converges to the exact solution (max error ${nonlinearError.toExponential(3)})`,
+);
+
+basicLog("");
+basicLog("[4] Boundary kernels");
+
+// Heat flux q enters the body (q·Nᵢ in the loads) and convection adds h·Nᵢ·Nⱼ and h·T∞·Nᵢ
+registerModel("kernelHeatTransferScript", {
+  kernel: heatConductionKernel,
+  boundaryKernel: ({ basisFunction, weight, xCoord, yCoord, boundaryCondition }, localArrays) => {
+    const { localJacobianMatrix, localResidualVector } = localArrays;
+    const [boundaryConditionType, ...values] = boundaryCondition;
+    for (let i = 0; i < basisFunction.length; i++) {
+      if (boundaryConditionType === "heatFlux") {
+        localResidualVector[i] += weight * values[0](xCoord, yCoord) * basisFunction[i];
+      } else if (boundaryConditionType === "convection") {
+        const [h, externalTemperature] = values;
+        localResidualVector[i] += weight * h * externalTemperature * basisFunction[i];
+        for (let j = 0; j < basisFunction.length; j++) {
+          localJacobianMatrix[i][j] += weight * h * basisFunction[i] * basisFunction[j];
+        }
+      }
+    }
+  },
+});
+
+const heatFlux = (x, y) => 2 + y;
+for (const [elementOrder, solverMethod] of [
+  ["linear", "lusolve"],
+  ["quadratic", "lusolve"],
+  ["quadratic", "frontal"],
+]) {
+  const naturalOptions = { elementOrder, numElements: 6, solverMethod };
+  const heatTransferResult = solveOnUnitSquare("heatConductionScript", {
+    ...naturalOptions,
+    boundaryConditions: {
+      bottom: ["constantTemp", 1],
+      left: ["heatFlux", heatFlux],
+      top: ["convection", 5, 0.5],
+      right: ["symmetry"],
+    },
+  });
+  const kernelHeatTransferResult = solveOnUnitSquare("kernelHeatTransferScript", {
+    ...naturalOptions,
+    boundaryConditions: {
+      bottom: ["constantValue", 1],
+      left: ["heatFlux", heatFlux],
+      top: ["convection", 5, 0.5],
+      right: ["zeroGradient"],
+    },
+  });
+  const naturalDifference = maxDifference(
+    kernelHeatTransferResult.solutionVector,
+    heatTransferResult.solutionVector,
+  );
+  assert(
+    naturalDifference < 1e-10,
+    `Boundary kernel reproduces heat flux and convection, ${elementOrder} elements with ${solverMethod} ` +
+      `(max difference ${naturalDifference.toExponential(3)})`,
+  );
+}
+
+// The problem of [3] with a flux (1 + u²)·u' = 2, or a Robin condition (1 + u²)·u' = 3 - u, at x = 1 has the
+// same solution u = x
+registerModel("nonlinearRobinScript", {
+  nonlinear: true,
+  kernel: nonlinearDiffusionKernel,
+  boundaryKernel: ({ basisFunction, weight, solution, boundaryCondition }, localArrays) => {
+    const { localJacobianMatrix, localResidualVector } = localArrays;
+    const [boundaryConditionType, ...values] = boundaryCondition;
+    for (let i = 0; i < basisFunction.length; i++) {
+      if (boundaryConditionType === "flux") {
+        localResidualVector[i] += weight * values[0] * basisFunction[i];
+      } else if (boundaryConditionType === "robin") {
+        const [h, externalValue] = values;
+        localResidualVector[i] += weight * h * (externalValue - solution) * basisFunction[i];
+        for (let j = 0; j < basisFunction.length; j++) {
+          localJacobianMatrix[i][j] += weight * h * basisFunction[i] * basisFunction[j];
+        }
+      }
+    }
+  },
+});
+
+for (const rightBoundaryCondition of [
+  ["flux", 2],
+  ["robin", 1, 3],
+]) {
+  const robinModel = new FEAScriptModel();
+  robinModel.setModelConfig("nonlinearRobinScript");
+  robinModel.setMeshConfig({ meshDimension: "1D", elementOrder: "quadratic", numElementsX: 5, maxX: 1 });
+  robinModel.addBoundaryCondition("left", ["constantValue", 0]);
+  robinModel.addBoundaryCondition("right", rightBoundaryCondition);
+  const robinResult = robinModel.solve({ tolerance: 1e-12 });
+  const robinError = maxDifference(
+    robinResult.solutionVector,
+    robinResult.nodesCoordinates.nodesXCoordinates,
+  );
+  assert(
+    robinError < 1e-10,
+    `Nonlinear problem with a ${rightBoundaryCondition[0]} condition converges to the exact solution ` +
+      `(max error ${robinError.toExponential(3)})`,
+  );
+}
+
+basicLog("");
+if (failed > 0) {
+  errorLog(`${passed} passed, ${failed} failed.`);
+} else {
+  basicLog(`${passed} passed, ${failed} failed.`);
+}
+basicLog("================================");
+if (failed > 0) process.exit(1);